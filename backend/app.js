@@ -27,6 +27,7 @@ const commentsRoutes = require('./routes/comments');
 const notificationsRoutes = require('./routes/notifications');
 const githubRoutes = require('./routes/github');
 const friendsRoutes = require('./routes/friends');
+const directMessageRoutes = require('./routes/directMessages');
 
 const soloProjectRoutes = require('./routes/soloProjectRoutes');
 
@@ -109,6 +110,8 @@ app.use((req, res, next) => {
 });
 
 // ============== REQUEST PARSING ==============
+// GitHub webhooks are verified against the exact bytes sent, so keep that body raw
+app.use('/api/github/webhook', express.raw({ type: 'application/json', limit: '5mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -244,6 +247,7 @@ app.use('/api/timeline', timelineRoutes);
 app.use('/api/comments', commentsRoutes);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/direct-messages', directMessageRoutes);
 
 // 5. AI and recommendation routes (with strict rate limiting)
 app.use('/api/ai-chat', aiChatRoutes);
@@ -322,6 +326,11 @@ const io = new Server(server, {
   }
 });
 
+// Let controllers push real-time updates via req.app.get('io')
+app.set('io', io);
+// ...and notifications, which are created outside of any request handler too
+require('./services/notificationService').setSocketServer(io);
+
 // Setup optimized socket handlers
 try {
   const setupSocketHandlers = require('./utils/socketHandler');
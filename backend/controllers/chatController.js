@@ -1,6 +1,55 @@
 // backend/controllers/chatController.js
 const { createClient } = require('@supabase/supabase-js');
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+const { checkMessageMutation } = require('../utils/chatMessageRules');
+const chatReadState = require('../utils/chatReadState');
+const { parseSearchTerms, parseSearchPaging, buildSnippet, hasCodeBlock } = require('../utils/chatSearch');
+const chatThreads = require('../utils/chatThreads');
+
+const MESSAGE_USER_SELECT = `
+        *,
+        user:users!user_id (
+          id,
+          username,
+          full_name,
+          avatar_url
+        )
+      `;
+
+// Attach the replied-to message (id, content, author) to messages that are replies
+const attachReplyData = async (messages) => {
+  const processedMessages = [];
+
+  for (const message of messages || []) {
+    let processedMessage = { ...message };
+
+    // If message has a reply_to_message_id, fetch the reply data
+    if (message.reply_to_message_id) {
+      const { data: replyToMessage, error: replyError } = await supabase
+        .from('chat_messages')
+        .select(`
+          id,
+          content,
+          user:users!user_id (
+            id,
+            username,
+            full_name,
+            avatar_url
+          )
+        `)
+        .eq('id', message.reply_to_message_id)
+        .single();
+
+      if (!replyError && replyToMessage) {
+        processedMessage.reply_to = replyToMessage;
+      }
+    }
+
+    processedMessages.push(processedMessage);
+  }
+
+  return processedMessages;
+};
 
 // Get all chat rooms for a project
 const getProjectChatRooms = async (req, res) => {
@@ -8,21 +57,6 @@ const getProjectChatRooms = async (req, res) => {
     const { projectId } = req.params;
     const userId = req.user.id;
 
-    // Verify user is a project member
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('*')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
     // Get all chat rooms for the project
     const { data: chatRooms, error } = await supabase
       .from('chat_rooms')
@@ -48,9 +82,21 @@ const getProjectChatRooms = async (req, res) => {
       });
     }
 
+    // Unread badges are a nice-to-have - never fail the room list because of them
+    let unread = null;
+    try {
+      unread = await chatReadState.getUnreadCounts(userId, projectId);
+    } catch (unreadError) {
+      console.error('Error fetching unread counts:', unreadError);
+    }
+
     res.json({
       success: true,
-      data: chatRooms || []
+      data: (chatRooms || []).map(room => ({
+        ...room,
+        unread_count: unread?.rooms[room.id]?.unreadCount || 0,
+        last_read_at: unread?.rooms[room.id]?.lastReadAt || null
+      }))
     });
 
   } catch (error) {
@@ -70,29 +116,6 @@ const createChatRoom = async (req, res) => {
     const { name, description, room_type = 'general' } = req.body;
     const userId = req.user.id;
 
-    // Verify user is a project member with appropriate permissions
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('role')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
-    // Only project owner and members can create rooms
-    if (!['owner', 'member'].includes(membership.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions to create chat rooms'
-      });
-    }
-
     // Create the chat room
     const { data: chatRoom, error } = await supabase
       .from('chat_rooms')
@@ -143,23 +166,7 @@ const createChatRoom = async (req, res) => {
 const getRoomMessages = async (req, res) => {
   try {
     const { projectId, roomId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
-    const userId = req.user.id;
-
-    // Verify user is a project member
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('*')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
+    const { page = 1, limit = 50, around } = req.query;
 
     // Verify the room belongs to the project
     const { data: room, error: roomError } = await supabase
@@ -176,21 +183,87 @@ const getRoomMessages = async (req, res) => {
       });
     }
 
+    // Jump-to-message: return a window centred on one message instead of the newest page
+    if (around) {
+      const { data: target } = await supabase
+        .from('chat_messages')
+        .select(MESSAGE_USER_SELECT)
+        .eq('id', around)
+        .eq('room_id', roomId)
+        .single();
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found in this room'
+        });
+      }
+
+      // Thread replies aren't in the room stream - tell the client which thread to open
+      if (target.thread_id) {
+        return res.status(409).json({
+          success: false,
+          message: 'Message is a thread reply',
+          data: { thread_id: target.thread_id }
+        });
+      }
+
+      const half = Math.max(1, Math.floor(parseInt(limit) / 2));
+      const [{ data: before, error: beforeError }, { data: after, error: afterError }] = await Promise.all([
+        supabase
+          .from('chat_messages')
+          .select(MESSAGE_USER_SELECT)
+          .eq('room_id', roomId)
+          .is('thread_id', null)
+          .lt('created_at', target.created_at)
+          .order('created_at', { ascending: false })
+          .limit(half),
+        supabase
+          .from('chat_messages')
+          .select(MESSAGE_USER_SELECT)
+          .eq('room_id', roomId)
+          .is('thread_id', null)
+          .gt('created_at', target.created_at)
+          .order('created_at', { ascending: true })
+          .limit(half)
+      ]);
+
+      if (beforeError || afterError) {
+        console.error('Error fetching messages around target:', beforeError || afterError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch messages',
+          error: (beforeError || afterError).message
+        });
+      }
+
+      const windowMessages = await attachReplyData([...(before || []).reverse(), target, ...(after || [])]);
+      await chatThreads.attachThreadSummaries(windowMessages);
+
+      return res.json({
+        success: true,
+        data: {
+          messages: windowMessages,
+          room: room,
+          pagination: {
+            page: 1,
+            limit: parseInt(limit),
+            around,
+            hasMore: (before || []).length === half,
+            hasNewer: (after || []).length === half
+          }
+        }
+      });
+    }
+
     const offset = (page - 1) * limit;
 
     // Get messages with user info first
     const { data: messages, error } = await supabase
       .from('chat_messages')
-      .select(`
-        *,
-        user:users!user_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        )
-      `)
+      .select(MESSAGE_USER_SELECT)
       .eq('room_id', roomId)
+      .is('thread_id', null) // thread replies live in the thread view
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -204,35 +277,8 @@ const getRoomMessages = async (req, res) => {
     }
 
     // Now get reply data for messages that have replies
-    const processedMessages = [];
-    
-    for (const message of messages || []) {
-      let processedMessage = { ...message };
-      
-      // If message has a reply_to_message_id, fetch the reply data
-      if (message.reply_to_message_id) {
-        const { data: replyToMessage, error: replyError } = await supabase
-          .from('chat_messages')
-          .select(`
-            id,
-            content,
-            user:users!user_id (
-              id,
-              username,
-              full_name,
-              avatar_url
-            )
-          `)
-          .eq('id', message.reply_to_message_id)
-          .single();
-
-        if (!replyError && replyToMessage) {
-          processedMessage.reply_to = replyToMessage;
-        }
-      }
-      
-      processedMessages.push(processedMessage);
-    }
+    const processedMessages = await attachReplyData(messages);
+    await chatThreads.attachThreadSummaries(processedMessages);
 
     // Reverse to show oldest first
     const sortedMessages = processedMessages.reverse();
@@ -260,28 +306,243 @@ const getRoomMessages = async (req, res) => {
   }
 };
 
-// Send a message to a chat room - FIXED VERSION
-const sendMessage = async (req, res) => {
+// Page through a thread (root message + replies, oldest first), independently of the room stream
+const getThreadMessages = async (req, res) => {
   try {
-    const { projectId, roomId } = req.params;
-    const { content, message_type = 'text', reply_to_message_id } = req.body;
-    const userId = req.user.id;
+    const { projectId, roomId, messageId } = req.params;
+    const { cursor, limit = 30 } = req.query;
 
-    // Verify user is a project member
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('*')
+    // Verify the room belongs to the project
+    const { data: room, error: roomError } = await supabase
+      .from('chat_rooms')
+      .select('id')
+      .eq('id', roomId)
       .eq('project_id', projectId)
-      .eq('user_id', userId)
       .single();
 
-    if (memberError || !membership) {
-      return res.status(403).json({
+    if (roomError || !room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      });
+    }
+
+    const { data: root } = await supabase
+      .from('chat_messages')
+      .select(MESSAGE_USER_SELECT)
+      .eq('id', messageId)
+      .eq('room_id', roomId)
+      .single();
+
+    if (!root || root.thread_id) {
+      return res.status(404).json({
         success: false,
-        message: 'You are not a member of this project'
+        message: 'Thread not found'
       });
     }
 
+    const limitNum = parseInt(limit);
+    let query = supabase
+      .from('chat_messages')
+      .select(MESSAGE_USER_SELECT)
+      .eq('thread_id', messageId)
+      .order('created_at', { ascending: true })
+      .limit(limitNum + 1);
+
+    if (cursor) query = query.gt('created_at', cursor);
+
+    const { data: replies, error } = await query;
+
+    if (error) {
+      console.error('Error fetching thread replies:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch thread',
+        error: error.message
+      });
+    }
+
+    const hasMore = (replies || []).length > limitNum;
+    const page = await attachReplyData((replies || []).slice(0, limitNum));
+    const summary = await chatThreads.getThreadSummary(messageId);
+
+    res.json({
+      success: true,
+      data: {
+        root: {
+          ...root,
+          thread_reply_count: summary.reply_count,
+          thread_last_reply_at: summary.last_reply_at,
+          thread_participants: summary.participants
+        },
+        replies: page,
+        pagination: {
+          limit: limitNum,
+          hasMore,
+          nextCursor: hasMore ? page[page.length - 1].created_at : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get thread messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Search messages across all of a project's chat rooms
+// Uses Postgres full-text search on chat_messages.content; for large projects back it with
+// CREATE INDEX ... ON chat_messages USING GIN (to_tsvector('english', content))
+const searchMessages = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const {
+      q,
+      room_id: roomId,
+      author_id: authorId,
+      from,
+      to,
+      has_code: hasCode,
+      page,
+      limit,
+      context
+    } = req.query;
+
+    const terms = parseSearchTerms(q);
+    if (terms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must contain at least one word'
+      });
+    }
+
+    // Only ever search rooms that belong to this project
+    const { data: rooms, error: roomsError } = await supabase
+      .from('chat_rooms')
+      .select('id, name')
+      .eq('project_id', projectId);
+
+    if (roomsError) {
+      console.error('Error fetching chat rooms for search:', roomsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to search messages',
+        error: roomsError.message
+      });
+    }
+
+    const roomsById = new Map((rooms || []).map(room => [room.id, room]));
+    if (roomId && !roomsById.has(roomId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      });
+    }
+
+    const { page: pageNum, limit: limitNum, context: contextSize } = parseSearchPaging({ page, limit, context });
+    const offset = (pageNum - 1) * limitNum;
+    const searchRoomIds = roomId ? [roomId] : Array.from(roomsById.keys());
+
+    if (searchRoomIds.length === 0) {
+      return res.json({
+        success: true,
+        data: { results: [], terms, pagination: { page: pageNum, limit: limitNum, total: 0, hasMore: false } }
+      });
+    }
+
+    let query = supabase
+      .from('chat_messages')
+      .select(MESSAGE_USER_SELECT, { count: 'exact' })
+      .in('room_id', searchRoomIds)
+      .textSearch('content', q, { type: 'websearch', config: 'english' });
+
+    if (authorId) query = query.eq('user_id', authorId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (hasCode === 'true') query = query.or('message_type.eq.code,content.like.*```*');
+
+    const { data: hits, error: searchError, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (searchError) {
+      console.error('Error searching messages:', searchError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to search messages',
+        error: searchError.message
+      });
+    }
+
+    // Surrounding messages so a hit can be read in context without opening the room
+    const results = await Promise.all((hits || []).map(async (hit) => {
+      let before = [];
+      let after = [];
+
+      if (contextSize > 0) {
+        // Context comes from the same stream as the hit: the room, or the thread it was posted in
+        const sameStream = (query) => (hit.thread_id
+          ? query.eq('thread_id', hit.thread_id)
+          : query.eq('room_id', hit.room_id).is('thread_id', null));
+
+        const [beforeResult, afterResult] = await Promise.all([
+          sameStream(supabase.from('chat_messages').select(MESSAGE_USER_SELECT))
+            .lt('created_at', hit.created_at)
+            .order('created_at', { ascending: false })
+            .limit(contextSize),
+          sameStream(supabase.from('chat_messages').select(MESSAGE_USER_SELECT))
+            .gt('created_at', hit.created_at)
+            .order('created_at', { ascending: true })
+            .limit(contextSize)
+        ]);
+        before = (beforeResult.data || []).reverse();
+        after = afterResult.data || [];
+      }
+
+      return {
+        message: hit,
+        room: roomsById.get(hit.room_id),
+        snippet: buildSnippet(hit.content, terms),
+        has_code: hasCodeBlock(hit),
+        context: { before, after }
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        terms,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count || 0,
+          hasMore: offset + results.length < (count || 0)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Send a message to a chat room - FIXED VERSION
+const sendMessage = async (req, res) => {
+  try {
+    const { projectId, roomId } = req.params;
+    const { content, message_type = 'text', reply_to_message_id, thread_id } = req.body;
+    const userId = req.user.id;
+
     // Verify the room belongs to the project
     const { data: room, error: roomError } = await supabase
       .from('chat_rooms')
@@ -306,6 +567,18 @@ const sendMessage = async (req, res) => {
       });
     }
 
+    // Replies posted inside a thread always attach to its root message
+    let threadRoot = null;
+    if (thread_id) {
+      threadRoot = await chatThreads.resolveThreadRoot(thread_id, roomId);
+      if (!threadRoot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found in this room'
+        });
+      }
+    }
+
     // Create the message first
     const { data: message, error } = await supabase
       .from('chat_messages')
@@ -314,7 +587,8 @@ const sendMessage = async (req, res) => {
         user_id: userId,
         content: content.trim(),
         message_type,
-        reply_to_message_id: reply_to_message_id || null
+        reply_to_message_id: reply_to_message_id || null,
+        thread_id: threadRoot ? threadRoot.id : null
       })
       .select(`
         *,
@@ -360,6 +634,25 @@ const sendMessage = async (req, res) => {
       }
     }
 
+    if (threadRoot) {
+      const summary = await chatThreads.getThreadSummary(threadRoot.id);
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`room_${roomId}`).emit('thread_reply', {
+          message: processedMessage,
+          threadId: threadRoot.id,
+          roomId,
+          projectId,
+          summary
+        });
+      }
+      chatThreads.notifyThreadParticipants({
+        root: threadRoot,
+        reply: message,
+        projectId
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
@@ -391,18 +684,18 @@ const editMessage = async (req, res) => {
       });
     }
 
-    // Check if user owns the message
-    const { data: message, error: messageError } = await supabase
+    // Check ownership and the edit window
+    const { data: message } = await supabase
       .from('chat_messages')
       .select('*')
       .eq('id', messageId)
-      .eq('user_id', userId)
       .single();
 
-    if (messageError || !message) {
-      return res.status(404).json({
+    const permission = checkMessageMutation(message, userId, 'edit');
+    if (!permission.allowed) {
+      return res.status(permission.status).json({
         success: false,
-        message: 'Message not found or you do not have permission to edit it'
+        message: permission.reason
       });
     }
 
@@ -473,18 +766,33 @@ const deleteMessage = async (req, res) => {
     const { messageId } = req.params;
     const userId = req.user.id;
 
-    // Check if user owns the message
-    const { data: message, error: messageError } = await supabase
+    // Check ownership and the delete window
+    const { data: message } = await supabase
       .from('chat_messages')
       .select('*')
       .eq('id', messageId)
-      .eq('user_id', userId)
       .single();
 
-    if (messageError || !message) {
-      return res.status(404).json({
+    const permission = checkMessageMutation(message, userId, 'delete');
+    if (!permission.allowed) {
+      return res.status(permission.status).json({
+        success: false,
+        message: permission.reason
+      });
+    }
+
+    // Deleting a thread root takes its replies with it
+    const { error: threadDeleteError } = await supabase
+      .from('chat_messages')
+      .delete()
+      .eq('thread_id', messageId);
+
+    if (threadDeleteError) {
+      console.error('Error deleting thread replies:', threadDeleteError);
+      return res.status(500).json({
         success: false,
-        message: 'Message not found or you do not have permission to delete it'
+        message: 'Failed to delete message',
+        error: threadDeleteError.message
       });
     }
 
@@ -518,10 +826,89 @@ const deleteMessage = async (req, res) => {
   }
 };
 
+// Get unread message counts for every room in a project
+const getUnreadCounts = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+
+    const counts = await chatReadState.getUnreadCounts(userId, projectId);
+
+    res.json({
+      success: true,
+      data: counts
+    });
+
+  } catch (error) {
+    console.error('Get unread counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Advance the user's read cursor for a room
+const markRoomRead = async (req, res) => {
+  try {
+    const { projectId, roomId } = req.params;
+    const { message_id: messageId = null } = req.body;
+    const userId = req.user.id;
+
+    const { data: room } = await supabase
+      .from('chat_rooms')
+      .select('id')
+      .eq('id', roomId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      });
+    }
+
+    const cursor = await chatReadState.markRoomRead(userId, roomId, messageId);
+    if (!cursor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found in this room'
+      });
+    }
+
+    const counts = await chatReadState.getUnreadCounts(userId, projectId);
+
+    // Keep the user's other open tabs in sync
+    const io = req.app.get('io');
+    if (io && cursor.advanced) {
+      io.to(`user_${userId}`).emit('unread_counts', counts);
+    }
+
+    res.json({
+      success: true,
+      data: counts
+    });
+
+  } catch (error) {
+    console.error('Mark room read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getProjectChatRooms,
+  getUnreadCounts,
+  markRoomRead,
   createChatRoom,
   getRoomMessages,
+  getThreadMessages,
+  searchMessages,
   sendMessage,
   editMessage,
   deleteMessage
@@ -1,26 +1,50 @@
 // backend/controllers/collaborativeProjectCompletion.js
+const cron = require('node-cron');
 const supabase = require('../config/supabase');
 const { createTimelinePostsForTeam } = require('../utils/timelinePostHelper');
+const { calculateWeightedCompletion } = require('../utils/weightedCompletion');
+const notificationService = require('../services/notificationService');
+const { getRolePermissions, isTeamRole } = require('../utils/projectPermissions');
+const {
+  isDeadlinePassed,
+  evaluateCompletionVote,
+  buildPolicyUpdate
+} = require('../utils/completionVoting');
+const { postSystemMessage } = require('../utils/projectChat');
 
 // ===== HELPER FUNCTIONS =====
 
 /**
- * Calculate project completion percentage based on tasks
+ * Weighted completion of a project with its per-member and per-task-type breakdown
+ * (see utils/weightedCompletion.js)
  */
-const calculateProjectCompletion = async (projectId) => {
-  try {
-    const { data: tasks, error } = await supabase
+const getCompletionBreakdown = async (projectId) => {
+  const [{ data: tasks, error }, { data: project }] = await Promise.all([
+    supabase
       .from('project_tasks')
-      .select('status')
-      .eq('project_id', projectId);
+      .select('id, parent_task_id, title, status, estimated_hours, priority, assigned_to, task_type')
+      .eq('project_id', projectId),
+    supabase
+      .from('projects')
+      .select('weight_completion_by_priority')
+      .eq('id', projectId)
+      .single()
+  ]);
 
-    if (error) throw error;
+  if (error) throw error;
 
-    const totalTasks = tasks?.length || 0;
-    if (totalTasks === 0) return 0;
+  return calculateWeightedCompletion(tasks || [], {
+    byPriority: Boolean(project?.weight_completion_by_priority)
+  });
+};
 
-    const completedTasks = tasks.filter(t => t.status === 'completed').length;
-    return Math.round((completedTasks / totalTasks) * 100);
+/**
+ * Calculate project completion percentage, weighted by estimated hours (and priority if the
+ * project asks for it). Subtasks count towards their parent rather than as tasks of their own.
+ */
+const calculateProjectCompletion = async (projectId) => {
+  try {
+    return (await getCompletionBreakdown(projectId)).percentage;
   } catch (error) {
     console.error('Error calculating project completion:', error);
     return 0;
@@ -28,42 +52,156 @@ const calculateProjectCompletion = async (projectId) => {
 };
 
 /**
- * Check if user has permission to complete project
- * Only owner or leads can mark as complete
+ * Who has a say in the completion vote: the owner plus active team members whose role can
+ * vote. Mentors oversee the team rather than belong to it, so they never count.
+ * @param {Object} project - needs id, owner_id and role_permissions
+ * @returns {Promise<Set<string>>}
  */
-const canCompleteProject = async (projectId, userId) => {
-  try {
-    // Check if user is owner
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) throw projectError;
-    
-    if (project.owner_id === userId) return true;
+const getCompletionVoterIds = async (project) => {
+  const { data: members } = await supabase
+    .from('project_members')
+    .select('user_id, role')
+    .eq('project_id', project.id)
+    .eq('status', 'active');
+
+  const voters = (members || [])
+    .filter(member => member.user_id !== project.owner_id && isTeamRole(member.role))
+    .filter(member => getRolePermissions(member.role, project.role_permissions).has('project.vote'))
+    .map(member => member.user_id);
+
+  return new Set([project.owner_id, ...voters]);
+};
 
-    // Check if user is a lead
-    const { data: member, error: memberError } = await supabase
-      .from('project_members')
-      .select('role')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .eq('status', 'active')
-      .single();
+/**
+ * Where the completion vote stands under the project's voting policy
+ * (see utils/completionVoting.js)
+ * @param {Object} project - projects row (select *)
+ * @param {string} [select] - columns to load for each vote
+ * @returns {Promise<{ voterIds: Set<string>, votes: Object[], quorum: Object }>} votes are
+ *   only those from people who still have a say
+ */
+const getCompletionVoteState = async (project, select = 'user_id, vote, reason') => {
+  const { data: recordedVotes, error } = await supabase
+    .from('project_completion_votes')
+    .select(select)
+    .eq('project_id', project.id)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const voterIds = await getCompletionVoterIds(project);
+  const votes = (recordedVotes || []).filter(v => voterIds.has(v.user_id));
+
+  return {
+    voterIds,
+    votes,
+    quorum: evaluateCompletionVote({ project, voterIds, votes })
+  };
+};
 
-    if (memberError) return false;
-    
-    return member.role === 'lead';
-  } catch (error) {
-    console.error('Error checking completion permission:', error);
+/**
+ * Complete a project whose completion vote has passed
+ * @returns {Promise<boolean>} whether the project was completed
+ */
+const completeProjectByVote = async (project) => {
+  const { data: completed, error: completeError } = await supabase
+    .from('projects')
+    .update({
+      status: 'completed',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', project.id)
+    .neq('status', 'completed')
+    .select('id');
+
+  if (completeError) {
+    console.error('Error completing project by vote:', completeError);
     return false;
   }
+
+  // Someone else got there first
+  if (!completed || completed.length === 0) return false;
+
+  await awardProjectCompletionAchievements(project.id);
+  await notificationService.notifyProjectMembers(project.id, {
+    type: 'project_completed',
+    title: '🎉 Project Completed by Team Vote!',
+    message: `The team has voted to complete "${project.title}". Congratulations!`,
+    target: { type: 'project', id: project.id, url: `/project/${project.id}/dashboard` },
+    data: { project_title: project.title }
+  });
+  console.log('✅ Project completed after reaching the voting quorum');
+  return true;
 };
 
+const EXPIRED_VOTE_BATCH_SIZE = 100;
+
+/**
+ * Settle completion votes whose deadline has passed. Votes are otherwise only evaluated when
+ * someone votes or changes the policy, so a vote that passes once the silent voters start
+ * counting as abstaining would never complete without this.
+ * @returns {Promise<{ checked: number, completed: number, failed: number }>}
+ */
+const closeExpiredCompletionVotes = async () => {
+  const now = new Date().toISOString();
+  const result = { checked: 0, completed: 0, failed: 0 };
+
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .select('*')
+    .lte('completion_vote_deadline', now)
+    .is('completion_vote_closed_at', null)
+    .neq('status', 'completed')
+    .limit(EXPIRED_VOTE_BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const project of projects || []) {
+    // Solo projects have their own completion logic
+    if (project.maximum_members === 1) continue;
+
+    result.checked++;
+    try {
+      const { quorum } = await getCompletionVoteState(project);
+      if (quorum.passed && await completeProjectByVote(project)) result.completed++;
+
+      // Only settled once - a new deadline clears this again (see buildPolicyUpdate)
+      await supabase
+        .from('projects')
+        .update({ completion_vote_closed_at: new Date().toISOString() })
+        .eq('id', project.id)
+        .eq('completion_vote_deadline', project.completion_vote_deadline);
+    } catch (sweepError) {
+      // Left open, so the next run tries this project again
+      result.failed++;
+      console.error(`Error closing completion vote for ${project.id}:`, sweepError.message);
+    }
+  }
+
+  return result;
+};
+
+let voteSweepTask = null;
+
 /**
- * Award achievements to all active project members
+ * Close expired completion votes every hour, half past so it doesn't share a tick with the
+ * notification digests
+ */
+const startCompletionVoteScheduler = () => {
+  if (voteSweepTask) return;
+
+  voteSweepTask = cron.schedule('30 * * * *', async () => {
+    try {
+      const result = await closeExpiredCompletionVotes();
+      if (result.checked > 0) console.log('🗳️ Expired completion votes:', result);
+    } catch (error) {
+      console.error('Error closing expired completion votes:', error);
+    }
+  });
+};
+
+/**
+ * Award achievements to all active team members (mentors aren't part of the team)
  */
 const awardProjectCompletionAchievements = async (projectId) => {
   try {
@@ -93,6 +231,8 @@ const awardProjectCompletionAchievements = async (projectId) => {
       return;
     }
 
+    const teamMembers = members.filter(member => isTeamRole(member.role));
+
     // Add project owner to members list
     const { data: projectWithOwner, error: ownerError } = await supabase
       .from('projects')
@@ -102,13 +242,13 @@ const awardProjectCompletionAchievements = async (projectId) => {
 
     if (!ownerError && projectWithOwner) {
       // Check if owner is already in members list
-      const ownerExists = members.some(m => m.user_id === projectWithOwner.owner_id);
+      const ownerExists = teamMembers.some(m => m.user_id === projectWithOwner.owner_id);
       if (!ownerExists) {
-        members.push({ user_id: projectWithOwner.owner_id, role: 'owner' });
+        teamMembers.push({ user_id: projectWithOwner.owner_id, role: 'owner' });
       }
     }
 
-    if (!members || members.length === 0) {
+    if (teamMembers.length === 0) {
       console.log('No members to award');
       return;
     }
@@ -121,7 +261,7 @@ const awardProjectCompletionAchievements = async (projectId) => {
     // Create awards for each member
     const awardsToCreate = [];
 
-    for (const member of members) {
+    for (const member of teamMembers) {
       // Check if member already has this award
       const { data: existingAward } = await supabase
         .from('user_awards')
@@ -149,7 +289,7 @@ const awardProjectCompletionAchievements = async (projectId) => {
           project_title: project.title,
           role: member.role,
           completion_date: new Date().toISOString(),
-          team_size: members.length,
+          team_size: teamMembers.length,
           difficulty: project.difficulty_level
         }
       });
@@ -204,7 +344,7 @@ const awardProjectCompletionAchievements = async (projectId) => {
             metadata: {
               project_title: project.title,
               role: member.role,
-              team_size: members.length
+              team_size: teamMembers.length
             }
           });
         }
@@ -221,6 +361,8 @@ const awardProjectCompletionAchievements = async (projectId) => {
         console.error('Error inserting awards:', insertError);
       } else {
         console.log(`✅ Successfully created ${awardsToCreate.length} awards!`);
+
+        await Promise.all(awardsToCreate.map(award => notificationService.notifyAwardReceived(award)));
       }
     }
 
@@ -231,46 +373,6 @@ const awardProjectCompletionAchievements = async (projectId) => {
   }
 };
 
-/**
- * Create notifications for all team members
- */
-const notifyTeamMembers = async (projectId, title, message, type = 'project_completed') => {
-  try {
-    // Get all active members
-    const { data: members, error: membersError } = await supabase
-      .from('project_members')
-      .select('user_id')
-      .eq('project_id', projectId)
-      .eq('status', 'active');
-
-    if (membersError || !members) return;
-
-    // Get project owner
-    const { data: project } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    const userIds = new Set(members.map(m => m.user_id));
-    if (project) userIds.add(project.owner_id);
-
-    // Create notifications
-    const notifications = Array.from(userIds).map(userId => ({
-      user_id: userId,
-      project_id: projectId,
-      notification_type: type,
-      title: title,
-      message: message,
-      created_at: new Date().toISOString()
-    }));
-
-    await supabase.from('notifications').insert(notifications);
-  } catch (error) {
-    console.error('Error notifying team members:', error);
-  }
-};
-
 // ===== MAIN CONTROLLERS =====
 
 /**
@@ -282,19 +384,8 @@ const getCompletionStatus = async (req, res) => {
     const { projectId } = req.params;
     const userId = req.user.id;
 
-    // Verify project exists
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('id, title, status, owner_id, maximum_members, created_at')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
+    // requireProjectPermission('project.view') has already loaded the project
+    const { project } = req.projectAccess;
 
     // Check if it's a solo project
     if (project.maximum_members === 1) {
@@ -304,35 +395,22 @@ const getCompletionStatus = async (req, res) => {
       });
     }
 
-    // Calculate completion percentage
-    const completionPercentage = await calculateProjectCompletion(projectId);
+    // Calculate completion percentage and who/what it's made of
+    const breakdown = await getCompletionBreakdown(projectId);
+    const completionPercentage = breakdown.percentage;
 
-    // Check if user can complete project
-    const canComplete = await canCompleteProject(projectId, userId);
+    const memberIds = breakdown.byMember.map(m => m.user_id).filter(Boolean);
+    const { data: memberUsers } = memberIds.length
+      ? await supabase.from('users').select('id, username, full_name, avatar_url').in('id', memberIds)
+      : { data: [] };
+    const usersById = new Map((memberUsers || []).map(u => [u.id, u]));
 
-    // Get voting status if exists
-    const { data: votes, error: votesError } = await supabase
-      .from('project_completion_votes')
-      .select('*')
-      .eq('project_id', projectId);
-
-    const voteStatus = {
-      total_votes: votes?.length || 0,
-      votes_for: votes?.filter(v => v.vote === 'approve').length || 0,
-      votes_against: votes?.filter(v => v.vote === 'reject').length || 0,
-      user_voted: votes?.some(v => v.user_id === userId) || false,
-      user_vote: votes?.find(v => v.user_id === userId)?.vote || null
-    };
-
-    // Get total active members for voting threshold
-    const { data: members } = await supabase
-      .from('project_members')
-      .select('user_id')
-      .eq('project_id', projectId)
-      .eq('status', 'active');
+    // Check if user can complete project
+    const canComplete = req.projectAccess.can('project.complete');
 
-    const totalMembers = (members?.length || 0) + 1; // +1 for owner
-    const votingThreshold = Math.ceil(totalMembers * 0.6); // 60% approval needed
+    // Only votes from people who still have a say count
+    const { voterIds, votes, quorum } = await getCompletionVoteState(project);
+    const userVote = votes.find(v => v.user_id === userId);
 
     res.json({
       success: true,
@@ -343,12 +421,23 @@ const getCompletionStatus = async (req, res) => {
         completion_percentage: completionPercentage,
         is_eligible_for_completion: completionPercentage >= 80,
         can_mark_complete: canComplete,
+        completion_breakdown: {
+          weighted_by: breakdown.weightedBy,
+          total_weight: breakdown.totalWeight,
+          earned_weight: breakdown.earnedWeight,
+          by_member: breakdown.byMember.map(m => ({ ...m, user: usersById.get(m.user_id) || null })),
+          by_task_type: breakdown.byTaskType
+        },
         voting: {
-          ...voteStatus,
-          total_members: totalMembers,
-          votes_needed: votingThreshold,
-          voting_active: voteStatus.total_votes > 0,
-          can_approve: voteStatus.votes_for >= votingThreshold
+          ...quorum,
+          user_voted: Boolean(userVote),
+          user_vote: userVote?.vote || null,
+          user_reason: userVote?.reason || null,
+          can_vote: voterIds.has(userId) && quorum.voting_open,
+          can_configure: req.projectAccess.can('project.settings'),
+          total_members: quorum.eligible_voters,
+          voting_active: quorum.total_votes > 0,
+          can_approve: quorum.passed
         }
       }
     });
@@ -369,32 +458,12 @@ const getCompletionStatus = async (req, res) => {
 const markProjectComplete = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user.id;
     const { skip_validation } = req.body; // Optional: skip completion percentage check
 
     console.log('🎯 Marking project as complete:', projectId);
-    await supabase
-      .from('projects')
-      .update({ status: 'completed' })
-      .eq('id', projectId);
-
-    // ⬇️ CREATE TIMELINE POSTS FOR ALL TEAM MEMBERS
-    await createTimelinePostsForTeam(projectId);
-
 
-    // Verify project exists and not already completed
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('id, title, status, owner_id, maximum_members')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
+    // requireProjectPermission('project.complete') has already loaded the project
+    const { project } = req.projectAccess;
 
     // Check if it's a solo project
     if (project.maximum_members === 1) {
@@ -411,15 +480,6 @@ const markProjectComplete = async (req, res) => {
       });
     }
 
-    // Check permissions
-    const hasPermission = await canCompleteProject(projectId, userId);
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only project owners or leads can mark projects as complete'
-      });
-    }
-
     // Check completion percentage unless skipped
     if (!skip_validation) {
       const completionPercentage = await calculateProjectCompletion(projectId);
@@ -449,16 +509,20 @@ const markProjectComplete = async (req, res) => {
       });
     }
 
+    // ⬇️ CREATE TIMELINE POSTS FOR ALL TEAM MEMBERS
+    await createTimelinePostsForTeam(projectId);
+
     // Award achievements to all team members
     const awardsCreated = await awardProjectCompletionAchievements(projectId);
 
     // Notify all team members
-    await notifyTeamMembers(
-      projectId,
-      '🎉 Project Completed!',
-      `Congratulations! The project "${project.title}" has been marked as complete.`,
-      'project_completed'
-    );
+    await notificationService.notifyProjectMembers(projectId, {
+      type: 'project_completed',
+      title: '🎉 Project Completed!',
+      message: `Congratulations! The project "${project.title}" has been marked as complete.`,
+      target: { type: 'project', id: projectId, url: `/project/${projectId}/dashboard` },
+      data: { project_title: project.title }
+    });
 
     console.log('✅ Project marked as complete successfully');
 
@@ -494,7 +558,7 @@ const checkAutoComplete = async (req, res) => {
     // Verify project exists
     const { data: project, error: projectError } = await supabase
       .from('projects')
-      .select('id, title, status, maximum_members')
+      .select('*')
       .eq('id', projectId)
       .single();
 
@@ -545,12 +609,13 @@ const checkAutoComplete = async (req, res) => {
       const awardsCreated = await awardProjectCompletionAchievements(projectId);
 
       // Notify team
-      await notifyTeamMembers(
-        projectId,
-        '🎉 Project Auto-Completed!',
-        `Great work! All tasks are complete. The project "${project.title}" has been automatically marked as completed.`,
-        'project_completed'
-      );
+      await notificationService.notifyProjectMembers(projectId, {
+        type: 'project_completed',
+        title: '🎉 Project Auto-Completed!',
+        message: `Great work! All tasks are complete. The project "${project.title}" has been automatically marked as completed.`,
+        target: { type: 'project', id: projectId, url: `/project/${projectId}/dashboard` },
+        data: { project_title: project.title }
+      });
 
       console.log('✅ Project auto-completed successfully');
 
@@ -566,6 +631,21 @@ const checkAutoComplete = async (req, res) => {
       });
     }
 
+    // A passed deadline or a voter leaving can carry the vote without anyone voting again
+    const { quorum } = await getCompletionVoteState(project);
+    if (quorum.passed && await completeProjectByVote(project)) {
+      return res.json({
+        success: true,
+        auto_completed: true,
+        message: 'Project completed by team vote!',
+        data: {
+          project_id: projectId,
+          completion_percentage: completionPercentage,
+          voting: quorum
+        }
+      });
+    }
+
     res.json({
       success: true,
       auto_completed: false,
@@ -587,13 +667,15 @@ const checkAutoComplete = async (req, res) => {
 
 /**
  * POST /api/projects/:projectId/completion-vote
- * Vote on project completion (all members can vote)
+ * Vote on project completion (owner and team members with project.vote)
+ * Rejecting needs a reason, which is posted to the project chat
  */
 const voteOnCompletion = async (req, res) => {
   try {
     const { projectId } = req.params;
     const userId = req.user.id;
     const { vote } = req.body; // 'approve' or 'reject'
+    const reason = vote === 'reject' ? (req.body.reason || '').trim() : null;
 
     console.log('🗳️ User voting on project completion:', { projectId, userId, vote });
 
@@ -605,34 +687,27 @@ const voteOnCompletion = async (req, res) => {
       });
     }
 
-    // Verify project exists
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('id, title, status, owner_id, maximum_members')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
+    if (vote === 'reject' && !reason) {
+      return res.status(400).json({
         success: false,
-        message: 'Project not found'
+        message: 'Please give a reason for rejecting completion'
       });
     }
 
-    // Check if user is a member or owner
-    const isOwner = project.owner_id === userId;
-    const { data: member } = await supabase
-      .from('project_members')
-      .select('status')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .eq('status', 'active')
-      .single();
+    // requireProjectPermission('project.vote') has already loaded the project
+    const { project } = req.projectAccess;
+
+    if (project.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Project is already completed'
+      });
+    }
 
-    if (!isOwner && !member) {
-      return res.status(403).json({
+    if (isDeadlinePassed(project.completion_vote_deadline)) {
+      return res.status(409).json({
         success: false,
-        message: 'Only project members can vote'
+        message: 'Voting on completion has closed. Ask the project owner to extend the deadline.'
       });
     }
 
@@ -650,6 +725,7 @@ const voteOnCompletion = async (req, res) => {
         .from('project_completion_votes')
         .update({
           vote: vote,
+          reason,
           updated_at: new Date().toISOString()
         })
         .eq('id', existingVote.id);
@@ -666,7 +742,8 @@ const voteOnCompletion = async (req, res) => {
         .insert({
           project_id: projectId,
           user_id: userId,
-          vote: vote
+          vote: vote,
+          reason
         });
 
       if (insertError) {
@@ -676,61 +753,39 @@ const voteOnCompletion = async (req, res) => {
       console.log('✅ Vote recorded');
     }
 
-    // Get updated vote counts
-    const { data: allVotes } = await supabase
-      .from('project_completion_votes')
-      .select('vote')
-      .eq('project_id', projectId);
-
-    const votesFor = allVotes?.filter(v => v.vote === 'approve').length || 0;
-    const votesAgainst = allVotes?.filter(v => v.vote === 'reject').length || 0;
+    // The team should hear why, not just that someone said no
+    if (vote === 'reject') {
+      await postSystemMessage({
+        projectId,
+        userId,
+        content: `🛑 Voted against completing "${project.title}": ${reason}`,
+        io: req.app?.get('io')
+      });
+    }
 
-    // Get total members
-    const { data: members } = await supabase
-      .from('project_members')
-      .select('user_id')
-      .eq('project_id', projectId)
-      .eq('status', 'active');
+    // Let the rest of the team know; votes on one project collapse into one notification
+    await notificationService.notifyProjectMembers(projectId, {
+      type: 'completion_vote',
+      actorId: userId,
+      target: { type: 'project', id: projectId, url: `/project/${projectId}/dashboard` },
+      groupKey: `completion_vote:${projectId}`,
+      data: { project_title: project.title, vote, reason }
+    });
 
-    const totalMembers = (members?.length || 0) + 1; // +1 for owner
-    const votingThreshold = Math.ceil(totalMembers * 0.6); // 60% approval
+    // Where the vote stands now, from people who still have a say
+    const { quorum } = await getCompletionVoteState(project);
 
-    // Check if voting passed
-    let autoCompleted = false;
-    if (votesFor >= votingThreshold && project.status !== 'completed') {
-      // Auto-complete the project
-      const { error: completeError } = await supabase
-        .from('projects')
-        .update({
-          status: 'completed',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', projectId);
-
-      if (!completeError) {
-        autoCompleted = true;
-        await awardProjectCompletionAchievements(projectId);
-        await notifyTeamMembers(
-          projectId,
-          '🎉 Project Completed by Team Vote!',
-          `The team has voted to complete "${project.title}". Congratulations!`,
-          'project_completed'
-        );
-        console.log('✅ Project auto-completed after reaching voting threshold');
-      }
-    }
+    const autoCompleted = quorum.passed && await completeProjectByVote(project);
 
     res.json({
       success: true,
       message: autoCompleted ? 'Vote recorded and project completed!' : 'Vote recorded successfully',
       data: {
         vote: vote,
-        total_votes: allVotes?.length || 0,
-        votes_for: votesFor,
-        votes_against: votesAgainst,
-        total_members: totalMembers,
-        votes_needed: votingThreshold,
-        voting_passed: votesFor >= votingThreshold,
+        reason,
+        ...quorum,
+        total_members: quorum.eligible_voters,
+        voting_passed: quorum.passed,
         auto_completed: autoCompleted
       }
     });
@@ -746,39 +801,83 @@ const voteOnCompletion = async (req, res) => {
 
 /**
  * GET /api/projects/:projectId/completion-votes
- * Get all votes for project completion
+ * Get all votes for project completion, and progress toward the quorum
  */
 const getCompletionVotes = async (req, res) => {
+  try {
+    const { votes, quorum } = await getCompletionVoteState(req.projectAccess.project, `
+      *,
+      users:user_id (
+        id,
+        username,
+        full_name,
+        avatar_url
+      )
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        votes,
+        total: votes.length,
+        votes_for: quorum.votes_for,
+        votes_against: quorum.votes_against,
+        quorum
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching votes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/projects/:projectId/completion-vote-policy
+ * Choose how the completion vote is decided (project.settings - owner only by default)
+ */
+const updateCompletionVotePolicy = async (req, res) => {
   try {
     const { projectId } = req.params;
+    const { project } = req.projectAccess;
 
-    const { data: votes, error } = await supabase
-      .from('project_completion_votes')
-      .select(`
-        *,
-        users:user_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        )
-      `)
-      .eq('project_id', projectId)
-      .order('created_at', { ascending: false });
+    const { update, error: policyError } = buildPolicyUpdate(req.body);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      });
+    }
+
+    const { data: updatedProject, error: updateError } = await supabase
+      .from('projects')
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', projectId)
+      .select('*')
+      .single();
 
-    if (error) throw error;
+    if (updateError) throw updateError;
+
+    // A looser rule can carry a vote that's already been cast
+    const { quorum } = await getCompletionVoteState(updatedProject);
+    const autoCompleted = project.status !== 'completed' && quorum.passed
+      && await completeProjectByVote(updatedProject);
 
     res.json({
       success: true,
+      message: autoCompleted
+        ? 'Voting policy updated and the vote now passes - project completed!'
+        : 'Voting policy updated',
       data: {
-        votes: votes || [],
-        total: votes?.length || 0,
-        votes_for: votes?.filter(v => v.vote === 'approve').length || 0,
-        votes_against: votes?.filter(v => v.vote === 'reject').length || 0
+        quorum,
+        auto_completed: autoCompleted
       }
     });
   } catch (error) {
-    console.error('Error fetching votes:', error);
+    console.error('Error updating completion vote policy:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -793,6 +892,9 @@ module.exports = {
   checkAutoComplete,
   voteOnCompletion,
   getCompletionVotes,
+  updateCompletionVotePolicy,
+  closeExpiredCompletionVotes,
+  startCompletionVoteScheduler,
   // Export helper functions for use in other controllers
   calculateProjectCompletion,
   awardProjectCompletionAchievements
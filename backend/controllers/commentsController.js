@@ -1,6 +1,7 @@
 // controllers/commentsController.js
 const supabase = require('../config/supabase');
 const { validateUUID, sanitizeInput } = require('../utils/validation');
+const notificationService = require('../services/notificationService');
 
 class CommentsController {
     constructor() {
@@ -10,40 +11,14 @@ class CommentsController {
     try {
         const { taskId } = req.params;
         const { page = 1, limit = 20 } = req.query;
-        const userId = req.user.id;
 
-        console.log('🔍 Getting comments for task:', taskId, 'by user:', userId);
+        console.log('🔍 Getting comments for task:', taskId);
 
         if (!validateUUID(taskId)) {
             return res.status(400).json({ error: 'Invalid task ID' });
         }
 
-        // First, get the task and check if it exists
-        const { data: task, error: taskError } = await supabase
-            .from('project_tasks')
-            .select('id, project_id, title')
-            .eq('id', taskId)
-            .single();
-
-        if (taskError || !task) {
-            console.error('Task not found:', taskError);
-            return res.status(404).json({ error: 'Task not found' });
-        }
-
-        // Check if user has access to the project
-        const { data: membership, error: memberError } = await supabase
-            .from('project_members')
-            .select('user_id')
-            .eq('project_id', task.project_id)
-            .eq('user_id', userId)
-            .single();
-
-        if (memberError || !membership) {
-            console.error('Access denied - user not a project member:', memberError);
-            return res.status(403).json({ error: 'Access denied' });
-        }
-
-        console.log('✅ User has access to project');
+        // Task access is checked by requireProjectPermission in routes/comments.js
 
         // Get comments with author info - simplified query
         const { data: comments, error } = await supabase
@@ -115,31 +90,12 @@ class CommentsController {
     getCommentReplies = async (req, res) => {
         try {
             const { commentId } = req.params;
-            const userId = req.user.id;
 
             if (!validateUUID(commentId)) {
                 return res.status(400).json({ error: 'Invalid comment ID' });
             }
 
-            // Check if user has access to the parent comment
-            const { data: parentComment, error: parentError } = await supabase
-                .from('task_comments')
-                .select(`
-                    id, task_id,
-                    project_tasks!inner(
-                        project_id,
-                        projects!inner(
-                            project_members!inner(user_id)
-                        )
-                    )
-                `)
-                .eq('id', commentId)
-                .eq('project_tasks.projects.project_members.user_id', userId)
-                .single();
-
-            if (parentError || !parentComment) {
-                return res.status(404).json({ error: 'Comment not found or access denied' });
-            }
+            // Access to the parent comment's project is checked in routes/comments.js
 
             // Get replies
             const { data: replies, error } = await supabase
@@ -208,8 +164,7 @@ class CommentsController {
             }
             console.log('✅ Valid mentions:', validMentions);
 
-            // Check if user has access to the task - SIMPLIFIED
-            console.log('🔍 Checking task access...');
+            // Project access is checked by requireProjectPermission in routes/comments.js
             const { data: task, error: taskError } = await supabase
                 .from('project_tasks')
                 .select('id, project_id, title')
@@ -223,21 +178,6 @@ class CommentsController {
 
             console.log('✅ Task found:', task);
 
-            // Check project membership
-            const { data: membership, error: memberError } = await supabase
-                .from('project_members')
-                .select('user_id')
-                .eq('project_id', task.project_id)
-                .eq('user_id', userId)
-                .single();
-
-            if (memberError || !membership) {
-                console.error('❌ Access denied:', memberError);
-                return res.status(403).json({ error: 'Access denied - not a project member' });
-            }
-
-            console.log('✅ User has project access');
-
             // Create the comment - TRY WITHOUT MENTIONS FIRST
             console.log('🔄 Inserting comment...');
             
@@ -434,18 +374,10 @@ res.status(201).json({ comment });
                 return res.status(400).json({ error: 'Invalid comment ID' });
             }
 
-            // Check permissions (owner or project lead/owner)
+            // Authors can delete their own comments; anyone else needs comment.moderate
             const { data: comment, error: fetchError } = await supabase
                 .from('task_comments')
-                .select(`
-                    id, user_id, task_id,
-                    project_tasks!inner(
-                        project_id,
-                        projects!inner(
-                            project_members!inner(user_id, role)
-                        )
-                    )
-                `)
+                .select('id, user_id, task_id')
                 .eq('id', commentId)
                 .single();
 
@@ -453,12 +385,8 @@ res.status(201).json({ comment });
                 return res.status(404).json({ error: 'Comment not found' });
             }
 
-            const isOwner = comment.user_id === userId;
-            const hasPermissions = comment.project_tasks.projects.project_members.some(
-                member => member.user_id === userId && ['lead', 'owner'].includes(member.role)
-            );
-
-            if (!isOwner && !hasPermissions) {
+            const isAuthor = comment.user_id === userId;
+            if (!isAuthor && !req.projectAccess.can('comment.moderate')) {
                 return res.status(403).json({ error: 'Insufficient permissions to delete this comment' });
             }
 
@@ -484,39 +412,36 @@ res.status(201).json({ comment });
     // Helper method to create notifications
     async createCommentNotifications(comment, projectId) {
         try {
-            const notifications = [];
-
-            // Create notifications for mentions
-            if (comment.mentions && comment.mentions.length > 0) {
-                for (const mentionedUserId of comment.mentions) {
-                    if (mentionedUserId !== comment.user_id) {
-                        notifications.push({
-                            comment_id: comment.id,
-                            user_id: mentionedUserId,
-                            notification_type: 'mention'
-                        });
-                    }
-                }
-            }
+            const mentions = comment.mentions || [];
 
-            // Create notifications for task assignee (if not author or already mentioned)
             const { data: task } = await supabase
                 .from('project_tasks')
-                .select('assigned_to')
+                .select('id, title, assigned_to')
                 .eq('id', comment.task_id)
                 .single();
 
-            if (task && task.assigned_to && 
-                task.assigned_to !== comment.user_id && 
-                !comment.mentions.includes(task.assigned_to)) {
-                notifications.push({
+            const common = {
+                actorId: comment.user_id,
+                projectId,
+                target: {
+                    type: 'task',
+                    id: comment.task_id,
+                    url: `/project/${projectId}/tasks/${comment.task_id}`
+                },
+                message: comment.content,
+                data: {
                     comment_id: comment.id,
-                    user_id: task.assigned_to,
-                    notification_type: 'task_comment'
-                });
-            }
+                    task_id: comment.task_id,
+                    task_title: task?.title
+                }
+            };
+
+            // Each person hears about a comment once: mention beats reply beats assignee
+            const notified = new Set(mentions);
 
-            // Create notifications for parent comment author (for replies)
+            await notificationService.notify({ ...common, type: 'comment_mention', userIds: mentions });
+
+            // Notify parent comment author (for replies)
             if (comment.parent_comment_id) {
                 const { data: parentComment } = await supabase
                     .from('task_comments')
@@ -524,22 +449,20 @@ res.status(201).json({ comment });
                     .eq('id', comment.parent_comment_id)
                     .single();
 
-                if (parentComment && 
-                    parentComment.user_id !== comment.user_id &&
-                    !comment.mentions.includes(parentComment.user_id)) {
-                    notifications.push({
-                        comment_id: comment.id,
-                        user_id: parentComment.user_id,
-                        notification_type: 'reply'
-                    });
+                if (parentComment && !notified.has(parentComment.user_id)) {
+                    notified.add(parentComment.user_id);
+                    await notificationService.notify({ ...common, type: 'comment_reply', userIds: parentComment.user_id });
                 }
             }
 
-            // Insert notifications
-            if (notifications.length > 0) {
-                await supabase
-                    .from('comment_notifications')
-                    .insert(notifications);
+            // Notify task assignee; several comments on one task collapse into one notification
+            if (task?.assigned_to && !notified.has(task.assigned_to)) {
+                await notificationService.notify({
+                    ...common,
+                    type: 'task_comment',
+                    userIds: task.assigned_to,
+                    groupKey: `task_comment:${comment.task_id}`
+                });
             }
 
         } catch (error) {
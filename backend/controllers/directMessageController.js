@@ -0,0 +1,399 @@
+// backend/controllers/directMessageController.js
+// 1:1 and small-group conversations between accepted friends (outside of projects)
+const supabase = require('../config/supabase');
+const {
+  MAX_GROUP_SIZE,
+  DM_MESSAGE_SELECT,
+  getAcceptedFriendIds,
+  findStrangerPairs,
+  getConversationForMember,
+  checkCanMessage,
+  postDirectMessage,
+  broadcastDirectMessage
+} = require('../utils/directMessages');
+
+const USER_FIELDS = 'id, username, full_name, avatar_url';
+
+// Find an existing 1:1 conversation between two users
+const findOneToOneConversation = async (userId, otherUserId) => {
+  const { data: mine } = await supabase
+    .from('direct_conversation_members')
+    .select('conversation_id, direct_conversations!inner(id, is_group)')
+    .eq('user_id', userId)
+    .eq('direct_conversations.is_group', false);
+
+  const conversationIds = (mine || []).map(m => m.conversation_id);
+  if (conversationIds.length === 0) return null;
+
+  const { data: shared } = await supabase
+    .from('direct_conversation_members')
+    .select('conversation_id')
+    .eq('user_id', otherUserId)
+    .in('conversation_id', conversationIds)
+    .limit(1);
+
+  return shared?.[0]?.conversation_id || null;
+};
+
+// Get the user's conversations with members, last message and unread count
+const getConversations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: memberships, error } = await supabase
+      .from('direct_conversation_members')
+      .select(`
+        conversation_id,
+        last_read_at,
+        conversation:direct_conversations!inner (*)
+      `)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error fetching conversations:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch conversations',
+        error: error.message
+      });
+    }
+
+    const conversationIds = (memberships || []).map(m => m.conversation_id);
+    if (conversationIds.length === 0) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const { data: members } = await supabase
+      .from('direct_conversation_members')
+      .select(`conversation_id, user:users!user_id (${USER_FIELDS})`)
+      .in('conversation_id', conversationIds);
+
+    const friendIds = await getAcceptedFriendIds(userId);
+
+    const conversations = await Promise.all(memberships.map(async (membership) => {
+      const conversationMembers = (members || [])
+        .filter(m => m.conversation_id === membership.conversation_id)
+        .map(m => m.user)
+        .filter(Boolean);
+
+      let unreadQuery = supabase
+        .from('direct_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('conversation_id', membership.conversation_id)
+        .neq('user_id', userId);
+      if (membership.last_read_at) unreadQuery = unreadQuery.gt('created_at', membership.last_read_at);
+
+      const [{ data: lastMessages }, { count: unreadCount }] = await Promise.all([
+        supabase
+          .from('direct_messages')
+          .select(DM_MESSAGE_SELECT)
+          .eq('conversation_id', membership.conversation_id)
+          .order('created_at', { ascending: false })
+          .limit(1),
+        unreadQuery
+      ]);
+
+      const others = conversationMembers.filter(member => member.id !== userId);
+
+      return {
+        ...membership.conversation,
+        members: conversationMembers,
+        last_message: lastMessages?.[0] || null,
+        unread_count: unreadCount || 0,
+        can_send: others.every(member => friendIds.has(member.id))
+      };
+    }));
+
+    conversations.sort((a, b) =>
+      new Date(b.last_message_at || b.created_at) - new Date(a.last_message_at || a.created_at));
+
+    res.json({
+      success: true,
+      data: conversations
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Start a conversation (or reopen the existing 1:1) with one or more friends
+const createConversation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { participantIds = [], name } = req.body;
+
+    const others = [...new Set(participantIds)].filter(id => id !== userId);
+    if (others.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one friend to message'
+      });
+    }
+
+    if (others.length + 1 > MAX_GROUP_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Group conversations are limited to ${MAX_GROUP_SIZE} people`
+      });
+    }
+
+    const friendIds = await getAcceptedFriendIds(userId);
+    if (others.some(id => !friendIds.has(id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only message people you are friends with'
+      });
+    }
+
+    const isGroup = others.length > 1;
+
+    // Members can only post while they're friends with everyone else in the conversation,
+    // so a group of people who aren't all friends would leave some of them unable to send
+    if (isGroup && (await findStrangerPairs(others)).length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Everyone in a group conversation has to be friends with each other'
+      });
+    }
+
+    if (!isGroup) {
+      const existingId = await findOneToOneConversation(userId, others[0]);
+      if (existingId) {
+        const { data: existing } = await supabase
+          .from('direct_conversations')
+          .select('*')
+          .eq('id', existingId)
+          .single();
+
+        return res.json({
+          success: true,
+          message: 'Conversation already exists',
+          data: existing
+        });
+      }
+    }
+
+    const { data: conversation, error } = await supabase
+      .from('direct_conversations')
+      .insert({
+        is_group: isGroup,
+        name: isGroup && name ? name.trim() : null,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating conversation:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create conversation',
+        error: error.message
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { error: membersError } = await supabase
+      .from('direct_conversation_members')
+      .insert([userId, ...others].map(memberId => ({
+        conversation_id: conversation.id,
+        user_id: memberId,
+        joined_at: now,
+        last_read_at: now
+      })));
+
+    if (membersError) {
+      console.error('Error adding conversation members:', membersError);
+      await supabase.from('direct_conversations').delete().eq('id', conversation.id);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create conversation',
+        error: membersError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation created successfully',
+      data: conversation
+    });
+
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Get message history, newest page first; pass `before` (created_at of the oldest loaded message) to page back
+const getConversationMessages = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { before, limit = 50 } = req.query;
+    const userId = req.user.id;
+
+    const access = await checkCanMessage(conversationId, userId);
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.reason
+      });
+    }
+
+    const limitNum = parseInt(limit);
+    let query = supabase
+      .from('direct_messages')
+      .select(DM_MESSAGE_SELECT)
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: false })
+      .limit(limitNum + 1);
+
+    if (before) query = query.lt('created_at', before);
+
+    const { data: messages, error } = await query;
+
+    if (error) {
+      console.error('Error fetching direct messages:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch messages',
+        error: error.message
+      });
+    }
+
+    const hasMore = (messages || []).length > limitNum;
+    const page = (messages || []).slice(0, limitNum).reverse(); // oldest first
+
+    const { data: members } = await supabase
+      .from('direct_conversation_members')
+      .select(`user:users!user_id (${USER_FIELDS})`)
+      .eq('conversation_id', conversationId);
+
+    res.json({
+      success: true,
+      data: {
+        conversation: {
+          ...access.conversation,
+          members: (members || []).map(m => m.user).filter(Boolean),
+          can_send: access.allowed,
+          blocked_reason: access.allowed ? null : access.reason
+        },
+        messages: page,
+        pagination: {
+          limit: limitNum,
+          hasMore,
+          nextBefore: hasMore && page.length > 0 ? page[0].created_at : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Send a direct message (REST fallback - the client normally uses the dm_send socket event)
+const sendDirectMessage = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { content } = req.body;
+    const userId = req.user.id;
+
+    const result = await postDirectMessage({ conversationId, userId, content });
+    if (!result.message) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    broadcastDirectMessage(req.app.get('io'), result.memberIds, result.message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: result.message
+    });
+
+  } catch (error) {
+    console.error('Send direct message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Mark everything in a conversation as read
+const markConversationRead = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    const access = await getConversationForMember(conversationId, userId);
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.reason
+      });
+    }
+
+    const lastReadAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('direct_conversation_members')
+      .update({ last_read_at: lastReadAt })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error marking conversation read:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to mark conversation as read',
+        error: error.message
+      });
+    }
+
+    // Clear the badge in the user's other tabs
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${userId}`).emit('dm_read', { conversationId, lastReadAt });
+    }
+
+    res.json({
+      success: true,
+      data: { conversationId, lastReadAt }
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getConversations,
+  createConversation,
+  getConversationMessages,
+  sendDirectMessage,
+  markConversationRead
+};
@@ -1,5 +1,6 @@
 // backend/controllers/friendsController.js
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
 
 // Send friend request
 const sendFriendRequest = async (req, res) => {
@@ -85,6 +86,14 @@ const sendFriendRequest = async (req, res) => {
       });
     }
 
+    await notificationService.notify({
+      userIds: addresseeId,
+      type: 'friend_request',
+      actorId: requesterId,
+      target: { type: 'friendship', id: friendship.id, url: '/friends' },
+      data: { friendship_id: friendship.id }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Friend request sent successfully',
@@ -421,6 +430,14 @@ const acceptFriendRequest = async (req, res) => {
       });
     }
 
+    await notificationService.notify({
+      userIds: friendship.requester_id,
+      type: 'friend_accepted',
+      actorId: userId,
+      target: { type: 'friendship', id: friendshipId, url: '/friends' },
+      data: { friendship_id: friendshipId }
+    });
+
     res.json({
       success: true,
       message: 'Friend request accepted',
@@ -1,13 +1,31 @@
 // backend/controllers/githubController.js
-const axios = require('axios');
 const supabase = require('../config/supabase');
 const crypto = require('crypto');
+const githubClient = require('../utils/githubClient');
+const { resolveRange, getContributionReport } = require('../utils/githubContributions');
+const { generateWebhookSecret } = require('../utils/githubWebhooks');
 
-// GitHub OAuth configuration
+const { GitHubConnectionError, GitHubRateLimitError } = githubClient;
+
+// GitHub OAuth configuration (tokens themselves are handled by utils/githubClient.js)
 const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
-const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
 const GITHUB_REDIRECT_URI = process.env.GITHUB_REDIRECT_URI || 'http://localhost:3000/auth/github/callback';
 
+// Not connected (404) or connected but the token stopped working (409) - the code tells the UI which
+const sendConnectionError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  code: error.code === 'reconnect_required' ? 'github_reconnect_required' : 'github_not_connected'
+});
+
+// Out of GitHub requests and nothing cached to fall back on
+const sendRateLimitError = (res, error) => res.status(429).set('Retry-After', String(error.retryAfter)).json({
+  success: false,
+  message: error.message,
+  code: 'github_rate_limited',
+  reset_at: error.resetAt
+});
+
 // Generate OAuth URL
 const getOAuthURL = async (req, res) => {
   try {
@@ -47,66 +65,19 @@ const handleOAuthCallback = async (req, res) => {
       });
     }
 
-    // Exchange code for access token
-    const tokenResponse = await axios.post('https://github.com/login/oauth/access_token', {
-      client_id: GITHUB_CLIENT_ID,
-      client_secret: GITHUB_CLIENT_SECRET,
-      code: code,
-      redirect_uri: GITHUB_REDIRECT_URI
-    }, {
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const accessToken = tokenResponse.data.access_token;
-
-    if (!accessToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to obtain access token from GitHub'
-      });
-    }
-
-    // Get user information from GitHub
-    const userResponse = await axios.get('https://api.github.com/user', {
-      headers: {
-        'Authorization': `token ${accessToken}`,
-        'Accept': 'application/vnd.github.v3+json'
+    // Exchange the code and store the (encrypted) token
+    let githubUser;
+    try {
+      githubUser = await githubClient.connectAccount(userId, code);
+    } catch (error) {
+      if (error.oauthError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to obtain access token from GitHub',
+          error: error.message
+        });
       }
-    });
-
-    const githubUser = userResponse.data;
-
-    // Store GitHub OAuth data in database
-    const { data, error } = await supabase
-      .from('github_oauth_tokens')
-      .upsert({
-        user_id: userId,
-        access_token: accessToken,
-        github_user_id: githubUser.id,
-        github_username: githubUser.login,
-        github_email: githubUser.email,
-        github_name: githubUser.name,
-        github_avatar_url: githubUser.avatar_url,
-        scope: tokenResponse.data.scope || 'repo,read:user,user:email',
-        token_type: tokenResponse.data.token_type || 'bearer',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'user_id'
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Database error storing GitHub token:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to store GitHub authorization',
-        error: error.message
-      });
+      throw error;
     }
 
     res.json({
@@ -133,23 +104,15 @@ const disconnectGitHub = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const { error } = await supabase
-      .from('github_oauth_tokens')
-      .delete()
-      .eq('user_id', userId);
-
-    if (error) {
-      console.error('Database error disconnecting GitHub:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to disconnect GitHub account',
-        error: error.message
-      });
-    }
+    // Revokes the grant at GitHub too, so the token is useless even if it leaked
+    const { revoked } = await githubClient.disconnectAccount(userId);
 
     res.json({
       success: true,
-      message: 'GitHub account disconnected successfully'
+      message: revoked
+        ? 'GitHub account disconnected successfully'
+        : 'GitHub account disconnected. We could not reach GitHub to revoke access - you can revoke it under GitHub Settings → Applications.',
+      data: { revoked }
     });
   } catch (error) {
     console.error('GitHub disconnect error:', error);
@@ -166,13 +129,9 @@ const getGitHubUser = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const { data: tokenData, error } = await supabase
-      .from('github_oauth_tokens')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
+    const tokenData = await githubClient.getConnection(userId);
 
-    if (error || !tokenData) {
+    if (!tokenData) {
       return res.status(404).json({
         success: false,
         message: 'GitHub account not connected'
@@ -186,7 +145,10 @@ const getGitHubUser = async (req, res) => {
         github_name: tokenData.github_name,
         github_email: tokenData.github_email,
         github_avatar_url: tokenData.github_avatar_url,
-        connected_at: tokenData.created_at
+        connected_at: tokenData.created_at,
+        status: tokenData.status || 'active',
+        reconnect_required: tokenData.status === 'reconnect_required',
+        reconnect_reason: tokenData.status_reason || null
       }
     });
   } catch (error) {
@@ -205,24 +167,10 @@ const getUserRepositories = async (req, res) => {
     const userId = req.user.id;
     const { page = 1, per_page = 30, sort = 'updated', type = 'all' } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
+    // Throws GitHubConnectionError if the account isn't connected or needs reconnecting
+    const github = await githubClient.forUser(userId);
 
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const response = await axios.get('https://api.github.com/user/repos', {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
+    const response = await github.get('/user/repos', {
       params: {
         page,
         per_page,
@@ -263,6 +211,12 @@ const getUserRepositories = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Get repositories error:', error);
     res.status(500).json({
       success: false,
@@ -278,25 +232,10 @@ const getRepository = async (req, res) => {
     const userId = req.user.id;
     const { owner, repo } = req.params;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    // Throws GitHubConnectionError if the account isn't connected or needs reconnecting
+    const github = await githubClient.forUser(userId);
 
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}`, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
+    const response = await github.cachedGet(`/repos/${owner}/${repo}`);
 
     const repository = {
       id: response.data.id,
@@ -325,9 +264,16 @@ const getRepository = async (req, res) => {
 
     res.json({
       success: true,
-      data: repository
+      data: repository,
+      github: response.meta
     });
   } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Get repository error:', error);
     if (error.response && error.response.status === 404) {
       return res.status(404).json({
@@ -350,29 +296,13 @@ const getRepositoryContents = async (req, res) => {
     const { owner, repo } = req.params;
     const { path = '', ref } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    // Throws GitHubConnectionError if the account isn't connected or needs reconnecting
+    const github = await githubClient.forUser(userId);
 
-    const url = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
+    const url = `/repos/${owner}/${repo}/contents/${path}`;
     const params = ref ? { ref } : {};
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
-      params
-    });
+    const response = await github.cachedGet(url, { params });
 
     const contents = Array.isArray(response.data) 
       ? response.data.map(item => ({
@@ -398,9 +328,16 @@ const getRepositoryContents = async (req, res) => {
 
     res.json({
       success: true,
-      data: contents
+      data: contents,
+      github: response.meta
     });
   } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Get repository contents error:', error);
     if (error.response && error.response.status === 404) {
       return res.status(404).json({
@@ -424,29 +361,13 @@ const getFileContent = async (req, res) => {
     const filePath = req.params[0]; // Captures the wildcard path
     const { ref } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
+    // Throws GitHubConnectionError if the account isn't connected or needs reconnecting
+    const github = await githubClient.forUser(userId);
 
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const url = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`;
+    const url = `/repos/${owner}/${repo}/contents/${filePath}`;
     const params = ref ? { ref } : {};
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
-      params
-    });
+    const response = await github.cachedGet(url, { params });
 
     if (response.data.type !== 'file') {
       return res.status(400).json({
@@ -469,9 +390,16 @@ const getFileContent = async (req, res) => {
         encoding: response.data.encoding,
         download_url: response.data.download_url,
         html_url: response.data.html_url
-      }
+      },
+      github: response.meta
     });
   } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Get file content error:', error);
     if (error.response && error.response.status === 404) {
       return res.status(404).json({
@@ -493,25 +421,10 @@ const getRepositoryBranches = async (req, res) => {
     const userId = req.user.id;
     const { owner, repo } = req.params;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
+    // Throws GitHubConnectionError if the account isn't connected or needs reconnecting
+    const github = await githubClient.forUser(userId);
 
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/branches`, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
+    const response = await github.cachedGet(`/repos/${owner}/${repo}/branches`);
 
     const branches = response.data.map(branch => ({
       name: branch.name,
@@ -524,9 +437,16 @@ const getRepositoryBranches = async (req, res) => {
 
     res.json({
       success: true,
-      data: branches
+      data: branches,
+      github: response.meta
     });
   } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Get repository branches error:', error);
     res.status(500).json({
       success: false,
@@ -543,30 +463,14 @@ const getRepositoryCommits = async (req, res) => {
     const { owner, repo } = req.params;
     const { sha, path, page = 1, per_page = 30 } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    // Throws GitHubConnectionError if the account isn't connected or needs reconnecting
+    const github = await githubClient.forUser(userId);
 
     const params = { page, per_page };
     if (sha) params.sha = sha;
     if (path) params.path = path;
 
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits`, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
-      params
-    });
+    const response = await github.cachedGet(`/repos/${owner}/${repo}/commits`, { params });
 
     const commits = response.data.map(commit => ({
       sha: commit.sha,
@@ -586,9 +490,16 @@ const getRepositoryCommits = async (req, res) => {
 
     res.json({
       success: true,
-      data: commits
+      data: commits,
+      github: response.meta
     });
   } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Get repository commits error:', error);
     res.status(500).json({
       success: false,
@@ -628,28 +539,13 @@ const connectRepositoryToProject = async (req, res) => {
     }
 
     // Check if user has GitHub connected
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token, github_username')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    // Throws GitHubConnectionError if the account isn't connected or needs reconnecting
+    const github = await githubClient.forUser(userId);
 
     // Verify repository access
     const [owner, repo] = repository_full_name.split('/');
     try {
-      await axios.get(`https://api.github.com/repos/${owner}/${repo}`, {
-        headers: {
-          'Authorization': `token ${tokenData.access_token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
+      await github.get(`/repos/${owner}/${repo}`);
     } catch (error) {
       if (error.response && error.response.status === 404) {
         return res.status(404).json({
@@ -668,6 +564,8 @@ const connectRepositoryToProject = async (req, res) => {
         repository_full_name: repository_full_name,
         branch: branch,
         connected_by: userId,
+        // Reconnecting starts over with a new secret (see controllers/githubWebhookController.js)
+        webhook_secret: generateWebhookSecret(),
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       }, {
@@ -687,10 +585,16 @@ const connectRepositoryToProject = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Repository connected to project successfully',
+      message: 'Repository connected to project successfully. Use webhook_secret as the secret of the repository\'s webhook.',
       data: data
     });
   } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Connect repository to project error:', error);
     res.status(500).json({
       success: false,
@@ -783,9 +687,12 @@ const getProjectRepository = async (req, res) => {
       });
     }
 
+    // Every member can see the connection; the webhook secret is for project.settings only
+    const { webhook_secret: webhookSecret, ...repository } = repoData;
+
     res.json({
       success: true,
-      data: repoData
+      data: { ...repository, has_webhook_secret: Boolean(webhookSecret) }
     });
   } catch (error) {
     console.error('Get project repository error:', error);
@@ -797,6 +704,294 @@ const getProjectRepository = async (req, res) => {
   }
 };
 
+/**
+ * GitHub client for reading a project's repository: the member who connected it, or the
+ * person asking if that account can't be used any more
+ * @throws {GitHubConnectionError} when neither account works
+ */
+const clientForProjectRepository = async (repoData, userId) => {
+  try {
+    return await githubClient.forUser(repoData.connected_by);
+  } catch (error) {
+    if (!(error instanceof GitHubConnectionError) || repoData.connected_by === userId) throw error;
+    return githubClient.forUser(userId);
+  }
+};
+
+// Get per-member contribution report for the project's repository
+const getProjectContributions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { project } = req.projectAccess;
+    const { refresh } = req.query;
+
+    const range = resolveRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const { data: repoData } = await supabase
+      .from('project_github_repos')
+      .select('repository_full_name, branch, connected_by')
+      .eq('project_id', project.id)
+      .single();
+
+    if (!repoData) {
+      return res.status(404).json({
+        success: false,
+        message: 'No repository connected to this project'
+      });
+    }
+
+    const github = await clientForProjectRepository(repoData, userId);
+
+    const { report, cacheHit } = await getContributionReport({
+      github,
+      project,
+      repository: repoData.repository_full_name,
+      branch: repoData.branch || 'main',
+      since: range.since,
+      until: range.until,
+      refresh: refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: { ...report, cached: cacheHit }
+    });
+  } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repository or branch not found on GitHub'
+      });
+    }
+    console.error('Get project contributions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build contribution report',
+      error: error.message
+    });
+  }
+};
+
+// Turn two-way task <-> issue sync on or off for the project's repository
+const updateIssueSync = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { project } = req.projectAccess;
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    const { data: repoData } = await supabase
+      .from('project_github_repos')
+      .select('repository_full_name')
+      .eq('project_id', project.id)
+      .single();
+
+    if (!repoData) {
+      return res.status(404).json({
+        success: false,
+        message: 'No repository connected to this project'
+      });
+    }
+
+    if (enabled) {
+      // Issues are opened with the account of whoever edits a task, falling back to this one
+      const github = await githubClient.forUser(userId);
+      const { data: repository } = await github.get(`/repos/${repoData.repository_full_name}`);
+
+      if (!repository.has_issues) {
+        return res.status(400).json({
+          success: false,
+          message: 'Issues are turned off for this repository on GitHub'
+        });
+      }
+      if (!repository.permissions?.push && !repository.permissions?.triage) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your GitHub account needs write access to this repository to sync issues'
+        });
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from('project_github_repos')
+      .update({
+        issue_sync_enabled: enabled,
+        issue_sync_enabled_by: enabled ? userId : null,
+        issue_sync_enabled_at: enabled ? new Date().toISOString() : null
+      })
+      .eq('project_id', project.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Database error updating issue sync:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update issue sync',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+      message: enabled
+        ? 'Issue sync enabled. Tasks will be opened as GitHub issues when they are next created or edited.'
+        : 'Issue sync disabled'
+    });
+  } catch (error) {
+    if (error instanceof GitHubConnectionError) {
+      return sendConnectionError(res, error);
+    }
+    if (error instanceof GitHubRateLimitError) {
+      return sendRateLimitError(res, error);
+    }
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repository not found on GitHub'
+      });
+    }
+    console.error('Update issue sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update issue sync',
+      error: error.message
+    });
+  }
+};
+
+// Recent issue sync history for the project (optionally ?task_id=)
+const getIssueSyncAudit = async (req, res) => {
+  try {
+    const { project } = req.projectAccess;
+    const { task_id: taskId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    let query = supabase
+      .from('github_issue_sync_audit')
+      .select('*')
+      .eq('project_id', project.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (taskId) query = query.eq('task_id', taskId);
+
+    const { data: entries, error } = await query;
+
+    if (error) {
+      console.error('Database error fetching issue sync audit:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch issue sync history',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { entries: entries || [] }
+    });
+  } catch (error) {
+    console.error('Get issue sync audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch issue sync history',
+      error: error.message
+    });
+  }
+};
+
+// Secret to set on the connected repository's webhook
+const getWebhookSecret = async (req, res) => {
+  try {
+    const { project } = req.projectAccess;
+
+    const { data: repoData, error } = await supabase
+      .from('project_github_repos')
+      .select('repository_full_name, webhook_secret')
+      .eq('project_id', project.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!repoData) {
+      return res.status(404).json({
+        success: false,
+        message: 'No repository connected to this project'
+      });
+    }
+
+    // null for connections made before secrets were per repository - regenerate one
+    res.json({
+      success: true,
+      data: repoData
+    });
+  } catch (error) {
+    console.error('Get webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook secret',
+      error: error.message
+    });
+  }
+};
+
+// Replace the webhook secret, e.g. after it leaked. The repository's webhook fails until it's updated.
+const regenerateWebhookSecret = async (req, res) => {
+  try {
+    const { project } = req.projectAccess;
+
+    const { data: repoData, error } = await supabase
+      .from('project_github_repos')
+      .update({
+        webhook_secret: generateWebhookSecret(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('project_id', project.id)
+      .select('repository_full_name, webhook_secret')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!repoData) {
+      return res.status(404).json({
+        success: false,
+        message: 'No repository connected to this project'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: repoData,
+      message: 'Webhook secret regenerated. Update the secret of the repository\'s webhook on GitHub.'
+    });
+  } catch (error) {
+    console.error('Regenerate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate webhook secret',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getOAuthURL,
   handleOAuthCallback,
@@ -810,5 +1005,10 @@ module.exports = {
   getRepositoryCommits,
   connectRepositoryToProject,
   disconnectRepositoryFromProject,
-  getProjectRepository
+  getProjectRepository,
+  getProjectContributions,
+  updateIssueSync,
+  getIssueSyncAudit,
+  getWebhookSecret,
+  regenerateWebhookSecret
 };
\ No newline at end of file
@@ -0,0 +1,424 @@
+// backend/controllers/githubWebhookController.js
+// Inbound GitHub webhooks for repositories connected to projects (project_github_repos).
+//
+// Set the webhook up on the repository with:
+//   Payload URL   <API>/api/github/webhook
+//   Content type  application/json
+//   Secret        the connection's webhook_secret - returned when the repository is connected,
+//                 and from GET /api/github/project/:projectId/webhook-secret
+//   Events        Pushes, Pull requests, Issues (for projects with issue sync on)
+//
+// A delivery only affects the projects whose own secret signed it, so knowing one project's
+// secret doesn't let anyone move tasks in another project connected to the same repository.
+//
+// Columns on project_github_repos:
+//   webhook_secret  text NULL   -- generated on connect; connections made before it existed
+//                                  need to regenerate one before their webhook is accepted
+//   repository_key  text GENERATED ALWAYS AS (lower(repository_full_name)) STORED, indexed
+//                               -- GitHub names are case-insensitive; matched with eq, never a
+//                                  pattern, since the name comes from the unverified payload
+//
+// Tables:
+//   project_task_github_links  id            uuid PRIMARY KEY DEFAULT gen_random_uuid()
+//                              project_id    uuid NOT NULL REFERENCES projects(id) ON DELETE CASCADE
+//                              task_id       uuid NOT NULL REFERENCES project_tasks(id) ON DELETE CASCADE
+//                              kind          text NOT NULL        -- commit | pull_request
+//                              external_id   text NOT NULL        -- commit sha / PR number
+//                              repository_full_name text NOT NULL
+//                              title         text
+//                              url           text
+//                              author_login  text
+//                              state         text                 -- pushed | open | closed | merged
+//                              closes_task   boolean NOT NULL DEFAULT false
+//                              created_at    timestamptz NOT NULL DEFAULT now()
+//                              updated_at    timestamptz NOT NULL DEFAULT now()
+//                              UNIQUE (task_id, kind, repository_full_name, external_id)
+//   github_webhook_deliveries  delivery_id   text PRIMARY KEY     -- X-GitHub-Delivery, so redeliveries are ignored
+//                              event         text NOT NULL
+//                              repository_full_name text
+//                              summary       jsonb
+//                              received_at   timestamptz NOT NULL DEFAULT now()
+//
+// Parsing and the status rules live in utils/githubWebhooks.js; issue events go to
+// utils/githubIssueSync.js.
+
+const supabase = require('../config/supabase');
+const {
+  SUPPORTED_EVENTS,
+  filterSignedRepos,
+  extractItems,
+  planTaskUpdates
+} = require('../utils/githubWebhooks');
+const {
+  STARTED_STATUSES,
+  getProjectDependencies,
+  getOpenPrerequisites,
+  syncBlockedStatus,
+  getDependentIds
+} = require('../utils/taskDependencies');
+const { invalidateProjectReports } = require('../utils/githubContributions');
+const { syncTaskToGitHub, handleIssueEvent } = require('../utils/githubIssueSync');
+
+const describeItem = (item) => (item.kind === 'commit'
+  ? `commit ${item.externalId.slice(0, 7)}`
+  : `pull request #${item.externalId}`);
+
+const ACTIVITY_ACTIONS = {
+  completed: item => `completed via ${describeItem(item)}`,
+  in_review: item => `sent for review in ${describeItem(item)}`,
+  in_progress: item => `moved back to in progress after closing ${describeItem(item)}`
+};
+
+/**
+ * Platform user behind a GitHub account, if they've connected it
+ */
+const findUserByGitHubId = async (githubUserId) => {
+  if (!githubUserId) return null;
+
+  const { data } = await supabase
+    .from('github_oauth_tokens')
+    .select('user_id')
+    .eq('github_user_id', githubUserId)
+    .maybeSingle();
+
+  return data?.user_id || null;
+};
+
+/**
+ * Record the commit / PR against the task
+ */
+const upsertLink = async ({ task, item, closes }, repository) => {
+  const { error } = await supabase
+    .from('project_task_github_links')
+    .upsert({
+      project_id: task.project_id,
+      task_id: task.id,
+      kind: item.kind,
+      external_id: item.externalId,
+      repository_full_name: repository,
+      title: item.title,
+      url: item.url,
+      author_login: item.authorLogin,
+      state: item.state,
+      closes_task: closes,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'task_id,kind,repository_full_name,external_id'
+    });
+
+  if (error) throw error;
+};
+
+/**
+ * Move a task the way a commit / PR says, unless its prerequisites are still open
+ * @returns {Promise<string|null>} why it wasn't moved, or null if it was
+ */
+const moveTask = async ({ task, nextStatus }) => {
+  if (STARTED_STATUSES.includes(nextStatus)) {
+    const open = await getOpenPrerequisites(task.id);
+    if (open.length > 0) return 'waiting_on_dependencies';
+  }
+
+  const update = {
+    status: nextStatus,
+    updated_at: new Date().toISOString()
+  };
+  if (nextStatus === 'completed') update.completed_at = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('project_tasks')
+    .update(update)
+    .eq('id', task.id)
+    .neq('status', 'completed');
+
+  if (error) throw error;
+  return null;
+};
+
+const logActivity = async ({ task, item, nextStatus }, userId) => {
+  if (!userId) return;
+
+  const { error } = await supabase
+    .from('user_activity')
+    .insert({
+      user_id: userId,
+      project_id: task.project_id,
+      activity_type: nextStatus === 'completed' ? 'task_completed' : 'project_updated',
+      activity_data: {
+        action: nextStatus ? ACTIVITY_ACTIONS[nextStatus](item) : `linked ${describeItem(item)} to`,
+        target: task.title,
+        metadata: {
+          source: 'github',
+          kind: item.kind,
+          external_id: item.externalId,
+          url: item.url,
+          task_id: task.id,
+          status: nextStatus
+        }
+      }
+    });
+
+  if (error) console.error('⚠️ Failed to log GitHub activity (non-fatal):', error);
+};
+
+/**
+ * Apply a verified push / pull_request payload to the projects connected to its repository
+ * @param {string} event
+ * @param {Object} payload
+ * @param {string[]} projectIds - projects whose webhook secret signed the delivery
+ * @returns {Promise<Object>} summary of what happened
+ */
+const processEvent = async (event, payload, projectIds) => {
+  const { repository, sender, items } = extractItems(event, payload);
+  const summary = { repository, linked: 0, moved: [], skipped: [], unmatched: [] };
+  if (!repository) return summary;
+
+  const { data: repos, error: reposError } = await supabase
+    .from('project_github_repos')
+    .select('project_id, branch, connected_by')
+    .eq('repository_key', repository.toLowerCase())
+    .in('project_id', projectIds);
+
+  if (reposError) throw reposError;
+  if (!repos || repos.length === 0) return { ...summary, ignored: 'repository_not_connected' };
+
+  // New commits or reviews make the projects' contribution reports stale
+  repos.forEach(repo => invalidateProjectReports(repo.project_id));
+  if (items.length === 0) return summary;
+
+  // Only tasks in projects that connected this repository can be touched by it
+  const { data: tasks, error: tasksError } = await supabase
+    .from('project_tasks')
+    .select('id, project_id, title, status')
+    .in('project_id', repos.map(repo => repo.project_id));
+
+  if (tasksError) throw tasksError;
+
+  const trackedBranches = Object.fromEntries(repos.map(repo => [repo.project_id, repo.branch]));
+  const { updates, unmatched } = planTaskUpdates({ items, tasks: tasks || [], trackedBranches });
+  summary.unmatched = unmatched;
+
+  // Activity is credited to the GitHub user if they've connected their account here,
+  // otherwise to whoever connected the repository
+  const senderUserId = await findUserByGitHubId(sender?.id);
+  const connectedBy = Object.fromEntries(repos.map(repo => [repo.project_id, repo.connected_by]));
+  const movedByProject = new Map();
+
+  for (const update of updates) {
+    await upsertLink(update, repository);
+    summary.linked++;
+
+    let applied = { ...update, nextStatus: null };
+    if (update.nextStatus) {
+      const skipReason = await moveTask(update);
+      if (skipReason) {
+        summary.skipped.push({ task_id: update.task.id, status: update.nextStatus, reason: skipReason });
+      } else {
+        applied = update;
+        summary.moved.push({ task_id: update.task.id, from: update.task.status, to: update.nextStatus });
+        if (!movedByProject.has(update.task.project_id)) movedByProject.set(update.task.project_id, []);
+        movedByProject.get(update.task.project_id).push(update);
+        syncTaskToGitHub(update.task.id).catch(err => {
+          console.error('Error syncing task to GitHub:', err);
+        });
+      }
+    }
+
+    await logActivity(applied, senderUserId || connectedBy[update.task.project_id]);
+  }
+
+  for (const [projectId, moved] of movedByProject) {
+    // Tasks waiting on the ones that just finished may be free to start now
+    const edges = await getProjectDependencies(projectId);
+    await syncBlockedStatus(projectId, moved.flatMap(update => [update.task.id, ...getDependentIds(edges, update.task.id)]));
+
+    if (moved.some(update => update.nextStatus === 'completed')) {
+      const { checkAutoComplete } = require('./collaborativeProjectCompletion');
+      const mockRes = { json: () => {}, status: () => mockRes };
+      checkAutoComplete({ params: { projectId } }, mockRes).catch(err => {
+        console.error('Error in auto-complete check:', err);
+      });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Claim a delivery id; false if GitHub already delivered it
+ */
+const claimDelivery = async (deliveryId, event, repository) => {
+  if (!deliveryId) return true;
+
+  const { error } = await supabase
+    .from('github_webhook_deliveries')
+    .insert({ delivery_id: deliveryId, event, repository_full_name: repository });
+
+  if (error?.code === '23505') return false;
+  if (error) throw error;
+  return true;
+};
+
+/**
+ * Give a claimed delivery id back when processing it failed, so GitHub's redelivery is
+ * processed instead of skipped
+ */
+const releaseDelivery = async (deliveryId) => {
+  const { error } = await supabase
+    .from('github_webhook_deliveries')
+    .delete()
+    .eq('delivery_id', deliveryId);
+
+  if (error) console.error('⚠️ Failed to release GitHub delivery (non-fatal):', error);
+};
+
+/**
+ * POST /api/github/webhook
+ * Receives push, pull_request and issues events. The body arrives raw (see app.js) so the
+ * signature can be checked against exactly what GitHub signed.
+ */
+const handleWebhook = async (req, res) => {
+  let claimedDelivery = null;
+
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const signature = req.get('X-Hub-Signature-256');
+    const invalidSignature = () => res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=')) return invalidSignature();
+
+    // The secret depends on the repository, so the body is read before it's verified. Nothing
+    // is acted on until it has been.
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payload must be JSON'
+      });
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+
+    if (event !== 'ping' && !SUPPORTED_EVENTS.includes(event) && event !== 'issues') {
+      return res.status(202).json({
+        success: true,
+        message: `Ignoring ${event} event`
+      });
+    }
+
+    const repository = payload?.repository?.full_name;
+    if (typeof repository !== 'string' || !repository) return invalidSignature();
+
+    const { data: repos, error: reposError } = await supabase
+      .from('project_github_repos')
+      .select('project_id, webhook_secret')
+      .eq('repository_key', repository.toLowerCase());
+
+    if (reposError) throw reposError;
+
+    const signedProjectIds = filterSignedRepos(rawBody, signature, repos).map(repo => repo.project_id);
+    if (signedProjectIds.length === 0) return invalidSignature();
+
+    // Verified, so GitHub shows the hook as working when it's first set up
+    if (event === 'ping') {
+      return res.json({ success: true, message: 'pong' });
+    }
+
+    if (!(await claimDelivery(deliveryId, event, repository))) {
+      return res.json({
+        success: true,
+        message: 'Delivery already processed'
+      });
+    }
+    claimedDelivery = deliveryId || null;
+
+    if (event === 'issues') {
+      const result = {
+        repository,
+        issue_number: payload.issue?.number || null,
+        event_action: payload.action,
+        ...(await handleIssueEvent(payload, signedProjectIds))
+      };
+
+      if (deliveryId) {
+        await supabase
+          .from('github_webhook_deliveries')
+          .update({ summary: result })
+          .eq('delivery_id', deliveryId);
+      }
+
+      console.log(`🔁 GitHub issues ${payload.action} for ${result.repository}#${result.issue_number}: ${result.ignored || result.action}`);
+      return res.json({ success: true, data: result });
+    }
+
+    const summary = await processEvent(event, payload, signedProjectIds);
+
+    if (deliveryId) {
+      await supabase
+        .from('github_webhook_deliveries')
+        .update({ summary })
+        .eq('delivery_id', deliveryId);
+    }
+
+    console.log(`🔗 GitHub ${event} for ${summary.repository}: ${summary.linked} link(s), ${summary.moved.length} task(s) moved`);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('GitHub webhook error:', error);
+    if (claimedDelivery) await releaseDelivery(claimedDelivery);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/github/project/:projectId/task-links
+ * Commits and pull requests linked to the project's tasks (optionally ?task_id=)
+ */
+const getTaskLinks = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { task_id: taskId } = req.query;
+
+    let query = supabase
+      .from('project_task_github_links')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('updated_at', { ascending: false });
+
+    if (taskId) query = query.eq('task_id', taskId);
+
+    const { data: links, error } = await query;
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: links || []
+    });
+  } catch (error) {
+    console.error('Get task GitHub links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch GitHub links',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  handleWebhook,
+  getTaskLinks,
+  processEvent
+};
@@ -1,176 +1,136 @@
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
+const notificationPreferences = require('../utils/notificationPreferences');
+
+const MAX_PAGE_SIZE = 50;
+
+// Split a comma separated query value into a list of known notification types
+const parseTypes = (value) => {
+    if (!value) return [];
+    return String(value)
+        .split(',')
+        .map(type => type.trim())
+        .filter(type => notificationService.types[type]);
+};
+
+// Limit a query to the notifications a bulk action is aimed at.
+// Returns null when the request doesn't say which ones.
+const applyScope = (query, { notification_ids, type, category, all }) => {
+    if (Array.isArray(notification_ids) && notification_ids.length > 0) {
+        return query.in('id', notification_ids);
+    }
+    if (type) {
+        const types = parseTypes(type);
+        return types.length > 0 ? query.in('notification_type', types) : null;
+    }
+    if (category) {
+        const types = notificationService.getTypesInCategory(category);
+        return types.length > 0 ? query.in('notification_type', types) : null;
+    }
+    return all === true ? query : null;
+};
 
 class NotificationsController {
-    // Get user's comment notifications - SIMPLIFIED VERSION
-    async getCommentNotifications(req, res) {
+    // Get the user's notifications, newest first
+    async getNotifications(req, res) {
         try {
             const userId = req.user.id;
-            const { page = 1, limit = 20, unread_only = false } = req.query;
-
-            console.log('Fetching notifications for user:', userId);
-            console.log('Query params:', { page, limit, unread_only });
+            const { type, category, status = 'inbox' } = req.query;
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
 
-            // STEP 1: First try a simple query to see if basic notifications exist
             let query = supabase
-                .from('comment_notifications')
-                .select('*')
+                .from('notifications')
+                .select(notificationService.notificationSelect)
                 .eq('user_id', userId);
 
-            if (unread_only === 'true') {
-                query = query.eq('is_read', false);
+            // inbox = everything not archived; unread/read are inbox subsets
+            if (status === 'archived') {
+                query = query.not('archived_at', 'is', null);
+            } else {
+                query = query.is('archived_at', null);
+                if (status === 'unread') query = query.eq('is_read', false);
+                if (status === 'read') query = query.eq('is_read', true);
             }
 
-            const { data: basicNotifications, error: basicError } = await query
-                .order('created_at', { ascending: false })
-                .range((page - 1) * limit, page * limit - 1);
-
-            if (basicError) {
-                console.error('Error fetching basic notifications:', basicError);
-                return res.status(500).json({ error: 'Failed to fetch notifications: ' + basicError.message });
+            const types = type ? parseTypes(type) : (category ? notificationService.getTypesInCategory(category) : []);
+            if ((type || category) && types.length === 0) {
+                return res.status(400).json({ error: 'Unknown notification type or category' });
             }
+            if (types.length > 0) query = query.in('notification_type', types);
 
-            console.log('Basic notifications found:', basicNotifications?.length || 0);
+            // Fetch one extra row to know whether there's another page
+            const { data, error } = await query
+                .order('created_at', { ascending: false })
+                .range((page - 1) * limit, page * limit);
 
-            // If no notifications, return empty array
-            if (!basicNotifications || basicNotifications.length === 0) {
-                console.log('No notifications found, returning empty array');
-                return res.json({ notifications: [] });
+            if (error) {
+                console.error('Error fetching notifications:', error);
+                return res.status(500).json({ error: 'Failed to fetch notifications: ' + error.message });
             }
 
-            // STEP 2: Try to enrich with comment data (simplified)
-            try {
-                console.log('Attempting to enrich notifications with comment data...');
-                
-                const enrichedNotifications = await Promise.all(
-                    basicNotifications.map(async (notification) => {
-                        try {
-                            // Get comment data
-                            const { data: comment, error: commentError } = await supabase
-                                .from('task_comments')
-                                .select(`
-                                    id,
-                                    content,
-                                    task_id,
-                                    user_id,
-                                    created_at
-                                `)
-                                .eq('id', notification.comment_id)
-                                .single();
-
-                            if (commentError || !comment) {
-                                console.warn('Could not fetch comment for notification:', notification.id, commentError);
-                                return {
-                                    ...notification,
-                                    comment: {
-                                        id: notification.comment_id,
-                                        content: 'Comment not found',
-                                        author: { full_name: 'Unknown User' },
-                                        task: { title: 'Unknown Task', project: { name: 'Unknown Project' } }
-                                    }
-                                };
-                            }
-
-                            // Get author data
-                            const { data: author } = await supabase
-                                .from('users')
-                                .select('id, full_name, avatar_url')
-                                .eq('id', comment.user_id)
-                                .single();
-
-                            // Get task data
-                            const { data: task } = await supabase
-                                .from('project_tasks')
-                                .select('id, title, project_id')
-                                .eq('id', comment.task_id)
-                                .single();
-
-                            // Get project data
-                            let project = null;
-                            if (task?.project_id) {
-                                const { data: projectData } = await supabase
-                                    .from('projects')
-                                    .select('id, title')
-                                    .eq('id', task.project_id)
-                                    .single();
-                                project = projectData;
-                            }
-
-                            return {
-                                ...notification,
-                                comment: {
-                                    ...comment,
-                                    author: author || { full_name: 'Unknown User' },
-                                    task: {
-                                        ...task,
-                                        project: project || { name: 'Unknown Project' }
-                                    }
-                                }
-                            };
-
-                        } catch (enrichError) {
-                            console.warn('Error enriching notification:', notification.id, enrichError);
-                            return {
-                                ...notification,
-                                comment: {
-                                    id: notification.comment_id,
-                                    content: 'Error loading comment',
-                                    author: { full_name: 'Unknown User' },
-                                    task: { title: 'Unknown Task', project: { name: 'Unknown Project' } }
-                                }
-                            };
-                        }
-                    })
-                );
-
-                console.log('Successfully enriched', enrichedNotifications.length, 'notifications');
-                res.json({ notifications: enrichedNotifications });
-
-            } catch (enrichError) {
-                console.error('Error enriching notifications, returning basic data:', enrichError);
-                // Fallback: return basic notifications with minimal structure
-                const fallbackNotifications = basicNotifications.map(notification => ({
-                    ...notification,
-                    comment: {
-                        id: notification.comment_id,
-                        content: 'Unable to load comment details',
-                        author: { full_name: 'Unknown User' },
-                        task: { title: 'Unknown Task', project: { name: 'Unknown Project' } }
-                    }
-                }));
-                res.json({ notifications: fallbackNotifications });
-            }
+            const rows = data || [];
+            const notifications = rows.slice(0, limit).map(notification => notificationService.decorate(notification));
+
+            res.json({
+                notifications,
+                pagination: {
+                    page,
+                    limit,
+                    has_more: rows.length > limit
+                }
+            });
 
         } catch (error) {
-            console.error('Error in getCommentNotifications:', error);
+            console.error('Error in getNotifications:', error);
             res.status(500).json({ error: 'Internal server error: ' + error.message });
         }
     }
 
-    // Mark notifications as read
+    // Notification types and categories, for filters
+    async getNotificationTypes(req, res) {
+        const types = Object.entries(notificationService.types).map(([type, definition]) => ({
+            type,
+            label: definition.label,
+            category: definition.category
+        }));
+
+        res.json({ types, categories: notificationService.categories });
+    }
+
+    // Mark notifications as read (or unread) by id, type, category or all at once
     async markNotificationsRead(req, res) {
         try {
             const userId = req.user.id;
-            const { notification_ids } = req.body;
+            const isRead = req.body.is_read !== false;
+            const now = new Date().toISOString();
+            const changes = {
+                is_read: isRead,
+                read_at: isRead ? now : null,
+                updated_at: now
+            };
 
-            console.log('Marking notifications as read for user:', userId, 'IDs:', notification_ids);
+            let query = supabase
+                .from('notifications')
+                .update(changes)
+                .eq('user_id', userId);
 
-            if (!Array.isArray(notification_ids) || notification_ids.length === 0) {
-                return res.status(400).json({ error: 'Invalid notification IDs' });
+            query = applyScope(query, req.body);
+            if (!query) {
+                return res.status(400).json({ error: 'Provide notification_ids, type, category or all: true' });
             }
 
-            const { error } = await supabase
-                .from('comment_notifications')
-                .update({ is_read: true })
-                .eq('user_id', userId)
-                .in('id', notification_ids);
+            const { data, error } = await query.select('id');
 
             if (error) {
                 console.error('Error marking notifications as read:', error);
                 return res.status(500).json({ error: 'Failed to update notifications: ' + error.message });
             }
 
-            console.log('Successfully marked', notification_ids.length, 'notifications as read');
-            res.json({ success: true });
+            // Other tabs/devices of this user pick the change up over their socket
+            await notificationService.pushStateChange(userId, (data || []).map(row => row.id), changes);
+
+            res.json({ success: true, updated: data?.length || 0 });
 
         } catch (error) {
             console.error('Error in markNotificationsRead:', error);
@@ -178,29 +138,49 @@ class NotificationsController {
         }
     }
 
-    // Get unread count - SIMPLE VERSION
-    async getUnreadCount(req, res) {
+    // Archive (or restore) notifications by id, type, category or all at once
+    async archiveNotifications(req, res) {
         try {
             const userId = req.user.id;
+            const archive = req.body.archived !== false;
+            const now = new Date().toISOString();
 
-            console.log('Fetching unread count for user:', userId);
+            // Archiving clears a notification out of the unread count as well
+            const changes = archive
+                ? { archived_at: now, is_read: true, read_at: now, updated_at: now }
+                : { archived_at: null, updated_at: now };
 
-            const { data, error } = await supabase
-                .from('comment_notifications')
-                .select('id')
-                .eq('user_id', userId)
-                .eq('is_read', false);
+            let query = supabase
+                .from('notifications')
+                .update(changes)
+                .eq('user_id', userId);
+
+            query = applyScope(query, req.body);
+            if (!query) {
+                return res.status(400).json({ error: 'Provide notification_ids, type, category or all: true' });
+            }
+
+            const { data, error } = await query.select('id');
 
             if (error) {
-                console.error('Error fetching unread count:', error);
-                return res.status(500).json({ error: 'Failed to fetch unread count: ' + error.message });
+                console.error('Error archiving notifications:', error);
+                return res.status(500).json({ error: 'Failed to update notifications: ' + error.message });
             }
 
-            const unreadCount = data ? data.length : 0;
-            console.log('Unread count for user', userId, ':', unreadCount);
+            await notificationService.pushStateChange(userId, (data || []).map(row => row.id), changes);
 
-            res.json({ unread_count: unreadCount });
+            res.json({ success: true, updated: data?.length || 0 });
 
+        } catch (error) {
+            console.error('Error in archiveNotifications:', error);
+            res.status(500).json({ error: 'Internal server error: ' + error.message });
+        }
+    }
+
+    // Unread count, overall and per type
+    async getUnreadCount(req, res) {
+        try {
+            res.json(await notificationService.getUnreadCounts(req.user.id));
         } catch (error) {
             console.error('Error in getUnreadCount:', error);
             res.status(500).json({ error: 'Internal server error: ' + error.message });
@@ -213,20 +193,20 @@ class NotificationsController {
             const { notificationId } = req.params;
             const userId = req.user.id;
 
-            console.log('Deleting notification:', notificationId, 'for user:', userId);
-
-            const { error } = await supabase
-                .from('comment_notifications')
+            const { data, error } = await supabase
+                .from('notifications')
                 .delete()
                 .eq('id', notificationId)
-                .eq('user_id', userId);
+                .eq('user_id', userId)
+                .select('id');
 
             if (error) {
                 console.error('Error deleting notification:', error);
                 return res.status(500).json({ error: 'Failed to delete notification: ' + error.message });
             }
 
-            console.log('Successfully deleted notification:', notificationId);
+            if (data?.length) await notificationService.pushDeleted(userId, notificationId);
+
             res.json({ success: true });
 
         } catch (error) {
@@ -235,33 +215,45 @@ class NotificationsController {
         }
     }
 
-    // Test endpoint to check if table exists
-    async testConnection(req, res) {
+    // Channel per type, quiet hours and digest settings
+    async getPreferences(req, res) {
         try {
-            console.log('Testing notification table connection...');
-            
-            const { data, error } = await supabase
-                .from('comment_notifications')
-                .select('count', { count: 'exact', head: true });
+            const { last_digest_sent_at, ...preferences } = await notificationPreferences.getPreferences(req.user.id);
 
-            if (error) {
-                console.error('Table test failed:', error);
-                return res.status(500).json({ 
-                    error: 'Table connection failed', 
-                    details: error.message 
-                });
+            res.json({
+                preferences,
+                channels: notificationPreferences.CHANNELS,
+                digest_frequencies: notificationPreferences.DIGEST_FREQUENCIES,
+                default_channel: notificationPreferences.DEFAULT_CHANNEL
+            });
+
+        } catch (error) {
+            console.error('Error in getPreferences:', error);
+            res.status(500).json({ error: 'Internal server error: ' + error.message });
+        }
+    }
+
+    async updatePreferences(req, res) {
+        try {
+            const validation = notificationPreferences.validatePreferences(
+                req.body || {},
+                Object.keys(notificationService.types)
+            );
+
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.message });
             }
 
-            console.log('Table exists, total notifications:', data);
-            res.json({ 
-                success: true, 
-                message: 'Notification table accessible',
-                total_notifications: data
-            });
+            const { last_digest_sent_at, ...preferences } = await notificationPreferences.updatePreferences(
+                req.user.id,
+                validation.changes
+            );
+
+            res.json({ success: true, preferences });
 
         } catch (error) {
-            console.error('Error in testConnection:', error);
-            res.status(500).json({ error: 'Test connection failed: ' + error.message });
+            console.error('Error in updatePreferences:', error);
+            res.status(500).json({ error: 'Internal server error: ' + error.message });
         }
     }
 }
@@ -520,27 +520,26 @@ const updateProject = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const updateData = req.body;
-
-    // Check if project exists and user is the owner
-    const { data: existingProject, error: findError } = await supabase
-      .from('projects')
-      .select('id, owner_id')
-      .eq('id', id)
-      .single();
-
-    if (findError || !existingProject) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
+    // Role permissions and the completion vote rules have their own validated endpoints, and
+    // ownership only moves by the owner's hand
+    const {
+      role_permissions,
+      completion_vote_policy,
+      completion_vote_owner_plus_n,
+      completion_vote_deadline,
+      owner_id,
+      ...updateData
+    } = req.body;
 
-    if (existingProject.owner_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only update your own projects'
-      });
+    // Access is checked by requireProjectPermission('project.settings') in routes/projects.js
+    if (owner_id !== undefined && owner_id !== req.projectAccess.project.owner_id) {
+      if (req.projectAccess.project.owner_id !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the project owner can transfer ownership'
+        });
+      }
+      updateData.owner_id = owner_id;
     }
 
     // Update the project
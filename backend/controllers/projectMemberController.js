@@ -1,43 +1,23 @@
 // backend/controllers/projectMemberController.js - FULLY FIXED VERSION
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
+const projectInvites = require('../utils/projectInvites');
+const projectJoinRequests = require('../utils/projectJoinRequests');
+const projectPermissions = require('../utils/projectPermissions');
+
+const { describePermission, isTeamRole } = projectPermissions;
+
+const ROLE_RANK = { viewer: 0, mentor: 1, member: 2, moderator: 3, lead: 4 };
 
 // Get all members of a project
 const getProjectMembers = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user.id;
 
     console.log('📋 Getting project members for project:', projectId);
 
-    // Verify user has access to this project
-    const { data: userAccess, error: accessError } = await supabase
-      .from('project_members')
-      .select('id')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .neq('status', 'removed')
-      .single();
-
-    // Also check if user is the project owner
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    if (!userAccess && project.owner_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You are not a member of this project.'
-      });
-    }
+    // Access is checked by requireProjectPermission('member.view') in routes/projectMembers.js
+    const { project } = req.projectAccess;
 
     // Get project owner details
     const { data: owner, error: ownerError } = await supabase
@@ -122,55 +102,21 @@ const updateMemberRole = async (req, res) => {
     console.log('🔄 Updating member role:', memberId, 'to role:', role);
 
     // Validate role
-    const validRoles = ['member', 'moderator', 'lead'];
+    const validRoles = projectPermissions.MEMBER_ROLES;
     if (!validRoles.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be one of: member, moderator, lead'
-      });
-    }
-
-    // Verify project exists
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
+        message: `Invalid role. Must be one of: ${validRoles.join(', ')}`
       });
     }
 
-    // Check permissions - only owner or leads can update roles
-    const isOwner = project.owner_id === userId;
-    let canUpdate = isOwner;
-
-    if (!isOwner) {
-      const { data: userMembership } = await supabase
-        .from('project_members')
-        .select('role')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .neq('status', 'removed')
-        .single();
-
-      canUpdate = userMembership?.role === 'lead';
-    }
-
-    if (!canUpdate) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only project owners or leads can update member roles.'
-      });
-    }
+    // requireProjectPermission('member.role.update') has already loaded the project
+    const { project } = req.projectAccess;
 
     // Verify target member exists and is not the owner
     const { data: targetMember, error: memberError } = await supabase
       .from('project_members')
-      .select('user_id, status')
+      .select('user_id, status, role')
       .eq('id', memberId)
       .eq('project_id', projectId)
       .single();
@@ -196,6 +142,41 @@ const updateMemberRole = async (req, res) => {
       });
     }
 
+    // Same ceiling as invite links: below the owner, nobody manages their own rank or above it
+    const { role: actorRole } = req.projectAccess;
+    if (actorRole !== 'owner') {
+      if (targetMember.user_id === userId) {
+        return res.status(403).json({
+          success: false,
+          message: `You can't change your own role`
+        });
+      }
+
+      if (!(ROLE_RANK[targetMember.role] < ROLE_RANK[actorRole])) {
+        return res.status(403).json({
+          success: false,
+          message: `You can only change the roles of members ranked below you (${actorRole})`
+        });
+      }
+
+      if (!(ROLE_RANK[role] <= ROLE_RANK[actorRole])) {
+        return res.status(403).json({
+          success: false,
+          message: `You can't give a role above your own (${actorRole})`
+        });
+      }
+    }
+
+    // A mentor joining the team needs a free seat
+    const seatChanges = isTeamRole(targetMember.role) !== isTeamRole(role);
+    if (seatChanges && isTeamRole(role) && !(await hasFreeSeat(project))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This project is full',
+        reason: 'project_full'
+      });
+    }
+
     // Update the member's role
     const { data: updatedMember, error: updateError } = await supabase
       .from('project_members')
@@ -224,8 +205,23 @@ const updateMemberRole = async (req, res) => {
       });
     }
 
+    if (seatChanges) {
+      await syncMemberCount(projectId);
+    }
+
     console.log('✅ Member role updated successfully');
 
+    if (targetMember.role !== role) {
+      await notificationService.notify({
+        userIds: targetMember.user_id,
+        type: 'member_role_changed',
+        actorId: userId,
+        projectId,
+        target: { type: 'project', id: projectId, url: `/project/${projectId}/members` },
+        data: { project_title: project.title, role, previous_role: targetMember.role }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Member role updated successfully',
@@ -250,19 +246,8 @@ const removeMember = async (req, res) => {
 
     console.log('🗑️ Removing member:', memberId, 'from project:', projectId);
 
-    // Verify project exists
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
+    // requireProjectPermission('project.view') has already loaded the project
+    const { project } = req.projectAccess;
 
     // Get member details
     const { data: member, error: memberError } = await supabase
@@ -286,14 +271,14 @@ const removeMember = async (req, res) => {
       });
     }
 
-    // Check permissions - owner can remove anyone, members can only remove themselves
-    const isOwner = project.owner_id === userId;
+    // Anyone can remove themselves; removing someone else needs member.remove
     const isSelfRemoval = member.user_id === userId;
 
-    if (!isOwner && !isSelfRemoval) {
+    if (!isSelfRemoval && !req.projectAccess.can('member.remove')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. You can only remove yourself or be removed by the project owner.'
+        message: `Access denied. Your role in this project can't ${describePermission('member.remove')}.`,
+        permission: 'member.remove'
       });
     }
 
@@ -321,18 +306,7 @@ const removeMember = async (req, res) => {
     }
 
     // Update project current_members count
-    const { data: currentMembers } = await supabase
-      .from('project_members')
-      .select('id')
-      .eq('project_id', projectId)
-      .neq('status', 'removed');
-
-    const memberCount = (currentMembers?.length || 0) + 1; // +1 for owner
-
-    await supabase
-      .from('projects')
-      .update({ current_members: memberCount })
-      .eq('id', projectId);
+    await syncMemberCount(projectId);
 
     console.log('✅ Member removed successfully');
 
@@ -412,28 +386,875 @@ const leaveProject = async (req, res) => {
     }
 
     // Update project current_members count
-    const { data: currentMembers } = await supabase
+    await syncMemberCount(projectId);
+
+    console.log('✅ User left project successfully');
+
+    res.json({
+      success: true,
+      message: 'Successfully left the project'
+    });
+
+  } catch (error) {
+    console.error('💥 Leave project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Seats taken under maximum_members: active team members (+1 for the owner). Mentors don't take one.
+const countSeats = async (projectId) => {
+  const { data: currentMembers, error } = await supabase
+    .from('project_members')
+    .select('role')
+    .eq('project_id', projectId)
+    .neq('status', 'removed');
+
+  if (error) throw error;
+
+  return (currentMembers || []).filter(member => isTeamRole(member.role)).length + 1; // +1 for owner
+};
+
+const hasFreeSeat = async (project) =>
+  !project.maximum_members || (await countSeats(project.id)) < project.maximum_members;
+
+// Recount seats into projects.current_members
+const syncMemberCount = async (projectId) => {
+  const memberCount = await countSeats(projectId);
+
+  await supabase
+    .from('projects')
+    .update({ current_members: memberCount })
+    .eq('id', projectId);
+
+  return memberCount;
+};
+
+/**
+ * Add a user to a project, respecting maximum_members (mentors don't need a seat).
+ * Previously removed members get their old row back instead of a new one.
+ * @returns {Promise<{ member?: Object, full?: boolean }>}
+ */
+const addMemberToProject = async (project, userId, role) => {
+  if (isTeamRole(role) && !(await hasFreeSeat(project))) {
+    return { full: true };
+  }
+
+  const { data: previous } = await supabase
+    .from('project_members')
+    .select('id')
+    .eq('project_id', project.id)
+    .eq('user_id', userId)
+    .eq('status', 'removed')
+    .maybeSingle();
+
+  const now = new Date().toISOString();
+  const { data: member, error } = previous
+    ? await supabase
       .from('project_members')
-      .select('id')
-      .eq('project_id', projectId)
-      .neq('status', 'removed');
+      .update({ status: 'active', role, joined_at: now })
+      .eq('id', previous.id)
+      .select()
+      .single()
+    : await supabase
+      .from('project_members')
+      .insert({
+        project_id: project.id,
+        user_id: userId,
+        role,
+        status: 'active',
+        joined_at: now
+      })
+      .select()
+      .single();
+
+  if (error) throw error;
+
+  await syncMemberCount(project.id);
+  return { member };
+};
+
+// List a project's invite links (owners and leads)
+const getProjectInvites = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const invites = await projectInvites.listInvites(projectId, {
+      includeInactive: req.query.include_inactive === 'true'
+    });
 
-    const memberCount = (currentMembers?.length || 0) + 1; // +1 for owner
+    res.json({
+      success: true,
+      data: { invites }
+    });
+
+  } catch (error) {
+    console.error('💥 Get project invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Create an invite link (owners and leads)
+const createProjectInvite = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const {
+      role = 'member',
+      skip_challenge = false,
+      max_uses = null,
+      expires_in_hours = null
+    } = req.body;
+
+    const { project, role: creatorRole } = req.projectAccess;
+
+    // An invite can't hand out more than its creator has, or it would be a way around member.role.update
+    if (creatorRole !== 'owner' && !(ROLE_RANK[role] <= ROLE_RANK[creatorRole])) {
+      return res.status(403).json({
+        success: false,
+        message: `You can't create invite links for a role above your own (${creatorRole})`
+      });
+    }
+
+    // Links that skip the challenge are a separate permission (owner only by default)
+    if (skip_challenge && !req.projectAccess.can('member.invite.skip_challenge')) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Your role in this project can't ${describePermission('member.invite.skip_challenge')}.`,
+        permission: 'member.invite.skip_challenge'
+      });
+    }
+
+    const invite = await projectInvites.createInvite({
+      projectId,
+      createdBy: userId,
+      role,
+      skipChallenge: Boolean(skip_challenge),
+      maxUses: max_uses ? parseInt(max_uses, 10) : null,
+      expiresInHours: expires_in_hours ? Number(expires_in_hours) : null
+    });
+
+    console.log('🔗 Invite link created for project:', projectId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite link created successfully',
+      data: { invite }
+    });
+
+  } catch (error) {
+    console.error('💥 Create project invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Revoke an invite link (owners and leads)
+const revokeProjectInvite = async (req, res) => {
+  try {
+    const { projectId, inviteId } = req.params;
+
+    const revoked = await projectInvites.revokeInvite(projectId, inviteId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link not found or already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite link revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Revoke project invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// What an invite link leads to, shown before joining
+const getInviteDetails = async (req, res) => {
+  try {
+    const { inviteCode } = req.params;
+    const userId = req.user.id;
+
+    const invite = await projectInvites.getInviteByCode(inviteCode);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link not found'
+      });
+    }
 
-    await supabase
+    const { data: project, error: projectError } = await supabase
       .from('projects')
-      .update({ current_members: memberCount })
-      .eq('id', projectId);
+      .select('id, title, description, owner_id, status, maximum_members, current_members, join_policy')
+      .eq('id', invite.project_id)
+      .single();
 
-    console.log('✅ User left project successfully');
+    if (projectError || !project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const { data: membership } = await supabase
+      .from('project_members')
+      .select('role')
+      .eq('project_id', project.id)
+      .eq('user_id', userId)
+      .neq('status', 'removed')
+      .maybeSingle();
+
+    const problem = projectInvites.getInviteProblem(invite);
 
     res.json({
       success: true,
-      message: 'Successfully left the project'
+      data: {
+        invite: {
+          code: invite.code,
+          role: invite.role,
+          skip_challenge: invite.skip_challenge,
+          requires_challenge: !invite.skip_challenge && isTeamRole(invite.role) &&
+            projectJoinRequests.policyRequiresChallenge(projectJoinRequests.getJoinPolicy(project)),
+          expires_at: invite.expires_at,
+          valid: !problem,
+          problem,
+          message: problem ? projectInvites.INVITE_PROBLEM_MESSAGES[problem] : null
+        },
+        project,
+        membershipRole: project.owner_id === userId ? 'owner' : membership?.role || null,
+        isFull: isTeamRole(invite.role) && Boolean(project.maximum_members) &&
+          project.current_members >= project.maximum_members
+      }
     });
 
   } catch (error) {
-    console.error('💥 Leave project error:', error);
+    console.error('💥 Get invite details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Join a project with an invite link.
+// Links that don't skip the challenge need a passed entry challenge for the project first,
+// unless the project's join policy doesn't use the challenge at all. An invite counts as
+// approval, so it also settles any pending join request.
+// Taking the challenge with the invite code doesn't add anyone (submitChallengeAttempt leaves
+// that to the invite); the page redeems the link once they pass, so they join with the
+// invite's role. People who are already in the project are turned away - invites add
+// members, they never change an existing member's role.
+const redeemInvite = async (req, res) => {
+  try {
+    const { inviteCode } = req.params;
+    const userId = req.user.id;
+
+    console.log('🔗 Redeeming invite link for user:', userId);
+
+    const invite = await projectInvites.getInviteByCode(inviteCode);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link not found'
+      });
+    }
+
+    const problem = projectInvites.getInviteProblem(invite);
+    if (problem) {
+      return res.status(410).json({
+        success: false,
+        message: projectInvites.INVITE_PROBLEM_MESSAGES[problem],
+        reason: problem
+      });
+    }
+
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, owner_id, title, status, maximum_members, current_members, join_policy')
+      .eq('id', invite.project_id)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.owner_id === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this project'
+      });
+    }
+
+    if (project.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This project has already been completed'
+      });
+    }
+
+    const { data: membership } = await supabase
+      .from('project_members')
+      .select('id, role')
+      .eq('project_id', project.id)
+      .eq('user_id', userId)
+      .neq('status', 'removed')
+      .maybeSingle();
+
+    // Invites only add people; changing an existing member's role is member.role.update's job
+    if (membership) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this project',
+        data: { projectId: project.id }
+      });
+    }
+
+    // The entry challenge tests people joining the team, so mentor links never need it
+    const requiresChallenge = !invite.skip_challenge && isTeamRole(invite.role) &&
+      projectJoinRequests.policyRequiresChallenge(projectJoinRequests.getJoinPolicy(project));
+
+    if (requiresChallenge) {
+      const { data: passedAttempt } = await supabase
+        .from('challenge_attempts')
+        .select('id')
+        .eq('project_id', project.id)
+        .eq('user_id', userId)
+        .eq('status', 'passed')
+        .limit(1)
+        .maybeSingle();
+
+      if (!passedAttempt) {
+        return res.status(403).json({
+          success: false,
+          message: 'Pass the project challenge to join with this invite link',
+          requiresChallenge: true,
+          data: { projectId: project.id }
+        });
+      }
+    }
+
+    const claim = await projectInvites.claimInviteUse(invite);
+    if (!claim.claimed) {
+      return res.status(410).json({
+        success: false,
+        message: projectInvites.INVITE_PROBLEM_MESSAGES[claim.problem],
+        reason: claim.problem
+      });
+    }
+
+    let member;
+    try {
+      const result = await addMemberToProject(project, userId, invite.role);
+
+      if (result.full) {
+        await projectInvites.releaseInviteUse(invite.id);
+        return res.status(409).json({
+          success: false,
+          message: 'This project is full',
+          reason: 'project_full'
+        });
+      }
+      member = result.member;
+    } catch (joinError) {
+      await projectInvites.releaseInviteUse(invite.id);
+      throw joinError;
+    }
+
+    console.log('✅ Invite redeemed, user joined project:', project.id);
+
+    await projectJoinRequests.acceptPendingRequest(project.id, userId, invite.created_by);
+
+    await notificationService.notify({
+      userIds: [project.owner_id, invite.created_by],
+      type: 'invite_joined',
+      actorId: userId,
+      projectId: project.id,
+      target: { type: 'project', id: project.id, url: `/project/${project.id}/members` },
+      groupKey: `invite_joined:${project.id}`,
+      data: { project_title: project.title, role: invite.role, invite_id: invite.id }
+    });
+
+    res.json({
+      success: true,
+      message: `Joined ${project.title}`,
+      data: {
+        projectId: project.id,
+        member
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Redeem invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Where the current user stands with a project: its join policy and their latest request
+const getMyJoinRequest = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, owner_id, title, join_policy')
+      .eq('id', projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const [request, challengeSummary] = await Promise.all([
+      projectJoinRequests.getLatestRequest(projectId, userId),
+      projectJoinRequests.getChallengeSummary(projectId, userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        joinPolicy: projectJoinRequests.getJoinPolicy(project),
+        request,
+        challengePassed: challengeSummary.passed
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get my join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Ask to join a project (or join straight away when its policy is open).
+// Sending again while a request is pending just updates the pitch.
+const createJoinRequest = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const pitch = req.body.pitch?.trim() || null;
+
+    console.log('📨 Join request for project:', projectId, 'from user:', userId);
+
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id, owner_id, title, status, maximum_members, current_members, join_policy')
+      .eq('id', projectId)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.owner_id === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this project'
+      });
+    }
+
+    if (project.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This project has already been completed'
+      });
+    }
+
+    const { data: membership } = await supabase
+      .from('project_members')
+      .select('id')
+      .eq('project_id', projectId)
+      .eq('user_id', userId)
+      .neq('status', 'removed')
+      .maybeSingle();
+
+    if (membership) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this project'
+      });
+    }
+
+    const joinPolicy = projectJoinRequests.getJoinPolicy(project);
+
+    if (joinPolicy === 'challenge') {
+      return res.status(400).json({
+        success: false,
+        message: 'This project takes new members through its entry challenge',
+        requiresChallenge: true
+      });
+    }
+
+    if (joinPolicy === 'open') {
+      const result = await addMemberToProject(project, userId, 'member');
+
+      if (result.full) {
+        return res.status(409).json({
+          success: false,
+          message: 'This project is full',
+          reason: 'project_full'
+        });
+      }
+
+      await notificationService.notify({
+        userIds: project.owner_id,
+        type: 'open_join',
+        actorId: userId,
+        projectId,
+        target: { type: 'project', id: projectId, url: `/project/${projectId}/members` },
+        groupKey: `open_join:${projectId}`,
+        data: { project_title: project.title }
+      });
+
+      return res.json({
+        success: true,
+        message: `Joined ${project.title}`,
+        data: { joined: true, member: result.member }
+      });
+    }
+
+    if (joinPolicy === 'challenge_approval') {
+      const summary = await projectJoinRequests.getChallengeSummary(projectId, userId);
+      if (!summary.passed) {
+        return res.status(403).json({
+          success: false,
+          message: 'Pass the project challenge before asking to join',
+          requiresChallenge: true
+        });
+      }
+    }
+
+    if (project.maximum_members && project.current_members >= project.maximum_members) {
+      return res.status(409).json({
+        success: false,
+        message: 'This project is full',
+        reason: 'project_full'
+      });
+    }
+
+    const { request, created } = await projectJoinRequests.submitRequest({ projectId, userId, pitch });
+
+    if (created) {
+      await projectJoinRequests.notifyRequestReceived(project, request);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Join request sent' : 'Join request updated',
+      data: { joined: false, request }
+    });
+
+  } catch (error) {
+    console.error('💥 Create join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Take back a pending join request
+const withdrawJoinRequest = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+
+    const pending = await projectJoinRequests.getPendingRequest(projectId, userId);
+    const withdrawn = pending && await projectJoinRequests.resolveRequest(pending.id, {
+      status: 'withdrawn',
+      decidedBy: userId
+    });
+
+    if (!withdrawn) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending join request found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Join request withdrawn',
+      data: { request: withdrawn }
+    });
+
+  } catch (error) {
+    console.error('💥 Withdraw join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// The approval queue (owners and leads)
+const getJoinRequests = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const status = req.query.status || 'pending';
+
+    const { project } = req.projectAccess;
+
+    const requests = await projectJoinRequests.listRequests(projectId, { status });
+
+    res.json({
+      success: true,
+      data: {
+        joinPolicy: projectJoinRequests.getJoinPolicy(project),
+        requests
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Accept or decline a join request (owners and leads)
+const decideJoinRequest = async (req, res) => {
+  try {
+    const { projectId, requestId } = req.params;
+    const { status, message = null } = req.body;
+    const userId = req.user.id;
+
+    const { project } = req.projectAccess;
+
+    const request = await projectJoinRequests.getRequestById(projectId, requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    // Claim the decision first so two reviewers can't both act on the same request
+    const decided = request.status === 'pending' && await projectJoinRequests.resolveRequest(request.id, {
+      status,
+      decidedBy: userId,
+      message: message?.trim() || null
+    });
+
+    if (!decided) {
+      return res.status(409).json({
+        success: false,
+        message: 'This join request has already been handled'
+      });
+    }
+
+    let member = null;
+    if (status === 'accepted') {
+      try {
+        const { data: existing } = await supabase
+          .from('project_members')
+          .select('*')
+          .eq('project_id', projectId)
+          .eq('user_id', request.user_id)
+          .neq('status', 'removed')
+          .maybeSingle();
+
+        if (existing) {
+          member = existing;
+        } else {
+          const result = await addMemberToProject(project, request.user_id, 'member');
+
+          if (result.full) {
+            await projectJoinRequests.reopenRequest(request.id);
+            return res.status(409).json({
+              success: false,
+              message: 'This project is full. Make room before accepting more members.',
+              reason: 'project_full'
+            });
+          }
+          member = result.member;
+        }
+      } catch (joinError) {
+        await projectJoinRequests.reopenRequest(request.id);
+        throw joinError;
+      }
+    }
+
+    console.log(`✅ Join request ${status}:`, request.id);
+
+    await notificationService.notify({
+      userIds: request.user_id,
+      type: 'join_request_decided',
+      actorId: userId,
+      projectId,
+      target: {
+        type: 'project',
+        id: projectId,
+        url: status === 'accepted' ? `/project/${projectId}/dashboard` : `/projects/${projectId}/join`
+      },
+      data: { project_title: project.title, status, message: decided.decision_message }
+    });
+
+    res.json({
+      success: true,
+      message: status === 'accepted' ? 'Join request accepted' : 'Join request declined',
+      data: { request: decided, member }
+    });
+
+  } catch (error) {
+    console.error('💥 Decide join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Choose how people get into the project (project.settings - owner only by default)
+const updateJoinPolicy = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { join_policy } = req.body;
+
+    // Access is checked by requireProjectPermission('project.settings') in routes/projectMembers.js
+    const { error } = await supabase
+      .from('projects')
+      .update({ join_policy })
+      .eq('id', projectId);
+
+    if (error) throw error;
+
+    console.log('🚪 Join policy for project', projectId, 'set to', join_policy);
+
+    res.json({
+      success: true,
+      message: 'Join policy updated',
+      data: { joinPolicy: join_policy }
+    });
+
+  } catch (error) {
+    console.error('💥 Update join policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Your permissions in a project, plus the role -> permission table it uses
+const getProjectPermissions = async (req, res) => {
+  try {
+    const { project, role, permissions } = req.projectAccess;
+    const overrides = project.role_permissions || {};
+
+    res.json({
+      success: true,
+      data: {
+        role,
+        permissions: [...permissions],
+        matrix: projectPermissions.getPermissionMatrix(overrides),
+        overrides,
+        defaults: projectPermissions.DEFAULT_ROLE_PERMISSIONS,
+        catalog: projectPermissions.PERMISSIONS,
+        configurableRoles: projectPermissions.CONFIGURABLE_ROLES
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get project permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Change what each role may do in this project (owner only)
+const updateProjectPermissions = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const { project } = req.projectAccess;
+
+    // Permissions decide who can change settings, so only the owner can change permissions
+    if (project.owner_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner can change role permissions'
+      });
+    }
+
+    const result = projectPermissions.validateOverrides(req.body.role_permissions);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { error } = await supabase
+      .from('projects')
+      .update({ role_permissions: result.overrides })
+      .eq('id', projectId);
+
+    if (error) throw error;
+
+    console.log('🔐 Role permissions updated for project:', projectId);
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated',
+      data: {
+        overrides: result.overrides,
+        matrix: projectPermissions.getPermissionMatrix(result.overrides)
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Update project permissions error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -446,5 +1267,19 @@ module.exports = {
   getProjectMembers,
   updateMemberRole,
   removeMember,
-  leaveProject
+  leaveProject,
+  getProjectInvites,
+  createProjectInvite,
+  revokeProjectInvite,
+  getInviteDetails,
+  redeemInvite,
+  getMyJoinRequest,
+  createJoinRequest,
+  withdrawJoinRequest,
+  getJoinRequests,
+  decideJoinRequest,
+  updateJoinPolicy,
+  getProjectPermissions,
+  updateProjectPermissions,
+  addMemberToProject
 };
\ No newline at end of file
@@ -1,8 +1,15 @@
 // backend/controllers/projectRecruitmentController.js - FIXED WITH JUDGE0 INTEGRATION
 const supabase = require('../config/supabase');
-const { updateSkillRatings } = require('./challengeController');
-const { runTests } = require('../utils/codeEvaluator'); // ADD THIS IMPORT
+const notificationService = require('../services/notificationService');
+const { updateSkillRatings, prepareChallengeForViewer } = require('./challengeController');
+const { gradeSubmission, parseTestCases, redactTestResults } = require('../utils/codeEvaluator');
 const { evaluateCodeWithLanguageFeatures } = require('../utils/languageBasedEvaluator');
+const projectJoinRequests = require('../utils/projectJoinRequests');
+const projectInvites = require('../utils/projectInvites');
+const { addMemberToProject } = require('./projectMemberController');
+
+// Minimum score (percentage of passed test cases) required to join a project
+const PASSING_SCORE = 70;
 
 
 /* ============================== Helper Functions ============================== */
@@ -70,7 +77,28 @@ function getStarterCodeForLanguage(languageName) {
   return starterCodes[languageName] || `// Your ${languageName} solution here\n// TODO: Implement your solution`;
 }
 
-// FALLBACK: Heuristic evaluation (used only if Judge0 fails or no test cases)
+const getPrimaryLanguageName = (project) => {
+  const langs = project?.project_languages || [];
+  return (langs.find(pl => pl.is_primary) || langs[0])?.programming_languages?.name || 'JavaScript';
+};
+
+// FALLBACK ONLY: static scoring for submissions that cannot be executed against test cases.
+// Tries language-feature analysis first, then the substring heuristic below.
+const evaluateWithoutTestCases = async (code, challenge, project) => {
+  try {
+    const result = await evaluateCodeWithLanguageFeatures(code, challenge, project);
+    if (result && typeof result.score === 'number' && !result.details?.error) {
+      return { method: 'language_features', score: result.score, feedback: result.feedback, details: result.details };
+    }
+    throw new Error(result?.details?.error || 'Invalid evaluation result');
+  } catch (error) {
+    console.error('❌ Language-based evaluation failed, using heuristic:', error.message);
+    const heuristic = evaluateCodeSubmissionHeuristic(code, project);
+    return { method: 'heuristic', ...heuristic, error: error.message };
+  }
+};
+
+// LAST-RESORT FALLBACK: substring heuristic. Easy to game - never used when test cases can run.
 function evaluateCodeSubmissionHeuristic(code, project) {
   const src = String(code || '');
   const trimmed = src.trim();
@@ -235,7 +263,7 @@ const getProjectChallenge = async (req, res) => {
 
         return res.json({
           success: true,
-          challenge: selectedChallenge,
+          challenge: prepareChallengeForViewer(selectedChallenge, req.user),
           project: {
             id: project.id,
             title: project.title,
@@ -305,6 +333,40 @@ const canAttemptChallenge = async (req, res) => {
       });
     }
 
+    // Projects that review applicants (or let anyone in) may not need the challenge at all
+    const { data: policyProject } = await supabase
+      .from('projects')
+      .select('join_policy')
+      .eq('id', projectId)
+      .single();
+
+    const joinPolicy = projectJoinRequests.getJoinPolicy(policyProject);
+
+    if (!projectJoinRequests.policyRequiresChallenge(joinPolicy)) {
+      return res.json({
+        canAttempt: false,
+        reason: 'challenge_not_required',
+        message: joinPolicy === 'open'
+          ? 'Anyone can join this project - no challenge needed'
+          : 'This project reviews applicants instead of using a challenge',
+        joinPolicy,
+        joinRequest: await projectJoinRequests.getLatestRequest(projectId, userId)
+      });
+    }
+
+    if (joinPolicy === 'challenge_approval') {
+      const pendingRequest = await projectJoinRequests.getPendingRequest(projectId, userId);
+      if (pendingRequest) {
+        return res.json({
+          canAttempt: false,
+          reason: 'join_request_pending',
+          message: 'You passed the challenge - your request to join is waiting for review',
+          joinPolicy,
+          joinRequest: pendingRequest
+        });
+      }
+    }
+
     // Check failed attempts
     const failedAttemptsCount = await getFailedAttemptsCount(userId, projectId);
 
@@ -333,6 +395,7 @@ const canAttemptChallenge = async (req, res) => {
     return res.json({
       canAttempt: true,
       failedAttempts: failedAttemptsCount,
+      joinPolicy,
       alertData
     });
   } catch (error) {
@@ -350,7 +413,7 @@ const submitChallengeAttempt = async (req, res) => {
   try {
     const { projectId } = req.params;
     const userId = req.user.id;
-    const { submittedCode, startedAt, challengeId } = req.body;
+    const { submittedCode, startedAt, challengeId, inviteCode } = req.body;
 
     console.log('🎯 Starting challenge submission:', {
       projectId,
@@ -412,59 +475,97 @@ const submitChallengeAttempt = async (req, res) => {
     let feedback = '';
     let passed = false;
     let evaluation = null;
-
-    // ✅ FIXED: Wrapped evaluation in try-catch with proper fallback
-    console.log('🔧 Running language-based code evaluation...');
-    
-    try {
-      // Call evaluateCodeWithLanguageFeatures with proper error handling
-      const evaluationResult = await evaluateCodeWithLanguageFeatures(
-        submittedCode, 
-        challenge, 
-        project
-      );
-
-      // Check if evaluation was successful
-      if (evaluationResult && typeof evaluationResult.score === 'number') {
-        finalScore = evaluationResult.score;
-        feedback = evaluationResult.feedback;
-        passed = evaluationResult.passed;
-
-        evaluation = {
-          score: finalScore,
-          feedback: feedback,
-          details: evaluationResult.details,
-          usedLanguageFeatures: true,
-          languageName: evaluationResult.details?.languageName || 'Unknown'
-        };
-
-        console.log('✅ Language-based evaluation complete:', {
-          score: finalScore,
-          passed: passed,
-          foundFeatures: evaluationResult.details?.foundFeatures?.length || 0
+    let testRun = null;
+    const hasTestCases = Boolean(challenge) && parseTestCases(challenge.test_cases).length > 0;
+
+    // 1) Grade against the challenge's test cases (Judge0 or local runner), partial credit per passed test
+    if (challenge) {
+      try {
+        testRun = await gradeSubmission({
+          sourceCode: submittedCode,
+          languageName: challenge.programming_languages?.name || getPrimaryLanguageName(project),
+          testCases: challenge.test_cases
         });
-      } else {
-        // Evaluation returned invalid result, use fallback
-        throw new Error('Invalid evaluation result');
+      } catch (runError) {
+        console.error('⚠️ Test-case execution unavailable:', runError.message);
       }
+    }
+
+    // The challenge has real tests but they couldn't run: don't let the fallback decide who
+    // joins. Kept as 'ungraded' (not 'failed'), so it doesn't count against their attempts.
+    if (!testRun && hasTestCases) {
+      const message = `Your code couldn't be run right now, so it wasn't graded. Please submit it again in a moment.`;
+
+      const { data: attempt, error: attemptError } = await supabase
+        .from('challenge_attempts')
+        .insert({
+          user_id: userId,
+          challenge_id: challenge.id,
+          project_id: projectId,
+          submitted_code: submittedCode,
+          score: 0,
+          status: 'ungraded',
+          started_at: startedAt || new Date().toISOString(),
+          submitted_at: new Date().toISOString(),
+          feedback: message,
+          results: { method: 'test_cases', isFallback: false, ungraded: true }
+        })
+        .select()
+        .single();
+
+      if (attemptError) console.error('Error recording ungraded attempt:', attemptError);
+
+      return res.status(503).json({
+        success: false,
+        message,
+        retryable: true,
+        data: { attempt: attempt || null, status: 'ungraded' }
+      });
+    }
+
+    if (testRun) {
+      finalScore = testRun.score;
+      passed = finalScore >= PASSING_SCORE;
+      feedback = testRun.allPassed
+        ? `All ${testRun.totalCount} test cases passed.`
+        : `${testRun.passedCount} of ${testRun.totalCount} test cases passed. You need ${PASSING_SCORE}% to join.`;
 
-    } catch (evaluationError) {
-      console.error('❌ Language-based evaluation failed:', evaluationError);
-      console.log('⚠️ Falling back to heuristic evaluation');
-      
-      // Fallback to heuristic evaluation
-      const heuristicResult = evaluateCodeSubmissionHeuristic(submittedCode, project);
-      finalScore = heuristicResult.score;
-      feedback = heuristicResult.feedback + ' (Note: Used basic evaluation)';
-      passed = finalScore >= 70;
-      
       evaluation = {
+        method: 'test_cases',
+        isFallback: false,
         score: finalScore,
-        feedback: feedback,
-        details: heuristicResult.details,
-        usedLanguageFeatures: false,
-        evaluationError: evaluationError.message
+        feedback,
+        passedCount: testRun.passedCount,
+        totalCount: testRun.totalCount,
+        hiddenCount: testRun.hiddenCount,
+        hiddenPassedCount: testRun.hiddenPassedCount,
+        runner: testRun.runner,
+        testResults: redactTestResults(testRun.tests)
       };
+
+      console.log('✅ Test-case evaluation complete:', {
+        score: finalScore,
+        passed,
+        runner: testRun.runner
+      });
+    } else {
+      // 2) FALLBACK ONLY: no runnable test cases (temporary challenge or one without tests)
+      const fallback = await evaluateWithoutTestCases(submittedCode, challenge, project);
+      finalScore = fallback.score;
+      passed = finalScore >= PASSING_SCORE;
+      feedback = `${fallback.feedback} (Note: scored by ${fallback.method === 'heuristic' ? 'basic heuristic' : 'static code analysis'} fallback - no test cases were executed)`;
+
+      evaluation = {
+        method: fallback.method,
+        isFallback: true,
+        score: finalScore,
+        feedback,
+        details: fallback.details,
+        usedLanguageFeatures: fallback.method === 'language_features',
+        evaluationError: fallback.error
+      };
+
+      console.log('⚠️ Fallback evaluation used:', { method: fallback.method, score: finalScore });
     }
 
     // ✅ Create attempt record with proper error handling
@@ -479,7 +580,14 @@ const submitChallengeAttempt = async (req, res) => {
         status: passed ? 'passed' : 'failed',
         started_at: startedAt || new Date().toISOString(),
         submitted_at: new Date().toISOString(),
-        feedback: feedback
+        feedback: feedback,
+        results: {
+          method: evaluation.method,
+          isFallback: evaluation.isFallback,
+          passedCount: testRun?.passedCount ?? null,
+          totalCount: testRun?.totalCount ?? null,
+          runner: testRun?.runner ?? null
+        }
       })
       .select()
       .single();
@@ -500,35 +608,65 @@ const submitChallengeAttempt = async (req, res) => {
       status: attempt.status
     });
 
-    // If passed, add user to project
+    // If passed, add user to project - or queue them for review when the project approves applicants
     let projectJoined = false;
+    let projectFull = false;
     let membershipData = null;
+    let joinRequest = null;
+    const joinPolicy = projectJoinRequests.getJoinPolicy(project);
+
+    // Taking the challenge for an invite link: the invite decides the role (and is the approval),
+    // so joining is left to redeemInvite rather than adding them as a plain member here
+    let invite = null;
+    if (inviteCode) {
+      invite = await projectInvites.getInviteByCode(String(inviteCode));
+      if (!invite || invite.project_id !== projectId || projectInvites.getInviteProblem(invite)) invite = null;
+    }
 
-    if (passed) {
-      const { data: newMember, error: memberError } = await supabase
-        .from('project_members')
-        .insert({
-          project_id: projectId,
-          user_id: userId,
-          role: 'member',
-          joined_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+    if (passed && invite) {
+      console.log('🔗 Challenge passed for an invite link, leaving the join to the invite');
+    } else if (passed && projectJoinRequests.policyRequiresApproval(joinPolicy)) {
+      try {
+        const { request, created } = await projectJoinRequests.submitRequest({ projectId, userId });
+        joinRequest = request;
 
-      if (!memberError && newMember) {
-        projectJoined = true;
-        membershipData = newMember;
+        if (created) {
+          await projectJoinRequests.notifyRequestReceived(project, request);
+        }
+        console.log('📨 Challenge passed, join request queued for review');
+      } catch (requestError) {
+        console.error('Error creating join request:', requestError);
+      }
+    } else if (passed) {
+      let joinResult = {};
+      try {
+        // Same seat rules as every other way in: respects maximum_members, reuses a removed row
+        joinResult = await addMemberToProject(project, userId, 'member');
+      } catch (memberError) {
+        console.error('Error adding member:', memberError);
+      }
 
-        // Update project member count
-        await supabase
-          .from('projects')
-          .update({
-            current_members: (project.current_members || 0) + 1
-          })
-          .eq('id', projectId);
+      if (joinResult.full) {
+        projectFull = true;
+        feedback = `${feedback} The project filled up before you finished, so you couldn't be added this time.`;
+        console.log('🚫 Challenge passed but the project is full');
+      }
+
+      if (joinResult.member) {
+        projectJoined = true;
+        membershipData = joinResult.member;
 
         console.log('🎉 User successfully joined project!');
+
+        await notificationService.notify({
+          userIds: project.owner_id,
+          type: 'join_challenge_passed',
+          actorId: userId,
+          projectId,
+          target: { type: 'project', id: projectId, url: `/project/${projectId}/members` },
+          groupKey: `join_challenge_passed:${projectId}`,
+          data: { project_title: project.title, score: finalScore }
+        });
       }
     }
 
@@ -556,6 +694,10 @@ const submitChallengeAttempt = async (req, res) => {
         score: finalScore,
         passed,
         projectJoined,
+        projectFull,
+        redeemInvite: Boolean(passed && invite),
+        joinRequested: Boolean(joinRequest),
+        joinRequest,
         feedback,
         membership: membershipData,
         status: passed ? 'passed' : 'failed',
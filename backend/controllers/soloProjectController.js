@@ -2,6 +2,7 @@
 const supabase = require('../config/supabase');
 const awardsController = require('./awardsController');
 const { createTimelinePostFromProject } = require('../utils/timelinePostHelper');
+const { invalidateAllFeeds } = require('../utils/timelineFeed');
 
 
 const checkAndAwardProgress = async (projectId, userId) => {
@@ -1605,6 +1606,7 @@ const publishToTimeline = async (req, res) => {
       if (updateError) {
         console.warn('Could not update custom description:', updateError);
       } else {
+        invalidateAllFeeds();
         return res.status(201).json({
           success: true,
           data: { timelinePost: updatedPost },
@@ -1676,6 +1678,8 @@ const updateTimelinePost = async (req, res) => {
       });
     }
 
+    invalidateAllFeeds();
+
     res.json({
       success: true,
       data: { timelinePost },
@@ -1720,6 +1724,8 @@ const deleteTimelinePost = async (req, res) => {
       });
     }
 
+    invalidateAllFeeds();
+
     res.json({
       success: true,
       message: 'Timeline post deleted successfully'
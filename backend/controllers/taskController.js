@@ -1,7 +1,30 @@
 // backend/controllers/taskController.js
 const supabase = require('../config/supabase');
 const { checkAutoComplete } = require('./collaborativeProjectCompletion'); // Import the helper
-
+const {
+  STARTED_STATUSES,
+  getProjectDependencies,
+  validateDependencies,
+  setTaskDependencies,
+  removeTaskDependencies,
+  getOpenPrerequisites,
+  syncBlockedStatus,
+  getDependentIds,
+  getPrerequisiteChain,
+  attachDependencies
+} = require('../utils/taskDependencies');
+const {
+  normalizeSubtaskItems,
+  groupSubtasks,
+  attachSubtasks,
+  getSubtasks,
+  createSubtasks
+} = require('../utils/subtasks');
+const { calculateWeightedCompletion } = require('../utils/weightedCompletion');
+const { syncTaskToGitHub } = require('../utils/githubIssueSync');
+
+// What a reviewer can do with a task in review: approve it or send it back
+const REVIEW_OUTCOMES = ['completed', 'in_progress'];
 
 // Update a task - IMPROVED ERROR HANDLING
 const updateTask = async (req, res) => {
@@ -13,44 +36,8 @@ const updateTask = async (req, res) => {
     console.log('🔄 Updating task:', taskId, 'in project:', projectId, 'by user:', userId);
     console.log('📝 Update data received:', updateData);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      console.error('❌ Project error:', projectError);
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to update tasks.'
-      });
-    }
+    // Access is checked by requireProjectPermission in routes/tasks.js
+    const { project } = req.projectAccess;
 
     // Verify task exists and belongs to the project
     const { data: existingTask, error: taskError } = await supabase
@@ -70,6 +57,28 @@ const updateTask = async (req, res) => {
 
     console.log('✅ Existing task found:', existingTask.title);
 
+    // Reviewers without task.update (mentors by default) can only settle a task that's in review
+    if (!req.projectAccess.can('task.update')) {
+      const onlyStatus = Object.keys(updateData).every(key => key === 'status');
+      if (existingTask.status !== 'in_review' || !onlyStatus || !REVIEW_OUTCOMES.includes(updateData.status)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Your role in this project can only approve or send back tasks that are in review.',
+          permission: 'task.update'
+        });
+      }
+    }
+
+    // Handing a task to someone else needs task.assign; taking it yourself doesn't
+    if (updateData.assigned_to && updateData.assigned_to !== userId &&
+        updateData.assigned_to !== existingTask.assigned_to && !req.projectAccess.can('task.assign')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Your role in this project can\'t assign tasks to other people.',
+        permission: 'task.assign'
+      });
+    }
+
     // Validate assigned user is a project member (if updating assignment)
     if (updateData.assigned_to && updateData.assigned_to !== null && updateData.assigned_to !== '') {
       const { data: assignedMember, error: assignedError } = await supabase
@@ -91,6 +100,32 @@ const updateTask = async (req, res) => {
       }
     }
 
+    // Validate dependency changes (if updating prerequisites)
+    let prerequisiteIds;
+    if (updateData.depends_on !== undefined) {
+      const dependencyCheck = await validateDependencies(projectId, taskId, updateData.depends_on || []);
+      if (!dependencyCheck.valid) {
+        return res.status(dependencyCheck.status).json({
+          success: false,
+          message: dependencyCheck.message,
+          data: dependencyCheck.cycle ? { cycle: dependencyCheck.cycle } : undefined
+        });
+      }
+      prerequisiteIds = dependencyCheck.prerequisiteIds;
+    }
+
+    // Work can't start until every prerequisite is completed
+    if (STARTED_STATUSES.includes(updateData.status) && updateData.status !== existingTask.status) {
+      const openPrerequisites = await getOpenPrerequisites(taskId, prerequisiteIds);
+      if (openPrerequisites.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `This task is waiting on ${openPrerequisites.length} unfinished task(s)`,
+          data: { open_dependencies: openPrerequisites }
+        });
+      }
+    }
+
     // Prepare update data with improved handling
     const allowedFields = [
       'title', 'description', 'task_type', 'priority', 'status', 
@@ -164,7 +199,7 @@ const updateTask = async (req, res) => {
     console.log('💾 Final update data:', filteredUpdateData);
 
     // Validate that we have at least one field to update
-    if (Object.keys(filteredUpdateData).length === 1 && filteredUpdateData.updated_at) {
+    if (Object.keys(filteredUpdateData).length === 1 && filteredUpdateData.updated_at && !prerequisiteIds) {
       return res.status(400).json({
         success: false,
         message: 'No valid fields provided for update'
@@ -203,6 +238,21 @@ const updateTask = async (req, res) => {
 
     console.log('✅ Task updated successfully:', task.id);
 
+    if (prerequisiteIds) {
+      await setTaskDependencies({ taskId, prerequisiteIds });
+    }
+
+    // Re-evaluate this task and, if its status moved, everything waiting on it
+    const dependencyEdges = await getProjectDependencies(projectId);
+    const statusChanged = task.status !== existingTask.status;
+    const dependencyUpdates = await syncBlockedStatus(projectId, [
+      taskId,
+      ...(statusChanged ? getDependentIds(dependencyEdges, taskId) : [])
+    ]);
+
+    if (dependencyUpdates.blocked.includes(taskId)) task.status = 'blocked';
+    if (dependencyUpdates.unblocked.includes(taskId)) task.status = 'todo';
+
     if (updateData.status === 'completed') {
       try {
         console.log('🤖 Checking if project should auto-complete...');
@@ -242,9 +292,20 @@ const updateTask = async (req, res) => {
       }
     }
 
+    // Mirror to the linked GitHub issue when the project has issue sync on (async, don't wait for it)
+    syncTaskToGitHub(taskId, { actorId: userId }).catch(err => {
+      console.error('Error syncing task to GitHub:', err);
+    });
+
     res.json({
       success: true,
-      data: { task },
+      data: {
+        task: {
+          ...attachDependencies([task], dependencyEdges)[0],
+          open_dependencies_count: (await getOpenPrerequisites(taskId)).length
+        },
+        dependency_updates: dependencyUpdates
+      },
       message: 'Task updated successfully'
     });
 
@@ -269,44 +330,6 @@ const getProjectTasks = async (req, res) => {
 
     console.log('📋 Getting tasks for project:', projectId, 'by user:', userId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to view tasks.'
-      });
-    }
-
     // Build query
     let query = supabase
       .from('project_tasks')
@@ -315,7 +338,8 @@ const getProjectTasks = async (req, res) => {
         assigned_user:assigned_to(id, full_name, username, email),
         creator:created_by(id, full_name, username, email)
       `)
-      .eq('project_id', projectId);
+      .eq('project_id', projectId)
+      .is('parent_task_id', null); // subtasks are nested under their parent below
 
     // Apply filters
     if (status) {
@@ -342,6 +366,16 @@ const getProjectTasks = async (req, res) => {
       });
     }
 
+    // Statuses of the whole project, since filters may hide a task's prerequisites
+    const [dependencyEdges, { data: allStatuses }] = await Promise.all([
+      getProjectDependencies(projectId),
+      supabase
+        .from('project_tasks')
+        .select('id, status')
+        .eq('project_id', projectId)
+    ]);
+    const statusById = new Map((allStatuses || []).map(t => [t.id, t.status]));
+
     console.log(`✅ Found ${tasks?.length || 0} tasks`);
     
     if (tasks && tasks.length > 0) {
@@ -351,9 +385,16 @@ const getProjectTasks = async (req, res) => {
       });
     }
 
+    const subtasks = await getSubtasks((tasks || []).map(task => task.id));
+
     res.json({
       success: true,
-      data: { tasks: tasks || [] }
+      data: {
+        tasks: attachSubtasks(
+          attachDependencies(tasks || [], dependencyEdges, statusById),
+          attachDependencies(subtasks, dependencyEdges, statusById)
+        )
+      }
     });
 
   } catch (error) {
@@ -379,71 +420,59 @@ const createTask = async (req, res) => {
       status = 'todo',
       assigned_to,
       estimated_hours,
-      due_date
+      due_date,
+      depends_on = [],
+      parent_task_id,
+      subtasks: requestedSubtasks = []
     } = req.body;
 
     console.log('🆕 Creating task for project:', projectId, 'by user:', userId);
     console.log('📝 Task data:', { title, task_type, priority, status, assigned_to });
 
-    // Verify user has access to create tasks in this project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
+    // Access is checked by requireProjectPermission in routes/tasks.js
+    const { project } = req.projectAccess;
 
-    if (projectError) {
-      return res.status(404).json({
+    // Validate required fields
+    if (!title || title.trim().length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Project not found'
+        message: 'Task title is required'
       });
     }
 
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
+    // Checked up front, so a bad subtask can't leave the parent behind half-created
+    const subtaskCheck = normalizeSubtaskItems(requestedSubtasks);
+    if (subtaskCheck.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. You must be a project member to create tasks.'
+        message: subtaskCheck.error
       });
     }
+    const subtasks = subtaskCheck.items;
 
-    // Validate required fields
-    if (!title || title.trim().length === 0) {
-      return res.status(400).json({
+    // The task and its subtasks follow the same assignment rules
+    const assignees = [...new Set([assigned_to, ...subtasks.map(subtask => subtask.assigned_to)].filter(Boolean))];
+
+    if (assignees.some(assigneeId => assigneeId !== userId) && !req.projectAccess.can('task.assign')) {
+      return res.status(403).json({
         success: false,
-        message: 'Task title is required'
+        message: 'Access denied. Your role in this project can\'t assign tasks to other people.',
+        permission: 'task.assign'
       });
     }
 
-    // Validate assigned user is a project member (if assigned)
-    if (assigned_to) {
-      const { data: assignedMember, error: assignedError } = await supabase
+    // Validate assigned users are project members (if assigned)
+    if (assignees.length > 0) {
+      const { data: assignedMembers } = await supabase
         .from('project_members')
-        .select('*')
+        .select('user_id')
         .eq('project_id', projectId)
-        .eq('user_id', assigned_to)
-        .eq('status', 'active')
-        .single();
+        .in('user_id', assignees)
+        .eq('status', 'active');
 
-      const isAssignedOwner = project.owner_id === assigned_to;
-      
-      if (assignedError && !isAssignedOwner) {
+      const memberIds = new Set([project.owner_id, ...(assignedMembers || []).map(member => member.user_id)]);
+
+      if (assignees.some(assigneeId => !memberIds.has(assigneeId))) {
         return res.status(400).json({
           success: false,
           message: 'Assigned user must be a project member'
@@ -451,6 +480,41 @@ const createTask = async (req, res) => {
       }
     }
 
+    // Subtasks hang off a top-level task in the same project
+    let parentTask = null;
+    if (parent_task_id) {
+      const { data: parent } = await supabase
+        .from('project_tasks')
+        .select('id, parent_task_id')
+        .eq('id', parent_task_id)
+        .eq('project_id', projectId)
+        .maybeSingle();
+
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent task not found in this project'
+        });
+      }
+
+      if (parent.parent_task_id || subtasks.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subtasks cannot have subtasks of their own'
+        });
+      }
+
+      parentTask = parent;
+    }
+
+    const dependencyCheck = await validateDependencies(projectId, null, depends_on);
+    if (!dependencyCheck.valid) {
+      return res.status(dependencyCheck.status).json({
+        success: false,
+        message: dependencyCheck.message
+      });
+    }
+
     // Create the task
     const taskData = {
       project_id: projectId,
@@ -462,9 +526,19 @@ const createTask = async (req, res) => {
       assigned_to: assigned_to || null,
       created_by: userId,
       estimated_hours: estimated_hours ? parseInt(estimated_hours) : null,
-      due_date: due_date || null
+      due_date: due_date || null,
+      parent_task_id: parentTask ? parentTask.id : null
     };
 
+    if (parentTask) {
+      // Append to the end of the parent's checklist
+      const { count } = await supabase
+        .from('project_tasks')
+        .select('id', { count: 'exact', head: true })
+        .eq('parent_task_id', parentTask.id);
+      taskData.position = count || 0;
+    }
+
     console.log('💾 Inserting task:', taskData);
 
     const { data: task, error: createError } = await supabase
@@ -488,9 +562,35 @@ const createTask = async (req, res) => {
 
     console.log('✅ Task created successfully:', task.id);
 
+    if (dependencyCheck.prerequisiteIds.length > 0) {
+      await setTaskDependencies({
+        taskId: task.id,
+        prerequisiteIds: dependencyCheck.prerequisiteIds
+      });
+
+      const { blocked } = await syncBlockedStatus(projectId, [task.id]);
+      if (blocked.includes(task.id)) task.status = 'blocked';
+    }
+
+    const openPrerequisites = await getOpenPrerequisites(task.id, dependencyCheck.prerequisiteIds);
+    const createdSubtasks = subtasks.length > 0
+      ? await createSubtasks({ parentTask: task, items: subtasks, userId })
+      : [];
+
+    syncTaskToGitHub(task.id, { actorId: userId }).catch(err => {
+      console.error('Error syncing task to GitHub:', err);
+    });
+
     res.status(201).json({
       success: true,
-      data: { task },
+      data: {
+        task: attachSubtasks([{
+          ...task,
+          depends_on: dependencyCheck.prerequisiteIds,
+          dependents: [],
+          open_dependencies_count: openPrerequisites.length
+        }], createdSubtasks)[0]
+      },
       message: 'Task created successfully'
     });
 
@@ -508,48 +608,9 @@ const createTask = async (req, res) => {
 const getTask = async (req, res) => {
   try {
     const { projectId, taskId } = req.params;
-    const userId = req.user.id;
 
     console.log('📋 Getting task:', taskId, 'from project:', projectId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to view tasks.'
-      });
-    }
-
     // Get the task
     const { data: task, error: taskError } = await supabase
       .from('project_tasks')
@@ -571,9 +632,35 @@ const getTask = async (req, res) => {
 
     console.log('✅ Task found:', task.title);
 
+    const [dependencyEdges, { data: projectTasks }] = await Promise.all([
+      getProjectDependencies(projectId),
+      supabase
+        .from('project_tasks')
+        .select('id, title, status, assigned_to')
+        .eq('project_id', projectId)
+    ]);
+
+    const taskById = new Map((projectTasks || []).map(t => [t.id, t]));
+    const statusById = new Map((projectTasks || []).map(t => [t.id, t.status]));
+    const summarize = id => taskById.get(id) || { id, title: 'Unknown task', status: null };
+
+    // A subtask links back to its parent; a parent carries its checklist
+    const parentTask = task.parent_task_id ? summarize(task.parent_task_id) : null;
+    const subtasks = task.parent_task_id
+      ? []
+      : attachDependencies(await getSubtasks([taskId]), dependencyEdges, statusById);
+
     res.json({
       success: true,
-      data: { task }
+      data: {
+        task: {
+          ...attachSubtasks([attachDependencies([task], dependencyEdges, statusById)[0]], subtasks)[0],
+          parent_task: parentTask,
+          dependency_chain: getPrerequisiteChain(dependencyEdges, taskId)
+            .map(({ id, depth }) => ({ ...summarize(id), depth })),
+          dependent_tasks: getDependentIds(dependencyEdges, taskId).map(summarize)
+        }
+      }
     });
 
   } catch (error) {
@@ -590,48 +677,9 @@ const getTask = async (req, res) => {
 const deleteTask = async (req, res) => {
   try {
     const { projectId, taskId } = req.params;
-    const userId = req.user.id;
 
     console.log('🗑️ Deleting task:', taskId, 'from project:', projectId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to delete tasks.'
-      });
-    }
-
     // Verify task exists and belongs to the project
     const { data: existingTask, error: taskError } = await supabase
       .from('project_tasks')
@@ -647,6 +695,16 @@ const deleteTask = async (req, res) => {
       });
     }
 
+    // Unlink it first; tasks that were waiting on it get re-evaluated afterwards
+    const dependentIds = getDependentIds(await getProjectDependencies(projectId), taskId);
+    await removeTaskDependencies(taskId);
+
+    // Its subtasks go with it (parent_task_id cascades), so unlink those too
+    const childTasks = await getSubtasks([taskId]);
+    for (const child of childTasks) {
+      await removeTaskDependencies(child.id);
+    }
+
     // Delete the task
     const { error: deleteError } = await supabase
       .from('project_tasks')
@@ -664,6 +722,8 @@ const deleteTask = async (req, res) => {
 
     console.log('✅ Task deleted successfully:', taskId);
 
+    await syncBlockedStatus(projectId, dependentIds);
+
     res.json({
       success: true,
       message: 'Task deleted successfully'
@@ -683,52 +743,13 @@ const deleteTask = async (req, res) => {
 const getTaskStats = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user.id;
 
     console.log('📊 Getting task stats for project:', projectId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to view task statistics.'
-      });
-    }
-
     // Get all tasks for the project
-    const { data: tasks, error: tasksError } = await supabase
+    const { data: allTasks, error: tasksError } = await supabase
       .from('project_tasks')
-      .select('status, priority, assigned_to, due_date, created_at, completed_at')
+      .select('id, parent_task_id, status, priority, assigned_to, task_type, estimated_hours, due_date, created_at, completed_at')
       .eq('project_id', projectId);
 
     if (tasksError) {
@@ -740,6 +761,10 @@ const getTaskStats = async (req, res) => {
       });
     }
 
+    // Counts are over top-level tasks; subtasks only feed into their parent's progress
+    const { topLevel: tasks, subtasksByParent } = groupSubtasks(allTasks);
+    const allSubtasks = [...subtasksByParent.values()].flat();
+
     // Calculate statistics
     const totalTasks = tasks.length;
     const completedTasks = tasks.filter(task => task.status === 'completed').length;
@@ -765,8 +790,10 @@ const getTaskStats = async (req, res) => {
     const assignedTasks = tasks.filter(task => task.assigned_to).length;
     const unassignedTasks = totalTasks - assignedTasks;
 
-    // Completion rate
-    const completionRate = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+    // Completion rate - weighted by estimated hours, the same figure project completion uses
+    const completionRate = calculateWeightedCompletion(allTasks, {
+      byPriority: Boolean(req.projectAccess.project.weight_completion_by_priority)
+    }).percentage;
 
     const stats = {
       total: totalTasks,
@@ -779,6 +806,10 @@ const getTaskStats = async (req, res) => {
       assigned: assignedTasks,
       unassigned: unassignedTasks,
       completionRate,
+      subtasks: {
+        total: allSubtasks.length,
+        completed: allSubtasks.filter(subtask => subtask.status === 'completed').length
+      },
       priority: {
         high: highPriorityTasks,
         medium: mediumPriorityTasks,
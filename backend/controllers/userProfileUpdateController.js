@@ -1,5 +1,6 @@
 // backend/controllers/userProfileUpdateController.js
 const supabase = require('../config/supabase');
+const { redactTestCases } = require('../utils/codeEvaluator');
 
 /**
  * Request to add a new programming language
@@ -88,7 +89,7 @@ const requestAddLanguage = async (req, res) => {
       return res.json({
         success: true,
         data: {
-          challenge: randomChallenge,
+          challenge: { ...randomChallenge, test_cases: redactTestCases(randomChallenge.test_cases) },
           language: language,
           proficiency_level: proficiency_level,
           message: 'Complete this coding challenge to verify your proficiency'
@@ -102,7 +103,7 @@ const requestAddLanguage = async (req, res) => {
     res.json({
       success: true,
       data: {
-        challenge: randomChallenge,
+        challenge: { ...randomChallenge, test_cases: redactTestCases(randomChallenge.test_cases) },
         language: language,
         proficiency_level: proficiency_level,
         message: 'Complete this coding challenge to verify your proficiency'
@@ -0,0 +1,91 @@
+// backend/middleware/projectAccess.js
+// Project authorization: requireProjectPermission('task.create') lets the request through
+// only if the user holds that permission in the project (see utils/projectPermissions.js),
+// and leaves the resolved access on req.projectAccess for the handler. Given a list, any one
+// of the permissions is enough and the handler narrows it down.
+const supabase = require('../config/supabase');
+const { resolveProjectAccess, describePermission } = require('../utils/projectPermissions');
+
+const fromParams = (req) => req.params.projectId;
+
+// For routes that only carry a task id (e.g. /api/comments/task/:taskId)
+const projectFromTask = async (req) => {
+  const { data: task } = await supabase
+    .from('project_tasks')
+    .select('project_id')
+    .eq('id', req.params.taskId)
+    .maybeSingle();
+
+  return task?.project_id || null;
+};
+
+// For routes that only carry a comment id (e.g. /api/comments/:commentId)
+const projectFromComment = async (req) => {
+  const { data: comment } = await supabase
+    .from('task_comments')
+    .select('project_tasks!inner(project_id)')
+    .eq('id', req.params.commentId)
+    .maybeSingle();
+
+  return comment?.project_tasks?.project_id || null;
+};
+
+/**
+ * @param {string|string[]} permission - e.g. 'task.create', or ['task.update', 'task.review']
+ * @param {Object} [options]
+ * @param {Function} [options.getProjectId] - (req) => projectId, defaults to req.params.projectId
+ * @param {string} [options.notFoundMessage]
+ */
+const requireProjectPermission = (permission, { getProjectId = fromParams, notFoundMessage = 'Project not found' } = {}) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const projectId = await getProjectId(req);
+      const access = projectId ? await resolveProjectAccess(projectId, req.user.id) : null;
+
+      if (!access?.project) {
+        return res.status(404).json({
+          success: false,
+          message: notFoundMessage
+        });
+      }
+
+      if (!access.role) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You are not a member of this project.',
+          permission
+        });
+      }
+
+      const permissions = Array.isArray(permission) ? permission : [permission];
+      if (!permissions.some(access.can)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Your role in this project can't ${describePermission(permissions[0])}.`,
+          permission: permissions[0]
+        });
+      }
+
+      req.projectAccess = access;
+      next();
+    } catch (error) {
+      console.error('Project access error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+
+module.exports = {
+  requireProjectPermission,
+  projectFromTask,
+  projectFromComment
+};
@@ -3,6 +3,8 @@ const express = require('express');
 const { GoogleGenAI } = require('@google/genai');
 const auth = require('../middleware/auth');
 const supabase = require('../config/supabase'); // FIXED: Use supabase instead of database
+const { createSubtasks } = require('../utils/subtasks');
+const notificationService = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -131,6 +133,42 @@ const normalizeProgrammingLanguage = (langName) => {
   return LANGUAGE_MAPPING[cleaned] || cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
 };
 
+// Parse the "Weekly Task Breakdown" section into tasks with their bullet subtasks
+// e.g. "Week 1: Set up the board" followed by "- Draw the grid" lines
+const parseWeeklyTaskBreakdown = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const tasks = [];
+  let current = null;
+
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim().replace(/\*\*/g, '');
+    const weekMatch = line.match(/^Week\s+(\d+)[\s:;-]+(.+)/i);
+
+    if (weekMatch) {
+      current = {
+        week: parseInt(weekMatch[1]),
+        title: `Week ${weekMatch[1]}: ${weekMatch[2].trim()}`,
+        subtasks: []
+      };
+      tasks.push(current);
+      return;
+    }
+
+    if (current && /^[-•*]\s*/.test(line)) {
+      const subtask = line.replace(/^[-•*]\s*/, '').trim();
+      if (subtask && !subtask.toLowerCase().startsWith('expected outcome')) {
+        current.subtasks.push(subtask);
+      }
+    } else if (current && line && /^[A-Z][\w\s]+:/.test(line)) {
+      // Next section (e.g. "Key Features:") ends the breakdown
+      current = null;
+    }
+  });
+
+  return tasks;
+};
+
 // Test endpoint
 router.get('/test-api', async (req, res) => {
   try {
@@ -514,7 +552,46 @@ router.post('/create-project', auth, async (req, res) => {
     }
 
     // Step 6: NEW - Create tasks/goals from AI suggestion
-    if (projectData.tasks && Array.isArray(projectData.tasks) && projectData.tasks.length > 0) {
+    // Collaborative projects get real project tasks with each week's bullets as subtasks;
+    // solo projects keep using goals, which have no checklist of their own
+    if (projectData.tasks && Array.isArray(projectData.tasks) && projectData.tasks.length > 0 && project.maximum_members > 1) {
+      console.log(`📋 Creating ${projectData.tasks.length} project tasks with subtasks...`);
+
+      for (const task of projectData.tasks) {
+        if (!task?.title) continue;
+
+        const { data: parentTask, error: taskError } = await supabase
+          .from('project_tasks')
+          .insert({
+            project_id: projectId,
+            title: task.title.trim().slice(0, 200),
+            description: task.description || null,
+            task_type: 'development',
+            priority: task.priority || 'medium',
+            status: 'todo',
+            created_by: userId,
+            estimated_hours: task.estimated_hours || null,
+            due_date: task.target_date || null
+          })
+          .select()
+          .single();
+
+        if (taskError) {
+          console.error('💥 Error creating task:', taskError);
+          continue;
+        }
+
+        if (Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+          try {
+            await createSubtasks({ parentTask, items: task.subtasks, userId });
+          } catch (subtaskError) {
+            console.error('💥 Error creating subtasks:', subtaskError);
+          }
+        }
+      }
+
+      console.log('✅ Project tasks created successfully');
+    } else if (projectData.tasks && Array.isArray(projectData.tasks) && projectData.tasks.length > 0) {
       console.log(`📋 Creating ${projectData.tasks.length} tasks for project...`);
       
       const tasksToInsert = projectData.tasks.map(task => ({
@@ -555,19 +632,18 @@ router.post('/create-project', auth, async (req, res) => {
     }
 
     // Step 8: Create notification
-    const { error: notifError } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        project_id: projectId,
-        notification_type: 'project_created',
-        title: 'Project Created Successfully',
-        message: `Your project "${projectData.title}" has been created!`
-      });
-
-    if (notifError) {
-      console.error('Error creating notification:', notifError);
-    }
+    await notificationService.notify({
+      userIds: userId,
+      type: 'project_created',
+      projectId,
+      target: {
+        type: 'project',
+        id: projectId,
+        url: project.maximum_members > 1 ? `/project/${projectId}/dashboard` : `/soloproject/${projectId}/dashboard`
+      },
+      message: `Your project "${projectData.title}" has been created!`,
+      data: { project_title: projectData.title }
+    });
 
     // Step 9: Fetch complete project with relations
     const { data: completeProject, error: fetchError } = await supabase
@@ -657,6 +733,14 @@ Technologies: JavaScript
 Time Estimate: 1-2 weeks
 Difficulty: Easy
 
+Weekly Task Breakdown:
+Week 1: [Task title]
+- [Subtask 1]
+- [Subtask 2]
+Week 2: [Task title]
+- [Subtask 1]
+- [Subtask 2]
+
 Focus on: ${skills.join(', ') || 'general web development'}
 Interest: ${interests.join(', ') || 'learning programming'}`;
 
@@ -697,7 +781,9 @@ Interest: ${interests.join(', ') || 'learning programming'}`;
         description: description || 'A simple JavaScript project for beginners',
         technologies,
         timeEstimate,
-        difficulty
+        difficulty,
+        // Week tasks with their bullet subtasks - create-project turns these into parent/child tasks
+        tasks: parseWeeklyTaskBreakdown(aiResponse)
       }];
 
     } catch (parseError) {
@@ -707,7 +793,8 @@ Interest: ${interests.join(', ') || 'learning programming'}`;
         description: "A beginner-friendly JavaScript project",
         technologies: ["JavaScript"],
         timeEstimate: "1-2 weeks",
-        difficulty: "Easy"
+        difficulty: "Easy",
+        tasks: []
       }];
     }
 
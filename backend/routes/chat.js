@@ -3,10 +3,17 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectAccess');
+const { USER_MESSAGE_TYPES } = require('../utils/chatMessageRules');
+const { MAX_SEARCH_LIMIT, MAX_SEARCH_CONTEXT } = require('../utils/chatSearch');
 const {
   getProjectChatRooms,
+  getUnreadCounts,
+  markRoomRead,
   createChatRoom,
   getRoomMessages,
+  getThreadMessages,
+  searchMessages,
   sendMessage,
   editMessage,
   deleteMessage
@@ -40,9 +47,35 @@ router.get(
   '/projects/:projectId/rooms',
   uuidValidation('projectId'),
   handleValidationErrors,
+  requireProjectPermission('chat.view'),
   getProjectChatRooms
 );
 
+// GET /api/chat/projects/:projectId/rooms/unread - Unread message counts per room
+router.get(
+  '/projects/:projectId/rooms/unread',
+  uuidValidation('projectId'),
+  handleValidationErrors,
+  requireProjectPermission('chat.view'),
+  getUnreadCounts
+);
+
+// POST /api/chat/projects/:projectId/rooms/:roomId/read - Advance the read cursor
+router.post(
+  '/projects/:projectId/rooms/:roomId/read',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    body('message_id')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Invalid message ID format')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.view'),
+  markRoomRead
+);
+
 // POST /api/chat/projects/:projectId/rooms - Create a new chat room
 router.post(
   '/projects/:projectId/rooms',
@@ -63,6 +96,7 @@ router.post(
       .withMessage('Invalid room type')
   ],
   handleValidationErrors,
+  requireProjectPermission('chat.room.create'),
   createChatRoom
 );
 
@@ -79,12 +113,85 @@ router.get(
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100')
+      .withMessage('Limit must be between 1 and 100'),
+    query('around')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid message ID format')
   ],
   handleValidationErrors,
+  requireProjectPermission('chat.view'),
   getRoomMessages
 );
 
+// GET /api/chat/projects/:projectId/rooms/:roomId/threads/:messageId - Page a thread's replies
+router.get(
+  '/projects/:projectId/rooms/:roomId/threads/:messageId',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    ...uuidValidation('messageId'),
+    query('cursor')
+      .optional()
+      .isISO8601()
+      .withMessage('Cursor must be an ISO 8601 timestamp'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.view'),
+  getThreadMessages
+);
+
+// GET /api/chat/projects/:projectId/search - Full-text search across the project's rooms
+router.get(
+  '/projects/:projectId/search',
+  [
+    ...uuidValidation('projectId'),
+    query('q')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Search query must be between 1 and 200 characters'),
+    query('room_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid room ID format'),
+    query('author_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid author ID format'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date'),
+    query('has_code')
+      .optional()
+      .isBoolean()
+      .withMessage('has_code must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_SEARCH_LIMIT })
+      .withMessage(`Limit must be between 1 and ${MAX_SEARCH_LIMIT}`),
+    query('context')
+      .optional()
+      .isInt({ min: 0, max: MAX_SEARCH_CONTEXT })
+      .withMessage(`Context must be between 0 and ${MAX_SEARCH_CONTEXT}`)
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.view'),
+  searchMessages
+);
+
 // POST /api/chat/projects/:projectId/rooms/:roomId/messages - Send a message
 router.post(
   '/projects/:projectId/rooms/:roomId/messages',
@@ -97,14 +204,19 @@ router.post(
       .withMessage('Message content must be between 1 and 2000 characters'),
     body('message_type')
       .optional()
-      .isIn(['text', 'file', 'code', 'system'])
+      .isIn(USER_MESSAGE_TYPES)
       .withMessage('Invalid message type'),
     body('reply_to_message_id')
       .optional()
       .isUUID()
-      .withMessage('Invalid reply message ID format')
+      .withMessage('Invalid reply message ID format'),
+    body('thread_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid thread ID format')
   ],
   handleValidationErrors,
+  requireProjectPermission('chat.message.send'),
   sendMessage
 );
 
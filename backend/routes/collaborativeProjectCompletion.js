@@ -6,9 +6,12 @@ const {
   markProjectComplete,
   checkAutoComplete,
   voteOnCompletion,
-  getCompletionVotes
+  getCompletionVotes,
+  updateCompletionVotePolicy
 } = require('../controllers/collaborativeProjectCompletion');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectAccess');
+const { VOTE_POLICIES, MAX_OWNER_PLUS_N, MAX_REJECT_REASON_LENGTH } = require('../utils/completionVoting');
 
 const router = express.Router();
 
@@ -35,7 +38,27 @@ const projectIdValidation = [
 const voteValidation = [
   body('vote')
     .isIn(['approve', 'reject'])
-    .withMessage('Vote must be either "approve" or "reject"')
+    .withMessage('Vote must be either "approve" or "reject"'),
+  body('reason')
+    .if(body('vote').equals('reject'))
+    .trim()
+    .isLength({ min: 1, max: MAX_REJECT_REASON_LENGTH })
+    .withMessage(`A reason (up to ${MAX_REJECT_REASON_LENGTH} characters) is required to reject completion`)
+];
+
+const votePolicyValidation = [
+  body('policy')
+    .optional()
+    .isIn(VOTE_POLICIES)
+    .withMessage(`Policy must be one of: ${VOTE_POLICIES.join(', ')}`),
+  body('owner_plus_n')
+    .optional()
+    .isInt({ min: 0, max: MAX_OWNER_PLUS_N })
+    .withMessage(`owner_plus_n must be between 0 and ${MAX_OWNER_PLUS_N}`),
+  body('deadline')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Deadline must be a valid date')
 ];
 
 const completeValidation = [
@@ -51,19 +74,20 @@ router.use(authMiddleware);
 /**
  * GET /api/projects/:projectId/completion-status
  * Get project completion status, percentage, and voting info
- * Available to: All project members
+ * Available to: project.view
  */
 router.get(
   '/:projectId/completion-status',
   projectIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   getCompletionStatus
 );
 
 /**
  * POST /api/projects/:projectId/complete
  * Manually mark project as complete
- * Available to: Project owner and leads only
+ * Available to: project.complete (owner and leads by default)
  * Body: { skip_validation: boolean (optional) }
  */
 router.post(
@@ -71,47 +95,67 @@ router.post(
   projectIdValidation,
   completeValidation,
   handleValidationErrors,
+  requireProjectPermission('project.complete'),
   markProjectComplete
 );
 
 /**
  * POST /api/projects/:projectId/check-auto-complete
  * Check and trigger auto-completion if all tasks are done
- * Available to: All authenticated users (typically called after task updates)
+ * Available to: project.view (typically called after task updates)
  */
 router.post(
   '/:projectId/check-auto-complete',
   projectIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   checkAutoComplete
 );
 
 /**
  * POST /api/projects/:projectId/completion-vote
  * Vote on project completion (approve/reject)
- * Available to: All active project members
- * Body: { vote: 'approve' | 'reject' }
+ * Available to: project.vote
+ * Body: { vote: 'approve' | 'reject', reason: string (required to reject) }
  */
 router.post(
   '/:projectId/completion-vote',
   projectIdValidation,
   voteValidation,
   handleValidationErrors,
+  requireProjectPermission('project.vote'),
   voteOnCompletion
 );
 
 /**
  * GET /api/projects/:projectId/completion-votes
- * Get all votes for project completion
- * Available to: All project members
+ * Get all votes for project completion and progress toward the quorum
+ * Available to: project.view
  */
 router.get(
   '/:projectId/completion-votes',
   projectIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   getCompletionVotes
 );
 
+/**
+ * PUT /api/projects/:projectId/completion-vote-policy
+ * Choose the completion quorum and voting deadline
+ * Available to: project.settings (owner only by default)
+ * Body: { policy: 'three_fifths' | 'majority' | 'supermajority' | 'unanimous' | 'owner_plus_n',
+ *         owner_plus_n: number, deadline: ISO date | null }
+ */
+router.put(
+  '/:projectId/completion-vote-policy',
+  projectIdValidation,
+  votePolicyValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.settings'),
+  updateCompletionVotePolicy
+);
+
 // Error handling middleware
 router.use((error, req, res, next) => {
   console.error('Collaborative project completion router error:', error);
@@ -3,23 +3,27 @@ const express = require('express');
 const router = express.Router();
 const commentsController = require('../controllers/commentsController');
 const authMiddleware = require('../middleware/auth'); // Import the default export
+const { requireProjectPermission, projectFromTask, projectFromComment } = require('../middleware/projectAccess');
+
+const onTask = { getProjectId: projectFromTask, notFoundMessage: 'Task not found' };
+const onComment = { getProjectId: projectFromComment, notFoundMessage: 'Comment not found' };
 
 // Apply authentication to all routes
 router.use(authMiddleware);
 
 // Get comments for a task
-router.get('/task/:taskId', commentsController.getTaskComments);
+router.get('/task/:taskId', requireProjectPermission('task.view', onTask), commentsController.getTaskComments);
 
 // Get replies to a comment
-router.get('/:commentId/replies', commentsController.getCommentReplies);
+router.get('/:commentId/replies', requireProjectPermission('task.view', onComment), commentsController.getCommentReplies);
 
 // Create a new comment
-router.post('/task/:taskId', commentsController.createComment);
+router.post('/task/:taskId', requireProjectPermission('comment.create', onTask), commentsController.createComment);
 
 // Update a comment
 router.put('/:commentId', commentsController.updateComment);
 
 // Delete a comment
-router.delete('/:commentId', commentsController.deleteComment);
+router.delete('/:commentId', requireProjectPermission('task.view', onComment), commentsController.deleteComment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,99 @@
+// backend/routes/directMessages.js
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const {
+  getConversations,
+  createConversation,
+  getConversationMessages,
+  sendDirectMessage,
+  markConversationRead
+} = require('../controllers/directMessageController');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const conversationIdValidation = [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Invalid conversationId format')
+];
+
+// All direct message routes require authentication
+router.use(authMiddleware);
+
+// GET /api/direct-messages/conversations - List the user's conversations
+router.get('/conversations', getConversations);
+
+// POST /api/direct-messages/conversations - Start a 1:1 or group conversation with friends
+router.post(
+  '/conversations',
+  [
+    body('participantIds')
+      .isArray({ min: 1 })
+      .withMessage('participantIds must be a non-empty array'),
+    body('participantIds.*')
+      .isUUID()
+      .withMessage('Invalid participant ID format'),
+    body('name')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Conversation name must not exceed 50 characters')
+  ],
+  handleValidationErrors,
+  createConversation
+);
+
+// GET /api/direct-messages/conversations/:conversationId/messages - Message history
+router.get(
+  '/conversations/:conversationId/messages',
+  [
+    ...conversationIdValidation,
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('before must be an ISO 8601 timestamp'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  getConversationMessages
+);
+
+// POST /api/direct-messages/conversations/:conversationId/messages - Send a message
+router.post(
+  '/conversations/:conversationId/messages',
+  [
+    ...conversationIdValidation,
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Message content must be between 1 and 2000 characters')
+  ],
+  handleValidationErrors,
+  sendDirectMessage
+);
+
+// POST /api/direct-messages/conversations/:conversationId/read - Mark conversation read
+router.post(
+  '/conversations/:conversationId/read',
+  conversationIdValidation,
+  handleValidationErrors,
+  markConversationRead
+);
+
+module.exports = router;
@@ -2,7 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const githubController = require('../controllers/githubController');
+const githubWebhookController = require('../controllers/githubWebhookController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectAccess');
+
+// GitHub calls this itself - it's authenticated by its signature, not a session (raw body, see app.js)
+router.post('/webhook', githubWebhookController.handleWebhook);
 
 // Apply authentication to all routes
 router.use(authMiddleware);
@@ -25,5 +30,11 @@ router.get('/repository/:owner/:repo/commits', githubController.getRepositoryCom
 router.post('/project/:projectId/connect', githubController.connectRepositoryToProject);
 router.delete('/project/:projectId/disconnect', githubController.disconnectRepositoryFromProject);
 router.get('/project/:projectId/repository', githubController.getProjectRepository);
+router.get('/project/:projectId/contributions', requireProjectPermission('project.analytics'), githubController.getProjectContributions);
+router.put('/project/:projectId/issue-sync', requireProjectPermission('project.settings'), githubController.updateIssueSync);
+router.get('/project/:projectId/issue-sync/audit', requireProjectPermission('project.settings'), githubController.getIssueSyncAudit);
+router.get('/project/:projectId/webhook-secret', requireProjectPermission('project.settings'), githubController.getWebhookSecret);
+router.post('/project/:projectId/webhook-secret', requireProjectPermission('project.settings'), githubController.regenerateWebhookSecret);
+router.get('/project/:projectId/task-links', requireProjectPermission('task.view'), githubWebhookController.getTaskLinks);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -7,13 +7,26 @@ const authMiddleware = require('../middleware/auth'); // Import the default expo
 // Apply authentication to all routes
 router.use(authMiddleware);
 
-// Get comment notifications
-router.get('/comments', notificationsController.getCommentNotifications);
+// Get notifications (?status=inbox|unread|read|archived&type=a,b&category=&page=&limit=)
+router.get('/', notificationsController.getNotifications);
 
-// Mark notifications as read
-router.put('/read', notificationsController.markNotificationsRead);
+// Notification types and categories
+router.get('/types', notificationsController.getNotificationTypes);
 
 // Get unread count
 router.get('/unread-count', notificationsController.getUnreadCount);
 
-module.exports = router;
\ No newline at end of file
+// Notification preferences (channel per type, quiet hours, email digest)
+router.get('/preferences', notificationsController.getPreferences);
+router.put('/preferences', notificationsController.updatePreferences);
+
+// Mark notifications as read - by notification_ids, type, category or all
+router.put('/read', notificationsController.markNotificationsRead);
+
+// Archive or restore notifications - by notification_ids, type, category or all
+router.put('/archive', notificationsController.archiveNotifications);
+
+// Delete a notification
+router.delete('/:notificationId', notificationsController.deleteNotification);
+
+module.exports = router;
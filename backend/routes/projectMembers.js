@@ -1,14 +1,31 @@
 // backend/routes/projectMembers.js
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const {
   getProjectMembers,
   updateMemberRole,
   removeMember,
-  leaveProject
+  leaveProject,
+  getProjectInvites,
+  createProjectInvite,
+  revokeProjectInvite,
+  getInviteDetails,
+  redeemInvite,
+  getMyJoinRequest,
+  createJoinRequest,
+  withdrawJoinRequest,
+  getJoinRequests,
+  decideJoinRequest,
+  updateJoinPolicy,
+  getProjectPermissions,
+  updateProjectPermissions
   // addProjectMember removed as requested
 } = require('../controllers/projectMemberController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectAccess');
+const { INVITE_ROLES, MAX_EXPIRY_HOURS, MAX_INVITE_USES } = require('../utils/projectInvites');
+const { JOIN_POLICIES, REQUEST_STATUSES, MAX_PITCH_LENGTH } = require('../utils/projectJoinRequests');
+const { MEMBER_ROLES } = require('../utils/projectPermissions');
 
 const router = express.Router();
 
@@ -40,8 +57,84 @@ const memberIdValidation = [
 
 const updateRoleValidation = [
   body('role')
-    .isIn(['member', 'moderator', 'lead'])
-    .withMessage('Role must be one of: member, moderator, lead')
+    .isIn(MEMBER_ROLES)
+    .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+];
+
+const inviteIdValidation = [
+  param('inviteId')
+    .isUUID()
+    .withMessage('Invite ID must be a valid UUID')
+];
+
+const inviteCodeValidation = [
+  param('inviteCode')
+    .isAlphanumeric()
+    .isLength({ min: 6, max: 32 })
+    .withMessage('Invalid invite code')
+];
+
+const createInviteValidation = [
+  body('role')
+    .optional()
+    .isIn(INVITE_ROLES)
+    .withMessage(`Role must be one of: ${INVITE_ROLES.join(', ')}`),
+  body('skip_challenge')
+    .optional()
+    .isBoolean()
+    .withMessage('skip_challenge must be a boolean'),
+  body('max_uses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_INVITE_USES })
+    .withMessage(`max_uses must be between 1 and ${MAX_INVITE_USES}`),
+  body('expires_in_hours')
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: MAX_EXPIRY_HOURS })
+    .withMessage(`expires_in_hours must be between 1 and ${MAX_EXPIRY_HOURS}`)
+];
+
+const requestIdValidation = [
+  param('requestId')
+    .isUUID()
+    .withMessage('Request ID must be a valid UUID')
+];
+
+const joinRequestValidation = [
+  body('pitch')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: MAX_PITCH_LENGTH })
+    .withMessage(`Pitch must be at most ${MAX_PITCH_LENGTH} characters`)
+];
+
+const joinRequestListValidation = [
+  query('status')
+    .optional()
+    .isIn(REQUEST_STATUSES)
+    .withMessage(`Status must be one of: ${REQUEST_STATUSES.join(', ')}`)
+];
+
+const decideJoinRequestValidation = [
+  body('status')
+    .isIn(['accepted', 'declined'])
+    .withMessage('Status must be one of: accepted, declined'),
+  body('message')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Message must be at most 500 characters')
+];
+
+const rolePermissionsValidation = [
+  body('role_permissions')
+    .isObject()
+    .withMessage('role_permissions must be an object keyed by role')
+];
+
+const joinPolicyValidation = [
+  body('join_policy')
+    .isIn(JOIN_POLICIES)
+    .withMessage(`Join policy must be one of: ${JOIN_POLICIES.join(', ')}`)
 ];
 
 // All routes require authentication
@@ -52,6 +145,7 @@ router.get(
   '/:projectId/members',
   projectIdValidation,
   handleValidationErrors,
+  requireProjectPermission('member.view'),
   getProjectMembers
 );
 
@@ -62,15 +156,17 @@ router.put(
   memberIdValidation,
   updateRoleValidation,
   handleValidationErrors,
+  requireProjectPermission('member.role.update'),
   updateMemberRole
 );
 
-// DELETE /api/projects/:projectId/members/:memberId - Remove a member from a project
+// DELETE /api/projects/:projectId/members/:memberId - Remove a member (yourself, or anyone with member.remove)
 router.delete(
   '/:projectId/members/:memberId',
   projectIdValidation,
   memberIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   removeMember
 );
 
@@ -82,6 +178,132 @@ router.post(
   leaveProject
 );
 
+// GET /api/projects/:projectId/invites - List invite links (member.invite)
+router.get(
+  '/:projectId/invites',
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('member.invite'),
+  getProjectInvites
+);
+
+// POST /api/projects/:projectId/invites - Create an invite link (member.invite)
+// Body: { role?, skip_challenge?, max_uses?, expires_in_hours? }
+router.post(
+  '/:projectId/invites',
+  projectIdValidation,
+  createInviteValidation,
+  handleValidationErrors,
+  requireProjectPermission('member.invite'),
+  createProjectInvite
+);
+
+// DELETE /api/projects/:projectId/invites/:inviteId - Revoke an invite link (member.invite)
+router.delete(
+  '/:projectId/invites/:inviteId',
+  projectIdValidation,
+  inviteIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('member.invite'),
+  revokeProjectInvite
+);
+
+// GET /api/projects/invites/:inviteCode - What an invite link leads to
+router.get(
+  '/invites/:inviteCode',
+  inviteCodeValidation,
+  handleValidationErrors,
+  getInviteDetails
+);
+
+// POST /api/projects/invites/:inviteCode/redeem - Join a project with an invite link
+router.post(
+  '/invites/:inviteCode/redeem',
+  inviteCodeValidation,
+  handleValidationErrors,
+  redeemInvite
+);
+
+// PUT /api/projects/:projectId/join-policy - How people get in (project.settings)
+// Body: { join_policy: 'challenge' | 'approval' | 'challenge_approval' | 'open' }
+router.put(
+  '/:projectId/join-policy',
+  projectIdValidation,
+  joinPolicyValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.settings'),
+  updateJoinPolicy
+);
+
+// GET /api/projects/:projectId/join-requests/mine - The project's join policy and your latest request
+router.get(
+  '/:projectId/join-requests/mine',
+  projectIdValidation,
+  handleValidationErrors,
+  getMyJoinRequest
+);
+
+// DELETE /api/projects/:projectId/join-requests/mine - Withdraw your pending request
+router.delete(
+  '/:projectId/join-requests/mine',
+  projectIdValidation,
+  handleValidationErrors,
+  withdrawJoinRequest
+);
+
+// POST /api/projects/:projectId/join-requests - Ask to join (joins directly on open projects)
+// Body: { pitch? }
+router.post(
+  '/:projectId/join-requests',
+  projectIdValidation,
+  joinRequestValidation,
+  handleValidationErrors,
+  createJoinRequest
+);
+
+// GET /api/projects/:projectId/join-requests - Approval queue (member.requests.review)
+// Query: ?status=pending|accepted|declined|withdrawn
+router.get(
+  '/:projectId/join-requests',
+  projectIdValidation,
+  joinRequestListValidation,
+  handleValidationErrors,
+  requireProjectPermission('member.requests.review'),
+  getJoinRequests
+);
+
+// PUT /api/projects/:projectId/join-requests/:requestId - Accept or decline (member.requests.review)
+// Body: { status: 'accepted' | 'declined', message? }
+router.put(
+  '/:projectId/join-requests/:requestId',
+  projectIdValidation,
+  requestIdValidation,
+  decideJoinRequestValidation,
+  handleValidationErrors,
+  requireProjectPermission('member.requests.review'),
+  decideJoinRequest
+);
+
+// GET /api/projects/:projectId/permissions - Your permissions and the project's role table
+router.get(
+  '/:projectId/permissions',
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getProjectPermissions
+);
+
+// PUT /api/projects/:projectId/permissions - Change what each role may do (owner only)
+// Body: { role_permissions: { [role]: { [permission]: boolean } } }
+router.put(
+  '/:projectId/permissions',
+  projectIdValidation,
+  rolePermissionsValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.settings'),
+  updateProjectPermissions
+);
+
 // REMOVED: POST /api/projects/:projectId/members route for adding members
 
 module.exports = router;
\ No newline at end of file
@@ -12,6 +12,7 @@ const {
   logActivity
 } = require('../controllers/projectController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectAccess');
 const { handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
@@ -147,7 +148,12 @@ const updateProjectValidation = [
   body('maximum_members')
     .optional()
     .isInt({ min: 1, max: 50 })
-    .withMessage('Maximum members must be between 1 and 50')
+    .withMessage('Maximum members must be between 1 and 50'),
+
+  body('weight_completion_by_priority')
+    .optional()
+    .isBoolean()
+    .withMessage('weight_completion_by_priority must be a boolean')
 ];
 
 // Routes
@@ -167,11 +173,12 @@ router.post('/', createProjectValidation, handleValidationErrors, createProject)
 // GET /api/projects/user/my - Get current user's projects
 router.get('/user/my', getUserProjects);
 
-// PUT /api/projects/:id - Update project (only by owner)
+// PUT /api/projects/:id - Update project (project.settings - owner only by default)
 router.put('/:id', 
   projectIdValidation,
   updateProjectValidation,
   handleValidationErrors,
+  requireProjectPermission('project.settings', { getProjectId: req => req.params.id }),
   updateProject
 );
 
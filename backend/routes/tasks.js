@@ -10,6 +10,7 @@ const {
   getTaskStats
 } = require('../controllers/taskController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectAccess');
 
 const router = express.Router();
 
@@ -95,6 +96,30 @@ const createTaskValidation = [
       return true;
     }),
   
+  body('depends_on')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Dependencies must be an array of task IDs'),
+  
+  body('depends_on.*')
+    .isUUID()
+    .withMessage('Each dependency must be a valid task ID'),
+  
+  body('parent_task_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Parent task ID must be a valid UUID'),
+  
+  body('subtasks')
+    .optional()
+    .isArray()
+    .withMessage('Subtasks must be an array'),
+
+  body('subtasks.*.assigned_to')
+    .optional({ checkFalsy: true })
+    .isUUID()
+    .withMessage('Subtask assignee must be a valid user ID'),
+
   body('due_date')
     .optional()
     .custom((value) => {
@@ -188,6 +213,15 @@ const updateTaskValidation = [
       return true;
     }),
   
+  body('depends_on')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Dependencies must be an array of task IDs'),
+  
+  body('depends_on.*')
+    .isUUID()
+    .withMessage('Each dependency must be a valid task ID'),
+  
   body('due_date')
     .optional()
     .custom((value) => {
@@ -238,6 +272,7 @@ router.get(
   projectIdValidation,
   getTasksValidation,
   handleValidationErrors,
+  requireProjectPermission('task.view'),
   getProjectTasks
 );
 
@@ -247,6 +282,7 @@ router.post(
   projectIdValidation,
   createTaskValidation,
   handleValidationErrors,
+  requireProjectPermission('task.create'),
   createTask
 );
 
@@ -255,6 +291,7 @@ router.get(
   '/:projectId/tasks/stats',
   projectIdValidation,
   handleValidationErrors,
+  requireProjectPermission('task.view'),
   getTaskStats
 );
 
@@ -264,6 +301,7 @@ router.get(
   projectIdValidation,
   taskIdValidation,
   handleValidationErrors,
+  requireProjectPermission('task.view'),
   getTask
 );
 
@@ -274,6 +312,7 @@ router.put(
   taskIdValidation,
   updateTaskValidation,
   handleValidationErrors,
+  requireProjectPermission(['task.update', 'task.review']),
   updateTask
 );
 
@@ -283,6 +322,7 @@ router.delete(
   projectIdValidation,
   taskIdValidation,
   handleValidationErrors,
+  requireProjectPermission('task.delete'),
   deleteTask
 );
 
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { param, body, query, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth');
+const { FEED_MODES } = require('../utils/timelineFeed');
 const {
   getTimelineFeed,
   reactToPost,
@@ -57,10 +58,15 @@ const commentContentValidation = [
 ];
 
 const feedQueryValidation = [
-  query('page')
+  query('mode')
     .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
+    .isIn(FEED_MODES)
+    .withMessage(`Mode must be one of: ${FEED_MODES.join(', ')}`),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Cursor must be the nextCursor value of a previous page'),
   query('limit')
     .optional()
     .isInt({ min: 1, max: 50 })
@@ -77,7 +83,8 @@ router.use(authMiddleware);
 /**
  * GET /api/timeline/feed
  * Get timeline feed for "For You" tab
- * Query params: page, limit, filter (all|friends|solo|group)
+ * Query params: mode (for_you|chronological), filter (all|friends|solo|group), limit,
+ *               cursor (pagination.nextCursor from the previous page)
  */
 router.get(
   '/feed',
@@ -0,0 +1,80 @@
+// backend/scripts/encryptGitHubTokens.js
+// Seal every GitHub token still stored in plaintext, and re-seal tokens encrypted with a key
+// that's no longer first in TOKEN_ENCRYPTION_KEYS. Safe to run repeatedly.
+//
+// Usage: node scripts/encryptGitHubTokens.js [--dry-run]
+// After a key rotation, run this before removing the old key from TOKEN_ENCRYPTION_KEYS.
+
+require('dotenv').config();
+const supabase = require('../config/supabase');
+const { isSealed, seal, unseal, needsReseal } = require('../utils/tokenEncryption');
+
+const TOKEN_COLUMNS = ['access_token', 'refresh_token'];
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`🔐 Encrypting GitHub tokens${dryRun ? ' (dry run)' : ''}\n`);
+
+  const { data: rows, error } = await supabase
+    .from('github_oauth_tokens')
+    .select('user_id, access_token, refresh_token');
+
+  if (error) throw error;
+
+  let sealed = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const row of rows || []) {
+    const update = {};
+
+    try {
+      TOKEN_COLUMNS.forEach((column) => {
+        if (needsReseal(row[column])) {
+          const plaintext = isSealed(row[column]) ? unseal(row[column]) : row[column];
+          update[column] = seal(plaintext);
+        }
+      });
+    } catch (err) {
+      console.log(`❌ ${row.user_id}: ${err.message}`);
+      failed++;
+      continue;
+    }
+
+    if (Object.keys(update).length === 0) {
+      skipped++;
+      continue;
+    }
+
+    if (!dryRun) {
+      const { error: updateError } = await supabase
+        .from('github_oauth_tokens')
+        .update(update)
+        .eq('user_id', row.user_id);
+
+      if (updateError) {
+        console.log(`❌ ${row.user_id}: ${updateError.message}`);
+        failed++;
+        continue;
+      }
+    }
+
+    console.log(`✅ ${row.user_id}: ${Object.keys(update).join(', ')}`);
+    sealed++;
+  }
+
+  console.log(`\n${sealed} sealed, ${skipped} already current, ${failed} failed`);
+  return failed;
+}
+
+if (require.main === module) {
+  main()
+    .then(failed => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error('❌ Token encryption failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
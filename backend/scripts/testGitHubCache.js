@@ -0,0 +1,204 @@
+// backend/scripts/testGitHubCache.js
+// Points the GitHub client at a throwaway local stand-in for api.github.com and checks caching,
+// ETag revalidation, rate limit reporting and degraded mode: node scripts/testGitHubCache.js
+
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+
+// Nothing here touches the database; the client just has to construct
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+const RATE_LIMIT = 60;
+
+// Minimal GitHub stand-in: serves file contents with ETags and answers If-None-Match with 304,
+// counting requests against a rate limit the way GitHub does (304s are free)
+const startGitHubStub = () => new Promise((resolve) => {
+  const stub = {
+    files: {
+      'main:README.md': '# Taskboard\n',
+      'develop:README.md': '# Taskboard (develop)\n'
+    },
+    remaining: RATE_LIMIT,
+    resetAt: Math.floor(Date.now() / 1000) + 3600,
+    secondaryLimit: false,
+    requests: [],
+    authorization: null
+  };
+
+  const etagFor = body => `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+  stub.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    stub.requests.push({ path: url.pathname, ifNoneMatch: req.headers['if-none-match'] || null });
+    stub.authorization = req.headers.authorization;
+
+    const rateHeaders = () => ({
+      'x-ratelimit-limit': String(RATE_LIMIT),
+      'x-ratelimit-remaining': String(stub.remaining),
+      'x-ratelimit-used': String(RATE_LIMIT - stub.remaining),
+      'x-ratelimit-reset': String(stub.resetAt),
+      'x-ratelimit-resource': 'core'
+    });
+    const send = (status, headers, body) => {
+      res.writeHead(status, { 'content-type': 'application/json', ...rateHeaders(), ...headers });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (stub.secondaryLimit) {
+      return send(429, { 'retry-after': '30' }, { message: 'You have exceeded a secondary rate limit.' });
+    }
+
+    const match = url.pathname.match(/^\/repos\/techsync-demo\/taskboard\/contents\/(.+)$/);
+    const ref = url.searchParams.get('ref') || 'main';
+    const content = match && stub.files[`${ref}:${match[1]}`];
+    const body = content === undefined ? null : {
+      type: 'file',
+      name: match[1].split('/').pop(),
+      path: match[1],
+      sha: etagFor(content).slice(1, 41),
+      size: content.length,
+      encoding: 'base64',
+      content: Buffer.from(content).toString('base64')
+    };
+    const etag = body && etagFor(JSON.stringify(body));
+
+    if (etag && req.headers['if-none-match'] === etag) {
+      return send(304, { etag });
+    }
+
+    if (stub.remaining <= 0) {
+      return send(403, {}, { message: 'API rate limit exceeded for user ID 1.' });
+    }
+    stub.remaining--;
+
+    if (!body) return send(404, {}, { message: 'Not Found' });
+    send(200, { etag }, body);
+  });
+
+  stub.server.listen(0, '127.0.0.1', () => {
+    stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+    resolve(stub);
+  });
+});
+
+let failures = 0;
+
+const check = (name, condition, detail = '') => {
+  if (!condition) failures++;
+  console.log(`${condition ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+};
+
+const decode = data => Buffer.from(data.content, 'base64').toString('utf8');
+
+async function main() {
+  const stub = await startGitHubStub();
+  process.env.GITHUB_API_URL = stub.url;
+
+  const githubCache = require('../utils/githubCache');
+  const { createClient, GitHubRateLimitError } = require('../utils/githubClient');
+
+  const userId = 'user-1';
+  const github = createClient(userId, 'test-token');
+  const README = '/repos/techsync-demo/taskboard/contents/README.md';
+
+  // Make the cached entry for a request old enough to need revalidating
+  const expire = (path, params = {}) => {
+    const entry = githubCache.get(githubCache.cacheKey(userId, `${stub.url}${path}`, params));
+    if (entry) entry.validatedAt -= githubCache.FRESH_MS + 1;
+  };
+
+  const expectRateLimitError = async (promise) => {
+    try {
+      await promise;
+      return null;
+    } catch (error) {
+      return error instanceof GitHubRateLimitError ? error : null;
+    }
+  };
+
+  try {
+    console.log('📦 Caching');
+    let response = await github.cachedGet(README, { params: { ref: 'main' } });
+    check('First read goes to GitHub', response.meta.cache === 'miss' && stub.requests.length === 1);
+    check('Returns the file', decode(response.data) === '# Taskboard\n');
+    check('Sends the token', stub.authorization === 'token test-token');
+    check('Reports the remaining rate limit', response.meta.rate_limit?.remaining === RATE_LIMIT - 1,
+      JSON.stringify(response.meta.rate_limit));
+
+    response = await github.cachedGet(README, { params: { ref: 'main' } });
+    check('Second read is served from the cache', response.meta.cache === 'hit' && stub.requests.length === 1);
+
+    response = await github.cachedGet(README, { params: { ref: 'develop' } });
+    check('Another ref is cached separately', response.meta.cache === 'miss' && decode(response.data).includes('develop'));
+
+    const otherUser = createClient('user-2', 'other-token');
+    response = await otherUser.cachedGet(README, { params: { ref: 'main' } });
+    check("Users don't share cached responses", response.meta.cache === 'miss');
+
+    console.log('\n🏷️ ETags');
+    let before = stub.requests.length;
+    const remainingBefore = stub.remaining;
+    expire(README, { ref: 'main' });
+    response = await github.cachedGet(README, { params: { ref: 'main' } });
+    check('Stale entry is revalidated with If-None-Match', stub.requests.length === before + 1 && Boolean(stub.requests[before].ifNoneMatch));
+    check('Unchanged file comes back as 304', response.meta.cache === 'revalidated' && decode(response.data) === '# Taskboard\n');
+    check('304s cost no rate limit', stub.remaining === remainingBefore);
+
+    response = await github.cachedGet(README, { params: { ref: 'main' } });
+    check('Revalidated entry is fresh again', response.meta.cache === 'hit');
+
+    stub.files['main:README.md'] = '# Taskboard\n\nNow with docs.\n';
+    expire(README, { ref: 'main' });
+    response = await github.cachedGet(README, { params: { ref: 'main' } });
+    check('Changed file is fetched again', response.meta.cache === 'miss' && decode(response.data).includes('Now with docs'));
+
+    console.log('\n🚦 Rate limit');
+    stub.remaining = 0;
+    stub.resetAt = Math.floor(Date.now() / 1000) + 2;
+
+    expire(README, { ref: 'develop' });
+    before = stub.requests.length;
+    let error = await expectRateLimitError(github.cachedGet('/repos/techsync-demo/taskboard/contents/docs/setup.md'));
+    check('Uncached read fails with a rate limit error', Boolean(error) && error.status === 429, error?.message);
+    check('The error says when to retry', Boolean(error?.resetAt) && error.retryAfter > 0);
+
+    response = await github.cachedGet(README, { params: { ref: 'develop' } });
+    check('Cached read is served stale instead', response.meta.cache === 'stale' && response.meta.degraded === true);
+    check('Stale response says how old it is', Boolean(response.meta.stale_since));
+    check('Known exhaustion skips GitHub entirely', stub.requests.length === before + 1);
+    check('Remaining shows as zero', response.meta.rate_limit?.remaining === 0);
+
+    // Wait out the reset
+    await new Promise(done => setTimeout(done, 2100));
+    stub.remaining = RATE_LIMIT;
+    stub.resetAt = Math.floor(Date.now() / 1000) + 3600;
+    response = await github.cachedGet(README, { params: { ref: 'develop' } });
+    check('After the reset reads go back to GitHub', response.meta.cache === 'revalidated' && !response.meta.degraded);
+
+    stub.secondaryLimit = true;
+    expire(README, { ref: 'main' });
+    response = await github.cachedGet(README, { params: { ref: 'main' } });
+    check('Secondary rate limit also falls back to the cache', response.meta.cache === 'stale');
+    error = await expectRateLimitError(github.get('/repos/techsync-demo/taskboard/contents/docs/setup.md'));
+    check('Uncached calls report the secondary limit', Boolean(error) && error.retryAfter === 30, error?.message);
+    stub.secondaryLimit = false;
+
+    const notFound = await github.get('/repos/techsync-demo/taskboard/contents/missing.md').catch(err => err);
+    check('Plain get() still rejects errors', notFound.response?.status === 404);
+
+    response = await github.get(README, { params: { ref: 'main' } });
+    check('Plain get() still works and records the limit', response.status === 200 && githubCache.getRateLimit(userId)?.remaining === stub.remaining);
+  } finally {
+    stub.server.close();
+  }
+
+  console.log(failures === 0 ? '\n🎉 GitHub cache test complete!' : `\n❌ ${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,257 @@
+// backend/scripts/testGitHubWebhooks.js
+// Replays the recorded payloads in tests/fixtures/github through signature checking, reference
+// parsing and task planning, checks the task <-> issue mapping of issue sync, then runs the
+// webhook handler up to the point it would touch the database. No GitHub or Supabase needed: node scripts/testGitHubWebhooks.js
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The handler paths checked here return before any query; the client just has to construct
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+const {
+  verifySignature,
+  generateWebhookSecret,
+  filterSignedRepos,
+  parseTaskReferences,
+  extractItems,
+  matchTask,
+  planTaskUpdates
+} = require('../utils/githubWebhooks');
+const {
+  buildIssueFields,
+  diffIssueFields,
+  taskUpdateFromIssue,
+  resolveConflict
+} = require('../utils/githubIssueSync');
+
+const FIXTURES = path.join(__dirname, '..', 'tests', 'fixtures', 'github');
+const SECRET = 'webhook-test-secret';
+
+const loadFixture = (name) => fs.readFileSync(path.join(FIXTURES, `${name}.json`));
+const sign = (body, secret = SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const LOGIN_TASK = '3f2a9c41-0b7d-4e8a-9c11-5d2e7f6a8b90';
+const RESET_TASK = '9b4e2d17-6a3c-4f0e-8d2b-1c7e9a5f3d46';
+const PROJECT = 'c0ffee00-1111-4222-8333-444455556666';
+
+const labelsOf = (issue) => issue.labels.map(label => label.name);
+
+const makeTasks = (loginStatus, resetStatus) => [
+  { id: LOGIN_TASK, project_id: PROJECT, title: 'Login form', status: loginStatus },
+  { id: RESET_TASK, project_id: PROJECT, title: 'Password reset', status: resetStatus },
+  { id: '7d1e0f22-3b4c-4d5e-8f60-718293a4b5c6', project_id: PROJECT, title: 'Profile page', status: 'todo' }
+];
+
+// Just enough of req/res for the handler
+const makeReq = (body, headers) => ({
+  body,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const makeRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+let failures = 0;
+
+const check = (name, condition, detail = '') => {
+  if (!condition) failures++;
+  console.log(`${condition ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+};
+
+async function main() {
+  console.log('🔏 Signatures');
+  const pushBody = loadFixture('push');
+  check('Accepts the right signature', verifySignature(pushBody, sign(pushBody), SECRET));
+  check('Rejects a signature made with another secret', !verifySignature(pushBody, sign(pushBody, 'other'), SECRET));
+  check('Rejects a tampered body', !verifySignature(Buffer.concat([pushBody, Buffer.from(' ')]), sign(pushBody), SECRET));
+  check('Rejects a missing signature', !verifySignature(pushBody, undefined, SECRET));
+  check('Rejects sha1 signatures', !verifySignature(pushBody, sign(pushBody).replace('sha256=', 'sha1='), SECRET));
+
+  const connections = [
+    { project_id: PROJECT, webhook_secret: SECRET },
+    { project_id: 'other-project', webhook_secret: 'other' },
+    { project_id: 'legacy-project', webhook_secret: null }
+  ];
+  const signedFor = (signature) => filterSignedRepos(pushBody, signature, connections).map(repo => repo.project_id);
+  check('Only the project whose secret signed it counts', JSON.stringify(signedFor(sign(pushBody))) === JSON.stringify([PROJECT]));
+  check('Another project\'s secret only reaches that project', JSON.stringify(signedFor(sign(pushBody, 'other'))) === JSON.stringify(['other-project']));
+  check('Connections without a secret never match', signedFor(sign(pushBody, '')).length === 0);
+  check('Generated secrets are long and unique', generateWebhookSecret().length === 64 && generateWebhookSecret() !== generateWebhookSecret());
+
+  console.log('\n🔎 References');
+  const refs = parseTaskReferences('Fixes #task-3F2A9C41 and see #task-9b4e2d17; closes: task-7d1e0f22');
+  check('Finds all three tasks', refs.length === 3, JSON.stringify(refs));
+  check('Closing keyword marks the task closed', refs.find(ref => ref.ref === '3f2a9c41')?.closes === true);
+  check('Plain mention only links', refs.find(ref => ref.ref === '9b4e2d17')?.closes === false);
+  check('"closes:" without a # still closes', refs.find(ref => ref.ref === '7d1e0f22')?.closes === true);
+  check('Ignores #task- with too short an id', parseTaskReferences('see #task-3f2a').length === 0);
+  check('Ignores the words without a task', parseTaskReferences('fixes #12, closes the bug').length === 0);
+  check('Mentioning then closing the same task closes it',
+    parseTaskReferences('#task-3f2a9c41 ... resolves #task-3f2a9c41')[0]?.closes === true);
+
+  const tasks = makeTasks('todo', 'todo');
+  check('Matches a full id', matchTask(LOGIN_TASK, tasks)?.id === LOGIN_TASK);
+  check('Matches an unambiguous prefix', matchTask('9b4e2d17', tasks)?.id === RESET_TASK);
+  check('No match for an unknown id', matchTask('deadbeef', tasks) === null);
+  const twins = [{ id: 'abcdef12-0000-4000-8000-000000000001' }, { id: 'abcdef12-0000-4000-8000-000000000002' }];
+  check('No match for an ambiguous prefix', matchTask('abcdef12', twins) === null);
+
+  console.log('\n📦 Push');
+  const push = extractItems('push', JSON.parse(pushBody));
+  check('Reads the repository', push.repository === 'techsync-demo/taskboard');
+  check('Keeps only commits that mention a task', push.items.length === 2, `${push.items.length} items`);
+  check('Commits know their branch', push.items.every(item => item.branch === 'main'));
+
+  let plan = planTaskUpdates({ items: push.items, tasks: makeTasks('in_progress', 'todo'), trackedBranches: { [PROJECT]: 'main' } });
+  check('Links both commits to the login task', plan.updates.length === 2 && plan.updates.every(update => update.task.id === LOGIN_TASK));
+  check('First commit only links', plan.updates[0].nextStatus === null);
+  check('Closing commit on the tracked branch completes the task', plan.updates[1].nextStatus === 'completed');
+
+  plan = planTaskUpdates({ items: push.items, tasks: makeTasks('in_progress', 'todo'), trackedBranches: { [PROJECT]: 'develop' } });
+  check('Closing commit on another branch only links', plan.updates.every(update => update.nextStatus === null));
+
+  plan = planTaskUpdates({ items: push.items, tasks: makeTasks('completed', 'todo'), trackedBranches: { [PROJECT]: 'main' } });
+  check('Completed tasks are never moved', plan.updates.every(update => update.nextStatus === null));
+
+  const deleted = extractItems('push', { ...JSON.parse(pushBody), deleted: true });
+  check('Branch deletions carry nothing', deleted.items.length === 0);
+
+  console.log('\n🔀 Pull requests');
+  const opened = extractItems('pull_request', JSON.parse(loadFixture('pull_request_opened')));
+  check('One item for the pull request', opened.items.length === 1 && opened.items[0].externalId === '42');
+  check('Reads refs from the body', opened.items[0].refs.length === 2);
+
+  plan = planTaskUpdates({ items: opened.items, tasks: makeTasks('in_progress', 'todo') });
+  check('Opening moves in-progress work to review', plan.updates.find(update => update.task.id === LOGIN_TASK)?.nextStatus === 'in_review');
+  check('Opening moves todo work to review', plan.updates.find(update => update.task.id === RESET_TASK)?.nextStatus === 'in_review');
+
+  plan = planTaskUpdates({ items: extractItems('pull_request', JSON.parse(loadFixture('pull_request_draft'))).items, tasks: makeTasks('in_progress', 'todo') });
+  check('Draft pull requests only link', plan.updates.length === 2 && plan.updates.every(update => update.nextStatus === null));
+
+  plan = planTaskUpdates({ items: extractItems('pull_request', JSON.parse(loadFixture('pull_request_merged'))).items, tasks: makeTasks('in_review', 'in_review') });
+  check('Merging completes the task it closes', plan.updates.find(update => update.task.id === RESET_TASK)?.nextStatus === 'completed');
+  check('Merging leaves merely mentioned tasks alone', plan.updates.find(update => update.task.id === LOGIN_TASK)?.nextStatus === null);
+
+  const mergedElsewhere = extractItems('pull_request', JSON.parse(loadFixture('pull_request_merged_feature'))).items;
+  check('Merged pull requests know their base branch', mergedElsewhere[0]?.branch === 'feature/password-reset');
+  plan = planTaskUpdates({ items: mergedElsewhere, tasks: makeTasks('in_review', 'in_review'), trackedBranches: { [PROJECT]: 'main' } });
+  check('Merging into another branch only links', plan.updates.length === 1 && plan.updates[0].nextStatus === null);
+  plan = planTaskUpdates({ items: mergedElsewhere, tasks: makeTasks('in_review', 'in_review'), trackedBranches: { [PROJECT]: 'feature/password-reset' } });
+  check('Merging into the tracked branch completes the task', plan.updates[0]?.nextStatus === 'completed');
+
+  plan = planTaskUpdates({ items: extractItems('pull_request', JSON.parse(loadFixture('pull_request_closed'))).items, tasks: makeTasks('in_review', 'todo') });
+  check('Closing unmerged sends review work back to in progress', plan.updates.find(update => update.task.id === LOGIN_TASK)?.nextStatus === 'in_progress');
+  check('Closing unmerged leaves todo work alone', plan.updates.find(update => update.task.id === RESET_TASK)?.nextStatus === null);
+
+  plan = planTaskUpdates({ items: opened.items, tasks: makeTasks('in_progress', 'todo').slice(0, 1) });
+  check('References to tasks outside the project are unmatched', plan.unmatched.includes('9b4e2d17'));
+
+  console.log('\n🔁 Issue sync');
+  const ALICE = 'a11ce000-0000-4000-8000-000000000001';
+  const BOB = 'b0b00000-0000-4000-8000-000000000002';
+  const CAROL = 'ca201000-0000-4000-8000-000000000003'; // no GitHub account connected
+  const logins = new Map([['alice', ALICE], ['bob', BOB]]);
+  const syncedTask = {
+    id: LOGIN_TASK,
+    title: 'Login form',
+    description: 'Email and password',
+    status: 'in_progress',
+    priority: 'high',
+    task_type: 'development',
+    assigned_to: ALICE
+  };
+
+  let fields = buildIssueFields(syncedTask, { assigneeLogin: 'alice', currentLabels: ['bug', 'priority: low'] });
+  check('Issue body carries the task marker', fields.body === `Email and password\n\n<!-- techsync-task:${LOGIN_TASK} -->`);
+  check('Keeps unmanaged labels and replaces managed ones',
+    JSON.stringify(fields.labels) === JSON.stringify(['bug', 'priority: high', 'type: development']), JSON.stringify(fields.labels));
+  check('Open task means an open issue', fields.state === 'open' && fields.state_reason === undefined);
+  check('Assignee is set from the login', JSON.stringify(fields.assignees) === JSON.stringify(['alice']));
+  check('Assignee without an account leaves assignees alone', !('assignees' in buildIssueFields(syncedTask, { assigneeLogin: undefined })));
+  check('Unassigned task clears assignees', JSON.stringify(buildIssueFields(syncedTask, { assigneeLogin: null }).assignees) === '[]');
+  fields = buildIssueFields({ ...syncedTask, status: 'completed' });
+  check('Completed task closes the issue as completed', fields.state === 'closed' && fields.state_reason === 'completed');
+
+  const issue = {
+    title: 'Login form',
+    body: `Email and password\n\n<!-- techsync-task:${LOGIN_TASK} -->`,
+    state: 'open',
+    labels: [{ name: 'priority: high' }, { name: 'type: development' }, { name: 'bug' }],
+    assignees: [{ login: 'Alice' }],
+    updated_at: '2026-03-02T10:00:00Z'
+  };
+  fields = buildIssueFields(syncedTask, { assigneeLogin: 'alice', currentLabels: labelsOf(issue) });
+  check('No changes when the issue already matches', Object.keys(diffIssueFields(issue, fields)).length === 0,
+    JSON.stringify(diffIssueFields(issue, fields)));
+  let changes = diffIssueFields(issue, buildIssueFields({ ...syncedTask, title: 'Login page', priority: 'urgent' }, { currentLabels: labelsOf(issue) }));
+  check('Reports a changed title', changes.title?.to === 'Login page');
+  check('Reports changed labels', changes.labels?.to.includes('priority: urgent'));
+  check('Leaves assignees out when not managed', !('assignees' in changes));
+
+  check('Nothing to update from an issue that matches', Object.keys(taskUpdateFromIssue(issue, syncedTask, logins)).length === 0,
+    JSON.stringify(taskUpdateFromIssue(issue, syncedTask, logins)));
+  let update = taskUpdateFromIssue({ ...issue, title: 'Login page', body: 'Just email', labels: [{ name: 'priority: nonsense' }] }, syncedTask, logins);
+  check('Takes title and description, without the marker', update.title === 'Login page' && update.description === 'Just email');
+  check('Ignores labels with unknown values', !('priority' in update) && !('task_type' in update));
+  update = taskUpdateFromIssue({ ...issue, title: `  ${'x'.repeat(250)}  ` }, syncedTask, logins);
+  check('Long issue titles are cut to the task title limit', update.title === 'x'.repeat(200));
+  check('Closing the issue completes the task', taskUpdateFromIssue({ ...issue, state: 'closed' }, syncedTask, logins).status === 'completed');
+  check('Reopening the issue puts a completed task back to todo',
+    taskUpdateFromIssue(issue, { ...syncedTask, status: 'completed' }, logins).status === 'todo');
+
+  update = taskUpdateFromIssue({ ...issue, assignees: [{ login: 'bob' }] }, syncedTask, logins);
+  check('Swapping the assignee on GitHub reassigns the task', update.assigned_to === BOB);
+  update = taskUpdateFromIssue({ ...issue, assignees: [] }, syncedTask, logins);
+  check('Removing a linked assignee unassigns the task', 'assigned_to' in update && update.assigned_to === null);
+  update = taskUpdateFromIssue({ ...issue, assignees: [{ login: 'outsider' }] }, syncedTask, logins);
+  check('Replacing a linked assignee with an outsider unassigns the task', 'assigned_to' in update && update.assigned_to === null);
+  update = taskUpdateFromIssue({ ...issue, assignees: [] }, { ...syncedTask, assigned_to: CAROL }, logins);
+  check('An assignee without a linked account is kept', !('assigned_to' in update));
+  update = taskUpdateFromIssue({ ...issue, assignees: [{ login: 'bob' }] }, { ...syncedTask, assigned_to: CAROL }, logins);
+  check('An assignee without a linked account isn\'t replaced either', !('assigned_to' in update));
+  update = taskUpdateFromIssue({ ...issue, assignees: [{ login: 'BOB' }] }, { ...syncedTask, assigned_to: null }, logins);
+  check('Assigning a member on GitHub assigns the unassigned task', update.assigned_to === BOB);
+
+  check('Newer issue edit wins', resolveConflict({ taskUpdatedAt: '2026-03-02T10:00:00Z', issueUpdatedAt: '2026-03-02T10:00:01Z' }) === 'issue');
+  check('Newer task edit wins', resolveConflict({ taskUpdatedAt: '2026-03-02T10:00:01Z', issueUpdatedAt: '2026-03-02T10:00:00Z' }) === 'task');
+  check('Ties go to the task', resolveConflict({ taskUpdatedAt: '2026-03-02T10:00:00Z', issueUpdatedAt: '2026-03-02T10:00:00.000Z' }) === 'task');
+
+  console.log('\n📬 Handler');
+  const { handleWebhook } = require('../controllers/githubWebhookController');
+
+  let res = makeRes();
+  await handleWebhook(makeReq(pushBody, { 'x-github-event': 'push' }), res);
+  check('401 without a signature', res.statusCode === 401);
+
+  // Checking the signature itself needs the connection's secret from the database (see above)
+  const ping = Buffer.from(JSON.stringify({ zen: 'Keep it logically awesome.', hook_id: 1 }));
+  res = makeRes();
+  await handleWebhook(makeReq(ping, { 'x-github-event': 'ping', 'x-hub-signature-256': sign(ping) }), res);
+  check('401 for a ping without a repository to check it against', res.statusCode === 401);
+
+  res = makeRes();
+  await handleWebhook(makeReq(ping, { 'x-github-event': 'watch', 'x-hub-signature-256': sign(ping) }), res);
+  check('Accepts but ignores other events', res.statusCode === 202);
+
+  const notJson = Buffer.from('payload=%7B%7D');
+  res = makeRes();
+  await handleWebhook(makeReq(notJson, { 'x-github-event': 'push', 'x-hub-signature-256': sign(notJson) }), res);
+  check('400 for form-encoded payloads', res.statusCode === 400);
+
+  console.log(failures === 0 ? '\n🎉 GitHub webhook test complete!' : `\n❌ ${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
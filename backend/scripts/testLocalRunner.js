@@ -0,0 +1,162 @@
+// backend/scripts/testLocalRunner.js
+// Run this to test the local code runner (no Judge0 needed): node scripts/testLocalRunner.js
+// Needs the sandbox the runner is configured for (LOCAL_RUNNER_SANDBOX, bubblewrap by default);
+// without it the test says what's missing and skips.
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Something the submissions must not be able to read from the server's environment
+process.env.RUNNER_CANARY = 'server-secret';
+// Somewhere a runaway background process could leave a mark if it outlived the timeout
+const markerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'techsync-runner-test-'));
+fs.chmodSync(markerDir, 0o777);
+const marker = path.join(markerDir, 'escaped');
+
+const { runTests } = require('../utils/codeEvaluator');
+const { getSandboxProblem } = require('../utils/localCodeRunner');
+
+const cases = [
+  {
+    name: 'JavaScript stdin/stdout',
+    languageName: 'javascript',
+    sourceCode: `
+const input = require('fs').readFileSync(0, 'utf8').trim();
+const [a, b] = input.split(' ').map(Number);
+console.log(a + b);
+    `.trim(),
+    testCases: [
+      { input: '1 2', expected_output: '3' },
+      { input: '10 -4', expected_output: '6' }
+    ],
+    expectPassed: 2
+  },
+  {
+    name: 'Python JSON output',
+    languageName: 'python',
+    sourceCode: `
+import json, sys
+n = int(sys.stdin.read().strip())
+print(json.dumps({"n": n, "square": n * n}))
+    `.trim(),
+    testCases: [
+      { input: '3', expected_output: '{"square": 9, "n": 3}' },
+      { input: '4', expected_output: '{"n": 4, "square": 15}' }
+    ],
+    expectPassed: 1
+  },
+  {
+    name: 'Runtime error is reported, not thrown',
+    languageName: 'python',
+    sourceCode: 'raise ValueError("boom")',
+    testCases: [{ input: '', expected_output: 'anything' }],
+    expectPassed: 0,
+    expectStatus: 11
+  },
+  {
+    name: 'Infinite loop hits the time limit',
+    languageName: 'javascript',
+    sourceCode: 'while (true) {}',
+    testCases: [{ input: '', expected_output: '' }],
+    timeLimitMs: 1500,
+    expectPassed: 0,
+    expectStatus: 5
+  },
+  {
+    name: "Runs unprivileged and can't read the server's environment",
+    languageName: 'javascript',
+    sourceCode: `
+const fs = require('fs');
+let leaked = false;
+for (const pid of fs.readdirSync('/proc').filter(name => /^\\d+$/.test(name))) {
+  try {
+    if (fs.readFileSync('/proc/' + pid + '/environ', 'utf8').includes('RUNNER_CANARY')) leaked = true;
+  } catch (e) {}
+}
+console.log((process.getuid() === 0 ? 'root' : 'unprivileged') + ' ' + (leaked ? 'leaked' : 'sealed'));
+    `.trim(),
+    testCases: [{ input: '', expected_output: 'unprivileged sealed' }],
+    expectPassed: 1
+  },
+  {
+    name: 'Has no network',
+    languageName: 'python',
+    sourceCode: `
+import socket
+try:
+    socket.create_connection(("1.1.1.1", 53), timeout=1)
+    print("online")
+except OSError:
+    print("offline")
+    `.trim(),
+    testCases: [{ input: '', expected_output: 'offline' }],
+    expectPassed: 1
+  },
+  {
+    name: 'Background processes die with the timeout',
+    languageName: 'javascript',
+    sourceCode: `
+const { spawn } = require('child_process');
+spawn('/bin/sh', ['-c', 'sleep 2; touch ${marker}'], { detached: true, stdio: 'ignore' }).unref();
+while (true) {}
+    `.trim(),
+    testCases: [{ input: '', expected_output: '' }],
+    timeLimitMs: 1500,
+    expectPassed: 0,
+    expectStatus: 5,
+    after: async () => {
+      await new Promise(done => setTimeout(done, 2500));
+      return !fs.existsSync(marker);
+    }
+  }
+];
+
+async function main() {
+  console.log('🔧 Testing local code runner...\n');
+
+  const sandboxProblem = getSandboxProblem();
+  if (sandboxProblem) {
+    fs.rmSync(markerDir, { recursive: true, force: true });
+    console.log(`⏭️  Skipped: ${sandboxProblem}`);
+    return;
+  }
+
+  let failures = 0;
+
+  for (const c of cases) {
+    try {
+      const result = await runTests({
+        sourceCode: c.sourceCode,
+        languageName: c.languageName,
+        testCases: c.testCases,
+        timeLimitMs: c.timeLimitMs || 3000,
+        memoryLimitMb: 128,
+        runner: 'local'
+      });
+
+      const statusOk = c.expectStatus === undefined || result.tests[0].status.id === c.expectStatus;
+      const afterOk = c.after ? await c.after() : true;
+      const ok = result.passedCount === c.expectPassed && statusOk && afterOk;
+      if (!ok) failures++;
+
+      console.log(`${ok ? '✅' : '❌'} ${c.name}: ${result.passedCount}/${result.totalCount} passed via ${result.runner}`);
+      result.tests.forEach(t => {
+        console.log(`   Test ${t.testNumber} [${t.status.description}] Expected="${t.expectedOutput}" Got="${t.actualOutput}"`);
+      });
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${c.name} threw:`, error.message);
+    }
+  }
+
+  fs.rmSync(markerDir, { recursive: true, force: true });
+  console.log(failures === 0 ? '\n🎉 Local runner test complete!' : `\n❌ ${failures} case(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,165 @@
+// backend/scripts/testNotificationDigest.js
+// Checks quiet hours, per-type channels and digest scheduling, then sends a digest through a
+// throwaway local SMTP server and checks what arrived: node scripts/testNotificationDigest.js
+
+require('dotenv').config();
+const net = require('net');
+
+// Minimal SMTP stand-in: accepts everything and keeps the DATA of each message
+const startSmtpServer = () => new Promise((resolve) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 localhost test SMTP\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          messages.push(buffer.slice(0, end));
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 OK: queued\r\n');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+});
+
+let failures = 0;
+
+const check = (name, condition, detail = '') => {
+  if (!condition) failures++;
+  console.log(`${condition ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+};
+
+async function main() {
+  const smtp = await startSmtpServer();
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.port);
+  process.env.SMTP_SECURE = 'false';
+  process.env.EMAIL_FROM = 'digest-test@techsync.local';
+  delete process.env.SMTP_USER;
+
+  const {
+    getChannel,
+    isQuietHours,
+    isDigestDue,
+    validatePreferences
+  } = require('../utils/notificationPreferences');
+  const { isDigestEmpty } = require('../utils/notificationDigest');
+  const emailService = require('../services/emailService');
+
+  try {
+    console.log('🔕 Quiet hours');
+    const overnight = { quiet_hours_start: '22:00', quiet_hours_end: '07:00', timezone: 'UTC' };
+    check('23:30 UTC is inside 22:00-07:00', isQuietHours(overnight, new Date('2026-03-02T23:30:00Z')));
+    check('06:59 UTC is inside 22:00-07:00', isQuietHours(overnight, new Date('2026-03-02T06:59:00Z')));
+    check('07:00 UTC is outside 22:00-07:00', !isQuietHours(overnight, new Date('2026-03-02T07:00:00Z')));
+    check('12:00 UTC is outside 22:00-07:00', !isQuietHours(overnight, new Date('2026-03-02T12:00:00Z')));
+
+    const tokyo = { quiet_hours_start: '22:00', quiet_hours_end: '07:00', timezone: 'Asia/Tokyo' };
+    check('14:00 UTC is 23:00 in Tokyo, so quiet', isQuietHours(tokyo, new Date('2026-03-02T14:00:00Z')));
+    check('No quiet hours set is never quiet', !isQuietHours({ timezone: 'UTC' }, new Date()));
+
+    console.log('\n📡 Channels');
+    check('Unset type defaults to in_app', getChannel({ channels: {} }, 'comment_mention') === 'in_app');
+    check('Configured type uses its channel', getChannel({ channels: { comment_mention: 'email' } }, 'comment_mention') === 'email');
+    check('Unknown channel falls back to in_app', getChannel({ channels: { comment_mention: 'pigeon' } }, 'comment_mention') === 'in_app');
+    check('Rejects unknown types', !validatePreferences({ channels: { nope: 'email' } }, ['comment_mention']).valid);
+    check('Rejects half-set quiet hours', !validatePreferences({ quiet_hours_start: '22:00' }, []).valid);
+    check('Rejects bad timezones', !validatePreferences({ timezone: 'Mars/Olympus' }, []).valid);
+    check('Accepts a full update', validatePreferences({
+      channels: { comment_mention: 'email', timeline_reaction: 'off' },
+      quiet_hours_start: '22:00',
+      quiet_hours_end: '07:00',
+      timezone: 'Europe/Berlin',
+      digest_frequency: 'weekly'
+    }, ['comment_mention', 'timeline_reaction']).valid);
+
+    console.log('\n🗓️  Digest schedule');
+    const now = new Date('2026-03-02T09:00:00Z');
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+    check('Off is never due', !isDigestDue({ digest_frequency: 'off' }, now));
+    check('Daily with no previous digest is due', isDigestDue({ digest_frequency: 'daily', timezone: 'UTC' }, now));
+    check('Daily sent 23.5h ago is due', isDigestDue({ digest_frequency: 'daily', timezone: 'UTC', last_digest_sent_at: hoursAgo(23.5) }, now));
+    check('Daily sent 12h ago is not due', !isDigestDue({ digest_frequency: 'daily', timezone: 'UTC', last_digest_sent_at: hoursAgo(12) }, now));
+    check('Weekly sent 3 days ago is not due', !isDigestDue({ digest_frequency: 'weekly', timezone: 'UTC', last_digest_sent_at: hoursAgo(72) }, now));
+    check('Due digest waits out quiet hours', !isDigestDue({
+      digest_frequency: 'daily',
+      timezone: 'UTC',
+      quiet_hours_start: '08:00',
+      quiet_hours_end: '10:00'
+    }, now));
+
+    console.log('\n📬 Digest email');
+    const digest = {
+      mentions: [{ title: 'Ana mentioned you in "API design"', detail: '@you can you review <this>?', url: '/project/p1/tasks/t1' }],
+      dueTasks: [
+        { title: 'Write migration', detail: 'Backend · due Mar 3', url: '/project/p1/tasks/t2' },
+        { title: 'Fix login', detail: 'Web · overdue since Feb 27', url: '/project/p2/tasks/t3' }
+      ],
+      pendingVotes: [],
+      friendRequests: [{ title: 'Sam Lee', detail: 'Sent Mar 1', url: '/friends' }]
+    };
+
+    check('Empty digest is detected', isDigestEmpty({ mentions: [], dueTasks: [], pendingVotes: [], friendRequests: [] }));
+    check('Non-empty digest is detected', !isDigestEmpty(digest));
+
+    const result = await emailService.sendDigestEmail('dev@techsync.local', {
+      username: 'Dev',
+      frequency: 'daily',
+      digest
+    });
+    check('Digest was accepted by SMTP', result.success);
+    check('SMTP server received one message', smtp.messages.length === 1, `${smtp.messages.length} received`);
+
+    const raw = (smtp.messages[0] || '').replace(/=\r\n/g, '');
+    check('Subject counts the items', raw.includes('Subject: Your daily TechSync digest: 4 items need you'));
+    check('Recipient is set', /^To: dev@techsync\.local/m.test(raw));
+    check('Mentions section is included', raw.includes('Unread mentions (1)'));
+    check('Due tasks section is included', raw.includes('Your tasks due soon (2)'));
+    check('Friend requests section is included', raw.includes('New friend requests (1)'));
+    check('Empty sections are left out', !raw.includes('Completion votes waiting for you'));
+    check('HTML escapes user content', raw.includes('&lt;this&gt;'));
+  } finally {
+    if (emailService.transporter) emailService.transporter.close();
+    smtp.server.close();
+  }
+
+  console.log(failures === 0 ? '\n🎉 Notification digest test complete!' : `\n❌ ${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,5 +1,7 @@
 // backend/server.js
 const { app, server } = require('./app');
+const { startDigestScheduler } = require('./utils/notificationDigest');
+const { startCompletionVoteScheduler } = require('./controllers/collaborativeProjectCompletion');
 
 const PORT = process.env.PORT || 5000;
 
@@ -17,4 +19,9 @@ server.listen(PORT, () => {
   console.log(`   🔗 Tasks: http://localhost:${PORT}/api/tasks`);
   console.log(`   🔗 GitHub: http://localhost:${PORT}/api/github`);
   console.log('🚀 =================================');
+
+  // Hourly check for daily/weekly notification email digests
+  startDigestScheduler();
+  // Hourly settling of completion votes whose deadline has passed
+  startCompletionVoteScheduler();
 });
\ No newline at end of file
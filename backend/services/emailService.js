@@ -1,5 +1,12 @@
 const nodemailer = require('nodemailer');
 
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 class EmailService {
     constructor() {
         this.transporter = null;
@@ -10,13 +17,23 @@ class EmailService {
         if (this.initialized) return;
 
         try {
-            this.transporter = nodemailer.createTransport({
-                service: 'gmail',
-                auth: {
-                    user: process.env.GMAIL_USER,
-                    pass: process.env.GMAIL_APP_PASSWORD
-                }
-            });
+            // SMTP_HOST points at any SMTP server instead (e.g. a local stand-in in development/tests)
+            this.transporter = process.env.SMTP_HOST
+                ? nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: Number(process.env.SMTP_PORT || 587),
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER
+                        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                        : undefined
+                })
+                : nodemailer.createTransport({
+                    service: 'gmail',
+                    auth: {
+                        user: process.env.GMAIL_USER,
+                        pass: process.env.GMAIL_APP_PASSWORD
+                    }
+                });
 
             // Verify connection
             await this.transporter.verify();
@@ -28,13 +45,17 @@ class EmailService {
         }
     }
 
+    getFromAddress() {
+        return `"TechSync Platform" <${process.env.EMAIL_FROM || process.env.GMAIL_USER}>`;
+    }
+
     async sendPasswordResetEmail(email, resetToken, username) {
         await this.initialize();
 
         const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
         
         const mailOptions = {
-            from: `"TechSync Platform" <${process.env.GMAIL_USER}>`,
+            from: this.getFromAddress(),
             to: email,
             subject: 'Password Reset Request - TechSync',
             html: `
@@ -193,7 +214,7 @@ class EmailService {
         await this.initialize();
 
         const mailOptions = {
-            from: `"TechSync Platform" <${process.env.GMAIL_USER}>`,
+            from: this.getFromAddress(),
             to: email,
             subject: '✅ Password Successfully Reset - TechSync',
             html: `
@@ -275,7 +296,7 @@ class EmailService {
         await this.initialize();
 
         const mailOptions = {
-            from: `"TechSync Platform" <${process.env.GMAIL_USER}>`,
+            from: this.getFromAddress(),
             to: email,
             subject: '🧪 Test Email - TechSync',
             html: `
@@ -293,6 +314,190 @@ class EmailService {
             throw error;
         }
     }
+
+    // ============== NOTIFICATION TEMPLATES ==============
+
+    // Shared frame for notification emails - same look as the password reset email
+    renderLayout({ title, subtitle, body, footerNote }) {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <style>
+                    body {
+                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                        line-height: 1.6;
+                        color: #333;
+                        background-color: #f5f5f5;
+                        padding: 20px;
+                    }
+                    .container {
+                        max-width: 600px;
+                        margin: 0 auto;
+                        background: white;
+                        border-radius: 12px;
+                        overflow: hidden;
+                        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+                    }
+                    .header {
+                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                        color: white;
+                        padding: 30px;
+                        text-align: center;
+                    }
+                    .content { padding: 30px; }
+                    .content p { margin-bottom: 15px; color: #555; font-size: 16px; }
+                    .section { margin-bottom: 24px; }
+                    .section h2 { font-size: 17px; color: #333; margin-bottom: 8px; }
+                    .item {
+                        padding: 10px 14px;
+                        border-left: 4px solid #667eea;
+                        background: #f8f9fa;
+                        border-radius: 6px;
+                        margin-bottom: 8px;
+                        font-size: 15px;
+                    }
+                    .item a { color: #4c51bf; text-decoration: none; font-weight: 600; }
+                    .muted { color: #888; font-size: 13px; }
+                    .button {
+                        display: inline-block;
+                        padding: 12px 28px;
+                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                        color: white !important;
+                        text-decoration: none;
+                        border-radius: 8px;
+                        font-weight: 600;
+                    }
+                    .footer {
+                        text-align: center;
+                        padding: 20px;
+                        background: #f8f9fa;
+                        color: #666;
+                        font-size: 13px;
+                        border-top: 1px solid #e9ecef;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>${escapeHtml(title)}</h1>
+                        ${subtitle ? `<p style="color: rgba(255,255,255,0.9); margin: 0;">${escapeHtml(subtitle)}</p>` : ''}
+                    </div>
+                    <div class="content">
+                        ${body}
+                    </div>
+                    <div class="footer">
+                        ${footerNote ? `<p>${footerNote}</p>` : ''}
+                        <p>© ${new Date().getFullYear()} TechSync. All rights reserved.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+
+    appUrl(path = '') {
+        return `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+    }
+
+    preferencesNote() {
+        return `You can change which emails you get in your <a href="${this.appUrl('/notifications')}">notification settings</a>.`;
+    }
+
+    /**
+     * One notification, for types the user has set to "email"
+     * @param {string} email
+     * @param {{ username: string, notification: { title: string, message?: string, target_url?: string } }} params
+     */
+    async sendNotificationEmail(email, { username, notification }) {
+        await this.initialize();
+
+        const link = this.appUrl(notification.target_url || '/notifications');
+        const body = `
+            <p>Hi <strong>${escapeHtml(username)}</strong>,</p>
+            <p>${escapeHtml(notification.title)}</p>
+            ${notification.message ? `<div class="item">${escapeHtml(notification.message)}</div>` : ''}
+            <p style="text-align: center; margin-top: 24px;"><a href="${link}" class="button">Open TechSync</a></p>
+        `;
+
+        const info = await this.transporter.sendMail({
+            from: this.getFromAddress(),
+            to: email,
+            subject: `${notification.title} - TechSync`,
+            text: `${notification.title}\n\n${notification.message || ''}\n\n${link}`,
+            html: this.renderLayout({ title: 'New notification', body, footerNote: this.preferencesNote() })
+        });
+
+        return { success: true, messageId: info.messageId };
+    }
+
+    /**
+     * Subject/HTML/text for a digest - split out so it can be checked without sending
+     * @param {{ username: string, frequency: 'daily'|'weekly', digest: Object }} params
+     *   digest: { mentions, dueTasks, pendingVotes, friendRequests } - arrays of { title, detail?, url }
+     */
+    renderDigestEmail({ username, frequency, digest }) {
+        const sections = [
+            ['Unread mentions', digest.mentions],
+            ['Your tasks due soon', digest.dueTasks],
+            ['Completion votes waiting for you', digest.pendingVotes],
+            ['New friend requests', digest.friendRequests]
+        ].filter(([, items]) => items && items.length > 0);
+
+        const total = sections.reduce((sum, [, items]) => sum + items.length, 0);
+        const period = frequency === 'weekly' ? 'weekly' : 'daily';
+        const subject = `Your ${period} TechSync digest: ${total} item${total === 1 ? '' : 's'} need${total === 1 ? 's' : ''} you`;
+
+        const sectionsHtml = sections.map(([heading, items]) => `
+            <div class="section">
+                <h2>${escapeHtml(heading)} (${items.length})</h2>
+                ${items.map(item => `
+                    <div class="item">
+                        <a href="${this.appUrl(item.url || '/notifications')}">${escapeHtml(item.title)}</a>
+                        ${item.detail ? `<div class="muted">${escapeHtml(item.detail)}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        const text = [
+            `Hi ${username},`,
+            '',
+            ...sections.flatMap(([heading, items]) => [
+                `${heading} (${items.length})`,
+                ...items.map(item => `- ${item.title}${item.detail ? ` (${item.detail})` : ''}: ${this.appUrl(item.url || '/notifications')}`),
+                ''
+            ])
+        ].join('\n');
+
+        const html = this.renderLayout({
+            title: `Your ${period} digest`,
+            subtitle: 'TechSync Platform',
+            body: `<p>Hi <strong>${escapeHtml(username)}</strong>, here's what's waiting for you:</p>${sectionsHtml}`,
+            footerNote: this.preferencesNote()
+        });
+
+        return { subject, html, text, total };
+    }
+
+    async sendDigestEmail(email, params) {
+        await this.initialize();
+
+        const { subject, html, text } = this.renderDigestEmail(params);
+        const info = await this.transporter.sendMail({
+            from: this.getFromAddress(),
+            to: email,
+            subject,
+            text,
+            html
+        });
+
+        console.log(`✅ ${params.frequency} digest sent to: ${email}`);
+        return { success: true, messageId: info.messageId };
+    }
 }
 
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
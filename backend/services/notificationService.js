@@ -0,0 +1,513 @@
+// backend/services/notificationService.js
+// Creates every in-app notification. Controllers describe what happened (type, who did it,
+// what it points at); this service renders the text and collapses repeats into groups.
+//
+// Table:
+//   notifications  id, user_id, project_id, notification_type, title, message, is_read, created_at,
+//                  actor_id     uuid NULL REFERENCES users(id) ON DELETE SET NULL
+//                  target_type  text NULL   -- 'task', 'project', 'post', 'friendship', 'award', ...
+//                  target_id    text NULL
+//                  target_url   text NULL   -- frontend route to open on click
+//                  group_key    text NULL   -- unread notifications sharing a key are merged
+//                  data         jsonb NOT NULL DEFAULT '{}'
+//                  read_at      timestamptz NULL
+//                  archived_at  timestamptz NULL
+//                  updated_at   timestamptz
+//
+// comment_notifications is no longer written to; comment mentions/replies live here too.
+// Each recipient's notification_preferences decide whether they get it at all, and whether
+// it is emailed too (see utils/notificationPreferences.js).
+//
+// Real-time: every change is pushed to the recipient's personal Socket.IO room (user_<id>,
+// joined by socketHandler on connect) so all of their tabs stay in step:
+//   notification_new           { notification }            created, or a group it was merged into
+//   notifications_updated      { ids, changes }            read/unread, archived/restored
+//   notification_deleted       { id }
+//   notification_unread_count  { unread_count, by_type, server_time }
+// A client that was offline asks for everything with updated_at >= its last cursor
+// (see getChangesSince / the sync_notifications socket event).
+
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+const {
+    getChannel,
+    isQuietHours,
+    getPreferencesForUsers,
+    normalizePreferences
+} = require('../utils/notificationPreferences');
+
+// Most recent actors remembered on a grouped notification
+const MAX_GROUP_ACTORS = 10;
+
+// Rows returned by a catch-up sync before the client should just refetch
+const MAX_SYNC_CHANGES = 100;
+
+const NOTIFICATION_SELECT = `
+    *,
+    actor:users!actor_id (
+        id,
+        username,
+        full_name,
+        avatar_url
+    ),
+    project:projects!project_id (
+        id,
+        title
+    )
+`;
+
+const truncate = (text, length = 120) => {
+    if (!text) return '';
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+};
+
+const others = (count) => (count === 1 ? '1 other' : `${count} others`);
+
+// Every notification type. `title` builds the headline from { actor, data }; `groupTitle`
+// replaces it once several notifications with the same group_key have been merged.
+const NOTIFICATION_TYPES = {
+    comment_mention: {
+        category: 'comments',
+        label: 'Mentions',
+        title: ({ actor, data }) => `${actor} mentioned you on "${data.task_title || 'a task'}"`
+    },
+    comment_reply: {
+        category: 'comments',
+        label: 'Comment replies',
+        title: ({ actor, data }) => `${actor} replied to your comment on "${data.task_title || 'a task'}"`
+    },
+    task_comment: {
+        category: 'comments',
+        label: 'Comments on your tasks',
+        title: ({ actor, data }) => `${actor} commented on "${data.task_title || 'your task'}"`,
+        groupTitle: ({ actor, count, data }) => `${actor} and ${others(count - 1)} commented on "${data.task_title || 'your task'}"`
+    },
+    chat_thread_reply: {
+        category: 'comments',
+        label: 'Thread replies',
+        title: ({ actor }) => `${actor} replied in a thread`,
+        groupTitle: ({ actor, count }) => `${actor} and ${others(count - 1)} replied in a thread`
+    },
+    friend_request: {
+        category: 'social',
+        label: 'Friend requests',
+        title: ({ actor }) => `${actor} sent you a friend request`
+    },
+    friend_accepted: {
+        category: 'social',
+        label: 'Accepted friend requests',
+        title: ({ actor }) => `${actor} accepted your friend request`
+    },
+    timeline_reaction: {
+        category: 'social',
+        label: 'Reactions',
+        title: ({ actor }) => `${actor} reacted to your post`,
+        groupTitle: ({ actor, count }) => `${actor} and ${others(count - 1)} reacted to your post`
+    },
+    join_challenge_passed: {
+        category: 'projects',
+        label: 'New members',
+        title: ({ actor, data }) => `${actor} passed the challenge and joined "${data.project_title || 'your project'}"`,
+        groupTitle: ({ count, data }) => `${count} new members joined "${data.project_title || 'your project'}"`
+    },
+    invite_joined: {
+        category: 'projects',
+        label: 'Joined via invite',
+        title: ({ actor, data }) => `${actor} joined "${data.project_title || 'your project'}" with an invite link`,
+        groupTitle: ({ count, data }) => `${count} people joined "${data.project_title || 'your project'}" with invite links`
+    },
+    open_join: {
+        category: 'projects',
+        label: 'Open joins',
+        title: ({ actor, data }) => `${actor} joined "${data.project_title || 'your project'}"`,
+        groupTitle: ({ count, data }) => `${count} people joined "${data.project_title || 'your project'}"`
+    },
+    join_request_received: {
+        category: 'projects',
+        label: 'Join requests',
+        title: ({ actor, data }) => `${actor} asked to join "${data.project_title || 'your project'}"`,
+        groupTitle: ({ count, data }) => `${count} people asked to join "${data.project_title || 'your project'}"`
+    },
+    join_request_decided: {
+        category: 'projects',
+        label: 'Join request decisions',
+        title: ({ data }) => data.status === 'accepted'
+            ? `You're in! Your request to join "${data.project_title || 'the project'}" was accepted`
+            : `Your request to join "${data.project_title || 'the project'}" was declined`
+    },
+    member_role_changed: {
+        category: 'projects',
+        label: 'Role changes',
+        title: ({ actor, data }) => `${actor} made you ${data.role} of "${data.project_title || 'a project'}"`
+    },
+    completion_vote: {
+        category: 'projects',
+        label: 'Completion votes',
+        title: ({ actor, data }) => `${actor} voted to ${data.vote === 'reject' ? 'keep working on' : 'complete'} "${data.project_title || 'the project'}"`,
+        groupTitle: ({ count, data }) => `${count} completion votes on "${data.project_title || 'the project'}"`
+    },
+    project_completed: {
+        category: 'projects',
+        label: 'Completed projects',
+        title: ({ data }) => `🎉 "${data.project_title || 'Your project'}" is complete!`
+    },
+    project_created: {
+        category: 'projects',
+        label: 'Created projects',
+        title: () => 'Project Created Successfully'
+    },
+    award_received: {
+        category: 'achievements',
+        label: 'Awards',
+        title: ({ data }) => `You earned ${data.award_title || 'an award'}`,
+        groupTitle: ({ count }) => `You earned ${count} new awards`
+    }
+};
+
+const NOTIFICATION_CATEGORIES = ['comments', 'social', 'projects', 'achievements'];
+
+class NotificationService {
+    constructor() {
+        this.types = NOTIFICATION_TYPES;
+        this.categories = NOTIFICATION_CATEGORIES;
+        this.notificationSelect = NOTIFICATION_SELECT;
+        this.io = null;
+    }
+
+    // Called once from app.js with the Socket.IO server
+    setSocketServer(io) {
+        this.io = io;
+    }
+
+    emitToUser(userId, event, payload) {
+        if (!this.io) return;
+        this.io.to(`user_${userId}`).emit(event, payload);
+    }
+
+    // Fields the client relies on that aren't columns
+    decorate(notification) {
+        return {
+            ...notification,
+            category: NOTIFICATION_TYPES[notification.notification_type]?.category || 'other',
+            group_count: notification.data?.count || 1
+        };
+    }
+
+    /**
+     * Unread, unarchived notifications - overall and per type
+     * @returns {Promise<{ unread_count: number, by_type: Object, server_time: string }>}
+     */
+    async getUnreadCounts(userId) {
+        const serverTime = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('notifications')
+            .select('notification_type')
+            .eq('user_id', userId)
+            .eq('is_read', false)
+            .is('archived_at', null);
+
+        if (error) throw error;
+
+        const byType = {};
+        (data || []).forEach(({ notification_type }) => {
+            byType[notification_type] = (byType[notification_type] || 0) + 1;
+        });
+
+        return { unread_count: (data || []).length, by_type: byType, server_time: serverTime };
+    }
+
+    async pushUnreadCounts(userId) {
+        if (!this.io) return;
+        try {
+            this.emitToUser(userId, 'notification_unread_count', await this.getUnreadCounts(userId));
+        } catch (error) {
+            console.error('Error pushing unread count:', error);
+        }
+    }
+
+    /**
+     * Tell every session of a user that some of their notifications changed state
+     * @param {string} userId
+     * @param {string[]} ids
+     * @param {Object} changes - the columns that were set (is_read, read_at, archived_at, updated_at)
+     */
+    async pushStateChange(userId, ids, changes) {
+        if (!this.io || ids.length === 0) return;
+        this.emitToUser(userId, 'notifications_updated', { ids, changes });
+        await this.pushUnreadCounts(userId);
+    }
+
+    async pushDeleted(userId, id) {
+        if (!this.io) return;
+        this.emitToUser(userId, 'notification_deleted', { id });
+        await this.pushUnreadCounts(userId);
+    }
+
+    /**
+     * Everything that changed for a user since a cursor (created, regrouped, read, archived).
+     * Deletions aren't tracked; `has_more` means the client should reload instead.
+     * @param {string} userId
+     * @param {string} since - ISO timestamp, normally the previous call's `cursor`
+     */
+    async getChangesSince(userId, since) {
+        const { data, error } = await supabase
+            .from('notifications')
+            .select(NOTIFICATION_SELECT)
+            .eq('user_id', userId)
+            .gte('updated_at', since)
+            .order('updated_at', { ascending: true })
+            .limit(MAX_SYNC_CHANGES + 1);
+
+        if (error) throw error;
+
+        const rows = (data || []).slice(0, MAX_SYNC_CHANGES);
+        const counts = await this.getUnreadCounts(userId);
+
+        return {
+            notifications: rows.map(row => this.decorate(row)),
+            // Same-timestamp rows are re-sent next time (gte); clients de-duplicate by id
+            cursor: rows.length > 0 ? rows[rows.length - 1].updated_at : since,
+            has_more: (data || []).length > MAX_SYNC_CHANGES,
+            ...counts
+        };
+    }
+
+    getTypesInCategory(category) {
+        return Object.keys(NOTIFICATION_TYPES).filter(type => NOTIFICATION_TYPES[type].category === category);
+    }
+
+    // Display name for the actor, looked up once per notify() call
+    async getActorName(actorId) {
+        if (!actorId) return 'Someone';
+
+        const { data: actor } = await supabase
+            .from('users')
+            .select('full_name, username')
+            .eq('id', actorId)
+            .maybeSingle();
+
+        return actor?.full_name || actor?.username || 'Someone';
+    }
+
+    /**
+     * Notify one or more users about something that happened.
+     * Never throws - a failed notification must not fail the action that caused it.
+     * @param {Object} params
+     * @param {string|string[]} params.userIds - recipients (the actor is always skipped)
+     * @param {string} params.type - key of NOTIFICATION_TYPES
+     * @param {string} [params.actorId] - who caused it
+     * @param {string} [params.projectId]
+     * @param {{ type: string, id: string, url?: string }} [params.target] - what it points at
+     * @param {string} [params.title] - overrides the type's title
+     * @param {string} [params.message] - body text
+     * @param {string} [params.groupKey] - merge into an unread notification with the same key
+     * @param {Object} [params.data] - type-specific details (task_title, role, vote, ...)
+     * @returns {Promise<number>} notifications created or updated
+     */
+    async notify({ userIds, type, actorId = null, projectId = null, target = null, title, message = '', groupKey = null, data = {} }) {
+        try {
+            const definition = NOTIFICATION_TYPES[type];
+            if (!definition) {
+                console.error('Unknown notification type:', type);
+                return 0;
+            }
+
+            const candidates = [...new Set([].concat(userIds || []))].filter(id => id && id !== actorId);
+            if (candidates.length === 0) return 0;
+
+            const preferences = await this.loadPreferences(candidates);
+            const recipients = candidates.filter(userId => getChannel(preferences.get(userId), type) !== 'off');
+            if (recipients.length === 0) return 0;
+
+            const actor = await this.getActorName(actorId);
+            const now = new Date().toISOString();
+            const row = {
+                project_id: projectId,
+                notification_type: type,
+                actor_id: actorId,
+                target_type: target?.type || null,
+                target_id: target?.id ? String(target.id) : null,
+                target_url: target?.url || null,
+                title: title || definition.title({ actor, data }),
+                message: truncate(message, 500),
+                data: { ...data, actor_name: actor },
+                is_read: false,
+                created_at: now,
+                updated_at: now
+            };
+
+            const pending = groupKey
+                ? await this.mergeIntoGroups(recipients, definition, row, groupKey, actor)
+                : recipients;
+
+            if (pending.length > 0) {
+                const { data: created, error } = await supabase
+                    .from('notifications')
+                    .insert(pending.map(userId => ({
+                        ...row,
+                        user_id: userId,
+                        group_key: groupKey,
+                        data: { ...row.data, count: 1, actor_ids: actorId ? [actorId] : [] }
+                    })))
+                    .select(NOTIFICATION_SELECT);
+
+                if (error) throw error;
+                (created || []).forEach(notification => this.pushNew(notification));
+            }
+
+            const emailRecipients = recipients.filter(userId => {
+                const userPreferences = preferences.get(userId);
+                return getChannel(userPreferences, type) === 'email' && !isQuietHours(userPreferences);
+            });
+            // Mail is slow - don't hold up the action that caused the notification
+            this.sendEmails(emailRecipients, row);
+
+            return recipients.length;
+        } catch (error) {
+            console.error(`Error creating ${type} notifications:`, error);
+            return 0;
+        }
+    }
+
+    // Recipients' preferences; if they can't be read, everyone gets the defaults (in-app)
+    async loadPreferences(userIds) {
+        try {
+            return await getPreferencesForUsers(userIds);
+        } catch (error) {
+            console.error('Error loading notification preferences:', error);
+            return new Map(userIds.map(userId => [userId, normalizePreferences(null)]));
+        }
+    }
+
+    async sendEmails(userIds, notification) {
+        if (userIds.length === 0) return;
+
+        try {
+            const { data: users, error } = await supabase
+                .from('users')
+                .select('id, email, username, full_name')
+                .in('id', userIds);
+
+            if (error) throw error;
+
+            await Promise.all((users || []).filter(user => user.email).map(user =>
+                emailService.sendNotificationEmail(user.email, {
+                    username: user.full_name || user.username,
+                    notification
+                }).catch(emailError => console.error(`Error emailing notification to ${user.id}:`, emailError.message))
+            ));
+        } catch (error) {
+            console.error('Error sending notification emails:', error);
+        }
+    }
+
+    // Push a created or regrouped notification, then the recipient's new unread count
+    pushNew(notification) {
+        if (!this.io) return;
+        this.emitToUser(notification.user_id, 'notification_new', { notification: this.decorate(notification) });
+        this.pushUnreadCounts(notification.user_id);
+    }
+
+    /**
+     * Fold a new event into each recipient's unread, unarchived notification with the same
+     * group_key, bumping its count and moving it back to the top.
+     * @returns {Promise<string[]>} recipients that had nothing to merge into
+     */
+    async mergeIntoGroups(recipients, definition, row, groupKey, actor) {
+        const { data: existing, error } = await supabase
+            .from('notifications')
+            .select('id, user_id, data')
+            .in('user_id', recipients)
+            .eq('group_key', groupKey)
+            .eq('is_read', false)
+            .is('archived_at', null);
+
+        if (error) throw error;
+
+        const groupByUser = new Map((existing || []).map(notification => [notification.user_id, notification]));
+
+        await Promise.all(Array.from(groupByUser.values()).map(async (notification) => {
+            const previous = notification.data || {};
+            const actorIds = [row.actor_id, ...(previous.actor_ids || []).filter(id => id !== row.actor_id)]
+                .filter(Boolean)
+                .slice(0, MAX_GROUP_ACTORS);
+            // A repeat by the same person (e.g. changing a reaction) doesn't grow the group
+            const isRepeat = row.actor_id && (previous.actor_ids || []).includes(row.actor_id);
+            const count = (previous.count || 1) + (isRepeat ? 0 : 1);
+            const data = { ...previous, ...row.data, count, actor_ids: actorIds };
+
+            const { data: merged, error: updateError } = await supabase
+                .from('notifications')
+                .update({
+                    actor_id: row.actor_id,
+                    title: count > 1 && definition.groupTitle
+                        ? definition.groupTitle({ actor, count, data })
+                        : row.title,
+                    message: row.message,
+                    data,
+                    created_at: row.created_at,
+                    updated_at: row.updated_at
+                })
+                .eq('id', notification.id)
+                .select(NOTIFICATION_SELECT)
+                .single();
+
+            if (updateError) throw updateError;
+            this.pushNew(merged);
+        }));
+
+        return recipients.filter(userId => !groupByUser.has(userId));
+    }
+
+    /**
+     * Tell a user about an award row they just received. Awards from the same project
+     * collapse into one notification.
+     */
+    async notifyAwardReceived(award) {
+        return this.notify({
+            userIds: award.user_id,
+            type: 'award_received',
+            projectId: award.project_id || null,
+            target: { type: 'award', id: award.id || award.award_type, url: '/profile' },
+            message: award.award_description,
+            groupKey: award.project_id ? `award_received:${award.project_id}` : null,
+            data: {
+                award_type: award.award_type,
+                award_title: award.award_title,
+                project_title: award.metadata?.project_title
+            }
+        });
+    }
+
+    /**
+     * Notify the owner and every active member of a project
+     * @param {string} projectId
+     * @param {Object} params - as for notify(), without userIds
+     */
+    async notifyProjectMembers(projectId, params) {
+        try {
+            const [{ data: members }, { data: project }] = await Promise.all([
+                supabase
+                    .from('project_members')
+                    .select('user_id')
+                    .eq('project_id', projectId)
+                    .eq('status', 'active'),
+                supabase
+                    .from('projects')
+                    .select('owner_id')
+                    .eq('id', projectId)
+                    .single()
+            ]);
+
+            const userIds = (members || []).map(member => member.user_id);
+            if (project) userIds.push(project.owner_id);
+
+            return this.notify({ ...params, projectId, userIds });
+        } catch (error) {
+            console.error('Error notifying project members:', error);
+            return 0;
+        }
+    }
+}
+
+module.exports = new NotificationService();
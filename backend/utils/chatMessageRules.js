@@ -0,0 +1,58 @@
+// backend/utils/chatMessageRules.js
+// Shared edit/delete rules for chat messages - used by both chatController (REST) and socketHandler
+
+// Minutes after sending during which the author may edit / delete. Both are opt-in:
+// unset or 0 means no limit, which is how REST edits and deletes have always behaved
+const EDIT_WINDOW_MINUTES = Number(process.env.CHAT_EDIT_WINDOW_MINUTES || 0);
+const DELETE_WINDOW_MINUTES = Number(process.env.CHAT_DELETE_WINDOW_MINUTES || 0);
+
+// Types people can send. 'system' is only written by utils/projectChat.postSystemMessage - the
+// rules below stop anyone editing or deleting those, so clients must not be able to forge one
+const USER_MESSAGE_TYPES = ['text', 'file', 'code'];
+
+const WINDOWS = {
+  edit: EDIT_WINDOW_MINUTES,
+  delete: DELETE_WINDOW_MINUTES
+};
+
+/**
+ * Check whether a user may edit or delete a message
+ * @param {Object} message - chat_messages row (needs user_id, created_at, message_type)
+ * @param {string} userId - Acting user
+ * @param {'edit'|'delete'} action
+ * @returns {{ allowed: boolean, status?: number, reason?: string }}
+ */
+const checkMessageMutation = (message, userId, action) => {
+  if (!message) {
+    return { allowed: false, status: 404, reason: 'Message not found' };
+  }
+
+  if (message.user_id !== userId) {
+    return { allowed: false, status: 403, reason: `You can only ${action} your own messages` };
+  }
+
+  if (message.message_type === 'system') {
+    return { allowed: false, status: 403, reason: `System messages cannot be ${action === 'edit' ? 'edited' : 'deleted'}` };
+  }
+
+  const windowMinutes = WINDOWS[action];
+  if (windowMinutes > 0 && message.created_at) {
+    const ageMs = Date.now() - new Date(message.created_at).getTime();
+    if (ageMs > windowMinutes * 60 * 1000) {
+      return {
+        allowed: false,
+        status: 403,
+        reason: `Messages can only be ${action === 'edit' ? 'edited' : 'deleted'} within ${windowMinutes} minutes of sending`
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  USER_MESSAGE_TYPES,
+  checkMessageMutation,
+  EDIT_WINDOW_MINUTES,
+  DELETE_WINDOW_MINUTES
+};
@@ -0,0 +1,126 @@
+// backend/utils/chatReadState.js
+// Per-user, per-room read cursors for project chat - used by chatController (REST) and socketHandler.
+//
+// Table chat_room_reads:
+//   user_id uuid, room_id uuid, last_read_message_id uuid null, last_read_at timestamptz, updated_at timestamptz
+//   UNIQUE (user_id, room_id)
+// A room without a cursor counts messages since the member joined the project, so existing
+// members don't see their whole history as unread the first time this ships.
+
+const supabase = require('../config/supabase');
+
+const READS_TABLE = 'chat_room_reads';
+
+/**
+ * Unread message counts for every (non-archived) room in a project
+ * @param {string} userId
+ * @param {string} projectId
+ * @returns {Promise<{ projectId: string, rooms: Object<string, {unreadCount: number, lastReadAt: string|null}>, total: number }>}
+ */
+const getUnreadCounts = async (userId, projectId) => {
+  const [{ data: membership }, { data: rooms, error: roomsError }] = await Promise.all([
+    supabase
+      .from('project_members')
+      .select('joined_at')
+      .eq('project_id', projectId)
+      .eq('user_id', userId)
+      .maybeSingle(),
+    supabase
+      .from('chat_rooms')
+      .select('id')
+      .eq('project_id', projectId)
+      .eq('is_archived', false)
+  ]);
+
+  if (roomsError) throw roomsError;
+
+  const roomIds = (rooms || []).map(room => room.id);
+  const result = { projectId, rooms: {}, total: 0 };
+  if (roomIds.length === 0) return result;
+
+  const { data: cursors, error: cursorError } = await supabase
+    .from(READS_TABLE)
+    .select('room_id, last_read_at')
+    .eq('user_id', userId)
+    .in('room_id', roomIds);
+
+  if (cursorError) throw cursorError;
+
+  const cursorByRoom = new Map((cursors || []).map(c => [c.room_id, c.last_read_at]));
+  const fallbackSince = membership?.joined_at || null;
+
+  const counts = await Promise.all(roomIds.map(async (roomId) => {
+    const since = cursorByRoom.get(roomId) || fallbackSince;
+    let query = supabase
+      .from('chat_messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('room_id', roomId)
+      .is('thread_id', null)
+      .neq('user_id', userId);
+    if (since) query = query.gt('created_at', since);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return { roomId, unreadCount: count || 0, lastReadAt: cursorByRoom.get(roomId) || null };
+  }));
+
+  counts.forEach(({ roomId, unreadCount, lastReadAt }) => {
+    result.rooms[roomId] = { unreadCount, lastReadAt };
+    result.total += unreadCount;
+  });
+
+  return result;
+};
+
+/**
+ * Move a user's read cursor forward in a room. Never moves it backwards, so a stale tab
+ * reporting an older message can't resurrect unread counts.
+ * @param {string} userId
+ * @param {string} roomId
+ * @param {string|null} [messageId] - Last message seen; defaults to "everything up to now"
+ * @returns {Promise<{ advanced: boolean, lastReadAt: string } | null>} null if the message isn't in the room
+ */
+const markRoomRead = async (userId, roomId, messageId = null) => {
+  let readAt = new Date().toISOString();
+
+  if (messageId) {
+    const { data: message } = await supabase
+      .from('chat_messages')
+      .select('id, created_at')
+      .eq('id', messageId)
+      .eq('room_id', roomId)
+      .maybeSingle();
+
+    if (!message) return null;
+    readAt = message.created_at;
+  }
+
+  const { data: existing } = await supabase
+    .from(READS_TABLE)
+    .select('last_read_at')
+    .eq('user_id', userId)
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (existing && new Date(existing.last_read_at) >= new Date(readAt)) {
+    return { advanced: false, lastReadAt: existing.last_read_at };
+  }
+
+  const { error } = await supabase
+    .from(READS_TABLE)
+    .upsert({
+      user_id: userId,
+      room_id: roomId,
+      last_read_message_id: messageId,
+      last_read_at: readAt,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,room_id' });
+
+  if (error) throw error;
+  return { advanced: true, lastReadAt: readAt };
+};
+
+module.exports = {
+  getUnreadCounts,
+  markRoomRead
+};
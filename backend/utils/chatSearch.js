@@ -0,0 +1,128 @@
+// backend/utils/chatSearch.js
+// Helpers for chat message search - term extraction and highlighted snippets.
+// Matching itself is done by Postgres full-text search (websearch syntax); these only decide what to highlight.
+
+const STOP_WORDS = new Set(['or', 'and', 'the', 'a', 'an', 'to', 'of', 'in']);
+const SNIPPET_RADIUS = 80;
+
+// Every hit costs two more queries for its surrounding messages, so both are kept small
+const MAX_SEARCH_LIMIT = 50;
+const MAX_SEARCH_CONTEXT = 5;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pull the positive terms out of a websearch-style query ("quoted phrase", -excluded, or)
+ * @param {string} query
+ * @returns {string[]} lowercased, de-duplicated terms
+ */
+const parseSearchTerms = (query) => {
+  const terms = [];
+  const tokens = String(query || '').match(/-?"[^"]*"|\S+/g) || [];
+
+  tokens.forEach((token) => {
+    if (token.startsWith('-')) return;
+    token
+      .replace(/"/g, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_]+/u)
+      .forEach((word) => {
+        if (word.length >= 2 && !STOP_WORDS.has(word) && !terms.includes(word)) {
+          terms.push(word);
+        }
+      });
+  });
+
+  return terms;
+};
+
+// Postgres stems "deciding" and "decided" to the same lexeme, so highlight on a rough stem too
+const stem = (term) => {
+  const stripped = term.replace(/(ing|ed|es|s)$/, '');
+  return stripped.length >= 3 ? stripped : term;
+};
+
+const buildTermRegex = (terms) => {
+  if (!terms.length) return null;
+  const alternatives = terms.map(term => escapeRegExp(stem(term))).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})[\\p{L}\\p{N}_]*`, 'giu');
+};
+
+/**
+ * Cut a window of text around the first matching term and split it into segments.
+ * Segments are returned instead of HTML so the client never has to trust markup.
+ * @param {string} content
+ * @param {string[]} terms
+ * @param {number} [radius] - Characters to keep before the first match
+ * @returns {{ text: string, highlight: boolean }[]}
+ */
+const buildSnippet = (content, terms, radius = SNIPPET_RADIUS) => {
+  const text = String(content || '');
+  const regex = buildTermRegex(terms);
+  const firstMatch = regex ? regex.exec(text) : null;
+
+  let start = 0;
+  let end = Math.min(text.length, radius * 3);
+  if (firstMatch) {
+    start = Math.max(0, firstMatch.index - radius);
+    end = Math.min(text.length, firstMatch.index + radius * 2);
+    // Don't start or end mid-word
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < firstMatch.index) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > firstMatch.index) end = space;
+    }
+  }
+
+  const window = text.slice(start, end);
+  const segments = [];
+  if (start > 0) segments.push({ text: '…', highlight: false });
+
+  let cursor = 0;
+  if (regex) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(window)) !== null) {
+      if (match.index > cursor) segments.push({ text: window.slice(cursor, match.index), highlight: false });
+      segments.push({ text: match[0], highlight: true });
+      cursor = match.index + match[0].length;
+    }
+  }
+  if (cursor < window.length) segments.push({ text: window.slice(cursor), highlight: false });
+
+  if (end < text.length) segments.push({ text: '…', highlight: false });
+  return segments;
+};
+
+const hasCodeBlock = (message) =>
+  message?.message_type === 'code' || /```/.test(message?.content || '');
+
+/**
+ * Page, page size and context size from query strings, defaulted when missing or not numbers
+ * and clamped to the limits above
+ * @returns {{ page: number, limit: number, context: number }}
+ */
+const parseSearchPaging = ({ page, limit, context }) => {
+  const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    page: Math.max(toInt(page, 1), 1),
+    limit: Math.min(Math.max(toInt(limit, 20), 1), MAX_SEARCH_LIMIT),
+    context: Math.min(Math.max(toInt(context, 2), 0), MAX_SEARCH_CONTEXT)
+  };
+};
+
+module.exports = {
+  MAX_SEARCH_LIMIT,
+  MAX_SEARCH_CONTEXT,
+  parseSearchTerms,
+  parseSearchPaging,
+  buildSnippet,
+  hasCodeBlock
+};
@@ -0,0 +1,132 @@
+// backend/utils/chatThreads.js
+// Threaded replies for project chat - shared by chatController (REST) and socketHandler.
+//
+// A thread reply is a chat_messages row with thread_id = id of the root message (same room).
+// Threads are one level deep: replying inside a thread always attaches to the root.
+// Thread replies are kept out of the main room stream and the room's unread counts.
+
+const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
+
+const MAX_SUMMARY_PARTICIPANTS = 3;
+
+/**
+ * Resolve the root message a new thread reply should attach to
+ * @param {string} messageId - Root message, or any reply inside the thread
+ * @param {string} roomId - Room the reply is being posted to
+ * @returns {Promise<Object|null>} root chat_messages row, or null if it isn't in this room
+ */
+const resolveThreadRoot = async (messageId, roomId) => {
+  const { data: message } = await supabase
+    .from('chat_messages')
+    .select('id, room_id, user_id, thread_id, message_type, content')
+    .eq('id', messageId)
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (!message) return null;
+  if (!message.thread_id) return message;
+
+  const { data: root } = await supabase
+    .from('chat_messages')
+    .select('id, room_id, user_id, thread_id, message_type, content')
+    .eq('id', message.thread_id)
+    .maybeSingle();
+
+  return root || null;
+};
+
+/**
+ * Reply counts, last reply time and a few participants for a set of root messages
+ * @param {string[]} rootIds
+ * @returns {Promise<Map<string, { reply_count: number, last_reply_at: string|null, participants: Object[] }>>}
+ */
+const getThreadSummaries = async (rootIds) => {
+  const summaries = new Map();
+  if (!rootIds || rootIds.length === 0) return summaries;
+
+  const { data: replies, error } = await supabase
+    .from('chat_messages')
+    .select(`
+      thread_id,
+      created_at,
+      user:users!user_id (
+        id,
+        username,
+        full_name,
+        avatar_url
+      )
+    `)
+    .in('thread_id', rootIds)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  (replies || []).forEach((reply) => {
+    const summary = summaries.get(reply.thread_id) || { reply_count: 0, last_reply_at: null, participants: [] };
+    summary.reply_count += 1;
+    summary.last_reply_at = reply.created_at;
+    if (reply.user
+      && summary.participants.length < MAX_SUMMARY_PARTICIPANTS
+      && !summary.participants.some(p => p.id === reply.user.id)) {
+      summary.participants.push(reply.user);
+    }
+    summaries.set(reply.thread_id, summary);
+  });
+
+  return summaries;
+};
+
+const getThreadSummary = async (rootId) => {
+  const summaries = await getThreadSummaries([rootId]);
+  return summaries.get(rootId) || { reply_count: 0, last_reply_at: null, participants: [] };
+};
+
+// Decorate root messages in place with thread_reply_count / thread_last_reply_at / thread_participants
+const attachThreadSummaries = async (messages) => {
+  const summaries = await getThreadSummaries((messages || []).map(m => m.id));
+  (messages || []).forEach((message) => {
+    const summary = summaries.get(message.id);
+    message.thread_reply_count = summary?.reply_count || 0;
+    message.thread_last_reply_at = summary?.last_reply_at || null;
+    message.thread_participants = summary?.participants || [];
+  });
+  return messages;
+};
+
+/**
+ * Notify everyone involved in a thread (root author + earlier repliers) about a new reply.
+ * Never throws - a failed notification must not fail the reply itself.
+ */
+const notifyThreadParticipants = async ({ root, reply, projectId }) => {
+  try {
+    const { data: earlierReplies } = await supabase
+      .from('chat_messages')
+      .select('user_id')
+      .eq('thread_id', root.id);
+
+    const recipients = new Set([root.user_id, ...(earlierReplies || []).map(r => r.user_id)]);
+    recipients.delete(reply.user_id);
+    if (recipients.size === 0) return;
+
+    await notificationService.notify({
+      userIds: Array.from(recipients),
+      type: 'chat_thread_reply',
+      actorId: reply.user_id,
+      projectId,
+      target: { type: 'chat_thread', id: root.id, url: `/project/${projectId}/chats` },
+      message: reply.content,
+      groupKey: `chat_thread_reply:${root.id}`,
+      data: { thread_id: root.id, room_id: root.room_id, message_id: reply.id }
+    });
+  } catch (error) {
+    console.error('Error notifying thread participants:', error);
+  }
+};
+
+module.exports = {
+  resolveThreadRoot,
+  getThreadSummary,
+  attachThreadSummaries,
+  notifyThreadParticipants
+};
@@ -1,15 +1,20 @@
 // backend/utils/codeEvaluator.js
 // Forgiving checker: don't send expected_output to Judge0; compare JSON/text in backend.
 // Provides detailed per-test diffs for UI.
+// Execution backend is pluggable: Judge0 (remote) or the local child-process runner (CODE_RUNNER env).
 
 const axios = require('axios');
 const { resolveLanguageId } = require('./judge0Languages');
+const localRunner = require('./localCodeRunner');
 
 const JUDGE0_URL = process.env.JUDGE0_URL || 'https://judge0-ce.p.rapidapi.com';
 const JUDGE0_KEY = process.env.JUDGE0_KEY || process.env.RAPIDAPI_KEY || null;
 const JUDGE0_HOST = process.env.JUDGE0_HOST || 'judge0-ce.p.rapidapi.com';
 const JSON_NUM_TOLERANCE = Number(process.env.JUDGE0_JSON_TOLERANCE || '0'); // e.g. 0.000001
 const DEBUG = process.env.JUDGE0_DEBUG === '1';
+// 'judge0' | 'local'. The local runner executes submissions on this server (sandboxed, see
+// utils/localCodeRunner.js), so it is only ever used when asked for by name.
+const CODE_RUNNER = (process.env.CODE_RUNNER || 'judge0').toLowerCase();
 
 function log(...args) { if (DEBUG) console.log('[Judge0]', ...args); }
 
@@ -229,7 +234,53 @@ async function getExecutionResult(token) {
   }
 }
 
-async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs = 5000, memoryLimitMb = 256 }) {
+// -------- execution backends --------
+// Every backend exposes prepare(languageName) -> context and execute({ ...context, sourceCode, stdin, ... }),
+// and execute resolves to the normalized Judge0 result shape returned by getExecutionResult.
+const judge0Backend = {
+  name: 'judge0',
+  supports: () => true,
+  async prepare(languageName) {
+    const languageId = await resolveLanguageId(languageName);
+    if (!languageId) throw new Error(`Unsupported language: ${languageName}`);
+    return { languageId, languageName };
+  },
+  async execute({ sourceCode, languageId, stdin, timeLimitMs, memoryLimitMb }) {
+    const token = await submitExecution({ sourceCode, languageId, stdin, timeLimitMs, memoryLimitMb });
+    return getExecutionResult(token);
+  }
+};
+
+const localBackend = {
+  name: 'local',
+  supports: (languageName) => localRunner.supportsLanguage(languageName),
+  async prepare(languageName) {
+    if (!localRunner.supportsLanguage(languageName)) {
+      throw new Error(`Unsupported language for local runner: ${languageName}`);
+    }
+    return { languageId: null, languageName };
+  },
+  execute({ sourceCode, languageName, stdin, timeLimitMs, memoryLimitMb }) {
+    return localRunner.executeLocally({ sourceCode, languageName, stdin, timeLimitMs, memoryLimitMb });
+  }
+};
+
+const BACKENDS = { judge0: judge0Backend, local: localBackend };
+
+function isJudge0Configured() {
+  return Boolean(JUDGE0_KEY || process.env.JUDGE0_URL);
+}
+
+function selectBackend(languageName, preferred = CODE_RUNNER) {
+  // Anything but an explicit 'local' (including the old 'auto') means Judge0
+  const backend = BACKENDS[preferred] || judge0Backend;
+  if (backend === judge0Backend && !isJudge0Configured()) {
+    log('Judge0 is not configured; set JUDGE0_URL/JUDGE0_KEY, or CODE_RUNNER=local');
+  }
+  return backend;
+}
+
+async function executeTestCase({ sourceCode, languageId, languageName = null, testCase, timeLimitMs = 5000, memoryLimitMb = 256, backend = judge0Backend }) {
   try {
     const start = Date.now();
 
@@ -238,11 +289,10 @@ async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs =
       testCase.expected_output || testCase.output || testCase.expectedOutput || testCase.expected || ''
     );
 
-    const token = await submitExecution({ sourceCode, languageId, stdin: input, timeLimitMs, memoryLimitMb });
-    const res = await getExecutionResult(token);
+    const res = await backend.execute({ sourceCode, languageId, languageName, stdin: input, timeLimitMs, memoryLimitMb });
     const end = Date.now();
 
-    const errorStatusIds = new Set([5,6,7,8,9,10,11,12]); // TLE, CE, RE, etc.
+    const errorStatusIds = new Set([5,6,7,8,9,10,11,12,13,14]); // TLE, CE, RE, internal, etc.
     const actualTrim = (res.stdout || '').trim();
     let passed = false;
     let diffPayload = null;
@@ -322,6 +372,58 @@ function parseTestCases(testCasesData) {
   }
 }
 
+// Per-test metadata: hidden tests are executed but never shown to learners; weight drives the score.
+function testCaseWeight(testCase) {
+  const w = Number(testCase?.weight);
+  return Number.isFinite(w) && w > 0 ? w : 1;
+}
+
+function isHiddenTestCase(testCase) {
+  return testCase?.hidden === true || testCase?.hidden === 'true';
+}
+
+// Coerce author-supplied attributes before saving; throws on an unusable weight
+function normalizeTestCaseAttributes(testCasesData) {
+  return parseTestCases(testCasesData).map((tc, i) => {
+    const hasWeight = tc.weight !== undefined && tc.weight !== null && tc.weight !== '';
+    if (hasWeight && !(Number(tc.weight) > 0)) {
+      throw new Error(`Test case ${i + 1}: weight must be a positive number`);
+    }
+    return {
+      ...tc,
+      hidden: isHiddenTestCase(tc),
+      weight: testCaseWeight(tc),
+      explanation: tc.explanation ? String(tc.explanation) : ''
+    };
+  });
+}
+
+// Challenge payload for learners: hidden cases keep only their weight/explanation
+function redactTestCases(testCasesData) {
+  return parseTestCases(testCasesData).map(tc => (
+    isHiddenTestCase(tc)
+      ? { hidden: true, weight: testCaseWeight(tc), explanation: tc.explanation || null }
+      : { ...tc, hidden: false, weight: testCaseWeight(tc) }
+  ));
+}
+
+// Submission payload for learners: hidden results report pass/fail and status only
+function redactTestResults(tests = []) {
+  return tests.map(t => {
+    if (!t.hidden) return t;
+    return {
+      testNumber: t.testNumber,
+      hidden: true,
+      weight: t.weight,
+      explanation: t.explanation,
+      passed: t.passed,
+      status: t.status,
+      executionTime: t.executionTime,
+      memoryUsage: t.memoryUsage
+    };
+  });
+}
+
 async function getExpectedSolution(challengeId) {
   try {
     if (!challengeId) return null;
@@ -340,10 +442,10 @@ async function getExpectedSolution(challengeId) {
 }
 
 // -------- main runner --------
-async function runTests({ sourceCode, languageName, testCases, challengeId = null, timeLimitMs = 5000, memoryLimitMb = 256 }) {
-  log('Running tests for', languageName);
-  const languageId = await resolveLanguageId(languageName);
-  if (!languageId) throw new Error(`Unsupported language: ${languageName}`);
+async function runTests({ sourceCode, languageName, testCases, challengeId = null, timeLimitMs = 5000, memoryLimitMb = 256, runner = CODE_RUNNER }) {
+  const backend = selectBackend(languageName, runner);
+  log('Running tests for', languageName, 'via', backend.name);
+  const { languageId } = await backend.prepare(languageName);
 
   let finalTestCases = parseTestCases(testCases);
   if (challengeId && (!finalTestCases || finalTestCases.length === 0)) {
@@ -358,30 +460,62 @@ async function runTests({ sourceCode, languageName, testCases, challengeId = nul
   let totalTime = 0;
   let peakMem = 0;
   let passedCount = 0;
+  let earnedWeight = 0;
+  let totalWeight = 0;
+  let hiddenCount = 0;
+  let hiddenPassedCount = 0;
 
   const perTest = Math.max(1500, Math.min(10000, Math.floor(timeLimitMs)));
 
   for (let i = 0; i < finalTestCases.length; i++) {
-    const r = await executeTestCase({ sourceCode, languageId, testCase: finalTestCases[i], timeLimitMs: perTest, memoryLimitMb });
-    results.push({ testNumber: i + 1, ...r });
+    const r = await executeTestCase({ sourceCode, languageId, languageName, testCase: finalTestCases[i], timeLimitMs: perTest, memoryLimitMb, backend });
+    const tc = finalTestCases[i];
+    const hidden = isHiddenTestCase(tc);
+    const weight = testCaseWeight(tc);
+    results.push({ testNumber: i + 1, hidden, weight, explanation: tc.explanation || null, ...r });
     totalTime += r.executionTime;
     peakMem = Math.max(peakMem, r.memoryUsage || 0);
-    if (r.passed) passedCount += 1;
+    totalWeight += weight;
+    if (hidden) hiddenCount += 1;
+    if (r.passed) {
+      passedCount += 1;
+      earnedWeight += weight;
+      if (hidden) hiddenPassedCount += 1;
+    }
   }
 
   return {
     passedCount,
     totalCount: finalTestCases.length,
+    hiddenCount,
+    hiddenPassedCount,
+    earnedWeight,
+    totalWeight,
     totalTimeMs: totalTime,
     peakMemoryKb: peakMem,
     tests: results,
     language: languageName,
     languageId,
+    runner: backend.name,
     allPassed: passedCount === finalTestCases.length,
     challengeId
   };
 }
 
+// Run a submission against a challenge's test cases and turn the run into a 0-100 score
+// weighted by each test's `weight`. Returns null when there is nothing to execute so callers can fall back to static evaluation.
+async function gradeSubmission({ sourceCode, languageName, testCases, challengeId = null, timeLimitMs = 5000, memoryLimitMb = 256 }) {
+  if (parseTestCases(testCases).length === 0 && !challengeId) return null;
+
+  const run = await runTests({ sourceCode, languageName, testCases, challengeId, timeLimitMs, memoryLimitMb });
+  // A runner outage must not be graded as a wrong answer
+  const infraFailure = run.tests.every(t => t.status?.id === -1 || t.status?.id === 13);
+  if (infraFailure) throw new Error(`Code runner unavailable (${run.runner}): ${run.tests[0]?.stderr || 'unknown error'}`);
+
+  const score = run.totalWeight > 0 ? Math.round((run.earnedWeight / run.totalWeight) * 100) : 0;
+  return { ...run, score };
+}
+
 async function testJudge0Connection() {
   try {
     const resp = await axios.get(`${JUDGE0_URL}/languages`, { headers: getHeaders(), timeout: 10000 });
@@ -393,10 +527,16 @@ async function testJudge0Connection() {
 
 module.exports = {
   runTests,
+  gradeSubmission,
   executeTestCase,
+  selectBackend,
+  compareOutputs,
   submitExecution,
   getExecutionResult,
   testJudge0Connection,
   parseTestCases,
+  normalizeTestCaseAttributes,
+  redactTestCases,
+  redactTestResults,
   getExpectedSolution
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+// backend/utils/completionVoting.js
+// When a team vote completes a collaborative project.
+//
+// Columns:
+//   projects.completion_vote_policy       text NOT NULL DEFAULT 'three_fifths'
+//     'three_fifths'   at least 60% of the counted voters approve - the rule from before policies
+//                      could be chosen, so existing projects keep voting the way they did
+//     'majority'       more than half of the counted voters approve
+//     'supermajority'  at least two thirds of the counted voters approve
+//     'unanimous'      every counted voter approves - a single reject is a veto
+//     'owner_plus_n'   the owner approves plus N other voters - the owner's reject is a veto
+//   projects.completion_vote_owner_plus_n  integer NOT NULL DEFAULT 1   -- N for 'owner_plus_n'
+//   projects.completion_vote_deadline      timestamptz NULL
+//     Voting closes at the deadline. From then on anyone who hasn't voted counts as abstaining,
+//     so the quorum is worked out from the votes actually cast.
+//   projects.completion_vote_closed_at     timestamptz NULL
+//     Set once the scheduled sweep has settled a vote whose deadline passed, so it's only
+//     evaluated once; cleared whenever a new deadline is set.
+//   project_completion_votes.reason        text NULL   -- required for 'reject' votes
+//
+// Who may vote at all is decided by the controller (owner plus team members with project.vote);
+// this module only turns a set of eligible voters and their votes into a result.
+
+const VOTE_POLICIES = ['three_fifths', 'majority', 'supermajority', 'unanimous', 'owner_plus_n'];
+const DEFAULT_VOTE_POLICY = 'three_fifths';
+const DEFAULT_OWNER_PLUS_N = 1;
+const MAX_OWNER_PLUS_N = 49;
+const SUPERMAJORITY_SHARE = 2 / 3;
+const MAX_REJECT_REASON_LENGTH = 1000;
+
+/**
+ * The project's voting rules, with defaults filled in
+ * @param {Object} project - projects row
+ * @returns {{ policy: string, ownerPlusN: number, deadline: string|null }}
+ */
+const getVotePolicy = (project) => {
+  const ownerPlusN = Number(project?.completion_vote_owner_plus_n);
+  return {
+    policy: VOTE_POLICIES.includes(project?.completion_vote_policy)
+      ? project.completion_vote_policy
+      : DEFAULT_VOTE_POLICY,
+    ownerPlusN: Number.isInteger(ownerPlusN) && ownerPlusN >= 0 ? ownerPlusN : DEFAULT_OWNER_PLUS_N,
+    deadline: project?.completion_vote_deadline || null
+  };
+};
+
+const isDeadlinePassed = (deadline, now = new Date()) =>
+  Boolean(deadline) && new Date(deadline).getTime() <= now.getTime();
+
+/**
+ * Approvals needed out of `counted` voters for the share-based policies
+ */
+const getShareQuorum = (policy, counted) => {
+  if (policy === 'majority') return Math.floor(counted / 2) + 1;
+  if (policy === 'unanimous') return Math.max(counted, 1);
+  if (policy === 'three_fifths') return Math.max(Math.ceil((counted * 3) / 5), 1);
+  return Math.max(Math.ceil(counted * SUPERMAJORITY_SHARE), 1);
+};
+
+/**
+ * Work out where a completion vote stands
+ * @param {Object} params
+ * @param {Object} params.project - needs owner_id and the completion_vote_* columns
+ * @param {Set<string>} params.voterIds - everyone who may vote (owner included)
+ * @param {Object[]} params.votes - { user_id, vote } rows; votes from non-voters are ignored
+ * @param {Date} [params.now]
+ * @returns {Object} quorum progress - see the returned fields
+ */
+const evaluateCompletionVote = ({ project, voterIds, votes, now = new Date() }) => {
+  const { policy, ownerPlusN, deadline } = getVotePolicy(project);
+  const deadlinePassed = isDeadlinePassed(deadline, now);
+
+  const counted = (votes || []).filter(v => voterIds.has(v.user_id));
+  const approvals = counted.filter(v => v.vote === 'approve');
+  const rejections = counted.filter(v => v.vote === 'reject');
+  const missing = voterIds.size - counted.length;
+
+  // Before the deadline everyone is expected to vote; after it the silent ones abstain
+  const pending = deadlinePassed ? 0 : missing;
+  const abstentions = deadlinePassed ? missing : 0;
+  const electorate = counted.length + pending;
+
+  let votesNeeded;
+  let progressVotes;
+  let passed;
+  let canStillPass;
+  let ownerVote = null;
+
+  if (policy === 'owner_plus_n') {
+    ownerVote = counted.find(v => v.user_id === project.owner_id)?.vote || null;
+    const otherApprovals = approvals.filter(v => v.user_id !== project.owner_id).length;
+    const otherElectorate = electorate - (voterIds.has(project.owner_id) ? 1 : 0);
+    // Never ask for more co-signers than there are people left to sign, so a small team or
+    // a deadline that leaves few voters doesn't make completion impossible
+    const othersNeeded = Math.min(ownerPlusN, otherElectorate);
+    const otherPending = pending - (ownerVote === null && !deadlinePassed ? 1 : 0);
+
+    votesNeeded = othersNeeded + 1;
+    progressVotes = (ownerVote === 'approve' ? 1 : 0) + Math.min(otherApprovals, othersNeeded);
+    passed = ownerVote === 'approve' && otherApprovals >= othersNeeded;
+    canStillPass = ownerVote !== 'reject'
+      && (ownerVote === 'approve' || !deadlinePassed)
+      && otherApprovals + otherPending >= othersNeeded;
+  } else {
+    votesNeeded = getShareQuorum(policy, electorate);
+    progressVotes = Math.min(approvals.length, votesNeeded);
+    passed = electorate > 0 && approvals.length >= votesNeeded;
+    canStillPass = electorate > 0 && approvals.length + pending >= votesNeeded;
+  }
+
+  return {
+    policy,
+    owner_plus_n: policy === 'owner_plus_n' ? ownerPlusN : null,
+    owner_vote: policy === 'owner_plus_n' ? ownerVote : null,
+    deadline,
+    deadline_passed: deadlinePassed,
+    voting_open: !deadlinePassed,
+    eligible_voters: voterIds.size,
+    counted_voters: electorate,
+    total_votes: counted.length,
+    votes_for: approvals.length,
+    votes_against: rejections.length,
+    pending,
+    abstentions,
+    votes_needed: votesNeeded,
+    votes_remaining: Math.max(votesNeeded - progressVotes, 0),
+    progress_percentage: Math.floor((progressVotes / votesNeeded) * 100),
+    passed,
+    can_still_pass: passed || canStillPass
+  };
+};
+
+/**
+ * Validate a policy update from the owner
+ * @param {Object} body - { policy?, owner_plus_n?, deadline? } (deadline null clears it)
+ * @returns {{ update?: Object, error?: string }} columns to write, or why not
+ */
+const buildPolicyUpdate = (body) => {
+  const update = {};
+
+  if (body.policy !== undefined) {
+    if (!VOTE_POLICIES.includes(body.policy)) {
+      return { error: `Policy must be one of: ${VOTE_POLICIES.join(', ')}` };
+    }
+    update.completion_vote_policy = body.policy;
+  }
+
+  if (body.owner_plus_n !== undefined) {
+    const n = Number(body.owner_plus_n);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_OWNER_PLUS_N) {
+      return { error: `owner_plus_n must be a whole number between 0 and ${MAX_OWNER_PLUS_N}` };
+    }
+    update.completion_vote_owner_plus_n = n;
+  }
+
+  if (body.deadline !== undefined) {
+    // A new deadline (or none) reopens a vote the sweep already settled
+    update.completion_vote_closed_at = null;
+    if (body.deadline === null || body.deadline === '') {
+      update.completion_vote_deadline = null;
+    } else {
+      const deadline = new Date(body.deadline);
+      if (Number.isNaN(deadline.getTime())) {
+        return { error: 'Deadline must be a valid date' };
+      }
+      if (deadline.getTime() <= Date.now()) {
+        return { error: 'Deadline must be in the future' };
+      }
+      update.completion_vote_deadline = deadline.toISOString();
+    }
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+
+  return { update };
+};
+
+module.exports = {
+  VOTE_POLICIES,
+  DEFAULT_VOTE_POLICY,
+  MAX_OWNER_PLUS_N,
+  MAX_REJECT_REASON_LENGTH,
+  getVotePolicy,
+  isDeadlinePassed,
+  evaluateCompletionVote,
+  buildPolicyUpdate
+};
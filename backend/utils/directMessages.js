@@ -0,0 +1,219 @@
+// backend/utils/directMessages.js
+// Direct messages between friends - shared by directMessageController (REST) and socketHandler.
+//
+// Tables:
+//   direct_conversations        id, is_group, name, created_by, created_at, updated_at, last_message_at
+//   direct_conversation_members conversation_id, user_id, joined_at, last_read_at   UNIQUE (conversation_id, user_id)
+//   direct_messages             id, conversation_id, user_id, content, created_at, updated_at
+//
+// Friendship is re-checked on every send: once two people are no longer accepted friends
+// they can still read their history but can't post to a conversation containing the other.
+// Groups are therefore only created between people who are all friends with each other.
+//
+// Sends are rate limited per user here, so the REST fallback and the dm_send socket event
+// share one quota.
+
+const supabase = require('../config/supabase');
+
+const MAX_GROUP_SIZE = Number(process.env.DM_MAX_GROUP_SIZE || 8); // including the creator
+const MAX_DM_LENGTH = 2000;
+const DM_RATE_LIMIT = 10; // messages per minute per user
+
+// userId -> send timestamps within the last minute
+const sendTimestamps = new Map();
+
+const DM_MESSAGE_SELECT = `
+  *,
+  user:users!user_id (
+    id,
+    username,
+    full_name,
+    avatar_url
+  )
+`;
+
+/**
+ * Ids of everyone the user has an accepted friendship with
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+const getAcceptedFriendIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_friendships')
+    .select('requester_id, addressee_id')
+    .eq('status', 'accepted')
+    .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`);
+
+  if (error) throw error;
+  return new Set((data || []).map(f => (f.requester_id === userId ? f.addressee_id : f.requester_id)));
+};
+
+/**
+ * Pairs of these users who aren't accepted friends with each other
+ * @param {string[]} userIds
+ * @returns {Promise<Array<[string, string]>>}
+ */
+const findStrangerPairs = async (userIds) => {
+  const ids = [...new Set(userIds)];
+  const { data, error } = await supabase
+    .from('user_friendships')
+    .select('requester_id, addressee_id')
+    .eq('status', 'accepted')
+    .in('requester_id', ids)
+    .in('addressee_id', ids);
+
+  if (error) throw error;
+
+  const friends = new Set((data || []).flatMap(f => [
+    `${f.requester_id}|${f.addressee_id}`,
+    `${f.addressee_id}|${f.requester_id}`
+  ]));
+
+  const strangers = [];
+  ids.forEach((a, i) => {
+    ids.slice(i + 1).forEach((b) => {
+      if (!friends.has(`${a}|${b}`)) strangers.push([a, b]);
+    });
+  });
+  return strangers;
+};
+
+/**
+ * Count a send against the user's quota; false when it's used up
+ */
+const consumeSendQuota = (userId) => {
+  const oneMinuteAgo = Date.now() - 60000;
+  const recent = (sendTimestamps.get(userId) || []).filter(time => time > oneMinuteAgo);
+
+  if (recent.length >= DM_RATE_LIMIT) {
+    sendTimestamps.set(userId, recent);
+    return false;
+  }
+
+  recent.push(Date.now());
+  sendTimestamps.set(userId, recent);
+  return true;
+};
+
+/**
+ * Load a conversation for one of its members
+ * @returns {Promise<{ conversation?: Object, memberIds?: string[], status?: number, reason?: string }>}
+ */
+const getConversationForMember = async (conversationId, userId) => {
+  const [{ data: conversation }, { data: members, error: membersError }] = await Promise.all([
+    supabase
+      .from('direct_conversations')
+      .select('*')
+      .eq('id', conversationId)
+      .maybeSingle(),
+    supabase
+      .from('direct_conversation_members')
+      .select('user_id')
+      .eq('conversation_id', conversationId)
+  ]);
+
+  if (membersError) throw membersError;
+
+  const memberIds = (members || []).map(m => m.user_id);
+  // Same answer for "doesn't exist" and "not yours" so ids can't be probed
+  if (!conversation || !memberIds.includes(userId)) {
+    return { status: 404, reason: 'Conversation not found' };
+  }
+
+  return { conversation, memberIds };
+};
+
+/**
+ * Can this member post to the conversation right now?
+ * @returns {Promise<{ allowed: boolean, status?: number, reason?: string, conversation?: Object, memberIds?: string[] }>}
+ */
+const checkCanMessage = async (conversationId, userId) => {
+  const access = await getConversationForMember(conversationId, userId);
+  if (!access.conversation) return { allowed: false, ...access };
+
+  const friendIds = await getAcceptedFriendIds(userId);
+  const strangers = access.memberIds.filter(id => id !== userId && !friendIds.has(id));
+
+  if (strangers.length > 0) {
+    return {
+      allowed: false,
+      status: 403,
+      reason: access.conversation.is_group
+        ? 'You are no longer friends with everyone in this conversation'
+        : 'You can only message people you are friends with',
+      ...access
+    };
+  }
+
+  return { allowed: true, ...access };
+};
+
+/**
+ * Validate and store a direct message
+ * @returns {Promise<{ message?: Object, memberIds?: string[], status?: number, reason?: string }>}
+ */
+const postDirectMessage = async ({ conversationId, userId, content }) => {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return { status: 400, reason: 'Message content cannot be empty' };
+  }
+
+  const permission = await checkCanMessage(conversationId, userId);
+  if (!permission.allowed) {
+    return { status: permission.status, reason: permission.reason };
+  }
+
+  if (!consumeSendQuota(userId)) {
+    return { status: 429, reason: 'Message rate limit exceeded' };
+  }
+
+  const now = new Date().toISOString();
+  const { data: message, error } = await supabase
+    .from('direct_messages')
+    .insert({
+      conversation_id: conversationId,
+      user_id: userId,
+      content: content.trim().slice(0, MAX_DM_LENGTH)
+    })
+    .select(DM_MESSAGE_SELECT)
+    .single();
+
+  if (error) throw error;
+
+  // Sending implies having read everything before it
+  await Promise.all([
+    supabase
+      .from('direct_conversations')
+      .update({ last_message_at: message.created_at || now, updated_at: now })
+      .eq('id', conversationId),
+    supabase
+      .from('direct_conversation_members')
+      .update({ last_read_at: message.created_at || now })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+  ]);
+
+  return { message, memberIds: permission.memberIds };
+};
+
+// Push a new message to every member's open sessions (socketHandler joins each socket to user_<id>)
+const broadcastDirectMessage = (io, memberIds, message) => {
+  if (!io) return;
+  memberIds.forEach((memberId) => {
+    io.to(`user_${memberId}`).emit('dm_message', {
+      message,
+      conversationId: message.conversation_id
+    });
+  });
+};
+
+module.exports = {
+  MAX_GROUP_SIZE,
+  MAX_DM_LENGTH,
+  DM_MESSAGE_SELECT,
+  getAcceptedFriendIds,
+  findStrangerPairs,
+  getConversationForMember,
+  checkCanMessage,
+  postDirectMessage,
+  broadcastDirectMessage
+};
@@ -0,0 +1,146 @@
+// backend/utils/githubCache.js
+// In-process cache for GitHub GET responses, and the last rate limit GitHub reported per user.
+// utils/githubClient.js is the only user: its cachedGet() answers from here and revalidates
+// with If-None-Match, which GitHub doesn't charge against the rate limit when nothing changed.
+//
+// Entries are per user (what a token can see differs between users) and keyed by the request:
+// repository, path and ref all live in the URL and query. Memory is bounded by MAX_CACHE_BYTES,
+// least recently used entries going first.
+//
+// When a user's rate limit is used up, cached entries are served as they are ("degraded")
+// until GitHub's reset time instead of failing.
+
+// Serve without asking GitHub at all for this long after a response or revalidation
+const FRESH_MS = 30 * 1000;
+const MAX_CACHE_BYTES = 50 * 1024 * 1024;
+// Bigger responses (large files) aren't worth evicting a whole directory tree for
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+
+// key -> { etag, lastModified, data, size, validatedAt }
+const entries = new Map();
+let totalBytes = 0;
+
+// userId -> { limit, remaining, used, reset_at, resource }
+const rateLimits = new Map();
+
+/**
+ * Cache key for a GET as a user
+ * @param {string} userId
+ * @param {string} url - full URL
+ * @param {Object} [params] - query parameters (order doesn't matter)
+ * @param {string} [accept] - Accept header, since it changes the representation
+ */
+const cacheKey = (userId, url, params = {}, accept = '') => {
+  const query = Object.keys(params)
+    .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+    .sort()
+    .map(name => `${name}=${params[name]}`)
+    .join('&');
+  return `${userId}|${accept}|${url}?${query}`;
+};
+
+const removeEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return;
+  totalBytes -= entry.size;
+  entries.delete(key);
+};
+
+/**
+ * Cached entry for a key, marked as most recently used
+ */
+const get = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  // Map keeps insertion order, so re-inserting moves it to the back of the eviction queue
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+};
+
+/**
+ * Store a response that came with a validator (ETag or Last-Modified)
+ */
+const set = (key, { etag, lastModified, data }) => {
+  removeEntry(key);
+  if (!etag && !lastModified) return;
+
+  const size = Buffer.byteLength(JSON.stringify(data));
+  if (size > MAX_ENTRY_BYTES) return;
+
+  entries.set(key, { etag, lastModified, data, size, validatedAt: Date.now() });
+  totalBytes += size;
+
+  while (totalBytes > MAX_CACHE_BYTES && entries.size > 0) {
+    removeEntry(entries.keys().next().value);
+  }
+};
+
+/**
+ * GitHub answered 304 - the entry is current again
+ */
+const markValidated = (key) => {
+  const entry = entries.get(key);
+  if (entry) entry.validatedAt = Date.now();
+};
+
+const isFresh = (entry, now = Date.now()) => now - entry.validatedAt < FRESH_MS;
+
+/**
+ * Rate limit from GitHub's x-ratelimit-* headers, or null if the response had none
+ */
+const parseRateLimit = (headers = {}) => {
+  if (headers['x-ratelimit-remaining'] === undefined) return null;
+
+  return {
+    limit: Number(headers['x-ratelimit-limit']),
+    remaining: Number(headers['x-ratelimit-remaining']),
+    used: Number(headers['x-ratelimit-used'] || 0),
+    reset_at: new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString(),
+    resource: headers['x-ratelimit-resource'] || 'core'
+  };
+};
+
+/**
+ * Remember the rate limit GitHub reported on a response to this user
+ */
+const recordRateLimit = (userId, headers) => {
+  const rateLimit = parseRateLimit(headers);
+  // Search and GraphQL have their own budgets; the proxy endpoints all draw on 'core'
+  if (rateLimit && rateLimit.resource === 'core') rateLimits.set(userId, rateLimit);
+  return rateLimit;
+};
+
+/**
+ * Last known rate limit for a user (null until their first response)
+ */
+const getRateLimit = (userId) => rateLimits.get(userId) || null;
+
+/**
+ * Whether the user is known to have no requests left until the reset
+ */
+const isExhausted = (rateLimit, now = Date.now()) =>
+  Boolean(rateLimit) && rateLimit.remaining <= 0 && new Date(rateLimit.reset_at).getTime() > now;
+
+/**
+ * Forget everything - for tests
+ */
+const clear = () => {
+  entries.clear();
+  rateLimits.clear();
+  totalBytes = 0;
+};
+
+module.exports = {
+  FRESH_MS,
+  cacheKey,
+  get,
+  set,
+  markValidated,
+  isFresh,
+  parseRateLimit,
+  recordRateLimit,
+  getRateLimit,
+  isExhausted,
+  clear
+};
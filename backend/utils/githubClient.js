@@ -0,0 +1,428 @@
+// backend/utils/githubClient.js
+// The only place GitHub OAuth tokens are decrypted. Controllers ask for a client for a user and
+// make API calls through it; they never see the token itself.
+//
+// Table github_oauth_tokens (one row per user):
+//   access_token              text NOT NULL   -- sealed by utils/tokenEncryption.js
+//                                                (rows from before encryption are sealed on first use,
+//                                                or all at once by scripts/encryptGitHubTokens.js)
+//   refresh_token             text NULL       -- sealed; only issued when the app uses expiring tokens
+//   token_expires_at          timestamptz NULL
+//   refresh_token_expires_at  timestamptz NULL
+//   status                    text NOT NULL DEFAULT 'active'   -- active | reconnect_required
+//   status_reason             text NULL       -- expired | revoked | refresh_failed | undecryptable
+//   status_changed_at         timestamptz NULL
+//   ...plus the GitHub profile columns (github_user_id, github_username, github_name, ...)
+//
+// A token GitHub rejects (401), or one that expired and can't be refreshed, flips the row to
+// 'reconnect_required'. It stays there until the user goes through OAuth again, so the UI can
+// ask them to reconnect instead of failing every request.
+//
+// Reads that are safe to reuse go through cachedGet(), backed by utils/githubCache.js. Every
+// response's rate limit is recorded there too. GITHUB_API_URL points the client somewhere other
+// than api.github.com (GitHub Enterprise, or a stub server in scripts/testGitHubCache.js).
+
+const axios = require('axios');
+const supabase = require('../config/supabase');
+const { isSealed, seal, unseal, needsReseal } = require('./tokenEncryption');
+const githubCache = require('./githubCache');
+
+const apiBase = () => (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+const OAUTH_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const DEFAULT_SCOPE = 'repo,read:user,user:email';
+
+// Refresh a little early so a token doesn't expire mid-request
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+class GitHubConnectionError extends Error {
+  /**
+   * @param {'not_connected'|'reconnect_required'} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'GitHubConnectionError';
+    this.code = code;
+    // Not 401: that status means "your session with us expired" to the frontend
+    this.status = code === 'not_connected' ? 404 : 409;
+  }
+}
+
+class GitHubRateLimitError extends Error {
+  /**
+   * @param {string|null} resetAt - ISO time GitHub will accept requests again
+   */
+  constructor(resetAt) {
+    super('GitHub rate limit reached. Try again after it resets.');
+    this.name = 'GitHubRateLimitError';
+    this.code = 'rate_limited';
+    this.status = 429;
+    this.resetAt = resetAt;
+    this.retryAfter = resetAt ? Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000)) : 60;
+  }
+}
+
+// GitHub answers 403 (primary limit) or 403/429 with Retry-After (secondary limit)
+const isRateLimitResponse = (response) =>
+  Boolean(response) && [403, 429].includes(response.status) &&
+  (response.headers?.['x-ratelimit-remaining'] === '0' || response.headers?.['retry-after'] !== undefined);
+
+const rateLimitResetAt = (response) => {
+  const retryAfter = Number(response.headers?.['retry-after']);
+  if (retryAfter) return new Date(Date.now() + retryAfter * 1000).toISOString();
+  return githubCache.parseRateLimit(response.headers)?.reset_at || null;
+};
+
+const notConnected = () => new GitHubConnectionError('not_connected', 'GitHub account not connected');
+const reconnectRequired = () =>
+  new GitHubConnectionError('reconnect_required', 'Your GitHub connection has expired or was revoked. Please reconnect GitHub.');
+
+// Rows from before encryption hold the token as-is
+const reveal = (stored) => (isSealed(stored) ? unseal(stored) : stored);
+
+const expiresAt = (seconds) =>
+  (seconds ? new Date(Date.now() + Number(seconds) * 1000).toISOString() : null);
+
+/**
+ * Token columns for a GitHub token response (access_token, refresh_token, expires_in, ...)
+ */
+const tokenColumns = (tokenResponse) => ({
+  access_token: seal(tokenResponse.access_token),
+  refresh_token: tokenResponse.refresh_token ? seal(tokenResponse.refresh_token) : null,
+  token_expires_at: expiresAt(tokenResponse.expires_in),
+  refresh_token_expires_at: expiresAt(tokenResponse.refresh_token_expires_in),
+  status: 'active',
+  status_reason: null,
+  status_changed_at: new Date().toISOString()
+});
+
+const markReconnectRequired = async (userId, reason) => {
+  console.warn(`GitHub connection for user ${userId} needs reconnecting (${reason})`);
+  await supabase
+    .from('github_oauth_tokens')
+    .update({
+      status: 'reconnect_required',
+      status_reason: reason,
+      status_changed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('user_id', userId);
+};
+
+/**
+ * Exchange an OAuth code (or a refresh token) for tokens
+ * @param {Object} params - code + redirect_uri, or grant_type: 'refresh_token' + refresh_token
+ * @returns {Promise<Object>} GitHub's token response
+ */
+const requestToken = async (params) => {
+  const response = await axios.post(OAUTH_TOKEN_URL, {
+    client_id: process.env.GITHUB_CLIENT_ID,
+    client_secret: process.env.GITHUB_CLIENT_SECRET,
+    ...params
+  }, {
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    }
+  });
+
+  // GitHub reports OAuth failures as 200 with an error field
+  if (response.data.error || !response.data.access_token) {
+    const error = new Error(response.data.error_description || response.data.error || 'No access token returned');
+    error.oauthError = response.data.error || 'no_access_token';
+    throw error;
+  }
+
+  return response.data;
+};
+
+/**
+ * Finish the OAuth flow: swap the code for a token, look the user up and store both
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<Object>} the GitHub user
+ */
+const connectAccount = async (userId, code) => {
+  const tokenResponse = await requestToken({
+    code,
+    redirect_uri: process.env.GITHUB_REDIRECT_URI || 'http://localhost:3000/auth/github/callback'
+  });
+
+  const { data: githubUser } = await axios.get(`${apiBase()}/user`, {
+    headers: {
+      'Authorization': `token ${tokenResponse.access_token}`,
+      'Accept': 'application/vnd.github.v3+json'
+    }
+  });
+
+  const { error } = await supabase
+    .from('github_oauth_tokens')
+    .upsert({
+      user_id: userId,
+      ...tokenColumns(tokenResponse),
+      github_user_id: githubUser.id,
+      github_username: githubUser.login,
+      github_email: githubUser.email,
+      github_name: githubUser.name,
+      github_avatar_url: githubUser.avatar_url,
+      scope: tokenResponse.scope || DEFAULT_SCOPE,
+      token_type: tokenResponse.token_type || 'bearer',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'user_id'
+    });
+
+  if (error) throw error;
+
+  return githubUser;
+};
+
+/**
+ * The user's connection without any token in it
+ * @returns {Promise<Object|null>}
+ */
+const getConnection = async (userId) => {
+  const { data } = await supabase
+    .from('github_oauth_tokens')
+    .select('github_user_id, github_username, github_name, github_email, github_avatar_url, scope, status, status_reason, token_expires_at, created_at, updated_at')
+    .eq('user_id', userId)
+    .single();
+
+  return data || null;
+};
+
+/**
+ * Use the refresh token to get a new access token
+ * @returns {Promise<string|null>} the new access token, or null if the user has to reconnect
+ */
+const refreshAccessToken = async (userId, row) => {
+  if (!row.refresh_token) return null;
+  if (row.refresh_token_expires_at && new Date(row.refresh_token_expires_at) <= new Date()) return null;
+
+  try {
+    const tokenResponse = await requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: reveal(row.refresh_token)
+    });
+
+    await supabase
+      .from('github_oauth_tokens')
+      .update({ ...tokenColumns(tokenResponse), updated_at: new Date().toISOString() })
+      .eq('user_id', userId);
+
+    return tokenResponse.access_token;
+  } catch (error) {
+    console.error('GitHub token refresh failed:', error.oauthError || error.message);
+    return null;
+  }
+};
+
+/**
+ * Decrypt the user's access token, refreshing or re-sealing it on the way if needed
+ * @throws {GitHubConnectionError}
+ */
+const getAccessToken = async (userId) => {
+  const { data: row } = await supabase
+    .from('github_oauth_tokens')
+    .select('access_token, refresh_token, token_expires_at, refresh_token_expires_at, status')
+    .eq('user_id', userId)
+    .single();
+
+  if (!row || !row.access_token) throw notConnected();
+  if (row.status === 'reconnect_required') throw reconnectRequired();
+
+  if (row.token_expires_at && new Date(row.token_expires_at).getTime() - REFRESH_MARGIN_MS <= Date.now()) {
+    const refreshed = await refreshAccessToken(userId, row);
+    if (!refreshed) {
+      await markReconnectRequired(userId, row.refresh_token ? 'refresh_failed' : 'expired');
+      throw reconnectRequired();
+    }
+    return refreshed;
+  }
+
+  let accessToken;
+  try {
+    accessToken = reveal(row.access_token);
+  } catch (error) {
+    // Sealed with a key that's since been dropped, or corrupted - only a new token helps
+    console.error('Could not decrypt GitHub token:', error.message);
+    await markReconnectRequired(userId, 'undecryptable');
+    throw reconnectRequired();
+  }
+
+  // Legacy plaintext, or sealed with a retired key: store it under the current key
+  if (needsReseal(row.access_token) || needsReseal(row.refresh_token)) {
+    const update = { access_token: seal(accessToken) };
+    if (row.refresh_token && needsReseal(row.refresh_token)) {
+      update.refresh_token = seal(reveal(row.refresh_token));
+    }
+    const { error } = await supabase.from('github_oauth_tokens').update(update).eq('user_id', userId);
+    if (error) console.error('Failed to re-seal GitHub token:', error);
+  }
+
+  return accessToken;
+};
+
+/**
+ * An API client acting as a user whose token is already in hand
+ * @param {string} userId
+ * @param {string} accessToken
+ */
+const createClient = (userId, accessToken) => {
+  const request = async (method, path, { params, data, headers, validateStatus } = {}) => {
+    try {
+      const response = await axios({
+        method,
+        url: path.startsWith('http') ? path : `${apiBase()}${path}`,
+        params,
+        data,
+        // axios treats an explicit undefined as "every status is fine"
+        ...(validateStatus && { validateStatus }),
+        headers: {
+          'Authorization': `token ${accessToken}`,
+          'Accept': 'application/vnd.github.v3+json',
+          ...headers
+        }
+      });
+      githubCache.recordRateLimit(userId, response.headers);
+      return response;
+    } catch (error) {
+      if (error.response) githubCache.recordRateLimit(userId, error.response.headers);
+      // GitHub answers 401 for tokens the user revoked or that otherwise stopped working
+      if (error.response?.status === 401) {
+        await markReconnectRequired(userId, 'revoked');
+        throw reconnectRequired();
+      }
+      if (isRateLimitResponse(error.response)) {
+        throw new GitHubRateLimitError(rateLimitResetAt(error.response));
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * GET through the cache: fresh entries are served as-is, older ones are revalidated with
+   * If-None-Match, and while the rate limit is used up cached entries are served stale
+   * @returns {Promise<{ data: *, meta: { cache: string, degraded: boolean, stale_since?: string,
+   *   rate_limit: Object|null } }>} cache is 'hit', 'revalidated', 'miss' or 'stale'
+   * @throws {GitHubRateLimitError} when the limit is used up and nothing is cached
+   */
+  const cachedGet = async (path, { params, headers } = {}) => {
+    const url = path.startsWith('http') ? path : `${apiBase()}${path}`;
+    const key = githubCache.cacheKey(userId, url, params, headers?.Accept);
+    const cached = githubCache.get(key);
+
+    const result = (data, cache) => ({
+      data,
+      meta: {
+        cache,
+        degraded: cache === 'stale',
+        ...(cache === 'stale' && { stale_since: new Date(cached.validatedAt).toISOString() }),
+        rate_limit: githubCache.getRateLimit(userId)
+      }
+    });
+
+    if (cached && githubCache.isFresh(cached)) return result(cached.data, 'hit');
+
+    // Known to be out of requests - don't spend a round trip finding out again
+    const rateLimit = githubCache.getRateLimit(userId);
+    if (githubCache.isExhausted(rateLimit)) {
+      if (cached) return result(cached.data, 'stale');
+      throw new GitHubRateLimitError(rateLimit.reset_at);
+    }
+
+    let response;
+    try {
+      response = await request('get', url, {
+        params,
+        headers: {
+          ...headers,
+          ...(cached?.etag && { 'If-None-Match': cached.etag }),
+          ...(cached?.lastModified && !cached.etag && { 'If-Modified-Since': cached.lastModified })
+        },
+        validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+      });
+    } catch (error) {
+      if (error instanceof GitHubRateLimitError && cached) return result(cached.data, 'stale');
+      throw error;
+    }
+
+    if (response.status === 304) {
+      githubCache.markValidated(key);
+      return result(cached.data, 'revalidated');
+    }
+
+    githubCache.set(key, {
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified'],
+      data: response.data
+    });
+    return result(response.data, 'miss');
+  };
+
+  return {
+    request,
+    get: (path, options) => request('get', path, options),
+    cachedGet
+  };
+};
+
+/**
+ * An API client acting as the given user
+ * @param {string} userId
+ * @returns {Promise<{ request: Function, get: Function, cachedGet: Function }>} axios-style calls
+ *   against the GitHub API; `path` may be relative ('/user/repos') or a full API URL
+ * @throws {GitHubConnectionError} when the account isn't connected or needs reconnecting
+ */
+const forUser = async (userId) => createClient(userId, await getAccessToken(userId));
+
+/**
+ * Revoke the user's grant at GitHub and forget the token
+ * @returns {Promise<{ revoked: boolean }>} revoked is false if GitHub couldn't be told (the
+ *   local token is deleted either way)
+ */
+const disconnectAccount = async (userId) => {
+  let revoked = false;
+
+  try {
+    const accessToken = await getAccessToken(userId);
+    // Deleting the grant revokes every token the app holds for this user, not just this one
+    await axios.delete(`${apiBase()}/applications/${process.env.GITHUB_CLIENT_ID}/grant`, {
+      auth: {
+        username: process.env.GITHUB_CLIENT_ID,
+        password: process.env.GITHUB_CLIENT_SECRET
+      },
+      data: { access_token: accessToken },
+      headers: { 'Accept': 'application/vnd.github.v3+json' }
+    });
+    revoked = true;
+  } catch (error) {
+    // Already revoked or expired tokens can't be revoked again - nothing left to leak
+    if (error instanceof GitHubConnectionError || error.response?.status === 404) {
+      revoked = true;
+    } else {
+      console.error('Failed to revoke GitHub token:', error.response?.data || error.message);
+    }
+  }
+
+  const { error } = await supabase
+    .from('github_oauth_tokens')
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  return { revoked };
+};
+
+module.exports = {
+  GitHubConnectionError,
+  GitHubRateLimitError,
+  connectAccount,
+  getConnection,
+  forUser,
+  createClient,
+  disconnectAccount,
+  markReconnectRequired
+};
@@ -0,0 +1,377 @@
+// backend/utils/githubContributions.js
+// Per-member contribution report for a project's connected repository: commits, lines added and
+// removed, files touched, active days, pull requests opened and reviews given over a date range.
+//
+// GitHub logins are matched to TechSync users through github_oauth_tokens.github_username, so a
+// member only gets credit once they've connected their GitHub account. Commits whose author
+// GitHub can't tie to an account, and logins that don't belong to a member, are reported
+// separately as unlinked contributors rather than dropped.
+//
+// Merge commits are left out - they'd credit whoever merged with everyone else's lines.
+// Line and file counts need one API call per commit, so a report covers at most MAX_COMMITS
+// commits and MAX_PULLS pull requests; `truncated` says when a limit was hit.
+//
+// Reports are cached in-process per (project, repository, branch, range) for REPORT_CACHE_TTL_MS.
+// Pushes to the repository (see controllers/githubWebhookController.js) drop the project's reports.
+
+const supabase = require('../config/supabase');
+const { isTeamRole } = require('./projectPermissions');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const MAX_COMMITS = 500;
+const MAX_PULLS = 100;
+const PAGE_SIZE = 100;
+const DETAIL_CONCURRENCY = 5;
+const REPORT_CACHE_TTL_MS = 15 * 60 * 1000;
+const MAX_CACHED_REPORTS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `${projectId}:${repository}:${branch}:${since}:${until}` -> { expiresAt, report }
+const reportCache = new Map();
+// Same keys -> the promise of a report being built, so concurrent requests share one build
+const pendingReports = new Map();
+
+const endOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 23, 59, 59, 999));
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Work out the report's date range. A bare date as `until` covers that whole day, and the
+ * default range ends with today (UTC) so repeated requests share a cache entry.
+ * @param {Object} query - since / until, ISO dates (either may be missing)
+ * @param {Date} [now]
+ * @returns {{ since: Date, until: Date } | { error: string }}
+ */
+const resolveRange = ({ since, until } = {}, now = new Date()) => {
+  let end = endOfDay(now);
+  if (until) end = isDateOnly(until) ? endOfDay(new Date(until)) : new Date(until);
+  const start = since ? new Date(since) : new Date(end.getTime() + 1 - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(end.getTime()) || Number.isNaN(start.getTime())) {
+    return { error: 'since and until must be dates' };
+  }
+  if (start >= end) {
+    return { error: 'since must be before until' };
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { since: start, until: end };
+};
+
+const inRange = (date, since, until) => {
+  const time = new Date(date).getTime();
+  return time >= since.getTime() && time <= until.getTime();
+};
+
+/**
+ * Run `worker` over `items` a few at a time
+ */
+const mapInBatches = async (items, size, worker) => {
+  const results = [];
+  for (let i = 0; i < items.length; i += size) {
+    results.push(...await Promise.all(items.slice(i, i + size).map(worker)));
+  }
+  return results;
+};
+
+/**
+ * Non-merge commits on the branch in the range, with their line and file stats
+ */
+const fetchCommits = async (github, repository, branch, since, until) => {
+  const listed = [];
+  let truncated = false;
+
+  for (let page = 1; ; page++) {
+    const { data } = await github.get(`/repos/${repository}/commits`, {
+      params: { sha: branch, since: since.toISOString(), until: until.toISOString(), per_page: PAGE_SIZE, page }
+    });
+    listed.push(...data.filter(commit => (commit.parents || []).length <= 1));
+
+    if (listed.length >= MAX_COMMITS) {
+      truncated = listed.length > MAX_COMMITS || data.length === PAGE_SIZE;
+      break;
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  const commits = await mapInBatches(listed.slice(0, MAX_COMMITS), DETAIL_CONCURRENCY, async (commit) => {
+    const { data } = await github.get(`/repos/${repository}/commits/${commit.sha}`);
+    return {
+      sha: commit.sha,
+      login: commit.author?.login || null,
+      name: commit.commit.author.name,
+      email: commit.commit.author.email,
+      date: commit.commit.author.date,
+      additions: data.stats?.additions || 0,
+      deletions: data.stats?.deletions || 0,
+      files: (data.files || []).map(file => file.filename)
+    };
+  });
+
+  return { commits, truncated };
+};
+
+/**
+ * Pull requests opened and reviews submitted in the range
+ */
+const fetchPullActivity = async (github, repository, since, until) => {
+  const pulls = [];
+  let truncated = false;
+
+  // Newest-updated first, so everything after the first PR untouched since `since` is older still
+  for (let page = 1; ; page++) {
+    const { data } = await github.get(`/repos/${repository}/pulls`, {
+      params: { state: 'all', sort: 'updated', direction: 'desc', per_page: PAGE_SIZE, page }
+    });
+    const recent = data.filter(pr => new Date(pr.updated_at) >= since && new Date(pr.created_at) <= until);
+    pulls.push(...recent);
+
+    if (pulls.length >= MAX_PULLS) {
+      truncated = true;
+      break;
+    }
+    if (data.length < PAGE_SIZE || data.some(pr => new Date(pr.updated_at) < since)) break;
+  }
+
+  const reviews = await mapInBatches(pulls.slice(0, MAX_PULLS), DETAIL_CONCURRENCY, async (pr) => {
+    const { data } = await github.get(`/repos/${repository}/pulls/${pr.number}/reviews`, {
+      params: { per_page: PAGE_SIZE }
+    });
+    return data
+      .filter(review => review.user && review.state !== 'PENDING' && review.submitted_at)
+      .filter(review => inRange(review.submitted_at, since, until))
+      // Commenting on your own PR isn't reviewing it
+      .filter(review => review.user.login !== pr.user?.login)
+      .map(review => ({ login: review.user.login, pull: pr.number, date: review.submitted_at }));
+  });
+
+  return {
+    opened: pulls
+      .filter(pr => pr.user && inRange(pr.created_at, since, until))
+      .map(pr => ({ login: pr.user.login, pull: pr.number })),
+    reviews: reviews.flat(),
+    truncated
+  };
+};
+
+const emptyStats = () => ({
+  commits: 0,
+  additions: 0,
+  deletions: 0,
+  files_touched: new Set(),
+  active_days: new Set(),
+  pull_requests_opened: 0,
+  reviews: 0
+});
+
+const finishStats = (stats) => ({
+  ...stats,
+  files_touched: stats.files_touched.size,
+  active_days: stats.active_days.size
+});
+
+/**
+ * Add commits and pull request activity up per contributor
+ * @returns {Map<string, Object>} 'login:<login>' or 'email:<email>' -> stats (with Sets)
+ */
+const aggregateActivity = ({ commits, opened, reviews }) => {
+  const byContributor = new Map();
+  const statsFor = (key, name) => {
+    if (!byContributor.has(key)) byContributor.set(key, { name, ...emptyStats() });
+    return byContributor.get(key);
+  };
+
+  commits.forEach((commit) => {
+    const key = commit.login ? `login:${commit.login.toLowerCase()}` : `email:${(commit.email || '').toLowerCase()}`;
+    const stats = statsFor(key, commit.login || commit.name);
+    stats.commits++;
+    stats.additions += commit.additions;
+    stats.deletions += commit.deletions;
+    commit.files.forEach(file => stats.files_touched.add(file));
+    stats.active_days.add(commit.date.slice(0, 10));
+  });
+
+  opened.forEach((pr) => {
+    statsFor(`login:${pr.login.toLowerCase()}`, pr.login).pull_requests_opened++;
+  });
+
+  reviews.forEach((review) => {
+    const stats = statsFor(`login:${review.login.toLowerCase()}`, review.login);
+    stats.reviews++;
+    stats.active_days.add(review.date.slice(0, 10));
+  });
+
+  return byContributor;
+};
+
+/**
+ * Turn per-contributor stats into the per-member report
+ * @param {Map} byContributor - from aggregateActivity
+ * @param {Object[]} members - { user_id, username, full_name, avatar_url, role, github_username }
+ * @returns {{ members: Object[], unlinked: Object[], totals: Object }}
+ */
+const buildMemberReport = (byContributor, members) => {
+  const claimed = new Set();
+
+  const memberRows = members.map((member) => {
+    const key = member.github_username ? `login:${member.github_username.toLowerCase()}` : null;
+    const stats = key && byContributor.get(key);
+    if (stats) claimed.add(key);
+
+    const { name, ...rest } = stats || { name: null, ...emptyStats() };
+    return { ...member, ...finishStats(rest) };
+  });
+
+  const unlinked = [...byContributor.entries()]
+    .filter(([key]) => !claimed.has(key))
+    .map(([key, { name, ...stats }]) => ({
+      github_username: key.startsWith('login:') ? name : null,
+      name,
+      ...finishStats(stats)
+    }));
+
+  const everyone = [...memberRows, ...unlinked];
+  const totals = {
+    commits: everyone.reduce((sum, row) => sum + row.commits, 0),
+    additions: everyone.reduce((sum, row) => sum + row.additions, 0),
+    deletions: everyone.reduce((sum, row) => sum + row.deletions, 0),
+    pull_requests_opened: everyone.reduce((sum, row) => sum + row.pull_requests_opened, 0),
+    reviews: everyone.reduce((sum, row) => sum + row.reviews, 0)
+  };
+
+  const share = (value, total) => (total > 0 ? Math.round((value / total) * 100) : 0);
+  const withShares = rows => rows.map(row => ({
+    ...row,
+    commit_share: share(row.commits, totals.commits),
+    line_share: share(row.additions + row.deletions, totals.additions + totals.deletions)
+  }));
+
+  return {
+    members: withShares(memberRows).sort((a, b) => b.commits - a.commits || b.reviews - a.reviews),
+    unlinked: withShares(unlinked).sort((a, b) => b.commits - a.commits),
+    totals
+  };
+};
+
+/**
+ * The project's owner and active team members (not mentors), with the GitHub login each one connected
+ */
+const getProjectMembersWithGitHub = async (project) => {
+  const { data: memberRows, error } = await supabase
+    .from('project_members')
+    .select('user_id, role')
+    .eq('project_id', project.id)
+    .eq('status', 'active');
+
+  if (error) throw error;
+
+  const roles = new Map((memberRows || []).filter(row => isTeamRole(row.role)).map(row => [row.user_id, row.role]));
+  roles.set(project.owner_id, 'owner');
+  const userIds = [...roles.keys()];
+
+  const [{ data: users, error: usersError }, { data: accounts, error: accountsError }] = await Promise.all([
+    supabase.from('users').select('id, username, full_name, avatar_url').in('id', userIds),
+    supabase.from('github_oauth_tokens').select('user_id, github_username').in('user_id', userIds)
+  ]);
+
+  if (usersError) throw usersError;
+  if (accountsError) throw accountsError;
+
+  const logins = new Map((accounts || []).map(account => [account.user_id, account.github_username]));
+
+  return (users || []).map(user => ({
+    user_id: user.id,
+    username: user.username,
+    full_name: user.full_name,
+    avatar_url: user.avatar_url,
+    role: roles.get(user.id),
+    github_username: logins.get(user.id) || null
+  }));
+};
+
+const cacheKey = (projectId, repository, branch, since, until) =>
+  `${projectId}:${repository.toLowerCase()}:${branch}:${since.toISOString()}:${until.toISOString()}`;
+
+const rememberReport = (key, report) => {
+  // Map keeps insertion order, so the first key is the oldest entry
+  reportCache.delete(key);
+  reportCache.set(key, { expiresAt: Date.now() + REPORT_CACHE_TTL_MS, report });
+  if (reportCache.size > MAX_CACHED_REPORTS) {
+    reportCache.delete(reportCache.keys().next().value);
+  }
+};
+
+const buildReport = async ({ github, project, repository, branch, since, until }) => {
+  const [{ commits, truncated: commitsTruncated }, pullActivity, members] = await Promise.all([
+    fetchCommits(github, repository, branch, since, until),
+    fetchPullActivity(github, repository, since, until),
+    getProjectMembersWithGitHub(project)
+  ]);
+
+  const byContributor = aggregateActivity({ commits, opened: pullActivity.opened, reviews: pullActivity.reviews });
+
+  return {
+    repository,
+    branch,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    ...buildMemberReport(byContributor, members),
+    truncated: commitsTruncated || pullActivity.truncated,
+    generated_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Contribution report for a project's repository, from the cache when possible
+ * @param {Object} params
+ * @param {Object} params.github - client from utils/githubClient.forUser
+ * @param {Object} params.project - needs id and owner_id
+ * @param {string} params.repository - owner/name
+ * @param {string} params.branch
+ * @param {Date} params.since
+ * @param {Date} params.until
+ * @param {boolean} [params.refresh] - ignore any cached report
+ * @returns {Promise<{ report: Object, cacheHit: boolean }>}
+ */
+const getContributionReport = async ({ refresh = false, ...params }) => {
+  const key = cacheKey(params.project.id, params.repository, params.branch, params.since, params.until);
+
+  const cached = reportCache.get(key);
+  if (!refresh && cached && cached.expiresAt > Date.now()) {
+    return { report: cached.report, cacheHit: true };
+  }
+
+  if (!pendingReports.has(key)) {
+    pendingReports.set(key, buildReport(params)
+      .then((report) => {
+        rememberReport(key, report);
+        return report;
+      })
+      .finally(() => pendingReports.delete(key)));
+  }
+
+  return { report: await pendingReports.get(key), cacheHit: false };
+};
+
+/**
+ * Drop a project's cached reports - call when its repository changes
+ */
+const invalidateProjectReports = (projectId) => {
+  for (const key of reportCache.keys()) {
+    if (key.startsWith(`${projectId}:`)) reportCache.delete(key);
+  }
+};
+
+module.exports = {
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  resolveRange,
+  aggregateActivity,
+  buildMemberReport,
+  getContributionReport,
+  invalidateProjectReports
+};
@@ -0,0 +1,555 @@
+// backend/utils/githubIssueSync.js
+// Opt-in, two-way sync between a project's tasks and GitHub issues in its connected repository.
+//
+//   TechSync -> GitHub  taskController calls syncTaskToGitHub() after a task is created or
+//                       updated: the first sync opens an issue, later ones edit it.
+//   GitHub -> TechSync  the `issues` webhook (controllers/githubWebhookController.js) calls
+//                       handleIssueEvent(), which applies the issue to its linked task.
+//
+// What's synced:
+//   title          <-> title (cut to the 200 characters a task title can have on the way back)
+//   description    <-> body (a hidden marker comment is appended on GitHub and stripped on the way back)
+//   completed      <-> closed; reopening a completed task's issue puts the task back to todo
+//   priority       <-> 'priority: <value>' label
+//   task_type      <-> 'type: <value>' label (other labels on the issue are left alone)
+//   assigned_to    <-> assignee, matched through github_oauth_tokens.github_username. Assignees
+//                      without a connected account are left as they are on either side.
+// Subtasks aren't synced (they're checklist items), and deleting a task leaves its issue open.
+// Issues opened on GitHub aren't imported - only issues created from tasks are linked.
+//
+// Conflicts: if both sides changed since the last sync, the one changed last wins (task
+// updated_at against issue updated_at) and an entry is written to github_issue_sync_audit.
+// Every other sync is audited too, so there's a history of what came from where.
+//
+// Columns on project_github_repos:
+//   issue_sync_enabled     boolean NOT NULL DEFAULT false
+//   issue_sync_enabled_by  uuid NULL REFERENCES users(id)
+//   issue_sync_enabled_at  timestamptz NULL
+//
+// Tables:
+//   project_task_github_issues  task_id           uuid PRIMARY KEY REFERENCES project_tasks(id) ON DELETE CASCADE
+//                               project_id        uuid NOT NULL REFERENCES projects(id) ON DELETE CASCADE
+//                               repository_full_name text NOT NULL
+//                               repository_key    text GENERATED ALWAYS AS (lower(repository_full_name)) STORED
+//                               issue_number      integer NOT NULL
+//                               issue_id          bigint NOT NULL
+//                               issue_url         text
+//                               task_updated_at   timestamptz   -- the task's updated_at as of the last sync
+//                               issue_updated_at  timestamptz   -- the issue's updated_at as of the last sync
+//                               last_synced_at    timestamptz
+//                               last_sync_direction text        -- to_github | from_github
+//                               sync_error        text NULL
+//                               UNIQUE (repository_key, issue_number)
+//   github_issue_sync_audit     id           uuid PRIMARY KEY DEFAULT gen_random_uuid()
+//                               project_id   uuid NOT NULL REFERENCES projects(id) ON DELETE CASCADE
+//                               task_id      uuid NULL REFERENCES project_tasks(id) ON DELETE SET NULL
+//                               issue_number integer NULL
+//                               direction    text NOT NULL   -- to_github | from_github
+//                               action       text NOT NULL   -- created | updated | conflict | unlinked | error
+//                               winner       text NULL       -- task | issue (conflicts only)
+//                               changes      jsonb NOT NULL DEFAULT '{}'   -- field -> { from, to }
+//                               actor_id     uuid NULL REFERENCES users(id)
+//                               created_at   timestamptz NOT NULL DEFAULT now()
+
+const supabase = require('../config/supabase');
+const githubClient = require('./githubClient');
+const {
+  STARTED_STATUSES,
+  getProjectDependencies,
+  getOpenPrerequisites,
+  syncBlockedStatus,
+  getDependentIds
+} = require('./taskDependencies');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_TYPES = ['development', 'design', 'testing', 'documentation', 'research', 'meeting', 'review'];
+// Task titles are validated to this length (routes/tasks.js); GitHub allows longer ones
+const MAX_TITLE_LENGTH = 200;
+const PRIORITY_LABEL = 'priority: ';
+const TYPE_LABEL = 'type: ';
+
+const SYNC_MARKER = /\s*<!-- techsync-task:[0-9a-f-]+ -->\s*$/;
+
+const isManagedLabel = (name) => name.startsWith(PRIORITY_LABEL) || name.startsWith(TYPE_LABEL);
+const labelNames = (issue) => (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+/**
+ * The issue a task should be
+ * @param {Object} task
+ * @param {Object} [options]
+ * @param {string|null} [options.assigneeLogin] - GitHub login of the assignee; null for unassigned,
+ *   undefined when the assignee has no connected account (assignees are then left alone)
+ * @param {string[]} [options.currentLabels] - the issue's labels now, so unmanaged ones are kept
+ * @returns {Object} issue fields for the GitHub API
+ */
+const buildIssueFields = (task, { assigneeLogin, currentLabels = [] } = {}) => {
+  const fields = {
+    title: task.title,
+    body: `${task.description || ''}\n\n<!-- techsync-task:${task.id} -->`.trimStart(),
+    state: task.status === 'completed' ? 'closed' : 'open',
+    labels: [
+      ...currentLabels.filter(name => !isManagedLabel(name)),
+      ...(task.priority ? [`${PRIORITY_LABEL}${task.priority}`] : []),
+      ...(task.task_type ? [`${TYPE_LABEL}${task.task_type}`] : [])
+    ]
+  };
+
+  if (fields.state === 'closed') fields.state_reason = 'completed';
+  if (assigneeLogin !== undefined) fields.assignees = assigneeLogin ? [assigneeLogin] : [];
+
+  return fields;
+};
+
+/**
+ * Issue fields that differ from what the task wants them to be
+ * @returns {Object} field -> { from: issue value, to: wanted value }
+ */
+const diffIssueFields = (issue, fields) => {
+  const current = {
+    title: issue.title,
+    body: (issue.body || '').trim(),
+    state: issue.state,
+    labels: [...labelNames(issue)].sort(),
+    assignees: (issue.assignees || []).map(user => user.login.toLowerCase()).sort()
+  };
+  const wanted = {
+    ...fields,
+    body: fields.body.trim(),
+    labels: [...fields.labels].sort(),
+    ...(fields.assignees && { assignees: fields.assignees.map(login => login.toLowerCase()).sort() })
+  };
+
+  const changes = {};
+  ['title', 'body', 'state', 'labels', 'assignees'].forEach((field) => {
+    if (wanted[field] === undefined) return;
+    if (JSON.stringify(current[field]) !== JSON.stringify(wanted[field])) {
+      changes[field] = { from: current[field], to: wanted[field] };
+    }
+  });
+  return changes;
+};
+
+/**
+ * The task update an issue asks for
+ * @param {Object} issue - GitHub issue
+ * @param {Object} task
+ * @param {Map<string, string>} loginToUserId - lowercased GitHub login -> project member's user id
+ * @returns {Object} changed task fields only
+ */
+const taskUpdateFromIssue = (issue, task, loginToUserId) => {
+  const labels = labelNames(issue);
+  const labelValue = (prefix, allowed) => {
+    const label = labels.find(name => name.startsWith(prefix) && allowed.includes(name.slice(prefix.length)));
+    return label ? label.slice(prefix.length) : undefined;
+  };
+
+  const wanted = {
+    title: (issue.title || '').trim().slice(0, MAX_TITLE_LENGTH) || undefined,
+    description: (issue.body || '').replace(SYNC_MARKER, '').trim() || null,
+    priority: labelValue(PRIORITY_LABEL, PRIORITIES),
+    task_type: labelValue(TYPE_LABEL, TASK_TYPES)
+  };
+
+  if (issue.state === 'closed' && task.status !== 'completed') wanted.status = 'completed';
+  if (issue.state === 'open' && task.status === 'completed') wanted.status = 'todo';
+
+  // Only assignees GitHub knows about can be taken off by GitHub: an assignee without a
+  // connected account is never on the issue, so their absence there says nothing
+  const assigneeLogins = (issue.assignees || []).map(user => user.login.toLowerCase());
+  const currentLogin = task.assigned_to
+    ? [...loginToUserId].find(([, userId]) => userId === task.assigned_to)?.[0]
+    : null;
+
+  if (currentLogin !== undefined && !assigneeLogins.includes(currentLogin)) {
+    wanted.assigned_to = assigneeLogins.map(login => loginToUserId.get(login)).find(Boolean) || null;
+  }
+
+  const update = {};
+  Object.entries(wanted).forEach(([field, value]) => {
+    if (value !== undefined && value !== (task[field] ?? null)) update[field] = value;
+  });
+  return update;
+};
+
+/**
+ * Last writer wins - ties go to the task, the side people edit in TechSync
+ * @returns {'task'|'issue'}
+ */
+const resolveConflict = ({ taskUpdatedAt, issueUpdatedAt }) =>
+  (new Date(issueUpdatedAt) > new Date(taskUpdatedAt) ? 'issue' : 'task');
+
+const audit = async (entry) => {
+  const { error } = await supabase
+    .from('github_issue_sync_audit')
+    .insert({ changes: {}, ...entry });
+
+  if (error) console.error('⚠️ Failed to write issue sync audit entry (non-fatal):', error);
+};
+
+/**
+ * The project's repository, if issue sync is on
+ */
+const getSyncedRepository = async (projectId) => {
+  const { data } = await supabase
+    .from('project_github_repos')
+    .select('repository_full_name, connected_by, issue_sync_enabled, issue_sync_enabled_by')
+    .eq('project_id', projectId)
+    .maybeSingle();
+
+  return data?.issue_sync_enabled ? data : null;
+};
+
+/**
+ * GitHub client for the first of these users whose connection works and can write issues in
+ * the repository - whoever edited the task may be connected without having access to it
+ * @throws {GitHubConnectionError|Error} the last reason when none of them can be used
+ */
+const clientForFirst = async (userIds, repository) => {
+  let lastError;
+  for (const userId of [...new Set(userIds.filter(Boolean))]) {
+    try {
+      const github = await githubClient.forUser(userId);
+      // Cached, so repeat syncs only revalidate it
+      const { data: repo } = await github.cachedGet(`/repos/${repository}`);
+      if (repo.permissions?.push || repo.permissions?.triage) return github;
+      lastError = new Error(`GitHub account of ${userId} can't write issues in ${repository}`);
+    } catch (error) {
+      // Rate limits come back as GitHubRateLimitError, so a 403 here is about access
+      const noAccess = [403, 404].includes(error.response?.status);
+      if (!(error instanceof githubClient.GitHubConnectionError) && !noAccess) throw error;
+      lastError = error;
+    }
+  }
+  throw lastError || new githubClient.GitHubConnectionError('not_connected', 'No connected GitHub account to sync with');
+};
+
+/**
+ * lowercased GitHub login -> user id, for the project's owner and active members
+ */
+const getMemberLogins = async (projectId) => {
+  const [{ data: project }, { data: members }] = await Promise.all([
+    supabase.from('projects').select('owner_id').eq('id', projectId).single(),
+    supabase.from('project_members').select('user_id').eq('project_id', projectId).eq('status', 'active')
+  ]);
+
+  const userIds = [...new Set([project?.owner_id, ...(members || []).map(member => member.user_id)].filter(Boolean))];
+  if (userIds.length === 0) return new Map();
+
+  const { data: accounts } = await supabase
+    .from('github_oauth_tokens')
+    .select('user_id, github_username')
+    .in('user_id', userIds);
+
+  return new Map((accounts || [])
+    .filter(account => account.github_username)
+    .map(account => [account.github_username.toLowerCase(), account.user_id]));
+};
+
+const saveLink = async (link) => {
+  const { error } = await supabase
+    .from('project_task_github_issues')
+    .upsert({ ...link, last_synced_at: new Date().toISOString(), sync_error: null }, { onConflict: 'task_id' });
+
+  if (error) throw error;
+};
+
+/**
+ * Push a task to its GitHub issue, opening one the first time. Never throws - failures are
+ * logged, stored on the link and audited.
+ * @param {string} taskId
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - who changed the task; their GitHub account is used if connected
+ * @returns {Promise<Object|null>} { action, issue_number } or null when sync doesn't apply
+ */
+const syncTaskToGitHub = async (taskId, { actorId } = {}) => {
+  let task = null;
+  let link = null;
+
+  try {
+    const { data } = await supabase
+      .from('project_tasks')
+      .select('*')
+      .eq('id', taskId)
+      .maybeSingle();
+
+    task = data;
+    if (!task || task.parent_task_id) return null;
+
+    const repo = await getSyncedRepository(task.project_id);
+    if (!repo) return null;
+
+    const { data: existingLink } = await supabase
+      .from('project_task_github_issues')
+      .select('*')
+      .eq('task_id', taskId)
+      .maybeSingle();
+    link = existingLink;
+
+    const repository = link?.repository_full_name || repo.repository_full_name;
+    const github = await clientForFirst([actorId, repo.issue_sync_enabled_by, repo.connected_by], repository);
+
+    let assigneeLogin = null;
+    if (task.assigned_to) {
+      const { data: account } = await supabase
+        .from('github_oauth_tokens')
+        .select('github_username')
+        .eq('user_id', task.assigned_to)
+        .maybeSingle();
+      assigneeLogin = account?.github_username || undefined;
+    }
+
+    if (!link) {
+      const fields = buildIssueFields(task, { assigneeLogin });
+      const { state, state_reason: stateReason, ...createFields } = fields;
+
+      let issue;
+      try {
+        ({ data: issue } = await github.request('post', `/repos/${repository}/issues`, { data: createFields }));
+      } catch (error) {
+        // GitHub refuses assignees who can't be assigned in the repository - open it without them
+        if (error.response?.status !== 422 || !createFields.assignees) throw error;
+        delete createFields.assignees;
+        ({ data: issue } = await github.request('post', `/repos/${repository}/issues`, { data: createFields }));
+      }
+
+      if (state === 'closed') {
+        ({ data: issue } = await github.request('patch', `/repos/${repository}/issues/${issue.number}`, {
+          data: { state, state_reason: stateReason }
+        }));
+      }
+
+      await saveLink({
+        task_id: task.id,
+        project_id: task.project_id,
+        repository_full_name: repository,
+        issue_number: issue.number,
+        issue_id: issue.id,
+        issue_url: issue.html_url,
+        task_updated_at: task.updated_at,
+        issue_updated_at: issue.updated_at,
+        last_sync_direction: 'to_github'
+      });
+      await audit({
+        project_id: task.project_id,
+        task_id: task.id,
+        issue_number: issue.number,
+        direction: 'to_github',
+        action: 'created',
+        actor_id: actorId || null
+      });
+
+      console.log(`🔁 Opened issue ${repository}#${issue.number} for task ${task.id}`);
+      return { action: 'created', issue_number: issue.number };
+    }
+
+    const { data: issue } = await github.get(`/repos/${repository}/issues/${link.issue_number}`);
+    const changedOnGitHub = new Date(issue.updated_at) > new Date(link.issue_updated_at);
+
+    // Both sides changed since the last sync, and GitHub's edit is the newer one
+    if (changedOnGitHub && resolveConflict({ taskUpdatedAt: task.updated_at, issueUpdatedAt: issue.updated_at }) === 'issue') {
+      return applyIssueToTask({ issue, task, link, conflict: true });
+    }
+
+    const fields = buildIssueFields(task, { assigneeLogin, currentLabels: labelNames(issue) });
+    const changes = diffIssueFields(issue, fields);
+
+    let updatedIssue = issue;
+    if (Object.keys(changes).length > 0) {
+      if (!changes.assignees) delete fields.assignees;
+      if (fields.state === 'open') delete fields.state_reason;
+      ({ data: updatedIssue } = await github.request('patch', `/repos/${repository}/issues/${link.issue_number}`, {
+        data: fields
+      }));
+    }
+
+    await saveLink({
+      ...link,
+      task_updated_at: task.updated_at,
+      issue_updated_at: updatedIssue.updated_at,
+      last_sync_direction: 'to_github'
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await audit({
+        project_id: task.project_id,
+        task_id: task.id,
+        issue_number: link.issue_number,
+        direction: 'to_github',
+        action: changedOnGitHub ? 'conflict' : 'updated',
+        winner: changedOnGitHub ? 'task' : null,
+        changes,
+        actor_id: actorId || null
+      });
+    }
+
+    return { action: changedOnGitHub ? 'conflict' : 'updated', issue_number: link.issue_number };
+  } catch (error) {
+    console.error(`GitHub issue sync failed for task ${taskId}:`, error.response?.data || error.message);
+
+    if (link) {
+      await supabase
+        .from('project_task_github_issues')
+        .update({ sync_error: error.message })
+        .eq('task_id', taskId);
+    }
+    if (task) {
+      await audit({
+        project_id: task.project_id,
+        task_id: task.id,
+        issue_number: link?.issue_number || null,
+        direction: 'to_github',
+        action: 'error',
+        changes: { error: { from: null, to: error.message } },
+        actor_id: actorId || null
+      });
+    }
+    return { action: 'error', error: error.message };
+  }
+};
+
+/**
+ * Bring a task in line with its issue
+ */
+const applyIssueToTask = async ({ issue, task, link, conflict = false, actorId = null }) => {
+  const update = taskUpdateFromIssue(issue, task, await getMemberLogins(task.project_id));
+
+  // Same rule as everywhere else: work can't be finished while prerequisites are open
+  let heldBack = null;
+  if (update.status && STARTED_STATUSES.includes(update.status)) {
+    const open = await getOpenPrerequisites(task.id);
+    if (open.length > 0) {
+      heldBack = update.status;
+      delete update.status;
+    }
+  }
+
+  const now = new Date().toISOString();
+  let taskUpdatedAt = task.updated_at;
+
+  if (Object.keys(update).length > 0) {
+    const row = { ...update, updated_at: now };
+    if (update.status === 'completed') row.completed_at = now;
+    if (update.status && update.status !== 'completed') row.completed_at = null;
+
+    const { error } = await supabase
+      .from('project_tasks')
+      .update(row)
+      .eq('id', task.id);
+
+    if (error) throw error;
+    taskUpdatedAt = now;
+
+    if (update.status) {
+      const edges = await getProjectDependencies(task.project_id);
+      await syncBlockedStatus(task.project_id, [task.id, ...getDependentIds(edges, task.id)]);
+    }
+
+    if (update.status === 'completed') {
+      const { checkAutoComplete } = require('../controllers/collaborativeProjectCompletion');
+      const mockRes = { json: () => {}, status: () => mockRes };
+      checkAutoComplete({ params: { projectId: task.project_id } }, mockRes).catch(err => {
+        console.error('Error in auto-complete check:', err);
+      });
+    }
+  }
+
+  await saveLink({
+    ...link,
+    task_updated_at: taskUpdatedAt,
+    issue_updated_at: issue.updated_at,
+    last_sync_direction: 'from_github'
+  });
+
+  const changes = Object.fromEntries(
+    Object.entries(update).map(([field, value]) => [field, { from: task[field] ?? null, to: value }])
+  );
+  if (heldBack) changes.status = { from: task.status, to: task.status, held_back: heldBack };
+
+  if (conflict || Object.keys(changes).length > 0) {
+    await audit({
+      project_id: task.project_id,
+      task_id: task.id,
+      issue_number: link.issue_number,
+      direction: 'from_github',
+      action: conflict ? 'conflict' : 'updated',
+      winner: conflict ? 'issue' : null,
+      changes,
+      actor_id: actorId
+    });
+  }
+
+  return { action: conflict ? 'conflict' : 'updated', issue_number: link.issue_number, changes };
+};
+
+/**
+ * Apply an `issues` webhook to the task linked to that issue
+ * @param {Object} payload - verified webhook payload
+ * @param {string[]} projectIds - projects whose webhook secret signed the delivery
+ * @returns {Promise<Object>} what happened, for the delivery summary
+ */
+const handleIssueEvent = async (payload, projectIds) => {
+  const { action, issue, repository, sender } = payload;
+  if (!issue || !repository) return { ignored: 'malformed' };
+
+  // Only projects whose webhook secret signed the delivery
+  const { data: link } = await supabase
+    .from('project_task_github_issues')
+    .select('*')
+    .eq('repository_key', repository.full_name.toLowerCase())
+    .eq('issue_number', issue.number)
+    .in('project_id', projectIds)
+    .maybeSingle();
+
+  if (!link) return { ignored: 'issue_not_linked' };
+
+  const repo = await getSyncedRepository(link.project_id);
+  if (!repo) return { ignored: 'sync_disabled' };
+
+  const actorId = (await getMemberLogins(link.project_id)).get((sender?.login || '').toLowerCase()) || null;
+
+  if (action === 'deleted' || action === 'transferred') {
+    await supabase.from('project_task_github_issues').delete().eq('task_id', link.task_id);
+    await audit({
+      project_id: link.project_id,
+      task_id: link.task_id,
+      issue_number: link.issue_number,
+      direction: 'from_github',
+      action: 'unlinked',
+      changes: { issue: { from: issue.html_url, to: action } },
+      actor_id: actorId
+    });
+    return { action: 'unlinked', task_id: link.task_id };
+  }
+
+  // Our own edits come back as webhooks too; anything not newer than the last sync is old news
+  if (new Date(issue.updated_at) <= new Date(link.issue_updated_at)) {
+    return { ignored: 'already_synced', task_id: link.task_id };
+  }
+
+  const { data: task } = await supabase
+    .from('project_tasks')
+    .select('*')
+    .eq('id', link.task_id)
+    .maybeSingle();
+
+  if (!task) return { ignored: 'task_missing' };
+
+  const changedInTechSync = new Date(task.updated_at) > new Date(link.task_updated_at);
+  if (changedInTechSync && resolveConflict({ taskUpdatedAt: task.updated_at, issueUpdatedAt: issue.updated_at }) === 'task') {
+    // The task's newer edit wins - push it, which records the conflict
+    const result = await syncTaskToGitHub(task.id);
+    return { ...result, task_id: task.id };
+  }
+
+  const result = await applyIssueToTask({ issue, task, link, conflict: changedInTechSync, actorId });
+  return { ...result, task_id: task.id };
+};
+
+module.exports = {
+  buildIssueFields,
+  diffIssueFields,
+  taskUpdateFromIssue,
+  resolveConflict,
+  syncTaskToGitHub,
+  handleIssueEvent
+};
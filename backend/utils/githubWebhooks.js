@@ -0,0 +1,221 @@
+// backend/utils/githubWebhooks.js
+// Turn GitHub push / pull_request webhooks into task links and status changes.
+// Everything here is pure so it can be checked against recorded payloads
+// (scripts/testGitHubWebhooks.js); controllers/githubWebhookController.js does the I/O.
+//
+// Task references, in commit messages and pull request titles/bodies:
+//   #task-<id>            links the commit / PR to the task
+//   fixes #task-<id>      also closes the task (close[sd], fix(es|ed), resolve[sd]; '#' optional)
+// <id> is the task's UUID or its first 8+ characters, as long as that prefix is unambiguous.
+//
+// Status moves:
+//   PR opened / reopened / ready for review   todo | in_progress -> in_review  (drafts only link)
+//   PR merged into the project's tracked branch with a closing reference -> completed
+//   PR closed without merging                  in_review -> in_progress
+//   commit with a closing reference pushed to the project's tracked branch -> completed
+// Completed tasks are never moved by a webhook.
+
+const crypto = require('crypto');
+
+const SUPPORTED_EVENTS = ['push', 'pull_request'];
+const PR_REVIEW_ACTIONS = ['opened', 'reopened', 'ready_for_review', 'edited', 'synchronize'];
+
+const TASK_ID = '([0-9a-f]{8}(?:-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]*))';
+const CLOSING_REF = new RegExp(`\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\\b:?\\s+#?task-${TASK_ID}\\b`, 'gi');
+const TASK_REF = new RegExp(`#task-${TASK_ID}\\b`, 'gi');
+
+/**
+ * Check the X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer|string} rawBody - the exact bytes GitHub sent
+ * @param {string} signature - header value, 'sha256=<hex>'
+ * @param {string} secret - the webhook secret
+ * @returns {boolean}
+ */
+const verifySignature = (rawBody, signature, secret) => {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+  );
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Secret for a newly connected repository's webhook (project_github_repos.webhook_secret)
+ * @returns {string}
+ */
+const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Connections whose own webhook secret signed the request. A repository can be connected to
+ * several projects, each with its own secret, so a delivery only counts for the ones it was
+ * signed for.
+ * @param {Buffer|string} rawBody
+ * @param {string} signature - X-Hub-Signature-256
+ * @param {{ project_id: string, webhook_secret: string|null }[]} repos
+ * @returns {Object[]}
+ */
+const filterSignedRepos = (rawBody, signature, repos) =>
+  (repos || []).filter(repo => verifySignature(rawBody, signature, repo.webhook_secret));
+
+/**
+ * Task references in a piece of text
+ * @param {string} text
+ * @returns {{ ref: string, closes: boolean }[]} one entry per task, lowercased
+ */
+const parseTaskReferences = (text) => {
+  const refs = new Map();
+  if (!text) return [];
+
+  for (const match of text.matchAll(CLOSING_REF)) {
+    refs.set(match[1].toLowerCase(), true);
+  }
+  for (const match of text.matchAll(TASK_REF)) {
+    const ref = match[1].toLowerCase();
+    if (!refs.has(ref)) refs.set(ref, false);
+  }
+
+  return [...refs.entries()].map(([ref, closes]) => ({ ref, closes }));
+};
+
+const firstLine = (message) => (message || '').split('\n')[0].slice(0, 200);
+
+/**
+ * The commits or pull request a webhook is about, with the task references in each
+ * @param {string} event - X-GitHub-Event
+ * @param {Object} payload
+ * @returns {{ repository: string|null, sender: Object|null, items: Object[] }}
+ */
+const extractItems = (event, payload) => {
+  const repository = payload?.repository?.full_name || null;
+  const sender = payload?.sender ? { id: payload.sender.id, login: payload.sender.login } : null;
+
+  if (event === 'push') {
+    // Branch deletions carry no new work
+    if (payload.deleted) return { repository, sender, items: [] };
+
+    const branch = (payload.ref || '').replace(/^refs\/heads\//, '');
+    const items = (payload.commits || []).map(commit => ({
+      kind: 'commit',
+      externalId: commit.id,
+      title: firstLine(commit.message),
+      url: commit.url,
+      authorLogin: commit.author?.username || null,
+      state: 'pushed',
+      branch,
+      refs: parseTaskReferences(commit.message)
+    }));
+
+    return { repository, sender, items: items.filter(item => item.refs.length > 0) };
+  }
+
+  if (event === 'pull_request') {
+    const pr = payload.pull_request || {};
+    const refs = parseTaskReferences(`${pr.title || ''}\n${pr.body || ''}`);
+    if (refs.length === 0) return { repository, sender, items: [] };
+
+    return {
+      repository,
+      sender,
+      items: [{
+        kind: 'pull_request',
+        externalId: String(pr.number),
+        title: firstLine(pr.title),
+        url: pr.html_url,
+        authorLogin: pr.user?.login || null,
+        state: pr.merged ? 'merged' : pr.state,
+        action: payload.action,
+        draft: Boolean(pr.draft),
+        branch: pr.base?.ref || null,
+        refs
+      }]
+    };
+  }
+
+  return { repository, sender, items: [] };
+};
+
+/**
+ * Find the task a reference points at
+ * @param {string} ref - full id or prefix
+ * @param {Object[]} tasks - candidate tasks (needs id)
+ * @returns {Object|null} null if nothing or more than one task matches
+ */
+const matchTask = (ref, tasks) => {
+  const exact = tasks.find(task => task.id.toLowerCase() === ref);
+  if (exact) return exact;
+  if (ref.length < 8) return null;
+
+  const matches = tasks.filter(task => task.id.toLowerCase().startsWith(ref));
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * The status a task should move to for one commit / PR, or null to only link it
+ */
+const getNextStatus = (item, closes, task, trackedBranch) => {
+  if (task.status === 'completed') return null;
+
+  let next = null;
+  if (item.kind === 'commit') {
+    if (closes && (!trackedBranch || item.branch === trackedBranch)) next = 'completed';
+  } else if (item.state === 'merged') {
+    // Same rule as commits: merging into some other branch isn't shipping it
+    if (closes && (!trackedBranch || item.branch === trackedBranch)) next = 'completed';
+  } else if (item.state === 'closed') {
+    if (task.status === 'in_review') next = 'in_progress';
+  } else if (PR_REVIEW_ACTIONS.includes(item.action) && !item.draft) {
+    if (['todo', 'in_progress'].includes(task.status)) next = 'in_review';
+  }
+
+  return next === task.status ? null : next;
+};
+
+/**
+ * Work out what a webhook does to the project's tasks
+ * @param {Object} params
+ * @param {Object[]} params.items - from extractItems
+ * @param {Object[]} params.tasks - tasks in the projects connected to the repository
+ *   (needs id, project_id, title, status)
+ * @param {Object} [params.trackedBranches] - project_id -> branch the project follows
+ * @returns {{ updates: { task: Object, item: Object, closes: boolean, nextStatus: string|null }[],
+ *   unmatched: string[] }} unmatched refs didn't point at exactly one task
+ */
+const planTaskUpdates = ({ items, tasks, trackedBranches = {} }) => {
+  const updates = [];
+  const unmatched = [];
+  // Carry each move forward, so later commits in the same push see it - once one closes a task,
+  // the next can't move it again
+  const projectedStatus = new Map();
+
+  for (const item of items) {
+    for (const { ref, closes } of item.refs) {
+      const task = matchTask(ref, tasks);
+      if (!task) {
+        unmatched.push(ref);
+        continue;
+      }
+
+      const current = { ...task, status: projectedStatus.get(task.id) || task.status };
+      const nextStatus = getNextStatus(item, closes, current, trackedBranches[task.project_id]);
+      if (nextStatus) projectedStatus.set(task.id, nextStatus);
+
+      updates.push({ task: current, item, closes, nextStatus });
+    }
+  }
+
+  return { updates, unmatched };
+};
+
+module.exports = {
+  SUPPORTED_EVENTS,
+  verifySignature,
+  generateWebhookSecret,
+  filterSignedRepos,
+  parseTaskReferences,
+  extractItems,
+  matchTask,
+  planTaskUpdates
+};
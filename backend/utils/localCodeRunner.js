@@ -0,0 +1,308 @@
+// backend/utils/localCodeRunner.js
+// Local execution backend for codeEvaluator - runs submissions in a sandboxed child process, NO Judge0 required.
+// Only used when CODE_RUNNER=local is set explicitly; it is never picked automatically.
+// Each run gets its own temp dir, an empty environment, CPU/memory/file-size rlimits and a wall-clock timeout.
+// Results use the same shape as codeEvaluator.getExecutionResult so the diff/scoring code is shared.
+//
+// Submissions are untrusted, so they always run inside a sandbox (LOCAL_RUNNER_SANDBOX):
+//   bwrap    (default) bubblewrap: new user/pid/net/ipc/uts namespaces, read-only system dirs,
+//            nothing of the API server's filesystem but the interpreter
+//   unshare  for servers running as root without bubblewrap: util-linux unshare (new pid/net/ipc/uts/mount
+//            namespaces) and setpriv to drop to LOCAL_RUNNER_UID/GID. The host filesystem stays visible
+//            read-only to that user, so keep the app's files (.env!) unreadable to others.
+// Either way the submission has no network, can't see the server's processes (/proc/<ppid>/environ) and
+// runs as an unprivileged user. If the sandbox tool is missing the run fails with an internal error
+// naming it (see getSandboxProblem) rather than falling back to running unsandboxed.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PYTHON_BIN = process.env.LOCAL_RUNNER_PYTHON || 'python3';
+const NODE_BIN = process.env.LOCAL_RUNNER_NODE || process.execPath;
+const MAX_OUTPUT_BYTES = Number(process.env.LOCAL_RUNNER_MAX_OUTPUT || 64 * 1024);
+const MAX_FILE_BLOCKS = 1024; // ulimit -f, in 1K blocks
+const DEBUG = process.env.JUDGE0_DEBUG === '1';
+const SANDBOX = (process.env.LOCAL_RUNNER_SANDBOX || 'bwrap').toLowerCase();
+const BWRAP_BIN = process.env.LOCAL_RUNNER_BWRAP || 'bwrap';
+// 'nobody' on most distributions
+const SANDBOX_UID = Number(process.env.LOCAL_RUNNER_UID || 65534);
+const SANDBOX_GID = Number(process.env.LOCAL_RUNNER_GID || 65534);
+const SANDBOX_PATH = '/usr/local/bin:/usr/bin:/bin';
+
+function log(...args) { if (DEBUG) console.log('[LocalRunner]', ...args); }
+
+// Judge0-compatible status ids so callers can treat both backends alike
+const STATUS = {
+  ACCEPTED: { id: 3, description: 'Accepted' },
+  TIME_LIMIT: { id: 5, description: 'Time Limit Exceeded' },
+  RUNTIME_NZEC: { id: 11, description: 'Runtime Error (NZEC)' },
+  RUNTIME_OTHER: { id: 12, description: 'Runtime Error (Other)' },
+  INTERNAL: { id: 13, description: 'Internal Error' }
+};
+
+// V8 reserves far more virtual memory than it uses, so `ulimit -v` would kill node on startup.
+// Node is capped through its own heap flag instead; Python gets a hard address-space limit.
+const LANGUAGES = {
+  javascript: {
+    fileName: 'main.js',
+    command: (file, { memoryLimitMb }) => ({
+      bin: NODE_BIN,
+      args: [`--max-old-space-size=${memoryLimitMb}`, '--disallow-code-generation-from-strings', file]
+    }),
+    limitAddressSpace: false
+  },
+  python: {
+    fileName: 'main.py',
+    command: (file) => ({ bin: PYTHON_BIN, args: ['-I', '-B', file] }),
+    limitAddressSpace: true
+  }
+};
+
+const ALIASES = {
+  javascript: 'javascript',
+  js: 'javascript',
+  node: 'javascript',
+  'node.js': 'javascript',
+  python: 'python',
+  python3: 'python',
+  py: 'python'
+};
+
+function normalizeLanguage(languageName) {
+  return ALIASES[String(languageName || '').toLowerCase().trim()] || null;
+}
+
+function supportsLanguage(languageName) {
+  return normalizeLanguage(languageName) !== null;
+}
+
+// What each sandbox needs installed on the server
+const SANDBOX_TOOLS = {
+  bwrap: [BWRAP_BIN],
+  unshare: ['unshare', 'setpriv']
+};
+
+function findExecutable(name) {
+  const candidates = name.includes('/')
+    ? [name]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, name));
+
+  return candidates.find((file) => {
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Why submissions can't be sandboxed on this server, or null if they can
+ * @param {string} [sandbox] - defaults to LOCAL_RUNNER_SANDBOX
+ * @returns {string|null}
+ */
+function getSandboxProblem(sandbox = SANDBOX) {
+  if (process.platform !== 'linux') {
+    return 'The local runner needs Linux namespaces to sandbox submissions; use Judge0 on this platform';
+  }
+
+  const tools = SANDBOX_TOOLS[sandbox];
+  if (!tools) return `Unknown LOCAL_RUNNER_SANDBOX "${sandbox}" (use bwrap or unshare)`;
+
+  const missing = tools.filter(tool => !findExecutable(tool));
+  if (missing.length === 0) return null;
+
+  const hint = sandbox === 'bwrap' ? ' - install bubblewrap, or set LOCAL_RUNNER_SANDBOX=unshare on a server running as root' : '';
+  return `LOCAL_RUNNER_SANDBOX=${sandbox} needs ${missing.join(' and ')}, which ${missing.length === 1 ? 'is' : 'are'} not installed${hint}`;
+}
+
+// Sandbox command that runs `argv` with workDir as its only writable-looking place
+function sandboxPrefix(sandbox, { workDir, bin }) {
+  if (sandbox === 'bwrap') {
+    // The interpreter may live outside /usr (nvm, pyenv); its install prefix is mounted read-only too
+    const binRoot = path.dirname(path.dirname(bin));
+    const readOnly = ['/usr', '/bin', '/lib', '/lib64', '/etc/alternatives', '/etc/ssl', binRoot]
+      .flatMap(dir => ['--ro-bind-try', dir, dir]);
+
+    return [
+      BWRAP_BIN,
+      '--unshare-all',
+      '--die-with-parent',
+      '--new-session',
+      '--uid', String(SANDBOX_UID),
+      '--gid', String(SANDBOX_GID),
+      ...readOnly,
+      '--proc', '/proc',
+      '--dev', '/dev',
+      '--tmpfs', '/tmp',
+      '--ro-bind', workDir, workDir,
+      '--chdir', workDir,
+      '--'
+    ];
+  }
+
+  if (sandbox === 'unshare') {
+    return [
+      'unshare', '--pid', '--fork', '--kill-child', '--mount-proc', '--net', '--ipc', '--uts', '--',
+      'setpriv', `--reuid=${SANDBOX_UID}`, `--regid=${SANDBOX_GID}`, '--clear-groups', '--no-new-privs', '--'
+    ];
+  }
+
+  throw new Error(`Unknown LOCAL_RUNNER_SANDBOX "${sandbox}" (use bwrap or unshare)`);
+}
+
+// Wrap the interpreter in `sh -c 'ulimit ...; exec "$0" "$@"'` so the limits apply to the child only,
+// inside the sandbox
+function buildSpawnArgs({ bin, args }, { timeLimitMs, memoryLimitMb, limitAddressSpace, workDir, sandbox = SANDBOX }) {
+  const problem = getSandboxProblem(sandbox);
+  if (problem) throw new Error(problem);
+
+  const cpuSeconds = Math.max(1, Math.ceil(timeLimitMs / 1000));
+  const limits = [`ulimit -t ${cpuSeconds}`, `ulimit -f ${MAX_FILE_BLOCKS}`];
+  if (limitAddressSpace) limits.push(`ulimit -v ${memoryLimitMb * 1024}`);
+
+  const [file, ...prefix] = sandboxPrefix(sandbox, { workDir, bin });
+  return { file, argv: [...prefix, '/bin/sh', '-c', `${limits.join('; ')}; exec "$0" "$@"`, bin, ...args] };
+}
+
+// The sandbox leader and everything it started share a process group (spawned detached)
+function killGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    if (error.code !== 'ESRCH') child.kill('SIGKILL');
+  }
+}
+
+function collect(stream, sink) {
+  stream.on('data', (chunk) => {
+    if (sink.bytes >= MAX_OUTPUT_BYTES) { sink.truncated = true; return; }
+    const room = MAX_OUTPUT_BYTES - sink.bytes;
+    const piece = chunk.length > room ? chunk.subarray(0, room) : chunk;
+    sink.chunks.push(piece);
+    sink.bytes += piece.length;
+    if (piece.length < chunk.length) sink.truncated = true;
+  });
+}
+
+function classify({ code, signal, timedOut, stderr, memoryLimitMb }) {
+  if (timedOut || signal === 'SIGXCPU') return STATUS.TIME_LIMIT;
+  if (code === 0 && !signal) return STATUS.ACCEPTED;
+  if (/MemoryError|heap out of memory|Allocation failed/i.test(stderr)) {
+    return { ...STATUS.RUNTIME_OTHER, description: `Memory Limit Exceeded (${memoryLimitMb} MB)` };
+  }
+  if (signal) return { ...STATUS.RUNTIME_OTHER, description: `Runtime Error (${signal})` };
+  return STATUS.RUNTIME_NZEC;
+}
+
+/**
+ * Execute source code once in a child process.
+ * @param {Object} options
+ * @param {string} options.sourceCode - Program to run
+ * @param {string} options.languageName - 'javascript' or 'python' (aliases accepted)
+ * @param {string} [options.stdin] - Data piped to the program's STDIN
+ * @param {number} [options.timeLimitMs] - Wall-clock limit; CPU limit is rounded up to whole seconds
+ * @param {number} [options.memoryLimitMb] - Heap (node) or address-space (python) limit
+ * @returns {Promise<Object>} { status, stdout, stderr, compile_output, time, memory, exit_code }
+ */
+async function executeLocally({ sourceCode, languageName, stdin = '', timeLimitMs = 5000, memoryLimitMb = 256 }) {
+  const langKey = normalizeLanguage(languageName);
+  if (!langKey) throw new Error(`Local runner does not support language: ${languageName}`);
+  const lang = LANGUAGES[langKey];
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'techsync-run-'));
+  const filePath = path.join(workDir, lang.fileName);
+
+  try {
+    await fs.promises.writeFile(filePath, String(sourceCode || ''), 'utf8');
+    // Readable by the sandbox user, writable by nobody but us
+    await fs.promises.chmod(filePath, 0o644);
+    await fs.promises.chmod(workDir, 0o755);
+
+    const command = lang.command(filePath, { memoryLimitMb });
+    const { file, argv } = buildSpawnArgs(
+      command,
+      { timeLimitMs, memoryLimitMb, limitAddressSpace: lang.limitAddressSpace, workDir }
+    );
+
+    const started = process.hrtime.bigint();
+    const stdout = { chunks: [], bytes: 0, truncated: false };
+    const stderr = { chunks: [], bytes: 0, truncated: false };
+
+    const { code, signal, timedOut } = await new Promise((resolve, reject) => {
+      let timedOut = false;
+      const child = spawn(file, argv, {
+        cwd: workDir,
+        env: { PATH: SANDBOX_PATH, HOME: workDir, LANG: 'C.UTF-8', PYTHONIOENCODING: 'utf-8' },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        // Own process group, so a timeout takes down anything the submission forked as well
+        detached: true
+      });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup(child);
+      }, timeLimitMs);
+
+      collect(child.stdout, stdout);
+      collect(child.stderr, stderr);
+
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on('close', (exitCode, exitSignal) => {
+        clearTimeout(timer);
+        resolve({ code: exitCode, signal: exitSignal, timedOut });
+      });
+
+      // Programs that never read STDIN close the pipe early; that is not an error
+      child.stdin.on('error', () => {});
+      child.stdin.end(stdin ? String(stdin) : '');
+    });
+
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+    let errText = Buffer.concat(stderr.chunks).toString('utf8');
+    const outText = Buffer.concat(stdout.chunks).toString('utf8');
+    if (stdout.truncated) errText += `\n[output truncated at ${MAX_OUTPUT_BYTES} bytes]`;
+    if (timedOut) errText += `\nTime limit of ${timeLimitMs} ms exceeded`;
+
+    const status = classify({ code, signal, timedOut, stderr: errText, memoryLimitMb });
+    log(langKey, status.description, `${elapsedMs.toFixed(1)}ms`);
+
+    return {
+      status,
+      stdout: outText,
+      stderr: errText.trim(),
+      compile_output: '',
+      time: elapsedMs / 1000,
+      memory: 0, // not measurable portably from node; callers treat 0 as unknown
+      exit_code: code
+    };
+  } catch (error) {
+    log('Execution failed', error.message);
+    return {
+      status: STATUS.INTERNAL,
+      stdout: '',
+      stderr: error.code === 'ENOENT'
+        ? `Sandbox or interpreter not found for ${langKey} (${error.path || 'unknown'})`
+        : error.message,
+      compile_output: '',
+      time: 0,
+      memory: 0,
+      exit_code: -1
+    };
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  executeLocally,
+  getSandboxProblem,
+  supportsLanguage,
+  normalizeLanguage
+};
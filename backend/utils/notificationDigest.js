@@ -0,0 +1,233 @@
+// backend/utils/notificationDigest.js
+// Daily/weekly email digest of what's waiting for a user: unread mentions, assigned tasks
+// due soon, completion votes they haven't cast yet and pending friend requests.
+//
+// Users opt in through notification_preferences.digest_frequency. startDigestScheduler()
+// (called from server.js) checks every hour who is due; quiet hours push a digest back to
+// the first run after they end. A digest with nothing in it isn't sent, but still counts
+// as this period's digest.
+
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const emailService = require('../services/emailService');
+const { normalizePreferences, isDigestDue } = require('./notificationPreferences');
+
+const MAX_ITEMS_PER_SECTION = 10;
+
+// How far ahead "due soon" looks
+const DUE_SOON_DAYS = { daily: 2, weekly: 7 };
+
+const truncate = (text, length = 100) => {
+  if (!text) return '';
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const getUnreadMentions = async (userId) => {
+  const { data, error } = await supabase
+    .from('notifications')
+    .select('title, message, target_url, created_at')
+    .eq('user_id', userId)
+    .eq('notification_type', 'comment_mention')
+    .eq('is_read', false)
+    .is('archived_at', null)
+    .order('created_at', { ascending: false })
+    .limit(MAX_ITEMS_PER_SECTION);
+
+  if (error) throw error;
+  return (data || []).map(mention => ({
+    title: mention.title,
+    detail: truncate(mention.message),
+    url: mention.target_url || '/notifications'
+  }));
+};
+
+const getTasksDueSoon = async (userId, frequency, now) => {
+  const horizon = new Date(now.getTime() + DUE_SOON_DAYS[frequency] * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('project_tasks')
+    .select('id, title, due_date, project_id, project:projects!project_id (title)')
+    .eq('assigned_to', userId)
+    .neq('status', 'completed')
+    .not('due_date', 'is', null)
+    .lte('due_date', horizon.toISOString())
+    .order('due_date', { ascending: true })
+    .limit(MAX_ITEMS_PER_SECTION);
+
+  if (error) throw error;
+  return (data || []).map(task => {
+    const overdue = new Date(task.due_date) < now;
+    return {
+      title: task.title,
+      detail: `${task.project?.title || 'Project'} · ${overdue ? 'overdue since' : 'due'} ${formatDate(task.due_date)}`,
+      url: `/project/${task.project_id}/tasks/${task.id}`
+    };
+  });
+};
+
+// Active projects where voting has started but this user hasn't voted
+const getPendingCompletionVotes = async (userId) => {
+  const [{ data: memberships, error: membershipsError }, { data: owned, error: ownedError }] = await Promise.all([
+    supabase
+      .from('project_members')
+      .select('project_id')
+      .eq('user_id', userId)
+      .eq('status', 'active'),
+    supabase
+      .from('projects')
+      .select('id')
+      .eq('owner_id', userId)
+  ]);
+
+  if (membershipsError) throw membershipsError;
+  if (ownedError) throw ownedError;
+
+  const projectIds = [...new Set([
+    ...(memberships || []).map(m => m.project_id),
+    ...(owned || []).map(p => p.id)
+  ])];
+  if (projectIds.length === 0) return [];
+
+  const [{ data: votes, error: votesError }, { data: projects, error: projectsError }] = await Promise.all([
+    supabase
+      .from('project_completion_votes')
+      .select('project_id, user_id')
+      .in('project_id', projectIds),
+    supabase
+      .from('projects')
+      .select('id, title, status')
+      .in('id', projectIds)
+      .neq('status', 'completed')
+  ]);
+
+  if (votesError) throw votesError;
+  if (projectsError) throw projectsError;
+
+  return (projects || [])
+    .map(project => {
+      const projectVotes = (votes || []).filter(vote => vote.project_id === project.id);
+      return { project, projectVotes };
+    })
+    .filter(({ projectVotes }) => projectVotes.length > 0 && !projectVotes.some(vote => vote.user_id === userId))
+    .slice(0, MAX_ITEMS_PER_SECTION)
+    .map(({ project, projectVotes }) => ({
+      title: project.title,
+      detail: `${projectVotes.length} vote${projectVotes.length === 1 ? '' : 's'} cast so far`,
+      url: `/project/${project.id}/dashboard`
+    }));
+};
+
+const getPendingFriendRequests = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_friendships')
+    .select('id, created_at, requester:requester_id(id, full_name, username)')
+    .eq('addressee_id', userId)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(MAX_ITEMS_PER_SECTION);
+
+  if (error) throw error;
+  return (data || []).map(request => ({
+    title: request.requester?.full_name || request.requester?.username || 'Someone',
+    detail: `Sent ${formatDate(request.created_at)}`,
+    url: '/friends'
+  }));
+};
+
+/**
+ * Everything that goes into one user's digest
+ * @param {string} userId
+ * @param {'daily'|'weekly'} frequency
+ * @returns {Promise<{ mentions: Object[], dueTasks: Object[], pendingVotes: Object[], friendRequests: Object[] }>}
+ */
+const collectDigest = async (userId, frequency, now = new Date()) => {
+  const [mentions, dueTasks, pendingVotes, friendRequests] = await Promise.all([
+    getUnreadMentions(userId),
+    getTasksDueSoon(userId, frequency, now),
+    getPendingCompletionVotes(userId),
+    getPendingFriendRequests(userId)
+  ]);
+
+  return { mentions, dueTasks, pendingVotes, friendRequests };
+};
+
+const isDigestEmpty = (digest) =>
+  Object.values(digest).every(items => items.length === 0);
+
+/**
+ * Send every digest that is due
+ * @returns {Promise<{ checked: number, sent: number, skipped: number, failed: number }>}
+ */
+const sendDueDigests = async (now = new Date()) => {
+  const result = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+
+  const { data: rows, error } = await supabase
+    .from('notification_preferences')
+    .select('*, user:users!user_id (id, email, username, full_name)')
+    .neq('digest_frequency', 'off');
+
+  if (error) throw error;
+
+  for (const row of rows || []) {
+    const preferences = normalizePreferences(row);
+    if (!isDigestDue(preferences, now)) continue;
+    result.checked++;
+
+    try {
+      if (!row.user?.email) {
+        result.skipped++;
+      } else {
+        const digest = await collectDigest(row.user_id, preferences.digest_frequency, now);
+        if (isDigestEmpty(digest)) {
+          result.skipped++;
+        } else {
+          await emailService.sendDigestEmail(row.user.email, {
+            username: row.user.full_name || row.user.username,
+            frequency: preferences.digest_frequency,
+            digest
+          });
+          result.sent++;
+        }
+      }
+
+      await supabase
+        .from('notification_preferences')
+        .update({ last_digest_sent_at: now.toISOString() })
+        .eq('user_id', row.user_id);
+    } catch (digestError) {
+      // Left unmarked, so the next hourly run tries this user again
+      result.failed++;
+      console.error(`Error sending digest to ${row.user_id}:`, digestError.message);
+    }
+  }
+
+  return result;
+};
+
+let scheduledTask = null;
+
+/**
+ * Check for due digests at the top of every hour
+ */
+const startDigestScheduler = () => {
+  if (scheduledTask || process.env.NOTIFICATION_DIGESTS === 'off') return;
+
+  scheduledTask = cron.schedule('0 * * * *', async () => {
+    try {
+      const result = await sendDueDigests();
+      if (result.checked > 0) console.log('📬 Notification digests:', result);
+    } catch (error) {
+      console.error('Error running notification digests:', error);
+    }
+  });
+};
+
+module.exports = {
+  collectDigest,
+  isDigestEmpty,
+  sendDueDigests,
+  startDigestScheduler
+};
@@ -0,0 +1,232 @@
+// backend/utils/notificationPreferences.js
+// Per-user choices about notifications: a channel per type, quiet hours and the email digest.
+//
+// Table:
+//   notification_preferences  user_id              uuid PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE
+//                             channels             jsonb NOT NULL DEFAULT '{}'  -- { [notification_type]: 'in_app' | 'email' | 'off' }
+//                             quiet_hours_start    text NULL   -- 'HH:MM' in the user's timezone
+//                             quiet_hours_end      text NULL
+//                             timezone             text NOT NULL DEFAULT 'UTC'
+//                             digest_frequency     text NOT NULL DEFAULT 'off'  -- 'off' | 'daily' | 'weekly'
+//                             last_digest_sent_at  timestamptz NULL
+//                             updated_at           timestamptz
+//
+// Channels: `in_app` shows it in the bell only (the default for every type), `email` also
+// emails it straight away, `off` drops it entirely. Quiet hours hold back emails (immediate
+// ones are skipped - the digest still covers them) but never the in-app bell.
+
+const supabase = require('../config/supabase');
+
+const CHANNELS = ['in_app', 'email', 'off'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_CHANNEL = 'in_app';
+
+const DEFAULT_PREFERENCES = {
+  channels: {},
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  timezone: 'UTC',
+  digest_frequency: 'off',
+  last_digest_sent_at: null
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Digests run hourly, so allow an hour of drift before calling one late
+const DIGEST_SLACK_MS = 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * A stored row (or nothing) with every field filled in
+ */
+const normalizePreferences = (row) => ({
+  ...DEFAULT_PREFERENCES,
+  ...(row || {}),
+  channels: { ...(row?.channels || {}) }
+});
+
+/**
+ * Which channel a type goes to for this user
+ * @returns {'in_app'|'email'|'off'}
+ */
+const getChannel = (preferences, type) => {
+  const channel = preferences?.channels?.[type];
+  return CHANNELS.includes(channel) ? channel : DEFAULT_CHANNEL;
+};
+
+/**
+ * Is `date` inside the user's quiet hours? Windows may wrap past midnight (22:00-07:00).
+ */
+const isQuietHours = (preferences, date = new Date()) => {
+  const { quiet_hours_start: start, quiet_hours_end: end } = preferences || {};
+  if (!start || !end || !TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end) return false;
+
+  const timezone = isValidTimezone(preferences.timezone) ? preferences.timezone : 'UTC';
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = Number(parts.find(part => part.type === 'hour').value);
+  const minute = Number(parts.find(part => part.type === 'minute').value);
+  const now = hour * 60 + minute;
+
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+/**
+ * Should this user's digest go out now?
+ */
+const isDigestDue = (preferences, now = new Date()) => {
+  const period = DIGEST_PERIOD_MS[preferences?.digest_frequency];
+  if (!period) return false;
+  if (isQuietHours(preferences, now)) return false;
+  if (!preferences.last_digest_sent_at) return true;
+
+  return now.getTime() - new Date(preferences.last_digest_sent_at).getTime() >= period - DIGEST_SLACK_MS;
+};
+
+/**
+ * Check a preferences update from the client
+ * @param {Object} changes
+ * @param {string[]} knownTypes - notification types that can be configured
+ * @returns {{ valid: boolean, message?: string, changes?: Object }}
+ */
+const validatePreferences = (changes, knownTypes) => {
+  const clean = {};
+
+  if (changes.channels !== undefined) {
+    if (!changes.channels || typeof changes.channels !== 'object' || Array.isArray(changes.channels)) {
+      return { valid: false, message: 'channels must be an object of notification type to channel' };
+    }
+    for (const [type, channel] of Object.entries(changes.channels)) {
+      if (!knownTypes.includes(type)) {
+        return { valid: false, message: `Unknown notification type: ${type}` };
+      }
+      if (!CHANNELS.includes(channel)) {
+        return { valid: false, message: `Channel must be one of: ${CHANNELS.join(', ')}` };
+      }
+    }
+    clean.channels = changes.channels;
+  }
+
+  if (changes.quiet_hours_start !== undefined || changes.quiet_hours_end !== undefined) {
+    const start = changes.quiet_hours_start || null;
+    const end = changes.quiet_hours_end || null;
+    if (Boolean(start) !== Boolean(end)) {
+      return { valid: false, message: 'Quiet hours need both a start and an end time' };
+    }
+    if (start && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end))) {
+      return { valid: false, message: 'Quiet hours must be in HH:MM format' };
+    }
+    clean.quiet_hours_start = start;
+    clean.quiet_hours_end = end;
+  }
+
+  if (changes.timezone !== undefined) {
+    if (typeof changes.timezone !== 'string' || !isValidTimezone(changes.timezone)) {
+      return { valid: false, message: 'Unknown timezone' };
+    }
+    clean.timezone = changes.timezone;
+  }
+
+  if (changes.digest_frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(changes.digest_frequency)) {
+      return { valid: false, message: `Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` };
+    }
+    clean.digest_frequency = changes.digest_frequency;
+  }
+
+  return { valid: true, changes: clean };
+};
+
+/**
+ * @param {string} userId
+ */
+const getPreferences = async (userId) => {
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return normalizePreferences(data);
+};
+
+/**
+ * Preferences for several users at once (missing users get the defaults)
+ * @returns {Promise<Map<string, Object>>}
+ */
+const getPreferencesForUsers = async (userIds) => {
+  const preferences = new Map(userIds.map(userId => [userId, normalizePreferences(null)]));
+  if (userIds.length === 0) return preferences;
+
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .in('user_id', userIds);
+
+  if (error) throw error;
+  (data || []).forEach(row => preferences.set(row.user_id, normalizePreferences(row)));
+  return preferences;
+};
+
+/**
+ * Save already-validated changes; channel changes merge into the existing map
+ */
+const updatePreferences = async (userId, changes) => {
+  const current = await getPreferences(userId);
+  const { last_digest_sent_at, ...stored } = current;
+
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .upsert({
+      ...stored,
+      ...changes,
+      channels: { ...current.channels, ...(changes.channels || {}) },
+      user_id: userId,
+      last_digest_sent_at,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return normalizePreferences(data);
+};
+
+module.exports = {
+  CHANNELS,
+  DIGEST_FREQUENCIES,
+  DEFAULT_CHANNEL,
+  normalizePreferences,
+  getChannel,
+  isQuietHours,
+  isDigestDue,
+  validatePreferences,
+  getPreferences,
+  getPreferencesForUsers,
+  updatePreferences
+};
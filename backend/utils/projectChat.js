@@ -0,0 +1,89 @@
+// backend/utils/projectChat.js
+// Post messages into a project's chat on behalf of a feature (e.g. completion votes), rather
+// than from the chat UI. They go in as message_type 'system' so nobody can edit them away
+// (see chatMessageRules.js), and are pushed to the room like any other new message.
+
+const supabase = require('../config/supabase');
+
+// Where feature messages land when a project has more than one room
+const ROOM_TYPE_PREFERENCE = ['announcements', 'general'];
+
+const MESSAGE_SELECT = `
+  *,
+  user:users!user_id (
+    id,
+    username,
+    full_name,
+    avatar_url
+  )
+`;
+
+/**
+ * The room feature messages should go to: announcements, then general, then the oldest room
+ * @param {string} projectId
+ * @returns {Promise<Object|null>} chat_rooms row, or null if the project has no open room
+ */
+const getDefaultRoom = async (projectId) => {
+  const { data: rooms } = await supabase
+    .from('chat_rooms')
+    .select('id, name, room_type, created_at')
+    .eq('project_id', projectId)
+    .eq('is_archived', false)
+    .order('created_at', { ascending: true });
+
+  if (!rooms || rooms.length === 0) return null;
+
+  for (const roomType of ROOM_TYPE_PREFERENCE) {
+    const room = rooms.find(r => r.room_type === roomType);
+    if (room) return room;
+  }
+  return rooms[0];
+};
+
+/**
+ * Post a system message to the project's default room
+ * @param {Object} params
+ * @param {string} params.projectId
+ * @param {string} params.userId - who the message is from
+ * @param {string} params.content
+ * @param {Object} [params.io] - Socket.IO server, to push the message to the room live
+ * @returns {Promise<Object|null>} the message, or null if there was nowhere to post it
+ */
+const postSystemMessage = async ({ projectId, userId, content, io }) => {
+  try {
+    const room = await getDefaultRoom(projectId);
+    if (!room) return null;
+
+    const { data: message, error } = await supabase
+      .from('chat_messages')
+      .insert({
+        room_id: room.id,
+        user_id: userId,
+        content,
+        message_type: 'system'
+      })
+      .select(MESSAGE_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    if (io) {
+      io.to(`room_${room.id}`).emit('new_message', {
+        message,
+        roomId: room.id,
+        projectId
+      });
+    }
+
+    return message;
+  } catch (error) {
+    // The feature that posted shouldn't fail because chat did
+    console.error('Error posting project chat message:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getDefaultRoom,
+  postSystemMessage
+};
@@ -0,0 +1,205 @@
+// backend/utils/projectInvites.js
+// Invite links for projects (/join/:inviteCode on the frontend).
+//
+// Table:
+//   project_invites  id              uuid PRIMARY KEY DEFAULT gen_random_uuid()
+//                    project_id      uuid NOT NULL REFERENCES projects(id) ON DELETE CASCADE
+//                    code            text NOT NULL UNIQUE
+//                    created_by      uuid NOT NULL REFERENCES users(id)
+//                    role            text NOT NULL DEFAULT 'member'   -- role given on joining
+//                    skip_challenge  boolean NOT NULL DEFAULT false   -- join without the entry challenge
+//                    max_uses        integer NULL                     -- NULL = unlimited
+//                    use_count       integer NOT NULL DEFAULT 0
+//                    expires_at      timestamptz NULL                 -- NULL = never
+//                    revoked_at      timestamptz NULL
+//                    created_at      timestamptz NOT NULL DEFAULT now()
+//
+// Redeeming an invite (projectMemberController.redeemInvite) is what actually adds the
+// member, so the project's maximum_members limit applies the same way as everywhere else.
+// Mentor links don't use up a seat and don't ask for the entry challenge.
+
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+const INVITE_ROLES = ['viewer', 'mentor', 'member', 'moderator', 'lead'];
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_INVITE_USES = 100;
+
+// No 0/O or 1/I/l, so codes survive being read out or typed
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const CODE_LENGTH = 10;
+
+const generateInviteCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Why an invite can't be used right now, or null if it can
+ * @returns {null|'revoked'|'expired'|'used_up'}
+ */
+const getInviteProblem = (invite, now = new Date()) => {
+  if (invite.revoked_at) return 'revoked';
+  if (invite.expires_at && new Date(invite.expires_at) <= now) return 'expired';
+  if (invite.max_uses !== null && invite.max_uses !== undefined && invite.use_count >= invite.max_uses) return 'used_up';
+  return null;
+};
+
+const INVITE_PROBLEM_MESSAGES = {
+  revoked: 'This invite link has been revoked',
+  expired: 'This invite link has expired',
+  used_up: 'This invite link has already been used the maximum number of times'
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.projectId
+ * @param {string} params.createdBy
+ * @param {string} [params.role]
+ * @param {boolean} [params.skipChallenge]
+ * @param {number|null} [params.maxUses]
+ * @param {number|null} [params.expiresInHours]
+ */
+const createInvite = async ({ projectId, createdBy, role = 'member', skipChallenge = false, maxUses = null, expiresInHours = null }) => {
+  const expiresAt = expiresInHours
+    ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString()
+    : null;
+
+  // Codes are random enough that a clash is very unlikely, but retry rather than fail on one
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, error } = await supabase
+      .from('project_invites')
+      .insert({
+        project_id: projectId,
+        code: generateInviteCode(),
+        created_by: createdBy,
+        role,
+        skip_challenge: skipChallenge,
+        max_uses: maxUses,
+        expires_at: expiresAt
+      })
+      .select('*')
+      .single();
+
+    if (!error) return data;
+    if (error.code !== '23505') throw error;
+  }
+
+  throw new Error('Could not generate a unique invite code');
+};
+
+/**
+ * Invites of a project, newest first
+ * @param {string} projectId
+ * @param {{ includeInactive?: boolean }} [options]
+ */
+const listInvites = async (projectId, { includeInactive = false } = {}) => {
+  const { data, error } = await supabase
+    .from('project_invites')
+    .select(`
+      *,
+      creator:users!created_by (
+        id,
+        username,
+        full_name
+      )
+    `)
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const now = new Date();
+  return (data || [])
+    .map(invite => ({ ...invite, problem: getInviteProblem(invite, now) }))
+    .filter(invite => includeInactive || !invite.problem);
+};
+
+const getInviteByCode = async (code) => {
+  const { data, error } = await supabase
+    .from('project_invites')
+    .select('*')
+    .eq('code', code)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const revokeInvite = async (projectId, inviteId) => {
+  const { data, error } = await supabase
+    .from('project_invites')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', inviteId)
+    .eq('project_id', projectId)
+    .is('revoked_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+};
+
+/**
+ * Take one use of an invite. Compare-and-set on use_count, so two people redeeming the
+ * last use at the same time can't both get in.
+ * @returns {Promise<{ claimed: boolean, problem?: string }>}
+ */
+const claimInviteUse = async (invite) => {
+  let current = invite;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const problem = getInviteProblem(current);
+    if (problem) return { claimed: false, problem };
+
+    const { data, error } = await supabase
+      .from('project_invites')
+      .update({ use_count: current.use_count + 1 })
+      .eq('id', current.id)
+      .eq('use_count', current.use_count)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return { claimed: true };
+
+    // Someone else redeemed in between - look again
+    current = await getInviteByCode(current.code);
+    if (!current) return { claimed: false, problem: 'revoked' };
+  }
+
+  return { claimed: false, problem: 'used_up' };
+};
+
+/**
+ * Give a use back when joining failed after it was claimed
+ */
+const releaseInviteUse = async (inviteId) => {
+  const { data: invite } = await supabase
+    .from('project_invites')
+    .select('use_count')
+    .eq('id', inviteId)
+    .single();
+
+  if (invite && invite.use_count > 0) {
+    await supabase
+      .from('project_invites')
+      .update({ use_count: invite.use_count - 1 })
+      .eq('id', inviteId)
+      .eq('use_count', invite.use_count);
+  }
+};
+
+module.exports = {
+  INVITE_ROLES,
+  MAX_EXPIRY_HOURS,
+  MAX_INVITE_USES,
+  INVITE_PROBLEM_MESSAGES,
+  getInviteProblem,
+  createInvite,
+  listInvites,
+  getInviteByCode,
+  revokeInvite,
+  claimInviteUse,
+  releaseInviteUse
+};
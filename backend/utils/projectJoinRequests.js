@@ -0,0 +1,333 @@
+// backend/utils/projectJoinRequests.js
+// Join policies and the owner approval queue for collaborative projects.
+//
+// Column:
+//   projects.join_policy  text NOT NULL DEFAULT 'challenge'
+//     'challenge'           passing the entry challenge joins the project (the original flow)
+//     'approval'            applicants send a pitch, owner/leads accept or decline
+//     'challenge_approval'  applicants must pass the challenge, then owner/leads still decide
+//     'open'                anyone can join straight away
+//
+// Table:
+//   project_join_requests  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid()
+//                          project_id         uuid NOT NULL REFERENCES projects(id) ON DELETE CASCADE
+//                          user_id            uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE
+//                          status             text NOT NULL DEFAULT 'pending'  -- pending | accepted | declined | withdrawn
+//                          pitch              text NULL
+//                          match_score        integer NULL       -- SkillMatchingService score when applying
+//                          challenge_summary  jsonb NOT NULL DEFAULT '{}'  -- see getChallengeSummary
+//                          decided_by         uuid NULL REFERENCES users(id)
+//                          decision_message   text NULL
+//                          decided_at         timestamptz NULL
+//                          created_at         timestamptz NOT NULL DEFAULT now()
+//                          updated_at         timestamptz NOT NULL DEFAULT now()
+//   UNIQUE (project_id, user_id) WHERE status = 'pending'
+//
+// The match score and challenge history are a snapshot taken when the request is made, so
+// the queue shows what the applicant looked like when they applied.
+
+const supabase = require('../config/supabase');
+const SkillMatchingService = require('../services/SkillMatchingService');
+const notificationService = require('../services/notificationService');
+const { getRolePermissions } = require('./projectPermissions');
+
+const JOIN_POLICIES = ['challenge', 'approval', 'challenge_approval', 'open'];
+const DEFAULT_JOIN_POLICY = 'challenge';
+const REQUEST_STATUSES = ['pending', 'accepted', 'declined', 'withdrawn'];
+const MAX_PITCH_LENGTH = 2000;
+
+const getJoinPolicy = (project) =>
+  JOIN_POLICIES.includes(project?.join_policy) ? project.join_policy : DEFAULT_JOIN_POLICY;
+
+const policyRequiresChallenge = (policy) => policy === 'challenge' || policy === 'challenge_approval';
+const policyRequiresApproval = (policy) => policy === 'approval' || policy === 'challenge_approval';
+
+/**
+ * The applicant's attempts at this project's challenge
+ * @returns {Promise<{ attempts: number, passed: boolean, bestScore: number|null, lastScore: number|null, lastAttemptAt: string|null }>}
+ */
+const getChallengeSummary = async (projectId, userId) => {
+  const { data: attempts, error } = await supabase
+    .from('challenge_attempts')
+    .select('score, status, submitted_at')
+    .eq('project_id', projectId)
+    .eq('user_id', userId)
+    .order('submitted_at', { ascending: false });
+
+  if (error) throw error;
+
+  const list = attempts || [];
+  const scores = list.map(a => a.score).filter(score => typeof score === 'number');
+
+  return {
+    attempts: list.length,
+    passed: list.some(a => a.status === 'passed'),
+    bestScore: scores.length ? Math.max(...scores) : null,
+    lastScore: list[0]?.score ?? null,
+    lastAttemptAt: list[0]?.submitted_at || null
+  };
+};
+
+/**
+ * How well the applicant fits the project, on the same 0-100 scale as recommendations.
+ * A missing profile or project data gives null rather than failing the request.
+ */
+const getMatchScore = async (projectId, userId) => {
+  try {
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select(`
+        id, required_experience_level,
+        project_languages (
+          programming_languages (id, name),
+          required_level,
+          is_primary
+        ),
+        project_topics (
+          topics (id, name),
+          is_primary
+        )
+      `)
+      .eq('id', projectId)
+      .single();
+
+    if (error || !project) return null;
+
+    const user = await SkillMatchingService.getUserProfile(userId);
+    return await SkillMatchingService.calculateMatchScore(user, project);
+  } catch (error) {
+    console.error('Error calculating join request match score:', error);
+    return null;
+  }
+};
+
+const getPendingRequest = async (projectId, userId) => {
+  const { data, error } = await supabase
+    .from('project_join_requests')
+    .select('*')
+    .eq('project_id', projectId)
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * The applicant's most recent request, whatever its status
+ */
+const getLatestRequest = async (projectId, userId) => {
+  const { data, error } = await supabase
+    .from('project_join_requests')
+    .select('*')
+    .eq('project_id', projectId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Open a request, or refresh the pitch and snapshot of the one already pending
+ * @returns {Promise<{ request: Object, created: boolean }>}
+ */
+const submitRequest = async ({ projectId, userId, pitch = null }) => {
+  const [matchScore, challengeSummary] = await Promise.all([
+    getMatchScore(projectId, userId),
+    getChallengeSummary(projectId, userId)
+  ]);
+
+  const snapshot = {
+    match_score: matchScore,
+    challenge_summary: challengeSummary,
+    updated_at: new Date().toISOString()
+  };
+
+  const pending = await getPendingRequest(projectId, userId);
+
+  if (pending) {
+    const { data, error } = await supabase
+      .from('project_join_requests')
+      .update({ ...snapshot, pitch: pitch ?? pending.pitch })
+      .eq('id', pending.id)
+      .eq('status', 'pending')
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return { request: data, created: false };
+  }
+
+  const { data, error } = await supabase
+    .from('project_join_requests')
+    .insert({
+      ...snapshot,
+      project_id: projectId,
+      user_id: userId,
+      pitch,
+      status: 'pending'
+    })
+    .select('*')
+    .single();
+
+  // Two submissions racing: the unique index let the other one through, so use it
+  if (error && error.code === '23505') {
+    return submitRequest({ projectId, userId, pitch });
+  }
+  if (error) throw error;
+  return { request: data, created: true };
+};
+
+/**
+ * Requests of a project with the applicant attached, oldest first so the queue is fair
+ * @param {string} projectId
+ * @param {{ status?: string }} [options]
+ */
+const listRequests = async (projectId, { status = 'pending' } = {}) => {
+  const { data, error } = await supabase
+    .from('project_join_requests')
+    .select(`
+      *,
+      applicant:users!user_id (
+        id,
+        username,
+        full_name,
+        avatar_url,
+        years_experience,
+        github_username
+      )
+    `)
+    .eq('project_id', projectId)
+    .eq('status', status)
+    .order('created_at', { ascending: status === 'pending' });
+
+  if (error) throw error;
+  return data || [];
+};
+
+const getRequestById = async (projectId, requestId) => {
+  const { data, error } = await supabase
+    .from('project_join_requests')
+    .select('*')
+    .eq('id', requestId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Move a pending request to its final status. Only succeeds while it's still pending,
+ * so two leads deciding at once can't both win.
+ * @returns {Promise<Object|null>} the updated request, or null if it was no longer pending
+ */
+const resolveRequest = async (requestId, { status, decidedBy = null, message = null }) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('project_join_requests')
+    .update({
+      status,
+      decided_by: decidedBy,
+      decision_message: message,
+      decided_at: now,
+      updated_at: now
+    })
+    .eq('id', requestId)
+    .eq('status', 'pending')
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Put a request back in the queue after an accept couldn't add the member
+ */
+const reopenRequest = async (requestId) => {
+  await supabase
+    .from('project_join_requests')
+    .update({
+      status: 'pending',
+      decided_by: null,
+      decision_message: null,
+      decided_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', requestId);
+};
+
+/**
+ * Close whatever is pending for a user who got in some other way (e.g. an invite link)
+ */
+const acceptPendingRequest = async (projectId, userId, decidedBy = null) => {
+  const pending = await getPendingRequest(projectId, userId);
+  if (!pending) return null;
+  return resolveRequest(pending.id, { status: 'accepted', decidedBy });
+};
+
+/**
+ * The owner plus everyone whose role can review join requests (leads by default)
+ */
+const getReviewerIds = async (project) => {
+  let overrides = project.role_permissions;
+  if (overrides === undefined) {
+    const { data } = await supabase
+      .from('projects')
+      .select('role_permissions')
+      .eq('id', project.id)
+      .single();
+    overrides = data?.role_permissions;
+  }
+
+  const { data: members } = await supabase
+    .from('project_members')
+    .select('user_id, role')
+    .eq('project_id', project.id)
+    .eq('status', 'active');
+
+  const reviewers = (members || [])
+    .filter(m => m.user_id !== project.owner_id)
+    .filter(m => getRolePermissions(m.role, overrides).has('member.requests.review'))
+    .map(m => m.user_id);
+
+  return [...new Set([project.owner_id, ...reviewers])];
+};
+
+const notifyRequestReceived = async (project, request) => {
+  await notificationService.notify({
+    userIds: await getReviewerIds(project),
+    type: 'join_request_received',
+    actorId: request.user_id,
+    projectId: project.id,
+    target: { type: 'join_request', id: request.id, url: `/project/${project.id}/members` },
+    groupKey: `join_request_received:${project.id}`,
+    data: { project_title: project.title, request_id: request.id, match_score: request.match_score }
+  });
+};
+
+module.exports = {
+  JOIN_POLICIES,
+  DEFAULT_JOIN_POLICY,
+  REQUEST_STATUSES,
+  MAX_PITCH_LENGTH,
+  getJoinPolicy,
+  policyRequiresChallenge,
+  policyRequiresApproval,
+  getChallengeSummary,
+  getPendingRequest,
+  getLatestRequest,
+  submitRequest,
+  listRequests,
+  getRequestById,
+  resolveRequest,
+  reopenRequest,
+  acceptPendingRequest,
+  getReviewerIds,
+  notifyRequestReceived
+};
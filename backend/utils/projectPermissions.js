@@ -0,0 +1,248 @@
+// backend/utils/projectPermissions.js
+// Named permissions for everything people can do inside a project, and which project roles
+// get them. middleware/projectAccess.js is what routes use; handlers that need a second,
+// finer check (e.g. "delete your own comment, or anyone's with comment.moderate") read
+// req.projectAccess.can(...).
+//
+// Column:
+//   projects.role_permissions  jsonb NOT NULL DEFAULT '{}'
+//     Sparse per-project overrides of DEFAULT_ROLE_PERMISSIONS, e.g.
+//     { "member": { "task.delete": false }, "lead": { "project.settings": true } }
+//     Anything not overridden follows the defaults, so new permissions reach old projects.
+//
+// The owner always has every permission and can't be overridden, so a project can never
+// lock its owner out. Only active project_members rows (status = 'active') count as membership.
+//
+// Besides the working roles (member, moderator, lead) there are two read-mostly ones:
+//   viewer  reads tasks, chat and members but can't change anything
+//   mentor  a viewer who can also comment, chat and review tasks. Mentors oversee a team rather
+//           than belong to it (see NON_MEMBER_ROLES).
+
+const supabase = require('../config/supabase');
+
+// Permission -> what it lets you do (used in 403 messages and the settings UI)
+const PERMISSIONS = {
+  'project.view': 'view the project',
+  'project.settings': 'change project settings',
+  'project.complete': 'mark the project as complete',
+  'project.vote': 'vote on project completion',
+  'project.analytics': "view members' GitHub contribution reports",
+  'task.view': 'view tasks',
+  'task.create': 'create tasks',
+  'task.update': 'update tasks',
+  'task.assign': 'assign tasks',
+  'task.review': 'approve or send back tasks that are in review',
+  'task.delete': 'delete tasks',
+  'comment.create': 'comment on tasks',
+  'comment.moderate': "delete other people's comments",
+  'chat.view': 'read project chat',
+  'chat.room.create': 'create chat rooms',
+  'chat.message.send': 'send chat messages',
+  'member.view': 'view project members',
+  'member.invite': 'manage invite links',
+  'member.invite.skip_challenge': 'create invite links that skip the entry challenge',
+  'member.requests.review': 'review join requests',
+  'member.role.update': "change members' roles",
+  'member.remove': 'remove members'
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Roles whose permissions a project can change; 'owner' always has everything
+const CONFIGURABLE_ROLES = ['lead', 'moderator', 'member', 'mentor', 'viewer'];
+
+// Every role a project_members row can have besides 'owner'
+const MEMBER_ROLES = ['lead', 'moderator', 'member', 'mentor', 'viewer'];
+
+// Roles that oversee a team rather than belong to it: they don't take one of the project's
+// maximum_members seats, don't count towards completion votes and don't get member awards
+const NON_MEMBER_ROLES = ['mentor'];
+
+const VIEWER_PERMISSIONS = ['project.view', 'task.view', 'chat.view', 'member.view'];
+
+const MENTOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'project.analytics',
+  'task.review',
+  'comment.create',
+  'chat.message.send'
+];
+
+const MEMBER_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'project.vote',
+  'task.create',
+  'task.update',
+  'task.assign',
+  'task.review',
+  'task.delete',
+  'comment.create',
+  'chat.room.create',
+  'chat.message.send'
+];
+
+const MODERATOR_PERMISSIONS = [...MEMBER_PERMISSIONS, 'comment.moderate'];
+
+const LEAD_PERMISSIONS = [
+  ...MODERATOR_PERMISSIONS,
+  'project.complete',
+  'project.analytics',
+  'member.invite',
+  'member.requests.review',
+  'member.role.update'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  owner: PERMISSION_NAMES,
+  lead: LEAD_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  member: MEMBER_PERMISSIONS,
+  mentor: MENTOR_PERMISSIONS,
+  viewer: VIEWER_PERMISSIONS
+};
+
+/**
+ * Whether a role is part of the team - takes a seat, votes on completion, earns member awards
+ */
+const isTeamRole = (role) => !NON_MEMBER_ROLES.includes(role);
+
+/**
+ * Permissions a role has in a project, defaults plus the project's overrides
+ * @param {string|null} role
+ * @param {Object} [overrides] - projects.role_permissions
+ * @returns {Set<string>}
+ */
+const getRolePermissions = (role, overrides = {}) => {
+  if (role === 'owner') return new Set(PERMISSION_NAMES);
+
+  const permissions = new Set(DEFAULT_ROLE_PERMISSIONS[role] || []);
+  const roleOverrides = (overrides && overrides[role]) || {};
+
+  for (const [permission, allowed] of Object.entries(roleOverrides)) {
+    if (!PERMISSIONS[permission]) continue;
+    if (allowed) permissions.add(permission);
+    else permissions.delete(permission);
+  }
+
+  return permissions;
+};
+
+/**
+ * The full role -> permissions table for a project, as plain arrays
+ */
+const getPermissionMatrix = (overrides = {}) =>
+  Object.fromEntries(
+    Object.keys(DEFAULT_ROLE_PERMISSIONS).map(role => [role, [...getRolePermissions(role, overrides)]])
+  );
+
+/**
+ * Check a role_permissions update before saving it
+ * @returns {{ valid: boolean, message?: string, overrides?: Object }}
+ */
+const validateOverrides = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, message: 'role_permissions must be an object keyed by role' };
+  }
+
+  const overrides = {};
+  for (const [role, rolePermissions] of Object.entries(input)) {
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      return { valid: false, message: `Permissions can't be changed for role: ${role}` };
+    }
+    if (!rolePermissions || typeof rolePermissions !== 'object' || Array.isArray(rolePermissions)) {
+      return { valid: false, message: `Permissions for ${role} must be an object of permission: true/false` };
+    }
+
+    overrides[role] = {};
+    for (const [permission, allowed] of Object.entries(rolePermissions)) {
+      if (!PERMISSIONS[permission]) {
+        return { valid: false, message: `Unknown permission: ${permission}` };
+      }
+      if (typeof allowed !== 'boolean') {
+        return { valid: false, message: `${role}.${permission} must be true or false` };
+      }
+      if (allowed && permission === 'project.vote' && !isTeamRole(role)) {
+        return { valid: false, message: `A ${role} can't vote on project completion` };
+      }
+      // Only store what differs from the defaults
+      if (allowed !== DEFAULT_ROLE_PERMISSIONS[role].includes(permission)) {
+        overrides[role][permission] = allowed;
+      }
+    }
+
+    if (Object.keys(overrides[role]).length === 0) delete overrides[role];
+  }
+
+  return { valid: true, overrides };
+};
+
+/**
+ * Who the user is in a project and what they may do there
+ * @returns {Promise<{ project: Object|null, role: string|null, membership: Object|null, permissions: Set<string>, can: Function }>}
+ */
+const resolveProjectAccess = async (projectId, userId) => {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('*')
+    .eq('id', projectId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  let role = null;
+  let membership = null;
+
+  if (project) {
+    const { data: member } = await supabase
+      .from('project_members')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    membership = member || null;
+    if (project.owner_id === userId) {
+      role = 'owner';
+    } else if (membership) {
+      // A leftover 'owner' row from before an ownership change doesn't make you the owner
+      role = membership.role === 'owner' ? 'member' : membership.role || 'member';
+    }
+  }
+
+  const permissions = project ? getRolePermissions(role, project.role_permissions) : new Set();
+
+  return {
+    project,
+    role,
+    membership,
+    permissions,
+    can: (permission) => permissions.has(permission)
+  };
+};
+
+/**
+ * Whether a user holds a permission in a project - for code that isn't behind the middleware
+ */
+const hasProjectPermission = async (projectId, userId, permission) => {
+  const access = await resolveProjectAccess(projectId, userId);
+  return access.can(permission);
+};
+
+const describePermission = (permission) => PERMISSIONS[permission] || permission;
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  CONFIGURABLE_ROLES,
+  MEMBER_ROLES,
+  NON_MEMBER_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isTeamRole,
+  getRolePermissions,
+  getPermissionMatrix,
+  validateOverrides,
+  resolveProjectAccess,
+  hasProjectPermission,
+  describePermission
+};
@@ -2,6 +2,12 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const jwt = require('jsonwebtoken');
+const { checkMessageMutation, USER_MESSAGE_TYPES } = require('./chatMessageRules');
+const chatReadState = require('./chatReadState');
+const chatThreads = require('./chatThreads');
+const { postDirectMessage, broadcastDirectMessage } = require('./directMessages');
+const { resolveProjectAccess, describePermission } = require('./projectPermissions');
+const notificationService = require('../services/notificationService');
 
 // Validate environment variables
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
@@ -71,6 +77,39 @@ class UserConnectionManager {
 
 const connectionManager = new UserConnectionManager();
 
+const MAX_MESSAGE_LENGTH = 5000;
+const MESSAGE_SELECT = '*, users!inner(id, username, full_name, avatar_url)';
+
+// Supabase returns the joined author as `users` (sometimes an array) - expose it as `user`
+const formatMessage = (row) => {
+  const message = { ...row, user: Array.isArray(row.users) ? row.users[0] : row.users };
+  delete message.users;
+  return message;
+};
+
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  full_name: user.full_name,
+  avatar_url: user.avatar_url
+});
+
+// Resolve a chat room and confirm the user holds `permission` in its project
+const getRoomForMember = async (roomId, userId, permission = 'chat.view') => {
+  const { data: room, error: roomError } = await supabase
+    .from('chat_rooms')
+    .select('id, project_id')
+    .eq('id', roomId)
+    .single();
+
+  if (roomError || !room) return { error: 'Chat room not found' };
+
+  const access = await resolveProjectAccess(room.project_id, userId);
+  if (!access.role) return { error: 'Not a project member' };
+  if (!access.can(permission)) return { error: `Your role in this project can't ${describePermission(permission)}` };
+  return { room };
+};
+
 const setupSocketHandlers = (io) => {
   console.log('🔌 Setting up optimized Socket.io handlers...');
   
@@ -128,18 +167,15 @@ const setupSocketHandlers = (io) => {
     // Add to connection manager
     connectionManager.addConnection(socket.userId, socket.id);
 
+    // Personal room - every tab/device of this user, used for read-state sync
+    socket.join(`user_${socket.userId}`);
+
     // ============== OPTIMIZED ROOM JOINING ==============
     socket.on('join_project_rooms', async (projectId) => {
       try {
-        // Verify user is member of project
-        const { data: membership, error } = await supabase
-          .from('project_members')
-          .select('id')
-          .eq('project_id', projectId)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (error || !membership) {
+        // Verify user can read the project's chat
+        const access = await resolveProjectAccess(projectId, socket.userId);
+        if (!access.can('chat.view')) {
           socket.emit('error', { message: 'Not a project member' });
           return;
         }
@@ -183,28 +219,33 @@ const setupSocketHandlers = (io) => {
 
     // ============== OPTIMIZED MESSAGE HANDLING ==============
     // Rate limiting for messages
-    const MESSAGE_RATE_LIMIT = 10; // messages per minute
+    const MESSAGE_RATE_LIMIT = 10; // messages per minute (sends, edits and deletes combined)
     const messageTimestamps = [];
 
+    // Returns false (and notifies the client) when the per-socket quota is used up
+    const consumeMessageQuota = () => {
+      const now = Date.now();
+      const oneMinuteAgo = now - 60000;
+      // Clean old timestamps to prevent memory leak
+      while (messageTimestamps.length > 0 && messageTimestamps[0] < oneMinuteAgo) {
+        messageTimestamps.shift();
+      }
+
+      if (messageTimestamps.length >= MESSAGE_RATE_LIMIT) {
+        socket.emit('error', { message: 'Message rate limit exceeded' });
+        return false;
+      }
+
+      messageTimestamps.push(now);
+      return true;
+    };
+
     socket.on('send_message', async (data) => {
   try {
     // Rate limiting check
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
-    const recentMessages = messageTimestamps.filter(t => t > oneMinuteAgo);
-    
-    if (recentMessages.length >= MESSAGE_RATE_LIMIT) {
-      socket.emit('error', { message: 'Message rate limit exceeded' });
-      return;
-    }
-    
-    messageTimestamps.push(now);
-    // Clean old timestamps to prevent memory leak
-    while (messageTimestamps.length > 0 && messageTimestamps[0] < oneMinuteAgo) {
-      messageTimestamps.shift();
-    }
+    if (!consumeMessageQuota()) return;
 
-    const { roomId, projectId, content, messageType = 'text', replyToMessageId = null } = data;
+    const { roomId, projectId, content, messageType = 'text', replyToMessageId = null, threadId = null } = data;
 
     // Validate input
     if (!roomId || !content || content.trim().length === 0) {
@@ -212,33 +253,29 @@ const setupSocketHandlers = (io) => {
       return;
     }
 
+    if (!USER_MESSAGE_TYPES.includes(messageType)) {
+      socket.emit('error', { message: 'Invalid message type' });
+      return;
+    }
+
     // Limit message length to prevent memory issues
-    const MAX_MESSAGE_LENGTH = 5000;
     const trimmedContent = content.slice(0, MAX_MESSAGE_LENGTH);
 
-    // Verify room membership
-    const { data: room, error: roomError } = await supabase
-      .from('chat_rooms')
-      .select('project_id')
-      .eq('id', roomId)
-      .single();
-
-    if (roomError || !room) {
-      socket.emit('error', { message: 'Chat room not found' });
+    // Verify room and project membership
+    const { room, error: accessError } = await getRoomForMember(roomId, socket.userId, 'chat.message.send');
+    if (accessError) {
+      socket.emit('error', { message: accessError });
       return;
     }
 
-    // Verify project membership
-    const { data: membership } = await supabase
-      .from('project_members')
-      .select('id')
-      .eq('project_id', room.project_id)
-      .eq('user_id', socket.userId)
-      .single();
-
-    if (!membership) {
-      socket.emit('error', { message: 'Not a project member' });
-      return;
+    // Replies posted inside a thread always attach to its root message
+    let threadRoot = null;
+    if (threadId) {
+      threadRoot = await chatThreads.resolveThreadRoot(threadId, roomId);
+      if (!threadRoot) {
+        socket.emit('error', { message: 'Thread not found' });
+        return;
+      }
     }
 
     // Insert message
@@ -249,12 +286,10 @@ const setupSocketHandlers = (io) => {
         user_id: socket.userId,
         message_type: messageType,
         content: trimmedContent,
-        reply_to_message_id: replyToMessageId
+        reply_to_message_id: replyToMessageId,
+        thread_id: threadRoot ? threadRoot.id : null
       })
-      .select(`
-        *,
-        users!inner(id, username, full_name, avatar_url)
-      `)
+      .select(MESSAGE_SELECT)
       .single();
 
     if (insertError) {
@@ -264,32 +299,40 @@ const setupSocketHandlers = (io) => {
     }
 
     // ✅ FIX: Format the message properly - convert users array to user object
-    const processedMessage = {
-      ...newMessage,
-      user: Array.isArray(newMessage.users) ? newMessage.users[0] : newMessage.users
-    };
-    
-    // Remove the users array to avoid confusion
-    delete processedMessage.users;
+    const processedMessage = formatMessage(newMessage);
 
     // Add reply data if needed
     if (replyToMessageId) {
       const { data: replyToMessage } = await supabase
         .from('chat_messages')
-        .select('*, users!inner(id, username, full_name, avatar_url)')
+        .select(MESSAGE_SELECT)
         .eq('id', replyToMessageId)
         .single();
 
       if (replyToMessage) {
-        // ✅ FIX: Format reply message too
-        processedMessage.reply_to = {
-          ...replyToMessage,
-          user: Array.isArray(replyToMessage.users) ? replyToMessage.users[0] : replyToMessage.users
-        };
-        delete processedMessage.reply_to.users;
+        processedMessage.reply_to = formatMessage(replyToMessage);
       }
     }
 
+    // Thread replies stay out of the room stream: everyone (sender included) gets a
+    // thread_reply with the new summary so parent reply counts and open thread views update
+    if (threadRoot) {
+      const summary = await chatThreads.getThreadSummary(threadRoot.id);
+      io.to(`room_${roomId}`).emit('thread_reply', {
+        message: processedMessage,
+        threadId: threadRoot.id,
+        roomId,
+        projectId: room.project_id,
+        summary
+      });
+      chatThreads.notifyThreadParticipants({
+        root: threadRoot,
+        reply: newMessage,
+        projectId: room.project_id
+      });
+      return;
+    }
+
     // Broadcast to room (not back to sender)
     socket.to(`room_${roomId}`).emit('new_message', {
       message: processedMessage,
@@ -312,6 +355,201 @@ const setupSocketHandlers = (io) => {
 });
   
 
+    // ============== MESSAGE EDIT / DELETE ==============
+    // Same ownership and time-window rules as chatController.editMessage/deleteMessage
+    socket.on('edit_message', async (data) => {
+      try {
+        if (!consumeMessageQuota()) return;
+
+        const { messageId, content } = data || {};
+        if (!messageId || typeof content !== 'string' || content.trim().length === 0) {
+          socket.emit('error', { message: 'Invalid message data' });
+          return;
+        }
+
+        const { data: message } = await supabase
+          .from('chat_messages')
+          .select('id, room_id, user_id, message_type, created_at, reply_to_message_id')
+          .eq('id', messageId)
+          .single();
+
+        const permission = checkMessageMutation(message, socket.userId, 'edit');
+        if (!permission.allowed) {
+          socket.emit('error', { message: permission.reason });
+          return;
+        }
+
+        const { room, error: accessError } = await getRoomForMember(message.room_id, socket.userId, 'chat.message.send');
+        if (accessError) {
+          socket.emit('error', { message: accessError });
+          return;
+        }
+
+        const { data: updated, error: updateError } = await supabase
+          .from('chat_messages')
+          .update({
+            content: content.trim().slice(0, MAX_MESSAGE_LENGTH),
+            is_edited: true,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', messageId)
+          .select(MESSAGE_SELECT)
+          .single();
+
+        if (updateError) {
+          console.error('[edit_message] Update error:', updateError);
+          socket.emit('error', { message: 'Failed to edit message' });
+          return;
+        }
+
+        const processedMessage = formatMessage(updated);
+        if (message.reply_to_message_id) {
+          const { data: replyToMessage } = await supabase
+            .from('chat_messages')
+            .select(MESSAGE_SELECT)
+            .eq('id', message.reply_to_message_id)
+            .single();
+          if (replyToMessage) processedMessage.reply_to = formatMessage(replyToMessage);
+        }
+
+        // Everyone in the room, including the editor's other tabs
+        io.to(`room_${room.id}`).emit('message_updated', {
+          message: processedMessage,
+          roomId: room.id,
+          projectId: room.project_id
+        });
+      } catch (error) {
+        console.error('[edit_message] Error:', error);
+        socket.emit('error', { message: 'Failed to edit message' });
+      }
+    });
+
+    socket.on('delete_message', async (data) => {
+      try {
+        if (!consumeMessageQuota()) return;
+
+        const { messageId } = data || {};
+        if (!messageId) {
+          socket.emit('error', { message: 'Invalid message data' });
+          return;
+        }
+
+        const { data: message } = await supabase
+          .from('chat_messages')
+          .select('id, room_id, user_id, message_type, created_at, thread_id')
+          .eq('id', messageId)
+          .single();
+
+        const permission = checkMessageMutation(message, socket.userId, 'delete');
+        if (!permission.allowed) {
+          socket.emit('error', { message: permission.reason });
+          return;
+        }
+
+        const { room, error: accessError } = await getRoomForMember(message.room_id, socket.userId, 'chat.message.send');
+        if (accessError) {
+          socket.emit('error', { message: accessError });
+          return;
+        }
+
+        // Deleting a thread root takes its replies with it
+        const { error: threadDeleteError } = await supabase
+          .from('chat_messages')
+          .delete()
+          .eq('thread_id', messageId);
+
+        const { error: deleteError } = threadDeleteError
+          ? { error: threadDeleteError }
+          : await supabase
+            .from('chat_messages')
+            .delete()
+            .eq('id', messageId);
+
+        if (deleteError) {
+          console.error('[delete_message] Delete error:', deleteError);
+          socket.emit('error', { message: 'Failed to delete message' });
+          return;
+        }
+
+        io.to(`room_${room.id}`).emit('message_deleted', {
+          messageId,
+          roomId: room.id,
+          projectId: room.project_id,
+          threadId: message.thread_id || null,
+          summary: message.thread_id ? await chatThreads.getThreadSummary(message.thread_id) : null
+        });
+      } catch (error) {
+        console.error('[delete_message] Error:', error);
+        socket.emit('error', { message: 'Failed to delete message' });
+      }
+    });
+
+    // ============== DIRECT MESSAGES ==============
+    // Shares the per-socket message quota with project chat; friendship is checked on every send
+    socket.on('dm_send', async (data) => {
+      try {
+        if (!consumeMessageQuota()) return;
+
+        const { conversationId, content } = data || {};
+        if (!conversationId) {
+          socket.emit('error', { message: 'Invalid message data' });
+          return;
+        }
+
+        const result = await postDirectMessage({ conversationId, userId: socket.userId, content });
+        if (!result.message) {
+          socket.emit('dm_error', { conversationId, message: result.reason });
+          return;
+        }
+
+        broadcastDirectMessage(io, result.memberIds, result.message);
+      } catch (error) {
+        console.error('[dm_send] Error:', error);
+        socket.emit('dm_error', { conversationId: data?.conversationId, message: 'Failed to send message' });
+      }
+    });
+
+    // ============== READ RECEIPTS ==============
+    // Advance the read cursor and push fresh unread counts to all of the user's sessions
+    socket.on('mark_room_read', async (data) => {
+      try {
+        const { roomId, messageId = null } = data || {};
+        if (!roomId) return;
+
+        const { room, error: accessError } = await getRoomForMember(roomId, socket.userId);
+        if (accessError) {
+          socket.emit('error', { message: accessError });
+          return;
+        }
+
+        const cursor = await chatReadState.markRoomRead(socket.userId, room.id, messageId);
+        if (!cursor || !cursor.advanced) return;
+
+        const counts = await chatReadState.getUnreadCounts(socket.userId, room.project_id);
+        io.to(`user_${socket.userId}`).emit('unread_counts', counts);
+      } catch (error) {
+        console.error('[mark_room_read] Error:', error);
+        socket.emit('error', { message: 'Failed to update read state' });
+      }
+    });
+
+    // ============== NOTIFICATIONS ==============
+    // Catch-up after being offline: everything changed since the client's last cursor
+    socket.on('sync_notifications', async (data) => {
+      try {
+        const since = data?.since;
+        if (!since || isNaN(new Date(since).getTime())) {
+          socket.emit('notifications_sync', { reset: true });
+          return;
+        }
+
+        socket.emit('notifications_sync', await notificationService.getChangesSince(socket.userId, since));
+      } catch (error) {
+        console.error('[sync_notifications] Error:', error);
+        socket.emit('error', { message: 'Failed to sync notifications' });
+      }
+    });
+
     // ============== TYPING INDICATORS (DEBOUNCED) ==============
     const typingTimeouts = new Map();
 
@@ -362,20 +600,34 @@ const setupSocketHandlers = (io) => {
     // ============== ONLINE STATUS ==============
     socket.on('get_online_users', (data) => {
       const { projectId } = data;
-      const onlineUsers = [];
+      const onlineUsers = new Map(); // userId -> user (one entry per user, not per tab)
       
       io.sockets.sockets.forEach((clientSocket) => {
         if (clientSocket.userId && clientSocket.rooms.has(`project_${projectId}`)) {
-          onlineUsers.push({
-            id: clientSocket.userId,
-            username: clientSocket.user.username,
-            full_name: clientSocket.user.full_name,
-            avatar_url: clientSocket.user.avatar_url
-          });
+          onlineUsers.set(clientSocket.userId, publicUser(clientSocket.user));
         }
       });
 
-      socket.emit('online_users', { projectId, users: onlineUsers });
+      socket.emit('online_users', { projectId, users: Array.from(onlineUsers.values()) });
+    });
+
+    // Announce presence to the rest of the project. Checked against the DB rather than
+    // socket.rooms because the client emits this right after the async join_project_rooms.
+    socket.on('user_online', async (data) => {
+      try {
+        const { projectId } = data || {};
+        if (!projectId) return;
+
+        const access = await resolveProjectAccess(projectId, socket.userId);
+        if (!access.can('chat.view')) return;
+
+        socket.to(`project_${projectId}`).emit('user_online', {
+          projectId,
+          user: publicUser(socket.user)
+        });
+      } catch (error) {
+        console.error('[user_online] Error:', error);
+      }
     });
 
     // ============== DISCONNECT HANDLING ==============
@@ -399,6 +651,11 @@ const setupSocketHandlers = (io) => {
       rooms.forEach(roomName => {
         if (roomName.startsWith('project_')) {
           const projectId = roomName.replace('project_', '');
+          // Another tab/device of the same user keeps them online
+          const stillOnline = Array.from(io.sockets.adapter.rooms.get(roomName) || [])
+            .some(id => id !== socket.id && io.sockets.sockets.get(id)?.userId === socket.userId);
+          if (stillOnline) return;
+
           socket.to(roomName).emit('user_offline', {
             userId: socket.userId,
             projectId
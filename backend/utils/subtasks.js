@@ -0,0 +1,162 @@
+// backend/utils/subtasks.js
+// Subtasks (checklist items) under project tasks, and how their progress rolls up.
+//
+// Columns on project_tasks:
+//   parent_task_id  uuid NULL REFERENCES project_tasks(id) ON DELETE CASCADE
+//   position        integer NOT NULL DEFAULT 0   -- order within the parent's checklist
+//
+// Nesting is one level deep: a subtask can't have subtasks of its own. A parent's own
+// progress is the fraction of its subtasks that are completed (or full credit once it's
+// completed); project-wide progress weighs tasks by hours in utils/weightedCompletion.js.
+
+const supabase = require('../config/supabase');
+
+const MAX_SUBTASKS = 50;
+
+const SUBTASK_SELECT = `
+  *,
+  assigned_user:assigned_to(id, full_name, username, email)
+`;
+
+/**
+ * Share of a top-level task that is done, from 0 to 1
+ * @param {Object} task
+ * @param {Object[]} subtasks - the task's children
+ */
+const getCompletionCredit = (task, subtasks = []) => {
+  if (task.status === 'completed') return 1;
+  if (subtasks.length === 0) return 0;
+  return subtasks.filter(subtask => subtask.status === 'completed').length / subtasks.length;
+};
+
+/**
+ * Group a flat list of project tasks into top-level tasks with their subtasks
+ * @returns {{ topLevel: Object[], subtasksByParent: Map<string, Object[]> }}
+ */
+const groupSubtasks = (tasks) => {
+  const subtasksByParent = new Map();
+  const topLevel = [];
+
+  tasks.forEach((task) => {
+    if (task.parent_task_id) {
+      if (!subtasksByParent.has(task.parent_task_id)) subtasksByParent.set(task.parent_task_id, []);
+      subtasksByParent.get(task.parent_task_id).push(task);
+    } else {
+      topLevel.push(task);
+    }
+  });
+
+  return { topLevel, subtasksByParent };
+};
+
+/**
+ * Add `subtasks` and the rollup fields (`subtask_count`, `completed_subtask_count`, `progress`)
+ * to each top-level task
+ */
+const attachSubtasks = (tasks, subtasks) => {
+  const { subtasksByParent } = groupSubtasks(subtasks);
+
+  return tasks.map((task) => {
+    const children = (subtasksByParent.get(task.id) || [])
+      .sort((a, b) => (a.position || 0) - (b.position || 0) || new Date(a.created_at) - new Date(b.created_at));
+
+    return {
+      ...task,
+      subtasks: children,
+      subtask_count: children.length,
+      completed_subtask_count: children.filter(child => child.status === 'completed').length,
+      progress: Math.round(getCompletionCredit(task, children) * 100)
+    };
+  });
+};
+
+/**
+ * Subtasks of the given parents
+ * @param {string[]} parentIds
+ */
+const getSubtasks = async (parentIds) => {
+  if (parentIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('project_tasks')
+    .select(SUBTASK_SELECT)
+    .in('parent_task_id', parentIds);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Check the `subtasks` of a create-task request before anything is written
+ * @param {*} items - titles, or { title, description?, estimated_hours?, assigned_to? }
+ * @returns {{ items: Object[] }|{ error: string }} items as objects, blank titles dropped
+ */
+const normalizeSubtaskItems = (items) => {
+  if (!Array.isArray(items)) return { error: 'subtasks must be a list' };
+
+  const normalized = [];
+  for (const item of items) {
+    const subtask = typeof item === 'string' ? { title: item } : item;
+    if (!subtask || typeof subtask !== 'object' || Array.isArray(subtask) || typeof subtask.title !== 'string') {
+      return { error: 'Each subtask needs a title' };
+    }
+    if (subtask.description != null && typeof subtask.description !== 'string') {
+      return { error: 'Subtask descriptions must be text' };
+    }
+    if (subtask.assigned_to != null && typeof subtask.assigned_to !== 'string') {
+      return { error: 'Invalid subtask assignee' };
+    }
+    if (subtask.title.trim()) normalized.push(subtask);
+  }
+
+  if (normalized.length > MAX_SUBTASKS) return { error: `A task can have at most ${MAX_SUBTASKS} subtasks` };
+  return { items: normalized };
+};
+
+/**
+ * Create checklist items under a parent task
+ * @param {Object} params
+ * @param {Object} params.parentTask - needs id and project_id
+ * @param {Array<string|Object>} params.items - titles, or { title, description, estimated_hours, assigned_to }
+ * @param {string} params.userId
+ * @param {number} [params.startPosition]
+ */
+const createSubtasks = async ({ parentTask, items, userId, startPosition = 0 }) => {
+  const rows = items
+    .map(item => (typeof item === 'string' ? { title: item } : item))
+    .filter(item => item && item.title && item.title.trim())
+    .slice(0, MAX_SUBTASKS)
+    .map((item, index) => ({
+      project_id: parentTask.project_id,
+      parent_task_id: parentTask.id,
+      position: startPosition + index,
+      title: item.title.trim().slice(0, 200),
+      description: item.description?.trim() || null,
+      task_type: parentTask.task_type || 'development',
+      priority: parentTask.priority || 'medium',
+      status: 'todo',
+      assigned_to: item.assigned_to || null,
+      created_by: userId,
+      estimated_hours: item.estimated_hours ? parseInt(item.estimated_hours) : null
+    }));
+
+  if (rows.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('project_tasks')
+    .insert(rows)
+    .select(SUBTASK_SELECT);
+
+  if (error) throw error;
+  return data || [];
+};
+
+module.exports = {
+  MAX_SUBTASKS,
+  normalizeSubtaskItems,
+  getCompletionCredit,
+  groupSubtasks,
+  attachSubtasks,
+  getSubtasks,
+  createSubtasks
+};
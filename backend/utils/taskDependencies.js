@@ -0,0 +1,299 @@
+// backend/utils/taskDependencies.js
+// "Task B can't start until A is done" links between project tasks.
+//
+// Table:
+//   task_dependencies  task_id, depends_on_task_id (both project_tasks.id), created_at
+//                      UNIQUE (task_id, depends_on_task_id)
+//
+// A task with an unfinished prerequisite is moved to `blocked`; once every prerequisite is
+// `completed` it goes back to `todo`. Only tasks that actually have prerequisites are ever
+// unblocked automatically, so a task someone blocked by hand stays blocked.
+
+const supabase = require('../config/supabase');
+
+// Statuses that get switched to `blocked` while a prerequisite is unfinished
+const BLOCKABLE_STATUSES = ['todo', 'in_progress', 'in_review'];
+
+// Statuses that mean "work has started" and are refused while prerequisites are open
+const STARTED_STATUSES = ['in_progress', 'in_review', 'completed'];
+
+/**
+ * All dependency edges in a project
+ * @param {string} projectId
+ * @returns {Promise<Array<{ task_id: string, depends_on_task_id: string }>>}
+ */
+const getProjectDependencies = async (projectId) => {
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .select('task_id, depends_on_task_id, task:task_id!inner (project_id)')
+    .eq('task.project_id', projectId);
+
+  if (error) throw error;
+  return (data || []).map(({ task_id, depends_on_task_id }) => ({ task_id, depends_on_task_id }));
+};
+
+// task id -> [prerequisite ids]
+const buildPrerequisiteMap = (edges) => {
+  const map = new Map();
+  edges.forEach(({ task_id, depends_on_task_id }) => {
+    if (!map.has(task_id)) map.set(task_id, []);
+    map.get(task_id).push(depends_on_task_id);
+  });
+  return map;
+};
+
+/**
+ * Would making `taskId` depend on `prerequisiteIds` create a cycle?
+ * Existing edges of `taskId` are ignored since they're being replaced.
+ * @returns {string[]|null} the offending path (taskId -> ... -> taskId) or null
+ */
+const findDependencyCycle = (edges, taskId, prerequisiteIds) => {
+  const prerequisites = buildPrerequisiteMap(edges.filter(edge => edge.task_id !== taskId));
+  prerequisites.set(taskId, [...prerequisiteIds]);
+
+  // Depth-first walk upstream from taskId looking for a way back to it
+  const visited = new Set();
+  const walk = (currentId, path) => {
+    for (const nextId of prerequisites.get(currentId) || []) {
+      if (nextId === taskId) return [...path, nextId];
+      if (visited.has(nextId)) continue;
+      visited.add(nextId);
+      const cycle = walk(nextId, [...path, nextId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  return walk(taskId, [taskId]);
+};
+
+/**
+ * Check a proposed prerequisite list for a task
+ * @returns {Promise<{ valid: boolean, status?: number, message?: string, cycle?: string[], prerequisiteIds?: string[] }>}
+ */
+const validateDependencies = async (projectId, taskId, dependsOn) => {
+  if (!Array.isArray(dependsOn)) {
+    return { valid: false, status: 400, message: 'depends_on must be an array of task IDs' };
+  }
+
+  const prerequisiteIds = [...new Set(dependsOn)];
+  if (taskId && prerequisiteIds.includes(taskId)) {
+    return { valid: false, status: 400, message: 'A task cannot depend on itself' };
+  }
+  if (prerequisiteIds.length === 0) {
+    return { valid: true, prerequisiteIds };
+  }
+
+  const { data: prerequisites, error } = await supabase
+    .from('project_tasks')
+    .select('id')
+    .eq('project_id', projectId)
+    .in('id', prerequisiteIds);
+
+  if (error) throw error;
+  if ((prerequisites || []).length !== prerequisiteIds.length) {
+    return { valid: false, status: 400, message: 'Dependencies must be tasks in the same project' };
+  }
+
+  // A task that doesn't exist yet has no dependents, so it can't close a loop
+  if (taskId) {
+    const cycle = findDependencyCycle(await getProjectDependencies(projectId), taskId, prerequisiteIds);
+    if (cycle) {
+      return {
+        valid: false,
+        status: 409,
+        message: 'These dependencies would create a circular chain',
+        cycle
+      };
+    }
+  }
+
+  return { valid: true, prerequisiteIds };
+};
+
+/**
+ * Replace a task's prerequisites
+ */
+const setTaskDependencies = async ({ taskId, prerequisiteIds }) => {
+  const { error: deleteError } = await supabase
+    .from('task_dependencies')
+    .delete()
+    .eq('task_id', taskId);
+
+  if (deleteError) throw deleteError;
+  if (prerequisiteIds.length === 0) return;
+
+  const { error: insertError } = await supabase
+    .from('task_dependencies')
+    .insert(prerequisiteIds.map(prerequisiteId => ({
+      task_id: taskId,
+      depends_on_task_id: prerequisiteId
+    })));
+
+  if (insertError) throw insertError;
+};
+
+/**
+ * Drop every link to or from a task (before deleting it)
+ */
+const removeTaskDependencies = async (taskId) => {
+  const { error } = await supabase
+    .from('task_dependencies')
+    .delete()
+    .or(`task_id.eq.${taskId},depends_on_task_id.eq.${taskId}`);
+
+  if (error) throw error;
+};
+
+/**
+ * Unfinished prerequisites of a task
+ * @param {string} taskId
+ * @param {string[]} [prerequisiteIds] - check this list instead of the stored one (pending update)
+ * @returns {Promise<Array<{ id: string, title: string, status: string }>>}
+ */
+const getOpenPrerequisites = async (taskId, prerequisiteIds) => {
+  if (prerequisiteIds) {
+    if (prerequisiteIds.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('project_tasks')
+      .select('id, title, status')
+      .in('id', prerequisiteIds)
+      .neq('status', 'completed');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  const { data, error } = await supabase
+    .from('task_dependencies')
+    .select('prerequisite:depends_on_task_id (id, title, status)')
+    .eq('task_id', taskId);
+
+  if (error) throw error;
+  return (data || [])
+    .map(row => row.prerequisite)
+    .filter(prerequisite => prerequisite && prerequisite.status !== 'completed');
+};
+
+/**
+ * Move tasks in or out of `blocked` to match their prerequisites
+ * @param {string} projectId
+ * @param {string[]} taskIds - tasks to re-evaluate
+ * @returns {Promise<{ blocked: string[], unblocked: string[] }>}
+ */
+const syncBlockedStatus = async (projectId, taskIds) => {
+  const result = { blocked: [], unblocked: [] };
+  const ids = [...new Set(taskIds)].filter(Boolean);
+  if (ids.length === 0) return result;
+
+  const [{ data: tasks, error: tasksError }, edges] = await Promise.all([
+    supabase
+      .from('project_tasks')
+      .select('id, status')
+      .eq('project_id', projectId),
+    getProjectDependencies(projectId)
+  ]);
+
+  if (tasksError) throw tasksError;
+
+  const statusById = new Map((tasks || []).map(task => [task.id, task.status]));
+  const prerequisites = buildPrerequisiteMap(edges);
+
+  ids.forEach((taskId) => {
+    const status = statusById.get(taskId);
+    const taskPrerequisites = prerequisites.get(taskId) || [];
+    if (!status || taskPrerequisites.length === 0) return;
+
+    const isWaiting = taskPrerequisites.some(id => statusById.get(id) !== 'completed');
+    if (isWaiting && BLOCKABLE_STATUSES.includes(status)) {
+      result.blocked.push(taskId);
+    } else if (!isWaiting && status === 'blocked') {
+      result.unblocked.push(taskId);
+    }
+  });
+
+  const now = new Date().toISOString();
+  const updates = [
+    [result.blocked, 'blocked'],
+    [result.unblocked, 'todo']
+  ].filter(([changed]) => changed.length > 0);
+
+  for (const [changed, status] of updates) {
+    const { error } = await supabase
+      .from('project_tasks')
+      .update({ status, updated_at: now })
+      .in('id', changed);
+
+    if (error) throw error;
+  }
+
+  return result;
+};
+
+/**
+ * Tasks that directly depend on the given task
+ * @returns {string[]}
+ */
+const getDependentIds = (edges, taskId) =>
+  edges.filter(edge => edge.depends_on_task_id === taskId).map(edge => edge.task_id);
+
+/**
+ * Upstream chain of a task - every prerequisite, direct or transitive, nearest first
+ * @returns {Array<{ id: string, depth: number }>}
+ */
+const getPrerequisiteChain = (edges, taskId) => {
+  const prerequisites = buildPrerequisiteMap(edges);
+  const chain = [];
+  const seen = new Set([taskId]);
+  let frontier = [taskId];
+  let depth = 0;
+
+  while (frontier.length > 0) {
+    depth += 1;
+    const next = [];
+    frontier.forEach((currentId) => {
+      (prerequisites.get(currentId) || []).forEach((prerequisiteId) => {
+        if (seen.has(prerequisiteId)) return;
+        seen.add(prerequisiteId);
+        chain.push({ id: prerequisiteId, depth });
+        next.push(prerequisiteId);
+      });
+    });
+    frontier = next;
+  }
+
+  return chain;
+};
+
+/**
+ * Add `depends_on` / `dependents` id lists and an `open_dependencies_count` to each task
+ * @param {Object[]} tasks
+ * @param {Array} edges
+ * @param {Map<string, string>} [statusById] - statuses of every project task, for filtered lists
+ */
+const attachDependencies = (tasks, edges, statusById = new Map(tasks.map(task => [task.id, task.status]))) => {
+  return tasks.map((task) => {
+    const dependsOn = edges.filter(edge => edge.task_id === task.id).map(edge => edge.depends_on_task_id);
+    return {
+      ...task,
+      depends_on: dependsOn,
+      dependents: getDependentIds(edges, task.id),
+      open_dependencies_count: dependsOn.filter(id => statusById.get(id) !== 'completed').length
+    };
+  });
+};
+
+module.exports = {
+  STARTED_STATUSES,
+  getProjectDependencies,
+  findDependencyCycle,
+  validateDependencies,
+  setTaskDependencies,
+  removeTaskDependencies,
+  getOpenPrerequisites,
+  syncBlockedStatus,
+  getDependentIds,
+  getPrerequisiteChain,
+  attachDependencies
+};
@@ -0,0 +1,437 @@
+// backend/utils/timelineFeed.js
+// Builds the timeline feed in two modes:
+//   - chronological: newest first
+//   - for_you: recent posts ranked by friendship, shared tech stack and engagement
+//
+// A feed is built from a "window" of the newest CANDIDATE_LIMIT public posts (with their
+// reactions and comment counts), kept per user for a short while so paging doesn't hit the
+// database again. Past the end of the window both modes continue with older posts, newest
+// first, straight from the database.
+//
+// Cursors are opaque strings. Chronological cursors are (created_at, id) keysets, so new
+// posts never shift pages. Ranked cursors are (score, id) positions in one particular ranked
+// window: scores decay with age and change with engagement, so comparing against a rebuilt
+// window would repeat or skip posts. The cursor names its window and the window is kept for
+// the paging session (RANKED_SESSION_TTL_MS after the last page, surviving cache invalidation),
+// which means a session keeps seeing the ranking it started with. If the window is gone anyway
+// (restart, eviction) it is rebuilt with the scoring time saved in the cursor.
+//
+// The cache is in-process. Post changes drop every cached feed; reactions and comments
+// drop the feeds of the people involved, and everyone else picks the new counts up when
+// their entry expires (FEED_CACHE_TTL_MS).
+
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+const FEED_MODES = ['for_you', 'chronological'];
+const CANDIDATE_LIMIT = 200;
+const FEED_CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHED_FEEDS = 500;
+const RANKED_SESSION_TTL_MS = 15 * 60 * 1000;
+const MAX_RANKED_SESSIONS = 200; // each holds a whole window of posts
+
+// Ranking weights - see scorePost()
+const FRIEND_BOOST = 2;
+const SHARED_TECH_BOOST = 0.5;
+const MAX_SHARED_TECH = 3;
+const COMMENT_WEIGHT = 2;
+const AGE_OFFSET_HOURS = 2;
+const AGE_DECAY = 1.3;
+
+const POST_SELECT = `
+  *,
+  author:users!timeline_posts_user_id_fkey (
+    id,
+    username,
+    full_name,
+    avatar_url,
+    bio
+  ),
+  project:projects!timeline_posts_project_id_fkey (
+    id,
+    title,
+    status
+  )
+`;
+
+// `${userId}:${mode}:${filter}` -> { generation, expiresAt, entries, friendIds, oldest, windowFull }
+const feedCache = new Map();
+
+// Bumped whenever posts change, which makes every cached window stale at once
+let feedGeneration = 0;
+
+// window id -> { window, userId, filter, expiresAt } for ranked feeds being paged through
+const rankedSessions = new Map();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+const isUuid = value => typeof value === 'string' && UUID_PATTERN.test(value);
+const isIsoDate = value => typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+/**
+ * Cursor values end up in a PostgREST filter, so everything is checked for shape here
+ * @returns {Object|null} the decoded cursor, or null if it isn't one of ours
+ */
+const decodeCursor = (value) => {
+  if (!value) return null;
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!cursor || !isUuid(cursor.id)) return null;
+    if (cursor.k === 'time' && isIsoDate(cursor.t)) return cursor;
+    if (cursor.k === 'rank' && Number.isFinite(cursor.s) && isUuid(cursor.w) && Number.isFinite(cursor.n)) {
+      return cursor;
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const timeCursorFor = (post) => ({ k: 'time', t: post.created_at, id: post.id });
+
+// Is time key `a` strictly older than `b` (newest-first order, id breaks ties)?
+const isOlder = (a, b) => a.t < b.t || (a.t === b.t && a.id < b.id);
+
+// Strictly after the cursor in ranked order
+const isRankedAfter = (entry, cursor) =>
+  entry.score < cursor.s || (entry.score === cursor.s && entry.post.id < cursor.id);
+
+const getFriendIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_friendships')
+    .select('requester_id, addressee_id')
+    .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)
+    .eq('status', 'accepted');
+
+  if (error) throw error;
+  return new Set((data || []).map(f => (f.requester_id === userId ? f.addressee_id : f.requester_id)));
+};
+
+// Languages the user works with: their own profile plus every project they're in
+const getUserTechStack = async (userId) => {
+  const [{ data: memberships }, { data: owned }, { data: profileLanguages }] = await Promise.all([
+    supabase
+      .from('project_members')
+      .select('project_id')
+      .eq('user_id', userId)
+      .eq('status', 'active'),
+    supabase
+      .from('projects')
+      .select('id')
+      .eq('owner_id', userId),
+    supabase
+      .from('user_programming_languages')
+      .select('programming_languages (name)')
+      .eq('user_id', userId)
+  ]);
+
+  const projectIds = [...new Set([
+    ...(memberships || []).map(m => m.project_id),
+    ...(owned || []).map(p => p.id)
+  ])];
+
+  let projectLanguages = [];
+  if (projectIds.length > 0) {
+    const { data } = await supabase
+      .from('project_languages')
+      .select('programming_languages (name)')
+      .in('project_id', projectIds);
+    projectLanguages = data || [];
+  }
+
+  return new Set(
+    [...(profileLanguages || []), ...projectLanguages]
+      .map(row => row.programming_languages?.name?.toLowerCase())
+      .filter(Boolean)
+  );
+};
+
+/**
+ * Reactions and comment counts for a batch of posts, in two queries
+ */
+const attachEngagement = async (posts, userId) => {
+  if (posts.length === 0) return [];
+
+  const postIds = posts.map(p => p.id);
+  const [reactionsResult, commentsResult] = await Promise.all([
+    supabase
+      .from('timeline_post_reactions')
+      .select('post_id, user_id, reaction_type')
+      .in('post_id', postIds),
+    supabase
+      .from('timeline_post_comments')
+      .select('post_id')
+      .in('post_id', postIds)
+  ]);
+
+  if (reactionsResult.error) throw reactionsResult.error;
+  if (commentsResult.error) throw commentsResult.error;
+
+  const reactionsByPost = {};
+  (reactionsResult.data || []).forEach(reaction => {
+    (reactionsByPost[reaction.post_id] = reactionsByPost[reaction.post_id] || []).push(reaction);
+  });
+
+  const commentCountsByPost = {};
+  (commentsResult.data || []).forEach(comment => {
+    commentCountsByPost[comment.post_id] = (commentCountsByPost[comment.post_id] || 0) + 1;
+  });
+
+  return posts.map(post => {
+    const reactions = reactionsByPost[post.id] || [];
+    const syncCount = reactions.filter(r => r.reaction_type === 'sync').length;
+    const loveCount = reactions.filter(r => r.reaction_type === 'love').length;
+
+    return {
+      ...post,
+      engagement: {
+        reactions: {
+          sync: syncCount,
+          love: loveCount,
+          total: syncCount + loveCount,
+          userReaction: reactions.find(r => r.user_id === userId)?.reaction_type || null
+        },
+        commentsCount: commentCountsByPost[post.id] || 0
+      }
+    };
+  });
+};
+
+/**
+ * Newest-first public posts, optionally older than a time cursor
+ */
+const fetchPosts = async ({ filter, friendIds, before, limit }) => {
+  if (filter === 'friends' && friendIds.size === 0) return [];
+
+  let query = supabase
+    .from('timeline_posts')
+    .select(POST_SELECT)
+    .eq('visibility', 'public')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (filter === 'solo' || filter === 'group') {
+    query = query.eq('project_type', filter);
+  } else if (filter === 'friends') {
+    query = query.in('user_id', [...friendIds]);
+  }
+
+  if (before) {
+    query = query.or(`created_at.lt."${before.t}",and(created_at.eq."${before.t}",id.lt.${before.id})`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Higher is better. Boosts (friend, shared tech, engagement) add up and are then
+ * decayed by age, so a busy week-old post can't sit above everything new forever.
+ */
+const scorePost = (post, { userId, friendIds, techStack, now }) => {
+  const isFriend = post.user_id !== userId && friendIds.has(post.user_id);
+  const sharedTech = (post.tech_stack || []).filter(name => techStack.has(String(name).toLowerCase()));
+  const interactions = post.engagement.reactions.total + COMMENT_WEIGHT * post.engagement.commentsCount;
+
+  const boost = 1
+    + (isFriend ? FRIEND_BOOST : 0)
+    + Math.min(sharedTech.length, MAX_SHARED_TECH) * SHARED_TECH_BOOST
+    + Math.log2(1 + interactions);
+
+  const ageHours = Math.max(0, (now - new Date(post.created_at).getTime()) / (60 * 60 * 1000));
+
+  return {
+    score: boost / Math.pow(ageHours + AGE_OFFSET_HOURS, AGE_DECAY),
+    reasons: { friend: isFriend, sharedTech }
+  };
+};
+
+const cacheKey = (userId, mode, filter) => `${userId}:${mode}:${filter}`;
+
+const rememberWindow = (key, window) => {
+  // Map keeps insertion order, so the first key is the oldest entry
+  feedCache.delete(key);
+  feedCache.set(key, window);
+  if (feedCache.size > MAX_CACHED_FEEDS) {
+    feedCache.delete(feedCache.keys().next().value);
+  }
+};
+
+/**
+ * Keep a ranked window around while someone pages through it
+ */
+const rememberRankedSession = (window, { userId, filter }) => {
+  rankedSessions.delete(window.id);
+  rankedSessions.set(window.id, { window, userId, filter, expiresAt: Date.now() + RANKED_SESSION_TTL_MS });
+  if (rankedSessions.size > MAX_RANKED_SESSIONS) {
+    rankedSessions.delete(rankedSessions.keys().next().value);
+  }
+};
+
+const getRankedSession = (windowId, { userId, filter }) => {
+  const session = rankedSessions.get(windowId);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    rankedSessions.delete(windowId);
+    return null;
+  }
+  // Window ids travel in cursors, so they're only honoured for the feed they were made for
+  if (session.userId !== userId || session.filter !== filter) return null;
+  return session.window;
+};
+
+/**
+ * @param {number} [scoredAt] - rank as of this time instead of now; such windows aren't cached
+ *   since they only serve the paging session that asked for them
+ */
+const getWindow = async ({ userId, mode, filter, scoredAt }) => {
+  const key = cacheKey(userId, mode, filter);
+  const cached = feedCache.get(key);
+  if (!scoredAt && cached && cached.expiresAt > Date.now() && cached.generation === feedGeneration) {
+    return { window: cached, cacheHit: true };
+  }
+
+  const generation = feedGeneration;
+  const needsFriends = mode === 'for_you' || filter === 'friends';
+  const [friendIds, techStack] = await Promise.all([
+    needsFriends ? getFriendIds(userId) : new Set(),
+    mode === 'for_you' ? getUserTechStack(userId) : new Set()
+  ]);
+
+  const posts = await fetchPosts({ filter, friendIds, limit: CANDIDATE_LIMIT });
+
+  const withEngagement = await attachEngagement(posts, userId);
+  const now = scoredAt || Date.now();
+
+  let entries = withEngagement.map(post => ({ post, score: 0 }));
+  if (mode === 'for_you') {
+    entries = withEngagement.map(post => {
+      const { score, reasons } = scorePost(post, { userId, friendIds, techStack, now });
+      return { post: { ...post, ranking: { score, ...reasons } }, score };
+    });
+    entries.sort((a, b) => b.score - a.score || (a.post.id < b.post.id ? 1 : -1));
+  }
+
+  const window = {
+    id: crypto.randomUUID(),
+    generation,
+    scoredAt: now,
+    expiresAt: Date.now() + FEED_CACHE_TTL_MS,
+    entries,
+    friendIds,
+    // Oldest post in the window, where "older posts" paging picks up
+    oldest: posts.length > 0 ? timeCursorFor(posts[posts.length - 1]) : null,
+    windowFull: posts.length === CANDIDATE_LIMIT
+  };
+
+  // Only keep it if nothing changed while it was being built
+  if (!scoredAt && generation === feedGeneration) rememberWindow(key, window);
+  return { window, cacheHit: false };
+};
+
+/**
+ * One page of a user's feed
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {'for_you'|'chronological'} params.mode
+ * @param {'all'|'friends'|'solo'|'group'} params.filter
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {number} params.limit
+ * @returns {Promise<{ posts: Object[], nextCursor: string|null, hasMore: boolean, cacheHit: boolean }>}
+ */
+const getFeedPage = async ({ userId, mode, filter, cursor: rawCursor, limit }) => {
+  let cursor = decodeCursor(rawCursor);
+  // A ranked cursor means nothing to the chronological feed (e.g. after switching modes)
+  if (cursor?.k === 'rank' && mode !== 'for_you') cursor = null;
+
+  let window = cursor?.k === 'rank' ? getRankedSession(cursor.w, { userId, filter }) : null;
+  let cacheHit = Boolean(window);
+  if (!window) {
+    ({ window, cacheHit } = await getWindow({
+      userId,
+      mode,
+      filter,
+      scoredAt: cursor?.k === 'rank' ? cursor.n : undefined
+    }));
+  }
+
+  // What's left of the window after the cursor, and where older posts pick up
+  let remaining = window.entries;
+  let before = window.oldest;
+
+  if (cursor?.k === 'rank') {
+    remaining = window.entries.filter(entry => isRankedAfter(entry, cursor));
+  } else if (cursor?.k === 'time') {
+    const insideWindow = mode === 'chronological' && window.oldest && !isOlder(cursor, window.oldest);
+    if (insideWindow) {
+      remaining = window.entries.filter(entry => isOlder(timeCursorFor(entry.post), cursor));
+    } else {
+      // Ranked feeds only hand out time cursors once their window is used up
+      remaining = [];
+      before = cursor;
+    }
+  }
+
+  const page = remaining.slice(0, limit);
+  let posts = page.map(entry => entry.post);
+  let nextCursor = null;
+
+  if (remaining.length > limit) {
+    const last = page[page.length - 1];
+    if (mode === 'for_you') {
+      nextCursor = { k: 'rank', w: window.id, n: window.scoredAt, s: last.score, id: last.post.id };
+      rememberRankedSession(window, { userId, filter });
+    } else {
+      nextCursor = timeCursorFor(last.post);
+    }
+  } else if (before && (window.windowFull || before === cursor)) {
+    // Window used up - top the page up with older posts straight from the database
+    const wanted = limit - posts.length;
+    const olderPosts = await fetchPosts({ filter, friendIds: window.friendIds, before, limit: wanted + 1 });
+    const olderPage = await attachEngagement(olderPosts.slice(0, wanted), userId);
+    posts = [...posts, ...olderPage];
+
+    if (olderPosts.length > wanted) {
+      nextCursor = olderPage.length > 0 ? timeCursorFor(olderPage[olderPage.length - 1]) : before;
+    }
+  }
+
+  return {
+    posts,
+    nextCursor: nextCursor ? encodeCursor(nextCursor) : null,
+    hasMore: Boolean(nextCursor),
+    cacheHit
+  };
+};
+
+/**
+ * Drop the cached feeds of specific users (e.g. after they react or comment)
+ * @param {string[]} userIds
+ */
+const invalidateUserFeeds = (userIds) => {
+  const ids = new Set(userIds.filter(Boolean));
+  for (const key of feedCache.keys()) {
+    if (ids.has(key.split(':')[0])) feedCache.delete(key);
+  }
+};
+
+/**
+ * Drop every cached feed - call after posts are created, edited or deleted
+ */
+const invalidateAllFeeds = () => {
+  feedGeneration++;
+  feedCache.clear();
+};
+
+module.exports = {
+  FEED_MODES,
+  decodeCursor,
+  getFeedPage,
+  invalidateUserFeeds,
+  invalidateAllFeeds
+};
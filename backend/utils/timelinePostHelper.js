@@ -2,6 +2,7 @@
 // FIXED VERSION - Queries correct table based on project type
 
 const supabase = require('../config/supabase');
+const { invalidateAllFeeds } = require('./timelineFeed');
 
 /**
  * Create a timeline post when a project is completed
@@ -130,6 +131,7 @@ const createTimelinePostFromProject = async (projectId, userId, projectType = 'g
       return null;
     }
 
+    invalidateAllFeeds();
     console.log('✅ Timeline post created successfully:', post.id);
     console.log(`   Completion: ${completionPercentage}% (${completedTasks}/${totalTasks} tasks)`);
     return post;
@@ -205,6 +207,7 @@ const updateTimelinePost = async (projectId, userId, updates) => {
       return null;
     }
 
+    invalidateAllFeeds();
     return post;
 
   } catch (error) {
@@ -228,6 +231,7 @@ const deleteTimelinePostsForProject = async (projectId) => {
       return false;
     }
 
+    invalidateAllFeeds();
     console.log('✅ Timeline posts deleted for project:', projectId);
     return true;
 
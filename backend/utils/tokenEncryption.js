@@ -0,0 +1,114 @@
+// backend/utils/tokenEncryption.js
+// Encrypt third-party credentials (GitHub OAuth tokens) before they touch the database.
+//
+// Keys come from TOKEN_ENCRYPTION_KEYS, a comma-separated list of `<keyId>:<base64 32-byte key>`:
+//   TOKEN_ENCRYPTION_KEYS=2025b:Jx3...=,2025a:Qm9...=
+// The first key encrypts; every key listed can still decrypt. To rotate, put a new key in front
+// and keep the old ones until scripts/encryptGitHubTokens.js has re-sealed everything (values
+// sealed with an old key are also re-sealed the next time they are used).
+// Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+//
+// Sealed values are AES-256-GCM: `enc:<keyId>:<iv>:<authTag>:<ciphertext>` (base64 parts).
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let cachedKeys = null;
+let cachedSource = null;
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS (re-read if the variable changes, e.g. in tests)
+ * @returns {{ currentKeyId: string, keys: Map<string, Buffer> }}
+ */
+const loadKeys = () => {
+  const source = process.env.TOKEN_ENCRYPTION_KEYS || '';
+  if (cachedKeys && cachedSource === source) return cachedKeys;
+
+  const keys = new Map();
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator <= 0 || key.length !== 32) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS entry "${keyId || entry.slice(0, 8)}" must be <keyId>:<base64 32-byte key>`);
+    }
+    keys.set(keyId, key);
+  });
+
+  if (keys.size === 0) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set - refusing to store tokens unencrypted');
+  }
+
+  cachedSource = source;
+  cachedKeys = { currentKeyId: keys.keys().next().value, keys };
+  return cachedKeys;
+};
+
+/**
+ * Whether a stored value is already sealed (anything else is a legacy plaintext token)
+ */
+const isSealed = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+/**
+ * Encrypt a secret with the current key
+ * @param {string} plaintext
+ * @returns {string} sealed value
+ */
+const seal = (plaintext) => {
+  const { currentKeyId, keys } = loadKeys();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    currentKeyId,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a sealed value
+ * @param {string} sealed
+ * @returns {string} plaintext
+ * @throws if the key is unknown or the value was tampered with
+ */
+const unseal = (sealed) => {
+  if (!isSealed(sealed)) {
+    throw new Error('Value is not sealed');
+  }
+
+  const [, keyId, iv, authTag, ciphertext] = sealed.split(':');
+  const key = loadKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`No encryption key "${keyId}" in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Whether a value should be re-sealed: plaintext, or sealed with a key that's no longer current
+ */
+const needsReseal = (value) => {
+  if (!value) return false;
+  if (!isSealed(value)) return true;
+  return value.split(':')[1] !== loadKeys().currentKeyId;
+};
+
+module.exports = {
+  isSealed,
+  seal,
+  unseal,
+  needsReseal
+};
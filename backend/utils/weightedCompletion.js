@@ -0,0 +1,163 @@
+// backend/utils/weightedCompletion.js
+// Project completion weighted by how much work each task is, instead of counting tasks.
+//
+// Column:
+//   projects.weight_completion_by_priority  boolean NOT NULL DEFAULT false
+//     When true, each task's hours are also scaled by PRIORITY_WEIGHTS.
+//
+// A top-level task weighs its estimated_hours. A parent without its own estimate weighs what
+// its subtasks add up to, and anything still unestimated weighs the project's average
+// estimate (1 hour if nothing is estimated yet), so a missing estimate neither dominates nor
+// vanishes. Subtasks share their parent's weight by their own estimates, the same rollup
+// as utils/subtasks.js but by hours rather than by count.
+//
+// Unfinished work earns partial credit by status (STATUS_CREDIT), but only 'completed' earns
+// full credit - so 100% always means every task is done and auto-completion can't fire early.
+// That holds for parents too: a finished checklist earns at most OPEN_PARENT_CREDIT until the
+// parent itself is completed.
+
+const { groupSubtasks } = require('./subtasks');
+
+const STATUS_CREDIT = {
+  todo: 0,
+  blocked: 0,
+  in_progress: 0.25,
+  in_review: 0.75,
+  completed: 1
+};
+
+const PRIORITY_WEIGHTS = {
+  low: 0.5,
+  medium: 1,
+  high: 1.5,
+  urgent: 2
+};
+
+const DEFAULT_TASK_HOURS = 1;
+
+// A parent whose subtasks are all done still has to be closed - as far along as work in review
+const OPEN_PARENT_CREDIT = STATUS_CREDIT.in_review;
+
+const getStatusCredit = (status) => STATUS_CREDIT[status] || 0;
+
+const getEstimate = (task) => {
+  const hours = Number(task.estimated_hours);
+  return Number.isFinite(hours) && hours > 0 ? hours : null;
+};
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Hours-weighted share of a list of tasks that is done, from 0 to 1
+ */
+const getWeightedCredit = (tasks, fallbackHours) => {
+  const weights = tasks.map(task => getEstimate(task) ?? fallbackHours);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) return 0;
+  return tasks.reduce((sum, task, i) => sum + weights[i] * getStatusCredit(task.status), 0) / total;
+};
+
+const toPercentage = (earned, total) => {
+  if (total === 0) return 0;
+  // Round down so nearly-done never shows as 100
+  return earned >= total ? 100 : Math.floor((earned / total) * 100);
+};
+
+const emptyBucket = () => ({ tasks: 0, completedTasks: 0, weight: 0, earned: 0 });
+
+const addToBucket = (buckets, key, task) => {
+  if (!buckets.has(key)) buckets.set(key, emptyBucket());
+  const bucket = buckets.get(key);
+  bucket.tasks += 1;
+  bucket.completedTasks += task.status === 'completed' ? 1 : 0;
+  bucket.weight += task.weight;
+  bucket.earned += task.weight * task.credit;
+};
+
+const summarizeBuckets = (buckets, totalWeight, keyName) =>
+  [...buckets.entries()]
+    .map(([key, bucket]) => ({
+      [keyName]: key,
+      tasks: bucket.tasks,
+      completed_tasks: bucket.completedTasks,
+      weight: Math.round(bucket.weight * 100) / 100,
+      share_of_project: totalWeight ? Math.round((bucket.weight / totalWeight) * 100) : 0,
+      completion_percentage: toPercentage(bucket.earned, bucket.weight),
+      contributed_percentage: totalWeight ? Math.floor((bucket.earned / totalWeight) * 100) : 0
+    }))
+    .sort((a, b) => b.weight - a.weight);
+
+/**
+ * Weighted completion of a project, with a breakdown per assignee and per task type
+ * @param {Object[]} tasks - every task in the project (needs id, parent_task_id, status,
+ *   estimated_hours, priority, assigned_to, task_type)
+ * @param {Object} [options]
+ * @param {boolean} [options.byPriority] - scale weights by PRIORITY_WEIGHTS
+ * @returns {{ percentage: number, totalWeight: number, earnedWeight: number, weightedBy: string,
+ *   tasks: Object[], byMember: Object[], byTaskType: Object[] }}
+ */
+const calculateWeightedCompletion = (tasks, { byPriority = false } = {}) => {
+  const { topLevel, subtasksByParent } = groupSubtasks(tasks || []);
+
+  const estimates = (tasks || []).map(getEstimate).filter(hours => hours !== null);
+  const fallbackHours = average(estimates) || DEFAULT_TASK_HOURS;
+
+  const weighted = topLevel.map((task) => {
+    const subtasks = subtasksByParent.get(task.id) || [];
+    const subtaskHours = subtasks.reduce((sum, subtask) => sum + (getEstimate(subtask) ?? 0), 0);
+    const hours = getEstimate(task) ?? (subtaskHours || fallbackHours);
+
+    // A parent is as done as its checklist says (capped while it's open), or as its own status
+    // says if that's further along
+    const checklistCredit = subtasks.length
+      ? Math.min(getWeightedCredit(subtasks, fallbackHours), OPEN_PARENT_CREDIT)
+      : 0;
+    const credit = task.status === 'completed'
+      ? 1
+      : Math.max(getStatusCredit(task.status), checklistCredit);
+
+    const priorityWeight = byPriority ? PRIORITY_WEIGHTS[task.priority] || PRIORITY_WEIGHTS.medium : 1;
+
+    return {
+      ...task,
+      hours,
+      weight: hours * priorityWeight,
+      credit
+    };
+  });
+
+  const totalWeight = weighted.reduce((sum, task) => sum + task.weight, 0);
+  const earnedWeight = weighted.reduce((sum, task) => sum + task.weight * task.credit, 0);
+
+  const members = new Map();
+  const taskTypes = new Map();
+  weighted.forEach((task) => {
+    addToBucket(members, task.assigned_to || null, task);
+    addToBucket(taskTypes, task.task_type || 'other', task);
+  });
+
+  return {
+    percentage: toPercentage(earnedWeight, totalWeight),
+    totalWeight: Math.round(totalWeight * 100) / 100,
+    earnedWeight: Math.round(earnedWeight * 100) / 100,
+    weightedBy: byPriority ? 'estimated_hours_and_priority' : 'estimated_hours',
+    tasks: weighted.map(task => ({
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      task_type: task.task_type || 'other',
+      assigned_to: task.assigned_to || null,
+      hours: task.hours,
+      weight: Math.round(task.weight * 100) / 100,
+      progress: Math.floor(task.credit * 100)
+    })),
+    byMember: summarizeBuckets(members, totalWeight, 'user_id'),
+    byTaskType: summarizeBuckets(taskTypes, totalWeight, 'task_type')
+  };
+};
+
+module.exports = {
+  STATUS_CREDIT,
+  PRIORITY_WEIGHTS,
+  calculateWeightedCompletion
+};
@@ -639,8 +639,9 @@ const PublicRoute = ({ children }) => {
 function App() {
   return (
     <AuthProvider>
-      <NotificationProvider>
-        <ChatProvider>
+      {/* Notifications ride on the chat socket, so they live inside ChatProvider */}
+      <ChatProvider>
+        <NotificationProvider>
           <Router>
             <ScrollToTop />
             <div className="App">
@@ -1032,8 +1033,8 @@ function App() {
               </Routes>
             </div>
           </Router>
-        </ChatProvider>
-      </NotificationProvider>
+        </NotificationProvider>
+      </ChatProvider>
     </AuthProvider>
   );
 }
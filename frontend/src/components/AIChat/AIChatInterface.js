@@ -131,6 +131,7 @@ What would you like to work on today?`,
     let currentWeek = null;
     let currentTaskTitle = '';
     let currentDescription = '';
+    let currentSubtasks = [];
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
@@ -146,7 +147,8 @@ What would you like to work on today?`,
             priority: 'medium',
             category: 'learning',
             estimated_hours: Math.min(parseInt(currentWeek) * 8, 40),
-            target_date: null
+            target_date: null,
+            subtasks: currentSubtasks
           };
           tasks.push(task);
           console.log(`✅ Parsed: ${task.title} (${task.estimated_hours}h)`);
@@ -155,6 +157,7 @@ What would you like to work on today?`,
         currentWeek = weekMatch[1];
         currentTaskTitle = `Week ${currentWeek}: ${weekMatch[2]}`;
         currentDescription = '';
+        currentSubtasks = [];
         console.log(`🔍 Found Week ${currentWeek}: ${weekMatch[2]}`);
         continue;
       }
@@ -165,6 +168,7 @@ What would you like to work on today?`,
           const cleaned = line.replace(/^[-•*]\s*/, '').trim();
           if (cleaned && !cleaned.toLowerCase().startsWith('expected outcome')) {
             currentDescription += cleaned + '\n';
+            currentSubtasks.push(cleaned);
           }
         }
       }
@@ -178,7 +182,8 @@ What would you like to work on today?`,
         priority: 'medium',
         category: 'learning',
         estimated_hours: Math.min(parseInt(currentWeek) * 8, 40),
-        target_date: null
+        target_date: null,
+        subtasks: currentSubtasks
       };
       tasks.push(task);
       console.log(`✅ Parsed: ${task.title} (${task.estimated_hours}h)`);
@@ -78,11 +78,11 @@ const ChallengeAttemptModal = ({ isOpen, onClose, challenge, onComplete }) => {
           </div>
 
           {/* Test Cases (if available) */}
-          {challenge.test_cases && challenge.test_cases.length > 0 && (
+          {Array.isArray(challenge.test_cases) && challenge.test_cases.some(tc => !tc.hidden) && (
             <div style={styles.section}>
               <h3 style={styles.sectionTitle}>Test Cases</h3>
               <div style={styles.testCases}>
-                {challenge.test_cases.slice(0, 2).map((testCase, index) => (
+                {challenge.test_cases.filter(tc => !tc.hidden).slice(0, 2).map((testCase, index) => (
                   <div key={index} style={styles.testCase}>
                     <div style={styles.testCaseLabel}>Test Case {index + 1}</div>
                     <div style={styles.testCaseContent}>
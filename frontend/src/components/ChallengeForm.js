@@ -1,7 +1,7 @@
 // frontend/src/components/ChallengeForm.js - ALIGNED WITH DARK THEME
 import React, { useState, useEffect } from 'react';
 import ChallengeAPI from '../services/challengeAPI';
-import { Plus, Trash2, Code } from 'lucide-react';
+import { Plus, Trash2, Code, EyeOff } from 'lucide-react';
 
 const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
   const [formData, setFormData] = useState({
@@ -17,7 +17,7 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
   });
 
   const [languages, setLanguages] = useState([]);
-  const [testCaseFields, setTestCaseFields] = useState([{ input: '', expected_output: '' }]);
+  const [testCaseFields, setTestCaseFields] = useState([{ input: '', expected_output: '', hidden: false, weight: 1, explanation: '' }]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -45,7 +45,10 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
           
           setTestCaseFields(existingTestCases.map(tc => ({
             input: JSON.stringify(tc.input, null, 2),
-            expected_output: JSON.stringify(tc.expected_output, null, 2)
+            expected_output: JSON.stringify(tc.expected_output, null, 2),
+            hidden: tc.hidden === true,
+            weight: tc.weight ?? 1,
+            explanation: tc.explanation || ''
           })));
         } catch (error) {
           console.error('Error parsing test cases:', error);
@@ -85,7 +88,7 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
   };
 
   const addTestCase = () => {
-    setTestCaseFields([...testCaseFields, { input: '', expected_output: '' }]);
+    setTestCaseFields([...testCaseFields, { input: '', expected_output: '', hidden: false, weight: 1, explanation: '' }]);
   };
 
   const removeTestCase = (index) => {
@@ -98,16 +101,23 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
     return testCaseFields
       .filter(tc => tc.input.trim() && tc.expected_output.trim()) // Only include non-empty test cases
       .map(testCase => {
+        const attributes = {
+          hidden: Boolean(testCase.hidden),
+          weight: Number(testCase.weight) > 0 ? Number(testCase.weight) : 1,
+          explanation: testCase.explanation.trim()
+        };
         try {
           return {
             input: JSON.parse(testCase.input),
-            expected_output: JSON.parse(testCase.expected_output)
+            expected_output: JSON.parse(testCase.expected_output),
+            ...attributes
           };
         } catch (error) {
           // If JSON parsing fails, use as string
           return {
             input: testCase.input,
-            expected_output: testCase.expected_output
+            expected_output: testCase.expected_output,
+            ...attributes
           };
         }
       });
@@ -227,7 +237,7 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
           test_cases: '',
           is_active: true
         });
-        setTestCaseFields([{ input: '', expected_output: '' }]);
+        setTestCaseFields([{ input: '', expected_output: '', hidden: false, weight: 1, explanation: '' }]);
       }
     }
     
@@ -365,6 +375,26 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
       alignItems: 'center',
       gap: '8px'
     },
+    hiddenBadge: {
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: '4px',
+      padding: '2px 8px',
+      borderRadius: '12px',
+      fontSize: '12px',
+      fontWeight: '600',
+      color: '#fbbf24',
+      background: 'rgba(245, 158, 11, 0.15)',
+      border: '1px solid rgba(245, 158, 11, 0.3)'
+    },
+    checkboxLabel: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '14px',
+      color: '#d1d5db',
+      padding: '12px 0'
+    },
     addButton: {
       background: 'linear-gradient(to right, #3b82f6, #2563eb)',
       color: 'white',
@@ -600,6 +630,12 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
                 <div style={styles.testCaseTitle}>
                   <Code size={16} style={{ color: '#3b82f6' }} />
                   Test Case {index + 1}
+                  {testCase.hidden && (
+                    <span style={styles.hiddenBadge}>
+                      <EyeOff size={12} />
+                      Hidden
+                    </span>
+                  )}
                 </div>
                 {testCaseFields.length > 1 && (
                   <button
@@ -640,6 +676,40 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
                   />
                 </div>
               </div>
+              <div style={{ ...styles.row, marginTop: '12px' }}>
+                <div>
+                  <label style={styles.label}>Weight</label>
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.1"
+                    value={testCase.weight}
+                    onChange={(e) => handleTestCaseChange(index, 'weight', e.target.value)}
+                    style={styles.input}
+                  />
+                </div>
+                <div>
+                  <label style={styles.label}>Visibility</label>
+                  <label style={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(testCase.hidden)}
+                      onChange={(e) => handleTestCaseChange(index, 'hidden', e.target.checked)}
+                    />
+                    Hidden from learners (input and expected output are never shown)
+                  </label>
+                </div>
+              </div>
+              <div style={{ marginTop: '12px' }}>
+                <label style={styles.label}>Explanation (optional)</label>
+                <input
+                  type="text"
+                  value={testCase.explanation}
+                  onChange={(e) => handleTestCaseChange(index, 'explanation', e.target.value)}
+                  style={styles.input}
+                  placeholder='e.g. Handles an empty array'
+                />
+              </div>
             </div>
           ))}
           
@@ -51,7 +51,7 @@ export default function ChallengeHints({
   thresholds = { hint1: 2, hint2: 4, hint3: 6 }
 }) {
   // Hooks first (before any conditional return)
-  const tests = useMemo(() => normalizeTestCases(rawTestCases), [rawTestCases]);
+  const tests = useMemo(() => normalizeTestCases(rawTestCases).filter(t => !t.hidden), [rawTestCases]);
   const [reveal1, setReveal1] = useState(false);
   const [reveal2, setReveal2] = useState(false);
   const [reveal3, setReveal3] = useState(false);
@@ -49,7 +49,7 @@ const CommentForm = ({
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to create comment');
+                throw new Error(data.error || data.message || 'Failed to create comment');
             }
 
             setContent('');
@@ -43,7 +43,7 @@ const CommentItem = ({
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to update comment');
+                throw new Error(data.error || data.message || 'Failed to update comment');
             }
 
             onCommentUpdated(data.comment);
@@ -69,7 +69,7 @@ const CommentItem = ({
 
             if (!response.ok) {
                 const data = await response.json();
-                throw new Error(data.error || 'Failed to delete comment');
+                throw new Error(data.error || data.message || 'Failed to delete comment');
             }
 
             onCommentDeleted(comment.id);
@@ -33,7 +33,7 @@ const CommentReplies = ({
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to fetch replies');
+                throw new Error(data.error || data.message || 'Failed to fetch replies');
             }
 
             setReplies(data.replies);
@@ -36,7 +36,7 @@ const CommentsContainer = ({ taskId, projectMembers = [], projectOwner = null })
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to fetch comments');
+                throw new Error(data.error || data.message || 'Failed to fetch comments');
             }
 
             if (page === 1) {
@@ -0,0 +1,589 @@
+// frontend/src/components/DirectMessages/DirectMessages.js
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useChat } from '../../contexts/ChatContext';
+import { directMessageService } from '../../services/directMessageService';
+import { Send, Users, X, Lock } from 'lucide-react';
+
+const MAX_GROUP_SIZE = 8; // keep in sync with DM_MAX_GROUP_SIZE on the backend
+
+const getUserDisplayName = (userObj) => {
+  if (!userObj) return 'Unknown User';
+  return userObj.full_name || userObj.username || 'Unknown User';
+};
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const getConversationTitle = (conversation, currentUserId) => {
+  if (conversation.name) return conversation.name;
+  const others = (conversation.members || []).filter(member => member.id !== currentUserId);
+  return others.map(getUserDisplayName).join(', ') || 'Conversation';
+};
+
+function DirectMessages({ friends, openWithFriendId, onOpened }) {
+  const { user } = useAuth();
+  const { socket, connected } = useChat();
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [activeConversation, setActiveConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [messageInput, setMessageInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [error, setError] = useState(null);
+  const [showNewGroup, setShowNewGroup] = useState(false);
+  const [groupName, setGroupName] = useState('');
+  const [groupMemberIds, setGroupMemberIds] = useState([]);
+  const messagesEndRef = useRef(null);
+  const activeConversationRef = useRef(null);
+
+  useEffect(() => {
+    activeConversationRef.current = activeConversationId;
+  }, [activeConversationId]);
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await directMessageService.getConversations();
+      if (response.success) {
+        setConversations(response.data);
+      }
+    } catch (fetchError) {
+      setError(fetchError.response?.data?.message || 'Failed to load conversations');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  const openConversation = useCallback(async (conversationId) => {
+    setActiveConversationId(conversationId);
+    setMessages([]);
+    setPagination(null);
+    setError(null);
+
+    try {
+      const response = await directMessageService.getMessages(conversationId);
+      if (response.success) {
+        setActiveConversation(response.data.conversation);
+        setMessages(response.data.messages);
+        setPagination(response.data.pagination);
+        setConversations(prev => prev.map(c => (c.id === conversationId ? { ...c, unread_count: 0 } : c)));
+        directMessageService.markRead(conversationId).catch(() => {});
+      }
+    } catch (openError) {
+      setError(openError.response?.data?.message || 'Failed to load messages');
+    }
+  }, []);
+
+  // "Message" button on a friend card opens (or creates) the 1:1 conversation
+  useEffect(() => {
+    if (!openWithFriendId) return;
+
+    const startConversation = async () => {
+      try {
+        const response = await directMessageService.createConversation([openWithFriendId]);
+        if (response.success) {
+          await fetchConversations();
+          await openConversation(response.data.id);
+        }
+      } catch (startError) {
+        setError(startError.response?.data?.message || 'Failed to start conversation');
+      } finally {
+        onOpened?.();
+      }
+    };
+
+    startConversation();
+  }, [openWithFriendId, fetchConversations, openConversation, onOpened]);
+
+  // Real-time updates for every conversation the user is in
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleMessage = ({ message, conversationId }) => {
+      if (conversationId === activeConversationRef.current) {
+        setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+        if (message.user_id !== user?.id) {
+          directMessageService.markRead(conversationId).catch(() => {});
+        }
+      }
+
+      setConversations(prev => {
+        const existing = prev.find(c => c.id === conversationId);
+        if (!existing) {
+          // New conversation started by someone else - reload the list
+          fetchConversations();
+          return prev;
+        }
+        const isActive = conversationId === activeConversationRef.current;
+        const updated = {
+          ...existing,
+          last_message: message,
+          last_message_at: message.created_at,
+          unread_count: isActive || message.user_id === user?.id ? 0 : (existing.unread_count || 0) + 1
+        };
+        return [updated, ...prev.filter(c => c.id !== conversationId)];
+      });
+    };
+
+    const handleError = ({ conversationId, message }) => {
+      if (!conversationId || conversationId === activeConversationRef.current) {
+        setError(message);
+      }
+    };
+
+    const handleRead = ({ conversationId }) => {
+      setConversations(prev => prev.map(c => (c.id === conversationId ? { ...c, unread_count: 0 } : c)));
+    };
+
+    socket.on('dm_message', handleMessage);
+    socket.on('dm_error', handleError);
+    socket.on('dm_read', handleRead);
+
+    return () => {
+      socket.off('dm_message', handleMessage);
+      socket.off('dm_error', handleError);
+      socket.off('dm_read', handleRead);
+    };
+  }, [socket, user, fetchConversations]);
+
+  useEffect(() => {
+    if (!loadingOlder) {
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [messages, loadingOlder]);
+
+  const handleLoadOlder = async () => {
+    if (!pagination?.nextBefore) return;
+    setLoadingOlder(true);
+    try {
+      const response = await directMessageService.getMessages(activeConversationId, pagination.nextBefore);
+      if (response.success) {
+        setMessages(prev => [...response.data.messages, ...prev]);
+        setPagination(response.data.pagination);
+      }
+    } catch (olderError) {
+      setError(olderError.response?.data?.message || 'Failed to load older messages');
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const content = messageInput.trim();
+    if (!content || !activeConversationId) return;
+
+    setMessageInput('');
+    setError(null);
+
+    if (socket && connected) {
+      socket.emit('dm_send', { conversationId: activeConversationId, content });
+      return;
+    }
+
+    try {
+      const response = await directMessageService.sendMessage(activeConversationId, content);
+      if (response.success) {
+        setMessages(prev => [...prev, response.data]);
+      }
+    } catch (sendError) {
+      setError(sendError.response?.data?.message || 'Failed to send message');
+      setMessageInput(content);
+    }
+  };
+
+  const toggleGroupMember = (friendId) => {
+    setGroupMemberIds(prev => (prev.includes(friendId)
+      ? prev.filter(id => id !== friendId)
+      : [...prev, friendId]));
+  };
+
+  const handleCreateGroup = async () => {
+    try {
+      const response = await directMessageService.createConversation(groupMemberIds, groupName.trim() || null);
+      if (response.success) {
+        setShowNewGroup(false);
+        setGroupName('');
+        setGroupMemberIds([]);
+        await fetchConversations();
+        await openConversation(response.data.id);
+      }
+    } catch (createError) {
+      setError(createError.response?.data?.message || 'Failed to create conversation');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      {/* Conversation list */}
+      <div style={styles.sidebar}>
+        <div style={styles.sidebarHeader}>
+          <span style={styles.sidebarTitle}>Messages</span>
+          <button
+            onClick={() => setShowNewGroup(!showNewGroup)}
+            style={styles.iconButton}
+            title="New group conversation"
+            disabled={friends.length < 2}
+          >
+            <Users size={16} />
+          </button>
+        </div>
+
+        {showNewGroup && (
+          <div style={styles.newGroup}>
+            <input
+              type="text"
+              value={groupName}
+              onChange={(e) => setGroupName(e.target.value)}
+              placeholder="Group name (optional)"
+              maxLength={50}
+              style={styles.input}
+            />
+            <div style={styles.friendPicker}>
+              {friends.map(friend => (
+                <label key={friend.id} style={styles.pickerLabel}>
+                  <input
+                    type="checkbox"
+                    checked={groupMemberIds.includes(friend.id)}
+                    onChange={() => toggleGroupMember(friend.id)}
+                    disabled={!groupMemberIds.includes(friend.id) && groupMemberIds.length >= MAX_GROUP_SIZE - 1}
+                  />
+                  {getUserDisplayName(friend)}
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleCreateGroup}
+              disabled={groupMemberIds.length < 2}
+              style={styles.primaryButton}
+            >
+              Create group ({groupMemberIds.length + 1}/{MAX_GROUP_SIZE})
+            </button>
+          </div>
+        )}
+
+        {loading && <div style={styles.empty}>Loading...</div>}
+        {!loading && conversations.length === 0 && (
+          <div style={styles.empty}>No conversations yet. Message a friend to get started.</div>
+        )}
+
+        {conversations.map(conversation => (
+          <button
+            key={conversation.id}
+            onClick={() => openConversation(conversation.id)}
+            style={{
+              ...styles.conversationItem,
+              ...(conversation.id === activeConversationId ? styles.conversationItemActive : {})
+            }}
+          >
+            <div style={styles.conversationTop}>
+              <span style={styles.conversationName}>
+                {conversation.is_group && <Users size={12} style={{ marginRight: '4px' }} />}
+                {getConversationTitle(conversation, user?.id)}
+              </span>
+              {conversation.unread_count > 0 && (
+                <span style={styles.badge}>{conversation.unread_count}</span>
+              )}
+            </div>
+            {conversation.last_message && (
+              <div style={styles.preview}>
+                {conversation.last_message.content} · {formatTime(conversation.last_message.created_at)}
+              </div>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {/* Active conversation */}
+      <div style={styles.main}>
+        {!activeConversationId ? (
+          <div style={styles.empty}>Select a conversation</div>
+        ) : (
+          <>
+            <div style={styles.mainHeader}>
+              <span style={styles.sidebarTitle}>
+                {activeConversation ? getConversationTitle(activeConversation, user?.id) : '...'}
+              </span>
+              <button onClick={() => setActiveConversationId(null)} style={styles.iconButton} title="Close">
+                <X size={16} />
+              </button>
+            </div>
+
+            <div style={styles.messages}>
+              {pagination?.hasMore && (
+                <button onClick={handleLoadOlder} disabled={loadingOlder} style={styles.linkButton}>
+                  {loadingOlder ? 'Loading...' : 'Load older messages'}
+                </button>
+              )}
+              {messages.map(message => {
+                const isOwn = message.user_id === user?.id;
+                return (
+                  <div key={message.id} style={{ ...styles.messageRow, justifyContent: isOwn ? 'flex-end' : 'flex-start' }}>
+                    <div style={{ ...styles.bubble, ...(isOwn ? styles.ownBubble : {}) }}>
+                      {!isOwn && activeConversation?.is_group && (
+                        <div style={styles.bubbleAuthor}>{getUserDisplayName(message.user)}</div>
+                      )}
+                      <div>{message.content}</div>
+                      <div style={styles.bubbleTime}>{formatTime(message.created_at)}</div>
+                    </div>
+                  </div>
+                );
+              })}
+              <div ref={messagesEndRef} />
+            </div>
+
+            {error && <div style={styles.error}>{error}</div>}
+
+            {activeConversation && !activeConversation.can_send ? (
+              <div style={styles.blocked}>
+                <Lock size={14} />
+                {activeConversation.blocked_reason || 'You can no longer send messages here'}
+              </div>
+            ) : (
+              <form onSubmit={handleSend} style={styles.form}>
+                <input
+                  type="text"
+                  value={messageInput}
+                  onChange={(e) => setMessageInput(e.target.value)}
+                  placeholder="Write a message..."
+                  maxLength={2000}
+                  style={{ ...styles.input, flex: 1 }}
+                />
+                <button type="submit" disabled={!messageInput.trim()} style={styles.primaryButton}>
+                  <Send size={16} />
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    height: '600px',
+    background: 'rgba(26, 28, 32, 0.8)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '16px',
+    overflow: 'hidden'
+  },
+  sidebar: {
+    width: '300px',
+    borderRight: '1px solid rgba(255, 255, 255, 0.1)',
+    overflowY: 'auto'
+  },
+  sidebarHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '16px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  sidebarTitle: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: '16px'
+  },
+  iconButton: {
+    display: 'flex',
+    alignItems: 'center',
+    background: 'transparent',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    color: '#9ca3af',
+    padding: '6px',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  newGroup: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '12px 16px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  friendPicker: {
+    maxHeight: '140px',
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px'
+  },
+  pickerLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    color: '#d1d5db',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  conversationItem: {
+    display: 'block',
+    width: '100%',
+    textAlign: 'left',
+    padding: '12px 16px',
+    background: 'transparent',
+    border: 'none',
+    borderLeft: '3px solid transparent',
+    cursor: 'pointer',
+    color: '#d1d5db'
+  },
+  conversationItemActive: {
+    background: 'rgba(59, 130, 246, 0.15)',
+    borderLeft: '3px solid #3b82f6'
+  },
+  conversationTop: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  conversationName: {
+    display: 'flex',
+    alignItems: 'center',
+    fontWeight: '600',
+    fontSize: '14px',
+    color: 'white'
+  },
+  preview: {
+    fontSize: '12px',
+    color: '#9ca3af',
+    marginTop: '4px',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+  badge: {
+    minWidth: '20px',
+    padding: '2px 6px',
+    borderRadius: '10px',
+    backgroundColor: '#3b82f6',
+    color: 'white',
+    fontSize: '11px',
+    fontWeight: '600',
+    textAlign: 'center'
+  },
+  main: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: 0
+  },
+  mainHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '16px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  messages: {
+    flex: 1,
+    overflowY: 'auto',
+    padding: '16px'
+  },
+  messageRow: {
+    display: 'flex',
+    marginBottom: '10px'
+  },
+  bubble: {
+    maxWidth: '70%',
+    padding: '8px 12px',
+    borderRadius: '14px',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: 'white',
+    fontSize: '14px',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word'
+  },
+  ownBubble: {
+    backgroundColor: '#3b82f6'
+  },
+  bubbleAuthor: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#93c5fd',
+    marginBottom: '2px'
+  },
+  bubbleTime: {
+    fontSize: '10px',
+    color: 'rgba(255, 255, 255, 0.6)',
+    marginTop: '4px',
+    textAlign: 'right'
+  },
+  form: {
+    display: 'flex',
+    gap: '8px',
+    padding: '12px 16px',
+    borderTop: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  input: {
+    padding: '10px 12px',
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    color: 'white',
+    fontSize: '14px',
+    outline: 'none'
+  },
+  primaryButton: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '6px',
+    padding: '10px 14px',
+    background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+    border: 'none',
+    borderRadius: '8px',
+    color: 'white',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  },
+  linkButton: {
+    display: 'block',
+    margin: '0 auto 12px',
+    background: 'transparent',
+    border: 'none',
+    color: '#60a5fa',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  blocked: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '14px 16px',
+    borderTop: '1px solid rgba(255, 255, 255, 0.1)',
+    color: '#9ca3af',
+    fontSize: '13px'
+  },
+  error: {
+    margin: '0 16px 8px',
+    padding: '8px 12px',
+    borderRadius: '8px',
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    border: '1px solid rgba(239, 68, 68, 0.3)',
+    color: '#fca5a5',
+    fontSize: '13px'
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#9ca3af',
+    fontSize: '14px',
+    padding: '24px 16px'
+  }
+};
+
+export default DirectMessages;
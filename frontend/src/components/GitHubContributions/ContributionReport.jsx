@@ -0,0 +1,344 @@
+// frontend/src/components/GitHubContributions/ContributionReport.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { GitBranch, RefreshCw, Loader2, AlertTriangle } from 'lucide-react';
+import { githubService } from '../../services/githubService';
+
+const RANGE_PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' }
+];
+
+// <input type="date"> value for a day `days` before today
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().slice(0, 10);
+};
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+
+/**
+ * ContributionReport Component
+ * Per-member GitHub activity for the project's connected repository, for owners and whoever
+ * has the project.analytics permission
+ *
+ * Props:
+ * - projectId: UUID of the project
+ */
+const ContributionReport = ({ projectId }) => {
+  const [range, setRange] = useState({ since: daysAgo(30), until: daysAgo(0) });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async (refresh = false) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await githubService.getProjectContributions(projectId, {
+        since: range.since,
+        until: range.until,
+        ...(refresh && { refresh: true })
+      });
+      setReport(response.data);
+    } catch (err) {
+      setReport(null);
+      const data = err.response?.data;
+      if (err.response?.status === 404 && !data?.code) {
+        setError('Connect a GitHub repository in Files to see contributions.');
+      } else if (data?.code === 'github_reconnect_required' || data?.code === 'github_not_connected') {
+        setError('The GitHub account used for this repository needs to be reconnected in Files.');
+      } else {
+        setError(data?.message || 'Failed to load contributions');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, range]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const activePreset = range.until === daysAgo(0)
+    ? RANGE_PRESETS.find(preset => range.since === daysAgo(preset.days))
+    : null;
+
+  const renderRow = (row, key, linked) => (
+    <tr key={key} style={styles.row}>
+      <td style={styles.nameCell}>
+        <div style={styles.name}>{linked ? (row.full_name || row.username) : row.name}</div>
+        <div style={styles.login}>
+          {row.github_username ? `@${row.github_username}` : linked ? 'GitHub not connected' : 'No GitHub account'}
+        </div>
+      </td>
+      <td style={styles.numberCell}>
+        {formatNumber(row.commits)}
+        {row.commits > 0 && <span style={styles.share}> {row.commit_share}%</span>}
+      </td>
+      <td style={{ ...styles.numberCell, color: '#10b981' }}>+{formatNumber(row.additions)}</td>
+      <td style={{ ...styles.numberCell, color: '#ef4444' }}>-{formatNumber(row.deletions)}</td>
+      <td style={styles.numberCell}>{formatNumber(row.files_touched)}</td>
+      <td style={styles.numberCell}>{formatNumber(row.active_days)}</td>
+      <td style={styles.numberCell}>{formatNumber(row.pull_requests_opened)}</td>
+      <td style={styles.numberCell}>{formatNumber(row.reviews)}</td>
+    </tr>
+  );
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <GitBranch size={20} />
+          GitHub Contributions
+        </h3>
+        <button
+          style={styles.refreshButton}
+          onClick={() => fetchReport(true)}
+          disabled={loading}
+          title="Fetch fresh numbers from GitHub"
+        >
+          {loading ? <Loader2 size={16} className="animate-spin" /> : <RefreshCw size={16} />}
+        </button>
+      </div>
+
+      <div style={styles.controls}>
+        {RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.days}
+            style={{
+              ...styles.presetButton,
+              ...(activePreset?.days === preset.days && styles.presetButtonActive)
+            }}
+            onClick={() => setRange({ since: daysAgo(preset.days), until: daysAgo(0) })}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <input
+          type="date"
+          style={styles.dateInput}
+          value={range.since}
+          max={range.until}
+          onChange={(e) => e.target.value && setRange(prev => ({ ...prev, since: e.target.value }))}
+        />
+        <span style={styles.muted}>to</span>
+        <input
+          type="date"
+          style={styles.dateInput}
+          value={range.until}
+          min={range.since}
+          onChange={(e) => e.target.value && setRange(prev => ({ ...prev, until: e.target.value }))}
+        />
+      </div>
+
+      {error ? (
+        <div style={styles.emptyState}>{error}</div>
+      ) : !report ? (
+        <div style={styles.emptyState}>Loading contributions...</div>
+      ) : (
+        <>
+          <div style={styles.muted}>
+            {report.repository} · {report.branch} · {formatNumber(report.totals.commits)} commits,
+            {' '}{formatNumber(report.totals.reviews)} reviews
+          </div>
+
+          <div style={styles.tableWrapper}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Member</th>
+                  <th style={styles.thNumber}>Commits</th>
+                  <th style={styles.thNumber}>Added</th>
+                  <th style={styles.thNumber}>Removed</th>
+                  <th style={styles.thNumber}>Files</th>
+                  <th style={styles.thNumber}>Active days</th>
+                  <th style={styles.thNumber}>PRs</th>
+                  <th style={styles.thNumber}>Reviews</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.members.map(member => renderRow(member, member.user_id, true))}
+              </tbody>
+            </table>
+          </div>
+
+          {report.unlinked.length > 0 && (
+            <>
+              <div style={styles.subheading}>Not linked to a member</div>
+              <div style={styles.tableWrapper}>
+                <table style={styles.table}>
+                  <tbody>
+                    {report.unlinked.map((row, index) => renderRow(row, `${row.github_username || row.name}-${index}`, false))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {report.truncated && (
+            <div style={styles.warning}>
+              <AlertTriangle size={14} />
+              This range has more activity than one report covers. Pick a shorter range for exact numbers.
+            </div>
+          )}
+
+          <div style={styles.footnote}>
+            Merge commits are not counted. Members are matched by the GitHub account they connected.
+            {' '}Updated {new Date(report.generated_at).toLocaleString()}
+            {report.cached && ' (cached)'}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  card: {
+    background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '16px',
+    padding: '25px',
+    backdropFilter: 'blur(20px)',
+    boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)',
+    marginBottom: '20px'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '16px'
+  },
+  title: {
+    color: 'white',
+    fontSize: '20px',
+    fontWeight: 'bold',
+    margin: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px'
+  },
+  refreshButton: {
+    background: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.15)',
+    borderRadius: '8px',
+    color: '#9ca3af',
+    padding: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center'
+  },
+  controls: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '16px'
+  },
+  presetButton: {
+    background: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.15)',
+    borderRadius: '8px',
+    color: '#d1d5db',
+    padding: '6px 12px',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  presetButtonActive: {
+    background: 'rgba(59, 130, 246, 0.15)',
+    borderColor: 'rgba(59, 130, 246, 0.4)',
+    color: '#93c5fd'
+  },
+  dateInput: {
+    background: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.15)',
+    borderRadius: '8px',
+    color: 'white',
+    padding: '5px 8px',
+    fontSize: '13px',
+    colorScheme: 'dark'
+  },
+  muted: {
+    color: '#9ca3af',
+    fontSize: '13px'
+  },
+  tableWrapper: {
+    overflowX: 'auto',
+    marginTop: '12px'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '14px'
+  },
+  th: {
+    textAlign: 'left',
+    color: '#9ca3af',
+    fontWeight: '500',
+    fontSize: '12px',
+    padding: '8px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  thNumber: {
+    textAlign: 'right',
+    color: '#9ca3af',
+    fontWeight: '500',
+    fontSize: '12px',
+    padding: '8px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+    whiteSpace: 'nowrap'
+  },
+  row: {
+    borderBottom: '1px solid rgba(255, 255, 255, 0.05)'
+  },
+  nameCell: {
+    padding: '10px 8px'
+  },
+  name: {
+    color: 'white',
+    fontWeight: '500'
+  },
+  login: {
+    color: '#6b7280',
+    fontSize: '12px'
+  },
+  numberCell: {
+    padding: '10px 8px',
+    textAlign: 'right',
+    color: 'white',
+    whiteSpace: 'nowrap'
+  },
+  share: {
+    color: '#6b7280',
+    fontSize: '12px'
+  },
+  subheading: {
+    color: '#d1d5db',
+    fontSize: '14px',
+    fontWeight: '600',
+    marginTop: '20px'
+  },
+  warning: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    color: '#fbbf24',
+    fontSize: '13px',
+    marginTop: '12px'
+  },
+  footnote: {
+    color: '#6b7280',
+    fontSize: '12px',
+    marginTop: '12px'
+  },
+  emptyState: {
+    textAlign: 'center',
+    color: '#9ca3af',
+    padding: '30px 20px',
+    fontStyle: 'italic'
+  }
+};
+
+export default ContributionReport;
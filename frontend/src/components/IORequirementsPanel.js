@@ -20,7 +20,9 @@ function tryParseJSON(s) {
 }
 
 export default function IORequirementsPanel({ rawTestCases, forgiving = true, numericToleranceHint = true, languageName = '' }) {
-  const tests = normalizeTestCases(rawTestCases);
+  const allTests = normalizeTestCases(rawTestCases);
+  const tests = allTests.filter(t => !t.hidden);
+  const hiddenCount = allTests.length - tests.length;
   if (!tests.length) return null;
 
   const first = tests[0];
@@ -93,6 +95,7 @@ export default function IORequirementsPanel({ rawTestCases, forgiving = true, nu
           : <li>Print exactly one line to STDOUT matching the expected output.</li>
         }
         {forgiving && isJsonOutput && <li>JSON whitespace and key order are ignored by the checker.</li>}
+        {hiddenCount > 0 && <li>{hiddenCount} additional hidden test case{hiddenCount === 1 ? '' : 's'} will also be run.</li>}
         {forgiving && isJsonOutput && numericToleranceHint && (
           <li style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
             <AlertCircle size={14} />
@@ -0,0 +1,212 @@
+// frontend/src/components/JoinRequests/JoinRequestForm.jsx
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { projectService } from '../../services/projectService';
+
+const MAX_PITCH_LENGTH = 2000;
+
+/**
+ * JoinRequestForm Component
+ * What an applicant sees on projects that review applicants or are open to everyone
+ *
+ * Props:
+ * - projectId: UUID of the project
+ * - joinPolicy: 'approval' | 'challenge_approval' | 'open'
+ * - initialRequest: Object - the applicant's latest request, if any
+ * - onClose: Function - optional close handler
+ */
+const JoinRequestForm = ({ projectId, joinPolicy, initialRequest = null, onClose }) => {
+  const navigate = useNavigate();
+  const [request, setRequest] = useState(initialRequest);
+  const [pitch, setPitch] = useState(initialRequest?.status === 'pending' ? initialRequest.pitch || '' : '');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOpen = joinPolicy === 'open';
+  const isPending = request?.status === 'pending';
+  const wasDeclined = request?.status === 'declined';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await projectService.createJoinRequest(projectId, pitch.trim() || null);
+
+      if (response.data.joined) {
+        navigate(`/project/${projectId}/dashboard`);
+        return;
+      }
+      setRequest(response.data.request);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send your request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    if (!window.confirm('Withdraw your request to join?')) return;
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await projectService.withdrawJoinRequest(projectId);
+      setRequest(response.data.request);
+      setPitch('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to withdraw your request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const styles = {
+    wrapper: {
+      textAlign: 'left',
+      width: '100%'
+    },
+    title: {
+      color: 'white',
+      fontSize: '18px',
+      fontWeight: '600',
+      margin: '0 0 8px'
+    },
+    text: {
+      color: '#9ca3af',
+      fontSize: '14px',
+      lineHeight: 1.6,
+      margin: '0 0 16px'
+    },
+    status: {
+      padding: '12px 14px',
+      borderRadius: '10px',
+      fontSize: '13px',
+      marginBottom: '16px',
+      border: '1px solid rgba(59, 130, 246, 0.3)',
+      backgroundColor: 'rgba(59, 130, 246, 0.1)',
+      color: '#93c5fd'
+    },
+    declined: {
+      border: '1px solid rgba(239, 68, 68, 0.3)',
+      backgroundColor: 'rgba(239, 68, 68, 0.1)',
+      color: '#fca5a5'
+    },
+    textarea: {
+      width: '100%',
+      minHeight: '120px',
+      padding: '12px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '10px',
+      fontSize: '14px',
+      backgroundColor: 'rgba(26, 28, 32, 0.8)',
+      color: 'white',
+      outline: 'none',
+      resize: 'vertical',
+      boxSizing: 'border-box',
+      fontFamily: 'inherit'
+    },
+    counter: {
+      fontSize: '12px',
+      color: '#6b7280',
+      textAlign: 'right',
+      marginTop: '4px'
+    },
+    error: {
+      color: '#fca5a5',
+      fontSize: '13px',
+      margin: '8px 0'
+    },
+    actions: {
+      display: 'flex',
+      gap: '12px',
+      justifyContent: 'flex-end',
+      marginTop: '16px'
+    },
+    primaryButton: {
+      background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+      color: 'white',
+      border: 'none',
+      padding: '10px 18px',
+      borderRadius: '8px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    secondaryButton: {
+      background: 'transparent',
+      color: '#d1d5db',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      padding: '10px 18px',
+      borderRadius: '8px',
+      fontSize: '14px',
+      cursor: 'pointer'
+    }
+  };
+
+  if (isOpen) {
+    return (
+      <form style={styles.wrapper} onSubmit={handleSubmit}>
+        <h3 style={styles.title}>This project is open</h3>
+        <p style={styles.text}>Anyone can join - no challenge or review needed.</p>
+        {error && <div style={styles.error}>{error}</div>}
+        <div style={styles.actions}>
+          {onClose && (
+            <button type="button" style={styles.secondaryButton} onClick={onClose}>Close</button>
+          )}
+          <button type="submit" style={styles.primaryButton} disabled={submitting}>
+            {submitting ? 'Joining...' : 'Join project'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <form style={styles.wrapper} onSubmit={handleSubmit}>
+      <h3 style={styles.title}>{isPending ? 'Your request is waiting for review' : 'Ask to join'}</h3>
+      <p style={styles.text}>
+        The owner and leads review everyone who asks to join. Tell them what you'd bring to the project -
+        they'll also see how well your skills match and your challenge history.
+      </p>
+
+      {isPending && (
+        <div style={styles.status}>
+          Sent {new Date(request.created_at).toLocaleDateString()}. You'll get a notification once it's decided.
+        </div>
+      )}
+      {wasDeclined && (
+        <div style={{ ...styles.status, ...styles.declined }}>
+          Your last request was declined{request.decision_message ? `: "${request.decision_message}"` : '.'} You can ask again.
+        </div>
+      )}
+
+      <textarea
+        style={styles.textarea}
+        value={pitch}
+        maxLength={MAX_PITCH_LENGTH}
+        placeholder="Why do you want to join, and what would you work on?"
+        onChange={(e) => setPitch(e.target.value)}
+        aria-label="Your pitch"
+      />
+      <div style={styles.counter}>{pitch.length}/{MAX_PITCH_LENGTH}</div>
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      <div style={styles.actions}>
+        {onClose && (
+          <button type="button" style={styles.secondaryButton} onClick={onClose}>Close</button>
+        )}
+        {isPending && (
+          <button type="button" style={styles.secondaryButton} onClick={handleWithdraw} disabled={submitting}>
+            Withdraw
+          </button>
+        )}
+        <button type="submit" style={styles.primaryButton} disabled={submitting}>
+          {submitting ? 'Sending...' : isPending ? 'Update pitch' : 'Send request'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default JoinRequestForm;
@@ -0,0 +1,290 @@
+// frontend/src/components/JoinRequests/JoinRequestsPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Inbox, Check, X } from 'lucide-react';
+import { projectService } from '../../services/projectService';
+
+export const JOIN_POLICY_OPTIONS = [
+  { value: 'challenge', label: 'Challenge', description: 'Passing the entry challenge joins the project' },
+  { value: 'approval', label: 'Approval', description: 'Applicants send a pitch and you decide' },
+  { value: 'challenge_approval', label: 'Challenge + approval', description: 'Applicants pass the challenge, then you decide' },
+  { value: 'open', label: 'Open', description: 'Anyone can join straight away' }
+];
+
+const describeChallengeHistory = (summary = {}) => {
+  if (!summary.attempts) return 'No challenge attempts';
+  const attempts = summary.attempts === 1 ? '1 attempt' : `${summary.attempts} attempts`;
+  const best = summary.bestScore !== null && summary.bestScore !== undefined ? ` · best ${summary.bestScore}%` : '';
+  return `${summary.passed ? 'Passed' : 'Not passed'} · ${attempts}${best}`;
+};
+
+const matchColor = (score) => {
+  if (score >= 70) return '#10b981';
+  if (score >= 40) return '#f59e0b';
+  return '#9ca3af';
+};
+
+/**
+ * JoinRequestsPanel Component
+ * The approval queue for owners and leads, plus the join policy switch
+ *
+ * Props:
+ * - projectId: UUID of the project
+ * - canChangePolicy: Boolean - whether you may change the join policy (project.settings)
+ * - onMemberAdded: Function - called after a request is accepted so the member list can refresh
+ */
+const JoinRequestsPanel = ({ projectId, canChangePolicy = false, onMemberAdded }) => {
+  const [requests, setRequests] = useState([]);
+  const [joinPolicy, setJoinPolicy] = useState('challenge');
+  const [loading, setLoading] = useState(true);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [decidingId, setDecidingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await projectService.getJoinRequests(projectId);
+      setRequests(response.data.requests || []);
+      setJoinPolicy(response.data.joinPolicy);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load join requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handlePolicyChange = async (e) => {
+    const nextPolicy = e.target.value;
+    try {
+      setSavingPolicy(true);
+      setError(null);
+      await projectService.updateJoinPolicy(projectId, nextPolicy);
+      setJoinPolicy(nextPolicy);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update join policy');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleDecision = async (request, status) => {
+    let message = null;
+    if (status === 'declined') {
+      message = window.prompt('Optional note for the applicant:', '');
+      if (message === null) return;
+    }
+
+    try {
+      setDecidingId(request.id);
+      setError(null);
+      await projectService.decideJoinRequest(projectId, request.id, status, message || null);
+      setRequests(prev => prev.filter(r => r.id !== request.id));
+      if (status === 'accepted' && onMemberAdded) {
+        onMemberAdded();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update join request');
+      // Someone else may have handled it already
+      if (err.response?.status === 409) {
+        fetchRequests();
+      }
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  const styles = {
+    panel: {
+      position: 'relative',
+      zIndex: 10,
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '16px',
+      padding: '24px',
+      marginBottom: '32px',
+      backdropFilter: 'blur(20px)',
+      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)'
+    },
+    header: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      flexWrap: 'wrap',
+      gap: '12px',
+      marginBottom: '16px'
+    },
+    titleRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px'
+    },
+    title: {
+      margin: 0,
+      fontSize: '18px',
+      fontWeight: '600',
+      color: 'white'
+    },
+    badge: {
+      backgroundColor: 'rgba(59, 130, 246, 0.2)',
+      color: '#60a5fa',
+      borderRadius: '999px',
+      padding: '2px 8px',
+      fontSize: '12px',
+      fontWeight: '600'
+    },
+    input: {
+      padding: '8px 10px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '6px',
+      fontSize: '13px',
+      backgroundColor: 'rgba(26, 28, 32, 0.8)',
+      color: 'white',
+      outline: 'none'
+    },
+    policyHint: {
+      fontSize: '12px',
+      color: '#9ca3af',
+      marginBottom: '16px'
+    },
+    requestRow: {
+      display: 'flex',
+      alignItems: 'flex-start',
+      justifyContent: 'space-between',
+      gap: '16px',
+      padding: '14px 0',
+      borderTop: '1px solid rgba(255, 255, 255, 0.06)'
+    },
+    applicantName: {
+      fontSize: '14px',
+      fontWeight: '600',
+      color: 'white'
+    },
+    meta: {
+      fontSize: '12px',
+      color: '#9ca3af',
+      marginTop: '4px'
+    },
+    pitch: {
+      fontSize: '13px',
+      color: '#d1d5db',
+      marginTop: '8px',
+      whiteSpace: 'pre-wrap',
+      lineHeight: 1.5
+    },
+    actions: {
+      display: 'flex',
+      gap: '8px',
+      flexShrink: 0
+    },
+    iconButton: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      background: 'transparent',
+      border: '1px solid rgba(255, 255, 255, 0.15)',
+      color: '#d1d5db',
+      padding: '6px 10px',
+      borderRadius: '6px',
+      fontSize: '12px',
+      cursor: 'pointer'
+    },
+    error: {
+      color: '#fca5a5',
+      fontSize: '13px',
+      marginBottom: '12px'
+    },
+    empty: {
+      color: '#6b7280',
+      fontSize: '13px'
+    }
+  };
+
+  const currentPolicy = JOIN_POLICY_OPTIONS.find(option => option.value === joinPolicy);
+  const usesApproval = joinPolicy === 'approval' || joinPolicy === 'challenge_approval';
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <div style={styles.titleRow}>
+          <Inbox size={20} color="#3b82f6" />
+          <h2 style={styles.title}>Join Requests</h2>
+          {requests.length > 0 && <span style={styles.badge}>{requests.length}</span>}
+        </div>
+
+        {canChangePolicy ? (
+          <select
+            style={styles.input}
+            value={joinPolicy}
+            onChange={handlePolicyChange}
+            disabled={savingPolicy}
+            aria-label="Join policy"
+          >
+            {JOIN_POLICY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>Join policy: {option.label}</option>
+            ))}
+          </select>
+        ) : (
+          <span style={styles.meta}>Join policy: {currentPolicy?.label || joinPolicy}</span>
+        )}
+      </div>
+
+      {currentPolicy && <div style={styles.policyHint}>{currentPolicy.description}.</div>}
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {loading ? (
+        <div style={styles.empty}>Loading join requests...</div>
+      ) : requests.length === 0 ? (
+        <div style={styles.empty}>
+          {usesApproval ? 'No one is waiting to join.' : 'No pending requests.'}
+        </div>
+      ) : (
+        requests.map(request => (
+          <div key={request.id} style={styles.requestRow}>
+            <div style={{ minWidth: 0 }}>
+              <div style={styles.applicantName}>
+                {request.applicant?.full_name || request.applicant?.username || 'Unknown user'}
+              </div>
+              <div style={styles.meta}>
+                {request.match_score !== null && request.match_score !== undefined && (
+                  <span style={{ color: matchColor(request.match_score), fontWeight: '600' }}>
+                    {request.match_score}% match ·{' '}
+                  </span>
+                )}
+                {describeChallengeHistory(request.challenge_summary)}
+                {request.applicant?.years_experience ? ` · ${request.applicant.years_experience} yrs experience` : ''}
+                {` · asked ${new Date(request.created_at).toLocaleDateString()}`}
+              </div>
+              {request.pitch && <div style={styles.pitch}>{request.pitch}</div>}
+            </div>
+            <div style={styles.actions}>
+              <button
+                style={{ ...styles.iconButton, color: '#6ee7b7', borderColor: 'rgba(16, 185, 129, 0.3)' }}
+                onClick={() => handleDecision(request, 'accepted')}
+                disabled={decidingId === request.id}
+              >
+                <Check size={14} />
+                Accept
+              </button>
+              <button
+                style={{ ...styles.iconButton, color: '#fca5a5', borderColor: 'rgba(239, 68, 68, 0.3)' }}
+                onClick={() => handleDecision(request, 'declined')}
+                disabled={decidingId === request.id}
+              >
+                <X size={14} />
+                Decline
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default JoinRequestsPanel;
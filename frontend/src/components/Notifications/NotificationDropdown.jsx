@@ -113,7 +113,7 @@ const NotificationDropdown = ({ onClose }) => {
                             <path d="M13.73 21a2 2 0 0 1-3.46 0" />
                         </svg>
                         <p>No notifications yet</p>
-                        <span>You'll see notifications for comments and mentions here</span>
+                        <span>You'll see comments, friend requests, project updates and awards here</span>
                     </div>
                 ) : (
                     <div className="notification-list">
@@ -1,58 +1,14 @@
 // frontend/src/components/Notifications/NotificationItem.jsx
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { AtSign, MessageCircle, FileText, Bell } from 'lucide-react';
 import { useNotifications } from '../../contexts/NotificationContext';
+import { getNotificationIcon, formatTimeAgo, truncateText, getNotificationLink } from './notificationDisplay';
 
 const NotificationItem = ({ notification, onClose }) => {
     const navigate = useNavigate();
     const { markAsRead, deleteNotification } = useNotifications();
     const [isDeleting, setIsDeleting] = useState(false);
 
-    const formatTimeAgo = (dateString) => {
-        const now = new Date();
-        const notificationDate = new Date(dateString);
-        const diffInSeconds = Math.floor((now - notificationDate) / 1000);
-
-        if (diffInSeconds < 60) return 'just now';
-        if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
-        if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
-        if (diffInSeconds < 604800) return `${Math.floor(diffInSeconds / 86400)}d ago`;
-        
-        return notificationDate.toLocaleDateString();
-    };
-
-    const getNotificationIcon = (type) => {
-        switch (type) {
-            case 'mention':
-                return <AtSign size={16} />;
-            case 'reply':
-                return <MessageCircle size={16} />;
-            case 'task_comment':
-                return <FileText size={16} />;
-            default:
-                return <Bell size={16} />;
-        }
-    };
-
-    const getNotificationMessage = () => {
-        const { comment } = notification;
-        const authorName = comment.author.full_name;
-        const taskTitle = comment.task.title;
-        const projectName = comment.task.project.name;
-
-        switch (notification.notification_type) {
-            case 'mention':
-                return `${authorName} mentioned you in a comment on "${taskTitle}"`;
-            case 'reply':
-                return `${authorName} replied to your comment on "${taskTitle}"`;
-            case 'task_comment':
-                return `${authorName} commented on "${taskTitle}" in ${projectName}`;
-            default:
-                return `${authorName} left a comment`;
-        }
-    };
-
     const handleClick = async () => {
         try {
             // Mark as read if unread
@@ -60,12 +16,8 @@ const NotificationItem = ({ notification, onClose }) => {
                 await markAsRead([notification.id]);
             }
 
-            // Navigate to the task
-            const { comment } = notification;
-            const projectId = comment.task.project.id;
-            const taskId = comment.task.id;
-            
-            navigate(`/project/${projectId}/tasks/${taskId}`);
+            const link = getNotificationLink(notification);
+            if (link) navigate(link);
             onClose();
         } catch (error) {
             console.error('Error handling notification click:', error);
@@ -95,14 +47,15 @@ const NotificationItem = ({ notification, onClose }) => {
             
             <div className="notification-content">
                 <p className="notification-message">
-                    {getNotificationMessage()}
+                    {notification.title}
+                    {notification.group_count > 1 && (
+                        <span className="notification-group-count"> ({notification.group_count})</span>
+                    )}
                 </p>
                 
-                {notification.comment.content && (
+                {notification.message && (
                     <div className="notification-preview">
-                        "{notification.comment.content.length > 100 
-                            ? notification.comment.content.substring(0, 100) + '...'
-                            : notification.comment.content}"
+                        "{truncateText(notification.message, 100)}"
                     </div>
                 )}
                 
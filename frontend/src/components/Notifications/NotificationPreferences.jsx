@@ -0,0 +1,171 @@
+// frontend/src/components/Notifications/NotificationPreferences.jsx
+// Per-type channel, quiet hours and email digest settings (shown on /notifications)
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { notificationService } from '../../services/notificationService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import './Notifications.css';
+
+const CHANNEL_LABELS = {
+    in_app: 'In app',
+    email: 'In app + email',
+    off: 'Off'
+};
+
+const DIGEST_LABELS = {
+    off: 'Off',
+    daily: 'Daily',
+    weekly: 'Weekly'
+};
+
+const browserTimezone = () => {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+};
+
+const NotificationPreferences = ({ notificationTypes, onClose }) => {
+    const [preferences, setPreferences] = useState(null);
+    const [options, setOptions] = useState({ channels: [], digest_frequencies: [], default_channel: 'in_app' });
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [saved, setSaved] = useState(false);
+
+    useEffect(() => {
+        notificationService.getPreferences()
+            .then(response => {
+                setPreferences(response.preferences);
+                setOptions({
+                    channels: response.channels,
+                    digest_frequencies: response.digest_frequencies,
+                    default_channel: response.default_channel
+                });
+            })
+            .catch(error => {
+                console.error('Failed to load notification preferences:', error);
+                setError('Failed to load notification preferences');
+            });
+    }, []);
+
+    const updateField = (field, value) => {
+        setSaved(false);
+        setPreferences(prev => ({ ...prev, [field]: value }));
+    };
+
+    const updateChannel = (type, channel) => {
+        setSaved(false);
+        setPreferences(prev => ({ ...prev, channels: { ...prev.channels, [type]: channel } }));
+    };
+
+    const handleSave = async () => {
+        const quietHoursSet = Boolean(preferences.quiet_hours_start || preferences.quiet_hours_end);
+        try {
+            setSaving(true);
+            setError(null);
+            const response = await notificationService.updatePreferences({
+                channels: preferences.channels,
+                quiet_hours_start: preferences.quiet_hours_start || null,
+                quiet_hours_end: preferences.quiet_hours_end || null,
+                // Quiet hours are read in the browser's timezone unless one was already saved
+                timezone: quietHoursSet && preferences.timezone === 'UTC' ? browserTimezone() : preferences.timezone,
+                digest_frequency: preferences.digest_frequency
+            });
+            setPreferences(response.preferences);
+            setSaved(true);
+        } catch (error) {
+            console.error('Failed to save notification preferences:', error);
+            setError('Failed to save preferences. Check that quiet hours have both a start and an end.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="notification-preferences">
+            <div className="notification-preferences-header">
+                <h3>Notification settings</h3>
+                <button className="notification-delete-button" onClick={onClose} aria-label="Close settings">
+                    <X size={18} />
+                </button>
+            </div>
+
+            {!preferences ? (
+                error ? <p className="notification-preferences-error">{error}</p> : <LoadingSpinner size="small" />
+            ) : (
+                <>
+                    <div className="notification-preferences-section">
+                        <h4>Email digest</h4>
+                        <p className="notification-preferences-hint">
+                            A summary of unread mentions, tasks due soon, completion votes and friend requests.
+                        </p>
+                        <select
+                            className="notification-type-select"
+                            value={preferences.digest_frequency}
+                            onChange={(e) => updateField('digest_frequency', e.target.value)}
+                        >
+                            {options.digest_frequencies.map(frequency => (
+                                <option key={frequency} value={frequency}>{DIGEST_LABELS[frequency] || frequency}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="notification-preferences-section">
+                        <h4>Quiet hours</h4>
+                        <p className="notification-preferences-hint">
+                            No emails between these times ({preferences.timezone === 'UTC' ? browserTimezone() : preferences.timezone}).
+                        </p>
+                        <div className="notification-preferences-row">
+                            <input
+                                type="time"
+                                className="notification-type-select"
+                                value={preferences.quiet_hours_start || ''}
+                                onChange={(e) => updateField('quiet_hours_start', e.target.value)}
+                                aria-label="Quiet hours start"
+                            />
+                            <span>to</span>
+                            <input
+                                type="time"
+                                className="notification-type-select"
+                                value={preferences.quiet_hours_end || ''}
+                                onChange={(e) => updateField('quiet_hours_end', e.target.value)}
+                                aria-label="Quiet hours end"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="notification-preferences-section">
+                        <h4>Per notification type</h4>
+                        {notificationTypes.map(({ type, label }) => (
+                            <div key={type} className="notification-preferences-row">
+                                <span className="notification-preferences-label">{label}</span>
+                                <select
+                                    className="notification-type-select"
+                                    value={preferences.channels[type] || options.default_channel}
+                                    onChange={(e) => updateChannel(type, e.target.value)}
+                                    aria-label={`${label} channel`}
+                                >
+                                    {options.channels.map(channel => (
+                                        <option key={channel} value={channel}>{CHANNEL_LABELS[channel] || channel}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+
+                    {error && <p className="notification-preferences-error">{error}</p>}
+
+                    <div className="notification-preferences-footer">
+                        {saved && <span className="notification-preferences-hint">Saved</span>}
+                        <button className="mark-all-read-button" onClick={handleSave} disabled={saving}>
+                            {saving ? 'Saving...' : 'Save settings'}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default NotificationPreferences;
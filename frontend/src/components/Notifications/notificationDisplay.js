@@ -0,0 +1,57 @@
+// frontend/src/components/Notifications/notificationDisplay.js
+// Shared rendering bits for notifications (dropdown + /notifications page)
+import React from 'react';
+import {
+    AtSign, MessageCircle, FileText, Bell, UserPlus, UserCheck, Heart,
+    Users, Shield, Vote, Trophy, Award, FolderPlus, Link, Inbox, ClipboardCheck
+} from 'lucide-react';
+
+const ICONS = {
+    comment_mention: AtSign,
+    comment_reply: MessageCircle,
+    task_comment: FileText,
+    chat_thread_reply: MessageCircle,
+    friend_request: UserPlus,
+    friend_accepted: UserCheck,
+    timeline_reaction: Heart,
+    join_challenge_passed: Users,
+    invite_joined: Link,
+    open_join: Users,
+    join_request_received: Inbox,
+    join_request_decided: ClipboardCheck,
+    member_role_changed: Shield,
+    completion_vote: Vote,
+    project_completed: Trophy,
+    project_created: FolderPlus,
+    award_received: Award
+};
+
+export const getNotificationIcon = (type, size = 16) => {
+    const Icon = ICONS[type] || Bell;
+    return <Icon size={size} />;
+};
+
+export const formatTimeAgo = (dateString) => {
+    const now = new Date();
+    const notificationDate = new Date(dateString);
+    const diffInSeconds = Math.floor((now - notificationDate) / 1000);
+
+    if (diffInSeconds < 60) return 'just now';
+    if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
+    if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
+    if (diffInSeconds < 604800) return `${Math.floor(diffInSeconds / 86400)}d ago`;
+
+    return notificationDate.toLocaleDateString();
+};
+
+export const truncateText = (text, length) => {
+    if (!text) return '';
+    return text.length > length ? text.substring(0, length) + '...' : text;
+};
+
+// Where clicking a notification goes; older rows without a target fall back to their project
+export const getNotificationLink = (notification) => {
+    if (notification.target_url) return notification.target_url;
+    if (notification.project_id) return `/project/${notification.project_id}/dashboard`;
+    return null;
+};
@@ -4,10 +4,20 @@ import { useNavigate } from 'react-router-dom';
 import ChallengeFailureAlert from './ChallengeFailureAlert';
 import TestResultsPanel from './TestResultsPanel';
 import ChallengeHints from './ChallengeHints';
+import JoinRequestForm from './JoinRequests/JoinRequestForm';
 import { projectService } from '../services/projectService';
 import { Lightbulb, Code2, FileText, TestTube2, ChevronUp, ChevronDown, Lock } from 'lucide-react';
 
-const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
+// Hidden test cases arrive redacted ({ hidden: true, weight }); only visible ones are listed
+const splitTestCases = (raw) => {
+  let tests = raw;
+  try { if (typeof tests === 'string') tests = JSON.parse(tests); } catch { return { visible: raw, hiddenCount: 0 }; }
+  if (!Array.isArray(tests)) return { visible: tests, hiddenCount: 0 };
+  const visible = tests.filter(tc => !tc.hidden);
+  return { visible, hiddenCount: tests.length - visible.length };
+};
+
+const ProjectChallengeInterface = ({ projectId, inviteCode, onClose, onSuccess }) => {
   const navigate = useNavigate();
   const [challenge, setChallenge] = useState(null);
   const [submittedCode, setSubmittedCode] = useState('');
@@ -166,6 +176,10 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
       if (challenge?.challenge?.id && !challenge.challenge.isTemporary) {
         payload.challengeId = challenge.challenge.id;
       }
+      // Joining through an invite link: the invite adds them, with its role
+      if (inviteCode) {
+        payload.inviteCode = inviteCode;
+      }
 
       const url = `${API_BASE_URL}/api/challenges/project/${projectId}/attempt`;
       const response = await fetch(url, {
@@ -177,6 +191,11 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
       const data = await handleApiResponse(response, 'Submit attempt');
       setResult(data.data);
 
+      // Let the page that opened the challenge follow up (e.g. redeem an invite link)
+      if (data.data.passed && onSuccess) {
+        onSuccess(data.data);
+      }
+
       // Failure-only alerts. Keep comfort alert if provided by server.
       if (!data.data.passed) {
         if (data.data.alertData?.shouldShow) {
@@ -200,7 +219,7 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
     } finally {
       setIsSubmitting(false);
     }
-  }, [submittedCode, startedAt, challenge, projectId, API_BASE_URL, getAuthHeaders, handleApiResponse]);
+  }, [submittedCode, startedAt, challenge, projectId, inviteCode, API_BASE_URL, getAuthHeaders, handleApiResponse, onSuccess]);
 
   // Keep ref updated
   handleSubmitRef.current = handleSubmit;
@@ -843,6 +862,25 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
     );
   }
 
+  // Projects that review applicants (or are open) take a request instead of the challenge
+  if (canAttempt && !canAttempt.canAttempt &&
+      (canAttempt.reason === 'challenge_not_required' || canAttempt.reason === 'join_request_pending')) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.modal}>
+          <div style={styles.centerContent}>
+            <JoinRequestForm
+              projectId={projectId}
+              joinPolicy={canAttempt.joinPolicy}
+              initialRequest={canAttempt.joinRequest}
+              onClose={onClose}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Cannot attempt state
   if (canAttempt && !canAttempt.canAttempt) {
     return (
@@ -852,7 +890,7 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
             <div style={styles.centerContent}>
               <div style={{ fontSize: '48px', marginBottom: '16px' }}>⚠️</div>
               <h3 style={{ color: 'white', marginBottom: '16px' }}>Cannot Attempt Challenge</h3>
-              <p style={{ color: '#e2e8f0', marginBottom: '20px' }}>{canAttempt.reason}</p>
+              <p style={{ color: '#e2e8f0', marginBottom: '20px' }}>{canAttempt.message || canAttempt.reason}</p>
               {canAttempt.nextAttemptAt && (
                 <p style={{ fontSize: '12px', color: '#9ca3af' }}>
                   Next attempt available: {new Date(canAttempt.nextAttemptAt).toLocaleString()}
@@ -924,6 +962,8 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
   }
 
   // Main challenge interface
+  const testCases = challenge.challenge?.test_cases ? splitTestCases(challenge.challenge.test_cases) : null;
+
   return (
     <>
       <div style={styles.container}>
@@ -1009,7 +1049,7 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
             />
 
             {/* Test Cases */}
-            {challenge.challenge?.test_cases && (
+            {testCases && (
               <div style={styles.section}>
                 <h3 style={styles.sectionTitle}>
                   <TestTube2 size={18} />
@@ -1017,10 +1057,15 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
                 </h3>
                 <div style={styles.testCasesBox}>
                   <pre style={{ margin: 0, fontSize: '13px', fontFamily: 'Monaco, Consolas, monospace' }}>
-                    {typeof challenge.challenge.test_cases === 'string'
-                      ? challenge.challenge.test_cases
-                      : JSON.stringify(challenge.challenge.test_cases, null, 2)}
+                    {typeof testCases.visible === 'string'
+                      ? testCases.visible
+                      : JSON.stringify(testCases.visible, null, 2)}
                   </pre>
+                  {testCases.hiddenCount > 0 && (
+                    <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#94a3b8' }}>
+                      <Lock size={12} /> Plus {testCases.hiddenCount} hidden test case{testCases.hiddenCount === 1 ? '' : 's'} used for grading.
+                    </p>
+                  )}
                 </div>
               </div>
             )}
@@ -1172,6 +1217,16 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
                   <p style={styles.resultFeedback}>{result.feedback}</p>
                 )}
 
+                {result.joinRequested && (
+                  <div style={styles.joinedNotice}>
+                    <JoinRequestForm
+                      projectId={projectId}
+                      joinPolicy={canAttempt?.joinPolicy}
+                      initialRequest={result.joinRequest}
+                    />
+                  </div>
+                )}
+
                 {result.projectJoined && (
                   <div style={styles.joinedNotice}>
                     <p style={styles.joinedText}>
@@ -1181,7 +1236,19 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
                   </div>
                 )}
 
-                {result.evaluation && result.evaluation.details && (
+                {result.evaluation?.method === 'test_cases' && (
+                  <p style={{ fontSize: '14px', margin: '12px 0 0 0', color: '#e2e8f0' }}>
+                    🧪 Graded by running your code: {result.evaluation.passedCount}/{result.evaluation.totalCount} test cases passed.
+                  </p>
+                )}
+
+                {result.evaluation?.isFallback && (
+                  <p style={{ fontSize: '13px', margin: '12px 0 0 0', color: '#fcd34d' }}>
+                    ⚠️ Fallback evaluation: no test cases could be executed for this challenge, so your code was scored by static analysis.
+                  </p>
+                )}
+
+                {result.evaluation?.method === 'heuristic' && result.evaluation.details && (
                   <div style={{ 
                     marginTop: '16px', 
                     padding: '16px', 
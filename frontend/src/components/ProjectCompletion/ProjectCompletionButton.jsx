@@ -13,6 +13,38 @@ import {
 import collaborativeProjectCompletionService from '../../services/collaborativeProjectCompletionService';
 import { projectService } from '../../services/projectService'; // ✅ ADD THIS
 
+const POLICY_LABELS = {
+  three_fifths: 'Three-fifths majority (default)',
+  majority: 'Simple majority',
+  supermajority: 'Two-thirds majority',
+  unanimous: 'Unanimous',
+  owner_plus_n: 'Owner plus N'
+};
+
+// Plain-language version of the project's completion rule
+const describePolicy = (voting) => {
+  const voters = voting.deadline_passed ? 'voters who took part' : 'voters';
+  switch (voting.policy) {
+    case 'majority':
+      return `The project completes when more than half of the ${voters} approve.`;
+    case 'supermajority':
+      return `The project completes when at least two thirds of the ${voters} approve.`;
+    case 'unanimous':
+      return `The project completes only when every one of the ${voters} approves. A single rejection blocks it.`;
+    case 'owner_plus_n':
+      return `The project completes when the owner and ${voting.votes_needed - 1} other member${voting.votes_needed === 2 ? '' : 's'} approve. The owner's rejection blocks it.`;
+    default:
+      return `The project completes when at least 60% of the ${voters} approve.`;
+  }
+};
+
+// <input type="datetime-local"> wants local time without a zone
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
 
 /**
  * ProjectCompletionButton Component
@@ -38,12 +70,26 @@ const ProjectCompletionButton = ({
   const [votes, setVotes] = useState([]);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
+  const [policyForm, setPolicyForm] = useState(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
 
   // Fetch completion status
   const fetchCompletionStatus = async () => {
     try {
       setLoading(true);
-      const response = await collaborativeProjectCompletionService.getCompletionStatus(projectId);
+      let response = await collaborativeProjectCompletionService.getCompletionStatus(projectId);
+
+      // A vote can carry without anyone voting (deadline passed, a voter left) - settle it
+      if (response.data.voting?.passed && response.data.current_status !== 'completed') {
+        const check = await collaborativeProjectCompletionService.checkAutoComplete(projectId);
+        if (check.auto_completed) {
+          response = await collaborativeProjectCompletionService.getCompletionStatus(projectId);
+          if (onProjectCompleted) onProjectCompleted();
+        }
+      }
+
       setCompletionStatus(response.data);
       setError(null);
     } catch (err) {
@@ -120,13 +166,19 @@ const handleMarkComplete = async (skipValidation = false) => {
   // Handle vote
   // Handle vote
 const handleVote = async (vote) => {
+  if (vote === 'reject' && !rejectReason.trim()) {
+    setError('Please say why the project isn\'t ready before rejecting');
+    return;
+  }
+
   try {
     setActionLoading(true);
     setError(null);
     
     const response = await collaborativeProjectCompletionService.voteOnCompletion(
       projectId, 
-      vote
+      vote,
+      rejectReason.trim()
     );
     
     // ✅ LOG ACTIVITY
@@ -156,6 +208,7 @@ const handleVote = async (vote) => {
     );
     
     setShowVotingModal(false);
+    setRejectReason('');
     
     // Refresh status and votes
     await fetchCompletionStatus();
@@ -179,9 +232,40 @@ const handleVote = async (vote) => {
   // Show voting modal
   const openVotingModal = async () => {
     setShowVotingModal(true);
+    setRejectReason('');
+    setPolicyForm(null);
     await fetchVotes();
   };
 
+  // Owner: change how the vote is decided
+  const handleSavePolicy = async () => {
+    try {
+      setSavingPolicy(true);
+      setError(null);
+
+      const response = await collaborativeProjectCompletionService.updateCompletionVotePolicy(projectId, {
+        policy: policyForm.policy,
+        owner_plus_n: Number(policyForm.ownerPlusN),
+        deadline: policyForm.deadline ? new Date(policyForm.deadline).toISOString() : null
+      });
+
+      setSuccessMessage(response.message || 'Voting policy updated');
+      setPolicyForm(null);
+      await fetchCompletionStatus();
+
+      if (response.data.auto_completed && onProjectCompleted) {
+        onProjectCompleted();
+      }
+
+      setTimeout(() => setSuccessMessage(null), 3000);
+    } catch (err) {
+      console.error('Error updating voting policy:', err);
+      setError(err.response?.data?.message || 'Failed to update voting policy');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
   if (loading) {
     return (
       <div style={styles.container}>
@@ -211,7 +295,21 @@ const handleVote = async (vote) => {
     );
   }
 
-  const { completion_percentage, is_eligible_for_completion, can_mark_complete, voting } = completionStatus;
+  const { completion_percentage, is_eligible_for_completion, can_mark_complete, voting, completion_breakdown } = completionStatus;
+
+  const renderBreakdownRow = (key, label, row) => (
+    <div key={key} style={styles.breakdownRow}>
+      <div style={styles.breakdownHeader}>
+        <span style={styles.breakdownName}>{label}</span>
+        <span style={styles.breakdownMeta}>
+          {row.completion_percentage}% done · {row.share_of_project}% of the work
+        </span>
+      </div>
+      <div style={styles.breakdownBarContainer}>
+        <div style={{ ...styles.breakdownBar, width: `${row.completion_percentage}%` }} />
+      </div>
+    </div>
+  );
 
   return (
     <div style={styles.container}>
@@ -250,7 +348,32 @@ const handleVote = async (vote) => {
         </div>
         {completion_percentage < 80 && (
           <div style={styles.progressHint}>
-            Complete at least 80% of tasks to mark project as complete
+            Complete at least 80% of the work to mark project as complete
+          </div>
+        )}
+        {completion_breakdown && (
+          <button style={styles.breakdownToggle} onClick={() => setShowBreakdown(prev => !prev)}>
+            {showBreakdown ? 'Hide breakdown' : 'Show breakdown'}
+          </button>
+        )}
+        {showBreakdown && completion_breakdown && (
+          <div style={styles.breakdownSection}>
+            <div style={styles.progressHint}>
+              Weighted by estimated hours{completion_breakdown.weighted_by === 'estimated_hours_and_priority' ? ' and priority' : ''}.
+              Tasks in progress or in review earn partial credit.
+            </div>
+            <div style={styles.breakdownTitle}>By member</div>
+            {completion_breakdown.by_member.map(row => renderBreakdownRow(
+              row.user_id || 'unassigned',
+              row.user_id ? row.user?.full_name || row.user?.username || 'Unknown user' : 'Unassigned',
+              row
+            ))}
+            <div style={styles.breakdownTitle}>By task type</div>
+            {completion_breakdown.by_task_type.map(row => renderBreakdownRow(
+              row.task_type,
+              row.task_type.charAt(0).toUpperCase() + row.task_type.slice(1),
+              row
+            ))}
           </div>
         )}
       </div>
@@ -278,7 +401,14 @@ const handleVote = async (vote) => {
               <span style={styles.voteLabel}>Needed to Complete</span>
             </div>
           </div>
-          {!voting.user_voted && (
+          <div style={styles.voteDeadline}>
+            {POLICY_LABELS[voting.policy] || voting.policy}
+            {voting.deadline && (voting.deadline_passed
+              ? ` · Voting closed ${new Date(voting.deadline).toLocaleString()} (${voting.abstentions} abstained)`
+              : ` · Voting closes ${new Date(voting.deadline).toLocaleString()}`)}
+            {!voting.passed && !voting.can_still_pass && ' · Can no longer pass as things stand'}
+          </div>
+          {!voting.user_voted && voting.can_vote && (
             <div style={styles.votePrompt}>
               You haven't voted yet. Cast your vote below!
             </div>
@@ -319,23 +449,26 @@ const handleVote = async (vote) => {
           </button>
         )}
 
-        {/* Voting Buttons (All members) */}
-        <div style={styles.votingButtons}>
-          <button
-            style={styles.voteButton}
-            onClick={openVotingModal}
-            disabled={actionLoading}
-            onMouseEnter={(e) => {
-              e.target.style.backgroundColor = 'rgba(59, 130, 246, 0.15)';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.backgroundColor = 'rgba(59, 130, 246, 0.1)';
-            }}
-          >
-            <Vote size={18} />
-            <span>Vote on Completion</span>
-          </button>
-        </div>
+        {/* Voting Buttons (team members - mentors and viewers don't vote; the owner can
+            still open it after the deadline to change the rules) */}
+        {(voting.can_vote || voting.can_configure) && (
+          <div style={styles.votingButtons}>
+            <button
+              style={styles.voteButton}
+              onClick={openVotingModal}
+              disabled={actionLoading}
+              onMouseEnter={(e) => {
+                e.target.style.backgroundColor = 'rgba(59, 130, 246, 0.15)';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.backgroundColor = 'rgba(59, 130, 246, 0.1)';
+              }}
+            >
+              <Vote size={18} />
+              <span>Vote on Completion</span>
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Mark Complete Modal */}
@@ -449,9 +582,74 @@ const handleVote = async (vote) => {
             <div style={styles.modalContent}>
               <div style={styles.votingInfo}>
                 <p style={styles.votingDescription}>
-                  The project will automatically complete when {voting.votes_needed} or more 
-                  members vote to approve ({Math.round((voting.votes_needed / voting.total_members) * 100)}% consensus).
+                  {describePolicy(voting)} That's {voting.votes_needed} approval{voting.votes_needed === 1 ? '' : 's'} right
+                  now, {voting.votes_remaining} still to go.
                 </p>
+                {voting.deadline && (
+                  <p style={styles.votingDescription}>
+                    {voting.deadline_passed
+                      ? `Voting closed on ${new Date(voting.deadline).toLocaleString()}; members who didn't vote count as abstaining.`
+                      : `Voting closes on ${new Date(voting.deadline).toLocaleString()}. After that, members who haven't voted count as abstaining.`}
+                  </p>
+                )}
+                {voting.can_configure && !policyForm && (
+                  <button
+                    style={styles.breakdownToggle}
+                    onClick={() => setPolicyForm({
+                      policy: voting.policy,
+                      ownerPlusN: voting.owner_plus_n ?? 1,
+                      deadline: toLocalInput(voting.deadline)
+                    })}
+                  >
+                    Change voting rules
+                  </button>
+                )}
+                {policyForm && (
+                  <div style={styles.policyForm}>
+                    <label style={styles.policyLabel}>
+                      Rule
+                      <select
+                        style={styles.policyInput}
+                        value={policyForm.policy}
+                        onChange={(e) => setPolicyForm(prev => ({ ...prev, policy: e.target.value }))}
+                      >
+                        {Object.entries(POLICY_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {policyForm.policy === 'owner_plus_n' && (
+                      <label style={styles.policyLabel}>
+                        Other approvals needed
+                        <input
+                          type="number"
+                          min="0"
+                          max="49"
+                          style={styles.policyInput}
+                          value={policyForm.ownerPlusN}
+                          onChange={(e) => setPolicyForm(prev => ({ ...prev, ownerPlusN: e.target.value }))}
+                        />
+                      </label>
+                    )}
+                    <label style={styles.policyLabel}>
+                      Deadline (optional)
+                      <input
+                        type="datetime-local"
+                        style={styles.policyInput}
+                        value={policyForm.deadline}
+                        onChange={(e) => setPolicyForm(prev => ({ ...prev, deadline: e.target.value }))}
+                      />
+                    </label>
+                    <div style={styles.policyActions}>
+                      <button style={styles.breakdownToggle} onClick={() => setPolicyForm(null)} disabled={savingPolicy}>
+                        Cancel
+                      </button>
+                      <button style={styles.breakdownToggle} onClick={handleSavePolicy} disabled={savingPolicy}>
+                        {savingPolicy ? 'Saving...' : 'Save rules'}
+                      </button>
+                    </div>
+                  </div>
+                )}
               </div>
 
               <div style={styles.voteStats}>
@@ -467,6 +665,10 @@ const handleVote = async (vote) => {
                   <span style={styles.voteStatNumber}>{voting.total_members}</span>
                   <span style={styles.voteStatLabel}>Total Members</span>
                 </div>
+                <div style={styles.voteStatBox}>
+                  <span style={styles.voteStatNumber}>{voting.progress_percentage}%</span>
+                  <span style={styles.voteStatLabel}>Toward Quorum</span>
+                </div>
               </div>
 
               {/* Vote List */}
@@ -475,18 +677,23 @@ const handleVote = async (vote) => {
                   <h4 style={styles.votesListTitle}>Votes Cast</h4>
                   {votes.map((vote) => (
                     <div key={vote.id} style={styles.voteItem}>
-                      <div style={styles.voteUser}>
-                        {vote.users?.avatar_url && (
-                          <img 
-                            src={vote.users.avatar_url} 
-                            alt={vote.users.username}
-                            style={styles.voteAvatar}
-                          />
+                      <div>
+                        <div style={styles.voteUser}>
+                          {vote.users?.avatar_url && (
+                            <img 
+                              src={vote.users.avatar_url} 
+                              alt={vote.users.username}
+                              style={styles.voteAvatar}
+                            />
+                          )}
+                          <span style={styles.voteUsername}>
+                            {vote.users?.full_name || vote.users?.username}
+                            {vote.user_id === currentUserId && ' (You)'}
+                          </span>
+                        </div>
+                        {vote.vote === 'reject' && vote.reason && (
+                          <div style={styles.voteReason}>"{vote.reason}"</div>
                         )}
-                        <span style={styles.voteUsername}>
-                          {vote.users?.full_name || vote.users?.username}
-                          {vote.user_id === currentUserId && ' (You)'}
-                        </span>
                       </div>
                       <span style={{
                         ...styles.voteValue,
@@ -506,44 +713,57 @@ const handleVote = async (vote) => {
                 </div>
               )}
 
-              {voting.user_voted && (
+              {voting.user_voted && voting.voting_open && (
                 <div style={styles.changeVoteNotice}>
                   You've already voted. Click a button below to change your vote.
                 </div>
               )}
+
+              {voting.can_vote && (
+                <textarea
+                  style={styles.reasonInput}
+                  placeholder="If you're rejecting, say what still needs doing (posted to the project chat)"
+                  value={rejectReason}
+                  maxLength={1000}
+                  rows={3}
+                  onChange={(e) => setRejectReason(e.target.value)}
+                />
+              )}
             </div>
             
-            <div style={styles.modalActions}>
-              <button
-                style={styles.rejectVoteButton}
-                onClick={() => handleVote('reject')}
-                disabled={actionLoading}
-                onMouseEnter={(e) => {
-                  e.target.style.backgroundColor = '#b91c1c';
-                }}
-                onMouseLeave={(e) => {
-                  e.target.style.backgroundColor = '#ef4444';
-                }}
-              >
-                <XCircle size={18} />
-                {actionLoading ? 'Voting...' : 'Reject Completion'}
-              </button>
-              
-              <button
-                style={styles.approveVoteButton}
-                onClick={() => handleVote('approve')}
-                disabled={actionLoading}
-                onMouseEnter={(e) => {
-                  e.target.style.backgroundColor = '#059669';
-                }}
-                onMouseLeave={(e) => {
-                  e.target.style.backgroundColor = '#10b981';
-                }}
-              >
-                <CheckCircle size={18} />
-                {actionLoading ? 'Voting...' : 'Approve Completion'}
-              </button>
-            </div>
+            {voting.can_vote && (
+              <div style={styles.modalActions}>
+                <button
+                  style={styles.rejectVoteButton}
+                  onClick={() => handleVote('reject')}
+                  disabled={actionLoading || !rejectReason.trim()}
+                  onMouseEnter={(e) => {
+                    e.target.style.backgroundColor = '#b91c1c';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.target.style.backgroundColor = '#ef4444';
+                  }}
+                >
+                  <XCircle size={18} />
+                  {actionLoading ? 'Voting...' : 'Reject Completion'}
+                </button>
+                
+                <button
+                  style={styles.approveVoteButton}
+                  onClick={() => handleVote('approve')}
+                  disabled={actionLoading}
+                  onMouseEnter={(e) => {
+                    e.target.style.backgroundColor = '#059669';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.target.style.backgroundColor = '#10b981';
+                  }}
+                >
+                  <CheckCircle size={18} />
+                  {actionLoading ? 'Voting...' : 'Approve Completion'}
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -654,6 +874,55 @@ const styles = {
     fontSize: '12px',
     fontStyle: 'italic'
   },
+  breakdownToggle: {
+    marginTop: '8px',
+    padding: 0,
+    background: 'none',
+    border: 'none',
+    color: '#60a5fa',
+    fontSize: '12px',
+    cursor: 'pointer'
+  },
+  breakdownSection: {
+    marginTop: '8px'
+  },
+  breakdownTitle: {
+    marginTop: '12px',
+    marginBottom: '6px',
+    color: '#d1d5db',
+    fontSize: '12px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em'
+  },
+  breakdownRow: {
+    marginBottom: '8px'
+  },
+  breakdownHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '8px',
+    marginBottom: '4px'
+  },
+  breakdownName: {
+    color: 'white',
+    fontSize: '13px'
+  },
+  breakdownMeta: {
+    color: '#9ca3af',
+    fontSize: '12px'
+  },
+  breakdownBarContainer: {
+    height: '4px',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: '2px',
+    overflow: 'hidden'
+  },
+  breakdownBar: {
+    height: '100%',
+    backgroundColor: '#3b82f6',
+    borderRadius: '2px'
+  },
   votingStatus: {
     padding: '16px',
     backgroundColor: 'rgba(59, 130, 246, 0.1)',
@@ -923,6 +1192,59 @@ const styles = {
     fontSize: '14px',
     fontWeight: '600'
   },
+  voteDeadline: {
+    color: '#9ca3af',
+    fontSize: '12px',
+    marginBottom: '8px'
+  },
+  voteReason: {
+    marginTop: '4px',
+    marginLeft: '44px',
+    color: '#9ca3af',
+    fontSize: '13px',
+    fontStyle: 'italic'
+  },
+  reasonInput: {
+    width: '100%',
+    marginTop: '16px',
+    padding: '10px 12px',
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    color: '#d1d5db',
+    fontSize: '13px',
+    resize: 'vertical',
+    boxSizing: 'border-box'
+  },
+  policyForm: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    marginTop: '12px',
+    padding: '12px',
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    borderRadius: '8px'
+  },
+  policyLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    color: '#9ca3af',
+    fontSize: '12px'
+  },
+  policyInput: {
+    padding: '8px 10px',
+    backgroundColor: '#111318',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '6px',
+    color: '#d1d5db',
+    fontSize: '13px'
+  },
+  policyActions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '16px'
+  },
   changeVoteNotice: {
     marginTop: '16px',
     padding: '12px',
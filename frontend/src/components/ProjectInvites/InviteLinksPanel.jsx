@@ -0,0 +1,303 @@
+// frontend/src/components/ProjectInvites/InviteLinksPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link2, Copy, Check, Trash2, Plus } from 'lucide-react';
+import { projectService } from '../../services/projectService';
+
+const EXPIRY_OPTIONS = [
+  { value: '24', label: '1 day' },
+  { value: '168', label: '7 days' },
+  { value: '720', label: '30 days' },
+  { value: '', label: 'Never' }
+];
+
+const describeUses = (invite) =>
+  invite.max_uses ? `${invite.use_count}/${invite.max_uses} uses` : `${invite.use_count} uses`;
+
+const describeExpiry = (invite) => {
+  if (!invite.expires_at) return 'Never expires';
+  const expiresAt = new Date(invite.expires_at);
+  return expiresAt < new Date()
+    ? `Expired ${expiresAt.toLocaleDateString()}`
+    : `Expires ${expiresAt.toLocaleString()}`;
+};
+
+/**
+ * InviteLinksPanel Component
+ * Lets owners and leads create, copy and revoke invite links for a project
+ *
+ * Props:
+ * - projectId: UUID of the project
+ * - canSkipChallenge: Boolean - whether you may create links that skip the entry challenge
+ */
+const InviteLinksPanel = ({ projectId, canSkipChallenge = false }) => {
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [form, setForm] = useState({
+    role: 'member',
+    expires_in_hours: '168',
+    max_uses: '',
+    skip_challenge: false
+  });
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await projectService.getProjectInvites(projectId);
+      setInvites(response.data.invites || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load invite links');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchInvites();
+  }, [fetchInvites]);
+
+  const inviteUrl = (invite) => `${window.location.origin}/join/${invite.code}`;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      setError(null);
+      const response = await projectService.createProjectInvite(projectId, {
+        role: form.role,
+        skip_challenge: form.skip_challenge,
+        max_uses: form.max_uses ? parseInt(form.max_uses, 10) : null,
+        expires_in_hours: form.expires_in_hours ? Number(form.expires_in_hours) : null
+      });
+      setInvites(prev => [response.data.invite, ...prev]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create invite link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(invite));
+      setCopiedId(invite.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      window.prompt('Copy this invite link:', inviteUrl(invite));
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm('Revoke this invite link? People who already joined stay in the project.')) {
+      return;
+    }
+    try {
+      await projectService.revokeProjectInvite(projectId, invite.id);
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke invite link');
+    }
+  };
+
+  const styles = {
+    panel: {
+      position: 'relative',
+      zIndex: 10,
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '16px',
+      padding: '24px',
+      marginBottom: '32px',
+      backdropFilter: 'blur(20px)',
+      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)'
+    },
+    header: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      marginBottom: '16px'
+    },
+    title: {
+      margin: 0,
+      fontSize: '18px',
+      fontWeight: '600',
+      color: 'white'
+    },
+    form: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: '12px',
+      marginBottom: '20px'
+    },
+    input: {
+      padding: '8px 10px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '6px',
+      fontSize: '13px',
+      backgroundColor: 'rgba(26, 28, 32, 0.8)',
+      color: 'white',
+      outline: 'none'
+    },
+    checkboxLabel: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      fontSize: '13px',
+      color: '#d1d5db'
+    },
+    primaryButton: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+      color: 'white',
+      border: 'none',
+      padding: '8px 14px',
+      borderRadius: '6px',
+      fontSize: '13px',
+      fontWeight: '500',
+      cursor: 'pointer'
+    },
+    inviteRow: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: '12px',
+      padding: '12px 0',
+      borderTop: '1px solid rgba(255, 255, 255, 0.06)'
+    },
+    inviteCode: {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#60a5fa'
+    },
+    inviteMeta: {
+      fontSize: '12px',
+      color: '#9ca3af',
+      marginTop: '4px'
+    },
+    iconButton: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      background: 'transparent',
+      border: '1px solid rgba(255, 255, 255, 0.15)',
+      color: '#d1d5db',
+      padding: '6px 10px',
+      borderRadius: '6px',
+      fontSize: '12px',
+      cursor: 'pointer'
+    },
+    error: {
+      color: '#fca5a5',
+      fontSize: '13px',
+      marginBottom: '12px'
+    },
+    empty: {
+      color: '#6b7280',
+      fontSize: '13px'
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <Link2 size={20} color="#3b82f6" />
+        <h2 style={styles.title}>Invite Links</h2>
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      <form style={styles.form} onSubmit={handleCreate}>
+        <select
+          style={styles.input}
+          value={form.role}
+          onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+          aria-label="Role on joining"
+        >
+          <option value="viewer">Joins as Viewer</option>
+          <option value="mentor">Joins as Mentor</option>
+          <option value="member">Joins as Member</option>
+          <option value="moderator">Joins as Moderator</option>
+          <option value="lead">Joins as Lead</option>
+        </select>
+
+        <select
+          style={styles.input}
+          value={form.expires_in_hours}
+          onChange={(e) => setForm(prev => ({ ...prev, expires_in_hours: e.target.value }))}
+          aria-label="Expires after"
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.label} value={option.value}>Expires: {option.label}</option>
+          ))}
+        </select>
+
+        <input
+          type="number"
+          min="1"
+          max="100"
+          placeholder="Max uses (unlimited)"
+          style={{ ...styles.input, width: '170px' }}
+          value={form.max_uses}
+          onChange={(e) => setForm(prev => ({ ...prev, max_uses: e.target.value }))}
+          aria-label="Maximum uses"
+        />
+
+        {canSkipChallenge && (
+          <label style={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={form.skip_challenge}
+              onChange={(e) => setForm(prev => ({ ...prev, skip_challenge: e.target.checked }))}
+            />
+            Skip entry challenge
+          </label>
+        )}
+
+        <button type="submit" style={styles.primaryButton} disabled={creating}>
+          <Plus size={14} />
+          {creating ? 'Creating...' : 'Create link'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div style={styles.empty}>Loading invite links...</div>
+      ) : invites.length === 0 ? (
+        <div style={styles.empty}>No active invite links.</div>
+      ) : (
+        invites.map(invite => (
+          <div key={invite.id} style={styles.inviteRow}>
+            <div>
+              <div style={styles.inviteCode}>/join/{invite.code}</div>
+              <div style={styles.inviteMeta}>
+                {invite.role} · {describeUses(invite)} · {describeExpiry(invite)}
+                {invite.skip_challenge ? ' · no challenge' : ''}
+                {invite.creator ? ` · by ${invite.creator.full_name || invite.creator.username}` : ''}
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button style={styles.iconButton} onClick={() => handleCopy(invite)}>
+                {copiedId === invite.id ? <Check size={14} /> : <Copy size={14} />}
+                {copiedId === invite.id ? 'Copied' : 'Copy'}
+              </button>
+              <button
+                style={{ ...styles.iconButton, color: '#fca5a5', borderColor: 'rgba(239, 68, 68, 0.3)' }}
+                onClick={() => handleRevoke(invite)}
+              >
+                <Trash2 size={14} />
+                Revoke
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default InviteLinksPanel;
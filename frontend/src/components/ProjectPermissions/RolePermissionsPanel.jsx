@@ -0,0 +1,293 @@
+// frontend/src/components/ProjectPermissions/RolePermissionsPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, RotateCcw } from 'lucide-react';
+import { projectService } from '../../services/projectService';
+
+const GROUP_LABELS = {
+  project: 'Project',
+  task: 'Tasks',
+  comment: 'Comments',
+  chat: 'Chat',
+  member: 'Members'
+};
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  lead: 'Lead',
+  moderator: 'Moderator',
+  member: 'Member',
+  mentor: 'Mentor',
+  viewer: 'Viewer'
+};
+
+const toSets = (matrix = {}) =>
+  Object.fromEntries(Object.entries(matrix).map(([role, permissions]) => [role, new Set(permissions)]));
+
+/**
+ * RolePermissionsPanel Component
+ * Lets the owner choose what each project role may do
+ *
+ * Props:
+ * - projectId: UUID of the project
+ */
+const RolePermissionsPanel = ({ projectId }) => {
+  const [catalog, setCatalog] = useState({});
+  const [roles, setRoles] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [matrix, setMatrix] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  const fetchPermissions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await projectService.getProjectPermissions(projectId);
+      setCatalog(response.data.catalog || {});
+      setRoles(response.data.configurableRoles || []);
+      setDefaults(response.data.defaults || {});
+      setMatrix(toSets(response.data.matrix));
+      setDirty(false);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load role permissions');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchPermissions();
+  }, [fetchPermissions]);
+
+  const togglePermission = (role, permission) => {
+    setMatrix(prev => {
+      const next = new Set(prev[role]);
+      if (next.has(permission)) next.delete(permission);
+      else next.add(permission);
+      return { ...prev, [role]: next };
+    });
+    setDirty(true);
+  };
+
+  const handleReset = () => {
+    setMatrix(prev => ({ ...prev, ...toSets(Object.fromEntries(roles.map(role => [role, defaults[role]]))) }));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    // Send every configurable role in full; the server keeps only what differs from the defaults
+    const rolePermissions = Object.fromEntries(
+      roles.map(role => [
+        role,
+        Object.fromEntries(Object.keys(catalog).map(permission => [permission, matrix[role]?.has(permission) || false]))
+      ])
+    );
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await projectService.updateProjectPermissions(projectId, rolePermissions);
+      setMatrix(toSets(response.data.matrix));
+      setDirty(false);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save role permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const styles = {
+    panel: {
+      position: 'relative',
+      zIndex: 10,
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '16px',
+      padding: '24px',
+      marginBottom: '32px',
+      backdropFilter: 'blur(20px)',
+      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)'
+    },
+    header: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      flexWrap: 'wrap',
+      gap: '12px'
+    },
+    titleRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px'
+    },
+    title: {
+      margin: 0,
+      fontSize: '18px',
+      fontWeight: '600',
+      color: 'white'
+    },
+    hint: {
+      fontSize: '12px',
+      color: '#9ca3af',
+      margin: '12px 0 16px'
+    },
+    table: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '13px'
+    },
+    headCell: {
+      textAlign: 'center',
+      color: '#9ca3af',
+      fontWeight: '600',
+      padding: '8px',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+    },
+    groupCell: {
+      color: '#60a5fa',
+      fontSize: '12px',
+      fontWeight: '600',
+      textTransform: 'uppercase',
+      letterSpacing: '0.05em',
+      padding: '14px 8px 6px'
+    },
+    labelCell: {
+      color: '#d1d5db',
+      padding: '6px 8px',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.04)'
+    },
+    checkCell: {
+      textAlign: 'center',
+      padding: '6px 8px',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.04)'
+    },
+    actions: {
+      display: 'flex',
+      gap: '8px'
+    },
+    primaryButton: {
+      background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+      color: 'white',
+      border: 'none',
+      padding: '8px 14px',
+      borderRadius: '6px',
+      fontSize: '13px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    secondaryButton: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      background: 'transparent',
+      border: '1px solid rgba(255, 255, 255, 0.15)',
+      color: '#d1d5db',
+      padding: '8px 12px',
+      borderRadius: '6px',
+      fontSize: '13px',
+      cursor: 'pointer'
+    },
+    error: {
+      color: '#fca5a5',
+      fontSize: '13px',
+      marginTop: '12px'
+    },
+    empty: {
+      color: '#6b7280',
+      fontSize: '13px',
+      marginTop: '12px'
+    }
+  };
+
+  // Permissions grouped by their prefix, in catalog order
+  const groups = Object.keys(catalog).reduce((acc, permission) => {
+    const group = permission.split('.')[0];
+    (acc[group] = acc[group] || []).push(permission);
+    return acc;
+  }, {});
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <div style={styles.titleRow}>
+          <ShieldCheck size={20} color="#3b82f6" />
+          <h2 style={styles.title}>Role Permissions</h2>
+        </div>
+        <div style={styles.actions}>
+          {expanded && (
+            <>
+              <button style={styles.secondaryButton} onClick={handleReset} disabled={saving || loading}>
+                <RotateCcw size={14} />
+                Defaults
+              </button>
+              <button style={styles.primaryButton} onClick={handleSave} disabled={saving || !dirty}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </>
+          )}
+          <button style={styles.secondaryButton} onClick={() => setExpanded(prev => !prev)}>
+            {expanded ? 'Hide' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {expanded && (loading ? (
+        <div style={styles.empty}>Loading role permissions...</div>
+      ) : (
+        <>
+          <div style={styles.hint}>
+            Choose what each role can do in this project. As the owner you always keep every permission.
+          </div>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={{ ...styles.headCell, textAlign: 'left' }}>Permission</th>
+                <th style={styles.headCell}>{ROLE_LABELS.owner}</th>
+                {roles.map(role => (
+                  <th key={role} style={styles.headCell}>{ROLE_LABELS[role] || role}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(groups).map(([group, permissions]) => (
+                <React.Fragment key={group}>
+                  <tr>
+                    <td style={styles.groupCell} colSpan={roles.length + 2}>{GROUP_LABELS[group] || group}</td>
+                  </tr>
+                  {permissions.map(permission => (
+                    <tr key={permission}>
+                      <td style={styles.labelCell} title={permission}>
+                        {catalog[permission].charAt(0).toUpperCase() + catalog[permission].slice(1)}
+                      </td>
+                      <td style={styles.checkCell}>
+                        <input type="checkbox" checked disabled aria-label={`Owner: ${permission}`} />
+                      </td>
+                      {roles.map(role => (
+                        <td key={role} style={styles.checkCell}>
+                          <input
+                            type="checkbox"
+                            checked={matrix[role]?.has(permission) || false}
+                            onChange={() => togglePermission(role, permission)}
+                            disabled={saving}
+                            aria-label={`${ROLE_LABELS[role] || role}: ${permission}`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ))}
+    </div>
+  );
+};
+
+export default RolePermissionsPanel;
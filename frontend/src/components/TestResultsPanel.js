@@ -48,15 +48,25 @@ export default function TestResultsPanel({ tests = [] }) {
 
   const itemBody = { padding: 12, background: '#fff' };
 
+  const hiddenTests = tests.filter(t => t.hidden);
+  const hiddenPassed = hiddenTests.filter(t => t.passed).length;
+
   return (
     <div style={{ marginTop: 16 }}>
       <h4 style={{ margin: '0 0 8px 0' }}>🧪 Per-test results</h4>
+      {hiddenTests.length > 0 && (
+        <div style={{ marginBottom: 8, color: '#666', fontSize: 13 }}>
+          Hidden tests: {hiddenPassed}/{hiddenTests.length} passed
+        </div>
+      )}
       {tests.map((t, i) => (
         <div key={i} style={itemBox}>
           <div style={itemHeader} onClick={() => toggle(i)}>
             <div>
               <span style={badge(t.passed)}>{t.passed ? 'PASSED' : 'FAILED'}</span>
               <span style={{ marginLeft: 8, color: '#555' }}>Test {t.testNumber}</span>
+              {t.hidden && <span style={{ marginLeft: 8, color: '#888', fontSize: 12 }}>🔒 hidden</span>}
+              {t.weight > 1 && <span style={{ marginLeft: 8, color: '#888', fontSize: 12 }}>×{t.weight}</span>}
             </div>
             <div style={{ color: '#666', fontSize: 12 }}>
               {Math.round(t.executionTime)} ms • {Math.round(t.memoryUsage)} KB
@@ -64,8 +74,22 @@ export default function TestResultsPanel({ tests = [] }) {
             </div>
           </div>
 
-          {open[i] && (
+          {open[i] && t.hidden && (
             <div style={itemBody}>
+              <div style={{ color: '#555', fontSize: 13 }}>
+                This is a hidden test case: its input and expected output are not shown.
+                {t.status?.description ? ` Result: ${t.status.description}.` : ''}
+              </div>
+              {t.explanation && <div style={{ marginTop: 6, color: '#555', fontSize: 13 }}>Checks: {t.explanation}</div>}
+            </div>
+          )}
+
+          {open[i] && !t.hidden && (
+            <div style={itemBody}>
+              {t.explanation && (
+                <div style={{ marginBottom: 10, color: '#555', fontSize: 13 }}>{t.explanation}</div>
+              )}
+
               {/* Show compiler/runtime errors if present */}
               {(t.compileOutput || t.stderr) && (
                 <div style={{ marginBottom: 10 }}>
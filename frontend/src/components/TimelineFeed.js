@@ -30,7 +30,9 @@ const TimelineFeed = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all');
-  const [page, setPage] = useState(1);
+  const [mode, setMode] = useState('for_you');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [hasMore, setHasMore] = useState(true);
   const [expandedComments, setExpandedComments] = useState({});
   const [commentInputs, setCommentInputs] = useState({});
@@ -41,36 +43,47 @@ const TimelineFeed = () => {
 
   useEffect(() => {
     fetchTimelineFeed();
-  }, [filter]);
+  }, [filter, mode]);
 
-  const fetchTimelineFeed = async (pageNum = 1) => {
+  // cursor: pagination.nextCursor of the last page, or nothing for the first page
+  const fetchTimelineFeed = async (cursor = null) => {
     try {
-      setLoading(true);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
       const token = localStorage.getItem('token');
       
       const response = await axios.get(`${API_URL}/timeline/feed`, {
         headers: { Authorization: `Bearer ${token}` },
         params: {
-          page: pageNum,
+          mode,
           limit: 10,
-          filter: filter
+          filter: filter,
+          ...(cursor && { cursor })
         }
       });
 
       if (response.data.success) {
-        if (pageNum === 1) {
+        if (!cursor) {
           setPosts(response.data.data.posts);
         } else {
-          setPosts(prev => [...prev, ...response.data.data.posts]);
+          // Skip anything already shown in case a ranked page was rebuilt in between
+          setPosts(prev => {
+            const shownIds = new Set(prev.map(post => post.id));
+            return [...prev, ...response.data.data.posts.filter(post => !shownIds.has(post.id))];
+          });
         }
         setHasMore(response.data.data.pagination.hasMore);
-        setPage(pageNum);
+        setNextCursor(response.data.data.pagination.nextCursor);
       }
     } catch (err) {
       console.error('Error fetching timeline feed:', err);
       setError('Failed to load timeline feed');
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -707,7 +720,7 @@ const TimelineFeed = () => {
     </div>
   );
 
-  if (loading && page === 1) {
+  if (loading) {
     return (
       <div style={{ 
         display: 'flex', 
@@ -737,6 +750,31 @@ const TimelineFeed = () => {
 
   return (
     <div style={{ maxWidth: '100%', paddingRight: '40px' }}>
+      {/* Feed Mode */}
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+        {[
+          { value: 'for_you', label: 'For you' },
+          { value: 'chronological', label: 'Latest' }
+        ].map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => setMode(value)}
+            style={{
+              padding: '6px 14px',
+              backgroundColor: mode === value ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+              color: mode === value ? '#60a5fa' : '#9ca3af',
+              border: `1px solid ${mode === value ? 'rgba(59, 130, 246, 0.4)' : 'rgba(255, 255, 255, 0.1)'}`,
+              borderRadius: '999px',
+              cursor: 'pointer',
+              fontSize: '13px',
+              fontWeight: '600'
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
       {/* Filter Tabs */}
       <div style={{
         display: 'flex',
@@ -749,15 +787,13 @@ const TimelineFeed = () => {
       }}>
         {[
           { value: 'all', label: 'All Projects' },
+          { value: 'friends', label: 'Friends' },
           { value: 'group', label: 'Group' },
           { value: 'solo', label: 'Solo' }
         ].map(({ value, label }) => (
           <button
             key={value}
-            onClick={() => {
-              setFilter(value);
-              setPage(1);
-            }}
+            onClick={() => setFilter(value)}
             style={{
               flex: 1,
               padding: '10px 16px',
@@ -801,7 +837,8 @@ const TimelineFeed = () => {
           {hasMore && (
             <div style={{ textAlign: 'center', marginTop: '20px' }}>
               <button
-                onClick={() => fetchTimelineFeed(page + 1)}
+                onClick={() => fetchTimelineFeed(nextCursor)}
+                disabled={loadingMore}
                 style={{
                   padding: '12px 24px',
                   backgroundColor: '#3b82f6',
@@ -813,7 +850,7 @@ const TimelineFeed = () => {
                   fontWeight: '600'
                 }}
               >
-                Load More
+                {loadingMore ? 'Loading...' : 'Load More'}
               </button>
             </div>
           )}
@@ -2,7 +2,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useChat } from '../../contexts/ChatContext';
 import { useAuth } from '../../contexts/AuthContext';
-import { Send, Reply, Edit3, Trash2, X } from 'lucide-react';
+import { Send, Reply, Edit3, Trash2, X, Search, MessageSquare } from 'lucide-react';
+import ChatSearchPanel from './ChatSearchPanel';
+import ThreadPanel from './ThreadPanel';
 
 const ChatInterface = ({ projectId }) => {
   const { user } = useAuth();
@@ -13,6 +15,7 @@ const ChatInterface = ({ projectId }) => {
     activeRoom,
     onlineUsers,
     typingUsers,
+    unreadCounts,
     loading,
     setActiveRoom,
     joinProjectRooms,
@@ -23,6 +26,8 @@ const ChatInterface = ({ projectId }) => {
     stopTyping,
     fetchChatRooms,
     fetchMessages,
+    fetchMessagesAround,
+    markRoomRead,
     createChatRoom
   } = useChat();
 
@@ -34,9 +39,15 @@ const ChatInterface = ({ projectId }) => {
   const [editingMessage, setEditingMessage] = useState(null);
   const [replyingTo, setReplyingTo] = useState(null);
   const [typingTimer, setTypingTimer] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [openThreadId, setOpenThreadId] = useState(null);
+  const [viewingHistory, setViewingHistory] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
 
   const messagesEndRef = useRef(null);
   const messageInputRef = useRef(null);
+  // Room whose messages were already loaded by a search jump - skip the normal fetch once
+  const jumpedRoomRef = useRef(null);
 
   // Helper function to safely get user display name
   const getUserDisplayName = (userObj) => {
@@ -78,14 +89,66 @@ const ChatInterface = ({ projectId }) => {
   // Load messages when active room changes
   useEffect(() => {
     if (activeRoom && projectId) {
+      if (jumpedRoomRef.current === activeRoom) {
+        jumpedRoomRef.current = null;
+        return;
+      }
+      setViewingHistory(false);
+      setOpenThreadId(null);
       fetchMessages(projectId, activeRoom);
     }
   }, [activeRoom, projectId, fetchMessages]);
 
-  // Scroll to bottom when new messages arrive
+  // Bring a search hit into view and flash it briefly
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    document.getElementById(`chat-message-${highlightedMessageId}`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, messages]);
+
+  // Viewing a room reads everything up to its newest message
+  const lastMessageId = activeRoom ? messages[activeRoom]?.[messages[activeRoom].length - 1]?.id : null;
+  useEffect(() => {
+    if (projectId && activeRoom && lastMessageId) {
+      markRoomRead(projectId, activeRoom, lastMessageId);
+    }
+  }, [projectId, activeRoom, lastMessageId, markRoomRead]);
+
+  // Scroll to bottom when new messages arrive (unless reading older history from a search jump)
   useEffect(() => {
+    if (viewingHistory) return;
     scrollToBottom();
-  }, [messages, activeRoom]);
+  }, [messages, activeRoom, viewingHistory]);
+
+  // Thread replies aren't in the room stream: jump to their root and open the thread
+  const handleJumpToMessage = async (roomId, messageId, threadId = null) => {
+    const targetId = threadId || messageId;
+    const pagination = await fetchMessagesAround(projectId, roomId, targetId);
+    if (!pagination) return;
+
+    setViewingHistory(true);
+    setHighlightedMessageId(targetId);
+    if (threadId) {
+      setShowSearch(false);
+      setOpenThreadId(threadId);
+    }
+    if (roomId !== activeRoom) {
+      jumpedRoomRef.current = roomId;
+      setActiveRoom(roomId);
+    }
+  };
+
+  const openThread = (messageId) => {
+    setShowSearch(false);
+    setOpenThreadId(messageId);
+  };
+
+  const handleJumpToLatest = async () => {
+    setViewingHistory(false);
+    await fetchMessages(projectId, activeRoom);
+  };
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -270,22 +333,44 @@ const ChatInterface = ({ projectId }) => {
         <div style={{ padding: '20px', borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
           <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
             <h2 style={{ fontSize: '18px', fontWeight: '700', color: 'white', margin: 0 }}>Project Chat</h2>
-            <button
-              onClick={() => setShowCreateRoom(true)}
-              style={{ 
-                background: 'rgba(59, 130, 246, 0.15)',
-                border: '1px solid rgba(59, 130, 246, 0.3)',
-                color: '#60a5fa',
-                padding: '8px',
-                borderRadius: '8px',
-                cursor: 'pointer',
-                fontSize: '18px',
-                fontWeight: 'bold',
-                transition: 'all 0.3s ease'
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={() => {
+                setShowSearch(!showSearch);
+                setOpenThreadId(null);
               }}
-            >
-              +
-            </button>
+                title="Search messages"
+                style={{ 
+                  display: 'flex',
+                  alignItems: 'center',
+                  background: showSearch ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                  border: '1px solid rgba(59, 130, 246, 0.3)',
+                  color: '#60a5fa',
+                  padding: '8px',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  transition: 'all 0.3s ease'
+                }}
+              >
+                <Search size={18} />
+              </button>
+              <button
+                onClick={() => setShowCreateRoom(true)}
+                style={{ 
+                  background: 'rgba(59, 130, 246, 0.15)',
+                  border: '1px solid rgba(59, 130, 246, 0.3)',
+                  color: '#60a5fa',
+                  padding: '8px',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  fontSize: '18px',
+                  fontWeight: 'bold',
+                  transition: 'all 0.3s ease'
+                }}
+              >
+                +
+              </button>
+            </div>
           </div>
           
           {/* Connection Status */}
@@ -323,6 +408,21 @@ const ChatInterface = ({ projectId }) => {
               <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
                 <span>#</span>
                 <span style={{ fontWeight: '500' }}>{room.name}</span>
+                {activeRoom !== room.id && unreadCounts[projectId]?.rooms[room.id] > 0 && (
+                  <span style={{
+                    marginLeft: 'auto',
+                    minWidth: '20px',
+                    padding: '2px 6px',
+                    borderRadius: '10px',
+                    backgroundColor: '#3b82f6',
+                    color: 'white',
+                    fontSize: '11px',
+                    fontWeight: '600',
+                    textAlign: 'center'
+                  }}>
+                    {unreadCounts[projectId].rooms[room.id] > 99 ? '99+' : unreadCounts[projectId].rooms[room.id]}
+                  </span>
+                )}
               </div>
               {room.description && (
                 <p style={{ fontSize: '12px', color: '#9ca3af', margin: 0, paddingLeft: '20px' }}>
@@ -375,6 +475,33 @@ const ChatInterface = ({ projectId }) => {
               flexDirection: 'column',
               height: '100%'
             }}>
+              {/* Viewing older messages after a search jump */}
+              {viewingHistory && (
+                <div style={{
+                  position: 'sticky',
+                  top: 0,
+                  zIndex: 2,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  padding: '8px 12px',
+                  marginBottom: '12px',
+                  borderRadius: '8px',
+                  backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                  border: '1px solid rgba(59, 130, 246, 0.3)',
+                  fontSize: '13px',
+                  color: '#d1d5db'
+                }}>
+                  <span>You're viewing older messages</span>
+                  <button
+                    onClick={handleJumpToLatest}
+                    style={{ background: 'transparent', border: 'none', color: '#60a5fa', cursor: 'pointer', fontSize: '13px', fontWeight: '600' }}
+                  >
+                    Jump to latest
+                  </button>
+                </div>
+              )}
+
               {/* Messages Container */}
               <div style={{ flex: 1, paddingBottom: '16px' }}>
                 {currentMessages.map((message) => {
@@ -390,12 +517,16 @@ const ChatInterface = ({ projectId }) => {
                   return (
                     <div 
                       key={message.id} 
+                      id={`chat-message-${message.id}`}
                       style={{ 
                         marginBottom: '16px',
                         display: 'flex',
                         flexDirection: 'column',
                         alignItems: isOwnMessage ? 'flex-end' : 'flex-start', // This properly aligns the entire message
-                        width: '100%'
+                        width: '100%',
+                        borderRadius: '12px',
+                        backgroundColor: highlightedMessageId === message.id ? 'rgba(250, 204, 21, 0.12)' : 'transparent',
+                        transition: 'background-color 0.6s ease'
                       }}
                       onMouseEnter={(e) => {
                         const actions = e.currentTarget.querySelector('.message-actions');
@@ -521,7 +652,7 @@ const ChatInterface = ({ projectId }) => {
                                 position: 'absolute',
                                 top: '50%',
                                 transform: 'translateY(-50%)',
-                                [isOwnMessage ? 'left' : 'right']: '-80px',
+                                [isOwnMessage ? 'left' : 'right']: isOwnMessage ? '-130px' : '-80px',
                                 display: 'flex',
                                 gap: '4px',
                                 opacity: 0,
@@ -556,6 +687,31 @@ const ChatInterface = ({ projectId }) => {
                               >
                                 <Reply size={14} />
                               </button>
+
+                              <button
+                                onClick={() => openThread(message.id)}
+                                title="Reply in thread"
+                                style={{
+                                  background: 'transparent',
+                                  border: 'none',
+                                  color: '#9ca3af',
+                                  cursor: 'pointer',
+                                  padding: '6px',
+                                  borderRadius: '6px',
+                                  fontSize: '14px',
+                                  transition: 'all 0.2s ease'
+                                }}
+                                onMouseEnter={(e) => {
+                                  e.target.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                                  e.target.style.color = 'white';
+                                }}
+                                onMouseLeave={(e) => {
+                                  e.target.style.backgroundColor = 'transparent';
+                                  e.target.style.color = '#9ca3af';
+                                }}
+                              >
+                                <MessageSquare size={14} />
+                              </button>
                               
                               {isOwnMessage && (
                                 <>
@@ -615,6 +771,54 @@ const ChatInterface = ({ projectId }) => {
                               )}
                             </div>
                           </div>
+
+                          {/* Thread summary */}
+                          {message.thread_reply_count > 0 && (
+                            <div style={{ display: 'flex', justifyContent: isOwnMessage ? 'flex-end' : 'flex-start', marginTop: '6px' }}>
+                              <button
+                                onClick={() => openThread(message.id)}
+                                style={{
+                                  display: 'flex',
+                                  alignItems: 'center',
+                                  gap: '6px',
+                                  background: openThreadId === message.id ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                                  border: '1px solid rgba(59, 130, 246, 0.3)',
+                                  borderRadius: '8px',
+                                  padding: '4px 10px',
+                                  color: '#60a5fa',
+                                  fontSize: '12px',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                <MessageSquare size={12} />
+                                <span style={{ fontWeight: '600' }}>
+                                  {message.thread_reply_count} repl{message.thread_reply_count === 1 ? 'y' : 'ies'}
+                                </span>
+                                {(message.thread_participants || []).map(participant => (
+                                  <span
+                                    key={participant.id}
+                                    title={getUserDisplayName(participant)}
+                                    style={{
+                                      width: '18px',
+                                      height: '18px',
+                                      borderRadius: '50%',
+                                      backgroundColor: '#1e40af',
+                                      color: 'white',
+                                      fontSize: '10px',
+                                      display: 'flex',
+                                      alignItems: 'center',
+                                      justifyContent: 'center'
+                                    }}
+                                  >
+                                    {getUserInitial(participant)}
+                                  </span>
+                                ))}
+                                {message.thread_last_reply_at && (
+                                  <span style={{ color: '#9ca3af' }}>· last {formatTime(message.thread_last_reply_at)}</span>
+                                )}
+                              </button>
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -859,6 +1063,26 @@ const ChatInterface = ({ projectId }) => {
         )}
       </div>
 
+      {/* Message Search */}
+      {showSearch && (
+        <ChatSearchPanel
+          projectId={projectId}
+          rooms={chatRooms}
+          onJumpToMessage={handleJumpToMessage}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {/* Thread */}
+      {openThreadId && activeRoom && (
+        <ThreadPanel
+          projectId={projectId}
+          roomId={activeRoom}
+          threadId={openThreadId}
+          onClose={() => setOpenThreadId(null)}
+        />
+      )}
+
       {/* Create Room Modal */}
       {showCreateRoom && (
         <div style={{ 
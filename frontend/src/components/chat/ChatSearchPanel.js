@@ -0,0 +1,457 @@
+// frontend/src/components/chat/ChatSearchPanel.js
+import React, { useState, useEffect } from 'react';
+import { useChat } from '../../contexts/ChatContext';
+import { projectService } from '../../services/projectService';
+import { Search, X, Filter, Code } from 'lucide-react';
+
+const EMPTY_FILTERS = { roomId: '', authorId: '', from: '', to: '', hasCode: false };
+
+const getUserDisplayName = (userObj) => {
+  if (!userObj) return 'Unknown User';
+  return userObj.full_name || userObj.username || 'Unknown User';
+};
+
+const formatDate = (value) => new Date(value).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const ChatSearchPanel = ({ projectId, rooms, onJumpToMessage, onClose }) => {
+  const { searchMessages } = useChat();
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [members, setMembers] = useState([]);
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Authors for the filter dropdown
+  useEffect(() => {
+    const fetchMembers = async () => {
+      try {
+        const response = await projectService.getProjectMembers(projectId);
+        const { owner, members: projectMembers = [] } = response.data || {};
+        const users = [owner, ...projectMembers.map(member => member.users)].filter(Boolean);
+        setMembers(users);
+      } catch (memberError) {
+        console.log('Could not fetch project members for search:', memberError);
+        setMembers([]);
+      }
+    };
+
+    if (projectId) {
+      fetchMembers();
+    }
+  }, [projectId]);
+
+  const runSearch = async (page = 1) => {
+    if (!query.trim()) return;
+
+    try {
+      setSearching(true);
+      setError(null);
+      const data = await searchMessages(projectId, {
+        q: query.trim(),
+        roomId: filters.roomId,
+        authorId: filters.authorId,
+        // Date inputs are local calendar days - cover the whole day on both ends
+        from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+        to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+        hasCode: filters.hasCode,
+        page
+      });
+      setResults(prev => (page === 1 ? data.results : [...prev, ...data.results]));
+      setPagination(data.pagination);
+    } catch (searchError) {
+      console.error('Chat search error:', searchError);
+      setError(searchError.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(1);
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const activeFilterCount = Object.entries(filters)
+    .filter(([key, value]) => value && value !== EMPTY_FILTERS[key]).length;
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Search messages</h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close search">
+          <X size={18} />
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit} style={styles.form}>
+        <div style={styles.searchRow}>
+          <div style={styles.inputWrapper}>
+            <Search size={16} style={styles.inputIcon} />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder='e.g. "api design" -draft'
+              style={styles.input}
+              maxLength={200}
+              autoFocus
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => setShowFilters(!showFilters)}
+            style={{ ...styles.iconButton, ...(showFilters || activeFilterCount > 0 ? styles.iconButtonActive : {}) }}
+            title="Filters"
+          >
+            <Filter size={16} />
+            {activeFilterCount > 0 && <span style={styles.filterCount}>{activeFilterCount}</span>}
+          </button>
+        </div>
+
+        {showFilters && (
+          <div style={styles.filters}>
+            <select
+              value={filters.roomId}
+              onChange={(e) => updateFilter('roomId', e.target.value)}
+              style={styles.select}
+            >
+              <option value="">All rooms</option>
+              {rooms.map(room => (
+                <option key={room.id} value={room.id}>#{room.name}</option>
+              ))}
+            </select>
+
+            <select
+              value={filters.authorId}
+              onChange={(e) => updateFilter('authorId', e.target.value)}
+              style={styles.select}
+            >
+              <option value="">Anyone</option>
+              {members.map(member => (
+                <option key={member.id} value={member.id}>{getUserDisplayName(member)}</option>
+              ))}
+            </select>
+
+            <div style={styles.dateRow}>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                style={styles.dateInput}
+                title="From"
+              />
+              <span style={{ color: '#6b7280' }}>–</span>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                style={styles.dateInput}
+                title="To"
+              />
+            </div>
+
+            <label style={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={filters.hasCode}
+                onChange={(e) => updateFilter('hasCode', e.target.checked)}
+              />
+              <Code size={14} />
+              Has code block
+            </label>
+
+            {activeFilterCount > 0 && (
+              <button type="button" onClick={() => setFilters(EMPTY_FILTERS)} style={styles.clearButton}>
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+
+        <button type="submit" disabled={searching || !query.trim()} style={styles.submitButton}>
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      <div style={styles.results}>
+        {error && <div style={styles.error}>{error}</div>}
+
+        {pagination && !error && (
+          <div style={styles.resultCount}>
+            {pagination.total} result{pagination.total === 1 ? '' : 's'}
+          </div>
+        )}
+
+        {results.map(result => (
+          <button
+            key={result.message.id}
+            onClick={() => onJumpToMessage(result.room?.id || result.message.room_id, result.message.id, result.message.thread_id)}
+            style={styles.result}
+            title="Jump to message"
+          >
+            <div style={styles.resultMeta}>
+              <span style={{ color: '#60a5fa' }}>#{result.room?.name || 'room'}</span>
+              <span>{getUserDisplayName(result.message.user)}</span>
+              <span>{formatDate(result.message.created_at)}</span>
+              {result.has_code && <Code size={12} />}
+            </div>
+
+            {result.context.before.map(msg => (
+              <div key={msg.id} style={styles.contextLine}>
+                <strong>{getUserDisplayName(msg.user)}:</strong> {msg.content}
+              </div>
+            ))}
+
+            <div style={styles.snippet}>
+              {result.snippet.map((segment, index) => (
+                segment.highlight
+                  ? <mark key={index} style={styles.mark}>{segment.text}</mark>
+                  : <span key={index}>{segment.text}</span>
+              ))}
+            </div>
+
+            {result.context.after.map(msg => (
+              <div key={msg.id} style={styles.contextLine}>
+                <strong>{getUserDisplayName(msg.user)}:</strong> {msg.content}
+              </div>
+            ))}
+          </button>
+        ))}
+
+        {pagination?.hasMore && (
+          <button onClick={() => runSearch(pagination.page + 1)} disabled={searching} style={styles.clearButton}>
+            {searching ? 'Loading...' : 'Load more results'}
+          </button>
+        )}
+
+        {pagination && results.length === 0 && !error && (
+          <div style={styles.empty}>No messages match your search.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    width: '380px',
+    borderLeft: '1px solid rgba(255, 255, 255, 0.1)',
+    display: 'flex',
+    flexDirection: 'column',
+    height: '100vh',
+    maxHeight: '100vh',
+    overflow: 'hidden',
+    background: 'rgba(26, 28, 32, 0.95)'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '20px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  title: {
+    fontSize: '16px',
+    fontWeight: '700',
+    color: 'white',
+    margin: 0
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    padding: '16px 20px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  searchRow: {
+    display: 'flex',
+    gap: '8px'
+  },
+  inputWrapper: {
+    position: 'relative',
+    flex: 1
+  },
+  inputIcon: {
+    position: 'absolute',
+    left: '10px',
+    top: '50%',
+    transform: 'translateY(-50%)',
+    color: '#6b7280'
+  },
+  input: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '10px 12px 10px 34px',
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    color: 'white',
+    fontSize: '14px',
+    outline: 'none'
+  },
+  iconButton: {
+    position: 'relative',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'transparent',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    color: '#9ca3af',
+    padding: '8px',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  iconButtonActive: {
+    background: 'rgba(59, 130, 246, 0.15)',
+    borderColor: 'rgba(59, 130, 246, 0.3)',
+    color: '#60a5fa'
+  },
+  filterCount: {
+    position: 'absolute',
+    top: '-6px',
+    right: '-6px',
+    minWidth: '16px',
+    height: '16px',
+    borderRadius: '8px',
+    backgroundColor: '#3b82f6',
+    color: 'white',
+    fontSize: '10px',
+    lineHeight: '16px',
+    textAlign: 'center'
+  },
+  filters: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  select: {
+    padding: '8px 10px',
+    backgroundColor: '#1a1c20',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    color: '#d1d5db',
+    fontSize: '13px'
+  },
+  dateRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  },
+  dateInput: {
+    flex: 1,
+    padding: '8px',
+    backgroundColor: '#1a1c20',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    color: '#d1d5db',
+    fontSize: '13px',
+    colorScheme: 'dark'
+  },
+  checkboxLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    color: '#d1d5db',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  clearButton: {
+    background: 'transparent',
+    border: 'none',
+    color: '#60a5fa',
+    fontSize: '13px',
+    cursor: 'pointer',
+    padding: '6px 0',
+    textAlign: 'left'
+  },
+  submitButton: {
+    padding: '10px',
+    background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+    border: 'none',
+    borderRadius: '8px',
+    color: 'white',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  },
+  results: {
+    flex: 1,
+    overflowY: 'auto',
+    padding: '12px 20px'
+  },
+  resultCount: {
+    fontSize: '12px',
+    color: '#9ca3af',
+    marginBottom: '10px'
+  },
+  result: {
+    display: 'block',
+    width: '100%',
+    textAlign: 'left',
+    background: 'rgba(255, 255, 255, 0.03)',
+    border: '1px solid rgba(255, 255, 255, 0.08)',
+    borderRadius: '10px',
+    padding: '12px',
+    marginBottom: '10px',
+    cursor: 'pointer',
+    color: '#d1d5db'
+  },
+  resultMeta: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '12px',
+    color: '#9ca3af',
+    marginBottom: '6px'
+  },
+  contextLine: {
+    fontSize: '12px',
+    color: '#6b7280',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    margin: '2px 0'
+  },
+  snippet: {
+    fontSize: '14px',
+    color: 'white',
+    margin: '4px 0',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word'
+  },
+  mark: {
+    backgroundColor: 'rgba(250, 204, 21, 0.3)',
+    color: '#fde68a',
+    borderRadius: '3px',
+    padding: '0 2px'
+  },
+  error: {
+    padding: '10px 12px',
+    borderRadius: '8px',
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    border: '1px solid rgba(239, 68, 68, 0.3)',
+    color: '#fca5a5',
+    fontSize: '13px',
+    marginBottom: '10px'
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#9ca3af',
+    fontSize: '14px',
+    padding: '24px 0'
+  }
+};
+
+export default ChatSearchPanel;
@@ -0,0 +1,280 @@
+// frontend/src/components/chat/ThreadPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useChat } from '../../contexts/ChatContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { X, Send, Trash2 } from 'lucide-react';
+
+const getUserDisplayName = (userObj) => {
+  if (!userObj) return 'Unknown User';
+  return userObj.full_name || userObj.username || 'Unknown User';
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const ThreadMessage = ({ message, isRoot, canDelete, onDelete }) => (
+  <div style={{ ...styles.message, ...(isRoot ? styles.rootMessage : {}) }}>
+    <div style={styles.messageHeader}>
+      <div style={styles.avatar}>
+        {getUserDisplayName(message.user).charAt(0).toUpperCase()}
+      </div>
+      <span style={styles.author}>{getUserDisplayName(message.user)}</span>
+      <span style={styles.time}>{formatTime(message.created_at)}</span>
+      {message.is_edited && <span style={styles.time}>(edited)</span>}
+      {canDelete && (
+        <button onClick={() => onDelete(message.id)} style={styles.deleteButton} title="Delete reply">
+          <Trash2 size={13} />
+        </button>
+      )}
+    </div>
+    <div style={styles.content}>{message.content}</div>
+  </div>
+);
+
+const ThreadPanel = ({ projectId, roomId, threadId, onClose }) => {
+  const { user } = useAuth();
+  const { threads, fetchThread, sendThreadReply, deleteMessage } = useChat();
+  const [replyInput, setReplyInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const repliesEndRef = useRef(null);
+
+  const thread = threads[threadId];
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchThread(projectId, roomId, threadId).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [projectId, roomId, threadId, fetchThread]);
+
+  const replyCount = thread?.replies.length || 0;
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replyCount]);
+
+  const handleLoadMore = async () => {
+    if (!thread?.nextCursor) return;
+    setLoadingMore(true);
+    await fetchThread(projectId, roomId, threadId, thread.nextCursor);
+    setLoadingMore(false);
+  };
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    if (!replyInput.trim()) return;
+    sendThreadReply(roomId, threadId, replyInput.trim());
+    setReplyInput('');
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <div>
+          <h3 style={styles.title}>Thread</h3>
+          {thread && (
+            <span style={styles.subtitle}>
+              {thread.root.thread_reply_count || 0} repl{thread.root.thread_reply_count === 1 ? 'y' : 'ies'}
+            </span>
+          )}
+        </div>
+        <button onClick={onClose} style={styles.iconButton} title="Close thread">
+          <X size={18} />
+        </button>
+      </div>
+
+      <div style={styles.body}>
+        {loading && !thread && <div style={styles.empty}>Loading thread...</div>}
+        {!loading && !thread && <div style={styles.empty}>This thread is no longer available.</div>}
+
+        {thread && (
+          <>
+            <ThreadMessage message={thread.root} isRoot />
+
+            {thread.replies.map(reply => (
+              <ThreadMessage
+                key={reply.id}
+                message={reply}
+                canDelete={user && reply.user?.id === user.id}
+                onDelete={deleteMessage}
+              />
+            ))}
+
+            {thread.hasMore && (
+              <button onClick={handleLoadMore} disabled={loadingMore} style={styles.loadMore}>
+                {loadingMore ? 'Loading...' : 'Load more replies'}
+              </button>
+            )}
+
+            {thread.replies.length === 0 && !thread.hasMore && (
+              <div style={styles.empty}>No replies yet. Start the discussion.</div>
+            )}
+          </>
+        )}
+        <div ref={repliesEndRef} />
+      </div>
+
+      <form onSubmit={handleSend} style={styles.form}>
+        <input
+          type="text"
+          value={replyInput}
+          onChange={(e) => setReplyInput(e.target.value)}
+          placeholder="Reply in thread..."
+          style={styles.input}
+          maxLength={2000}
+          disabled={!thread}
+        />
+        <button type="submit" disabled={!replyInput.trim() || !thread} style={styles.sendButton}>
+          <Send size={16} />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    width: '380px',
+    borderLeft: '1px solid rgba(255, 255, 255, 0.1)',
+    display: 'flex',
+    flexDirection: 'column',
+    height: '100vh',
+    maxHeight: '100vh',
+    overflow: 'hidden',
+    background: 'rgba(26, 28, 32, 0.95)'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '20px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  title: {
+    fontSize: '16px',
+    fontWeight: '700',
+    color: 'white',
+    margin: 0
+  },
+  subtitle: {
+    fontSize: '12px',
+    color: '#9ca3af'
+  },
+  iconButton: {
+    display: 'flex',
+    alignItems: 'center',
+    background: 'transparent',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    color: '#9ca3af',
+    padding: '8px',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  body: {
+    flex: 1,
+    overflowY: 'auto',
+    padding: '16px 20px'
+  },
+  message: {
+    padding: '10px 0'
+  },
+  rootMessage: {
+    paddingBottom: '16px',
+    marginBottom: '8px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  messageHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '6px'
+  },
+  avatar: {
+    width: '24px',
+    height: '24px',
+    borderRadius: '50%',
+    backgroundColor: '#3b82f6',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    color: 'white',
+    fontSize: '12px',
+    fontWeight: '600',
+    flexShrink: 0
+  },
+  author: {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#d1d5db'
+  },
+  time: {
+    fontSize: '11px',
+    color: '#9ca3af'
+  },
+  deleteButton: {
+    marginLeft: 'auto',
+    background: 'transparent',
+    border: 'none',
+    color: '#6b7280',
+    cursor: 'pointer',
+    padding: '2px'
+  },
+  content: {
+    fontSize: '14px',
+    color: 'white',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    paddingLeft: '32px'
+  },
+  loadMore: {
+    display: 'block',
+    width: '100%',
+    background: 'transparent',
+    border: 'none',
+    color: '#60a5fa',
+    fontSize: '13px',
+    cursor: 'pointer',
+    padding: '10px 0'
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#9ca3af',
+    fontSize: '14px',
+    padding: '24px 0'
+  },
+  form: {
+    display: 'flex',
+    gap: '8px',
+    padding: '16px 20px',
+    borderTop: '1px solid rgba(255, 255, 255, 0.1)'
+  },
+  input: {
+    flex: 1,
+    padding: '10px 12px',
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    color: 'white',
+    fontSize: '14px',
+    outline: 'none'
+  },
+  sendButton: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '10px 12px',
+    background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+    border: 'none',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer'
+  }
+};
+
+export default ThreadPanel;
@@ -1,10 +1,23 @@
 // frontend/src/contexts/ChatContext.js - MINIMAL FIX with Enhanced Debugging
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import io from 'socket.io-client';
 import { useAuth } from './AuthContext';
 
 const ChatContext = createContext();
 
+const withThreadSummary = (message, summary) => (summary ? {
+  ...message,
+  thread_reply_count: summary.reply_count,
+  thread_last_reply_at: summary.last_reply_at,
+  thread_participants: summary.participants
+} : message);
+
+// Server payload { rooms: { [roomId]: { unreadCount } }, total } -> { rooms: { [roomId]: count }, total }
+const toUnreadState = ({ rooms = {}, total = 0 }) => ({
+  rooms: Object.fromEntries(Object.entries(rooms).map(([roomId, room]) => [roomId, room.unreadCount || 0])),
+  total
+});
+
 export const useChat = () => {
   const context = useContext(ChatContext);
   if (!context) {
@@ -24,6 +37,15 @@ export const ChatProvider = ({ children }) => {
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [typingUsers, setTypingUsers] = useState({});
   const [loading, setLoading] = useState(false);
+  // { [rootMessageId]: { root, replies, hasMore, nextCursor } }
+  const [threads, setThreads] = useState({});
+  // { [projectId]: { rooms: { [roomId]: unreadCount }, total } }
+  const [unreadCounts, setUnreadCounts] = useState({});
+  const activeRoomRef = useRef(null);
+
+  useEffect(() => {
+    activeRoomRef.current = activeRoom;
+  }, [activeRoom]);
 
   // Initialize socket connection
   useEffect(() => {
@@ -60,12 +82,35 @@ export const ChatProvider = ({ children }) => {
 
       // Handle new messages FROM OTHER USERS
       socketInstance.on('new_message', (data) => {
-        const { message, roomId } = data;
+        const { message, roomId, projectId } = data;
         console.log('📩 [SOCKET] new_message (from other):', { roomId, messageId: message.id, from: message.user?.username });
         setMessages(prev => ({
           ...prev,
           [roomId]: [...(prev[roomId] || []), message]
         }));
+
+        // The open room is marked read by ChatInterface; everything else gets a badge
+        if (projectId && roomId !== activeRoomRef.current) {
+          setUnreadCounts(prev => {
+            const project = prev[projectId] || { rooms: {}, total: 0 };
+            return {
+              ...prev,
+              [projectId]: {
+                rooms: { ...project.rooms, [roomId]: (project.rooms[roomId] || 0) + 1 },
+                total: project.total + 1
+              }
+            };
+          });
+        }
+      });
+
+      // Read cursor moved (in this tab or another session of the same user)
+      socketInstance.on('unread_counts', (data) => {
+        console.log('📬 [SOCKET] unread_counts:', { projectId: data.projectId, total: data.total });
+        setUnreadCounts(prev => ({
+          ...prev,
+          [data.projectId]: toUnreadState(data)
+        }));
       });
 
       // ✅ Handle message_sent confirmation FOR SENDER'S OWN MESSAGE
@@ -79,25 +124,75 @@ export const ChatProvider = ({ children }) => {
       });
 
       // Handle message edits
-      socketInstance.on('message_edited', (data) => {
+      socketInstance.on('message_updated', (data) => {
         const { message, roomId } = data;
-        console.log('✏️ [SOCKET] message_edited:', { roomId, messageId: message.id });
+        console.log('✏️ [SOCKET] message_updated:', { roomId, messageId: message.id });
+        // Keep thread summary fields - the edit payload doesn't carry them
+        const merge = (msg) => (msg.id === message.id ? { ...msg, ...message } : msg);
         setMessages(prev => ({
           ...prev,
-          [roomId]: prev[roomId]?.map(msg => 
-            msg.id === message.id ? message : msg
-          ) || []
+          [roomId]: prev[roomId]?.map(merge) || []
         }));
+        setThreads(prev => {
+          const threadId = message.thread_id || message.id;
+          const thread = prev[threadId];
+          if (!thread) return prev;
+          return {
+            ...prev,
+            [threadId]: { ...thread, root: merge(thread.root), replies: thread.replies.map(merge) }
+          };
+        });
       });
 
       // Handle message deletions
       socketInstance.on('message_deleted', (data) => {
-        const { messageId, roomId } = data;
-        console.log('🗑️ [SOCKET] message_deleted:', { roomId, messageId });
+        const { messageId, roomId, threadId, summary } = data;
+        console.log('🗑️ [SOCKET] message_deleted:', { roomId, messageId, threadId });
+        setMessages(prev => ({
+          ...prev,
+          [roomId]: (prev[roomId]?.filter(msg => msg.id !== messageId) || [])
+            .map(msg => (threadId && msg.id === threadId ? withThreadSummary(msg, summary) : msg))
+        }));
+        setThreads(prev => {
+          if (prev[messageId]) {
+            const { [messageId]: _removed, ...rest } = prev;
+            return rest;
+          }
+          if (!threadId || !prev[threadId]) return prev;
+          const thread = prev[threadId];
+          return {
+            ...prev,
+            [threadId]: {
+              ...thread,
+              root: withThreadSummary(thread.root, summary),
+              replies: thread.replies.filter(msg => msg.id !== messageId)
+            }
+          };
+        });
+      });
+
+      // Thread replies don't enter the room stream - update the parent and any open thread
+      socketInstance.on('thread_reply', (data) => {
+        const { message, threadId, roomId, summary } = data;
+        console.log('🧵 [SOCKET] thread_reply:', { roomId, threadId, messageId: message.id });
         setMessages(prev => ({
           ...prev,
-          [roomId]: prev[roomId]?.filter(msg => msg.id !== messageId) || []
+          [roomId]: prev[roomId]?.map(msg =>
+            msg.id === threadId ? withThreadSummary(msg, summary) : msg
+          ) || []
         }));
+        setThreads(prev => {
+          const thread = prev[threadId];
+          if (!thread) return prev;
+          // Only append when the loaded pages already reach the end of the thread
+          const replies = thread.hasMore || thread.replies.some(msg => msg.id === message.id)
+            ? thread.replies
+            : [...thread.replies, message];
+          return {
+            ...prev,
+            [threadId]: { ...thread, root: withThreadSummary(thread.root, summary), replies }
+          };
+        });
       });
 
       // Handle typing indicators
@@ -243,6 +338,52 @@ export const ChatProvider = ({ children }) => {
     }
   }, [socket, connected, currentProject]);
 
+  // Fetch unread counts for a project (e.g. for sidebar badges outside the chat page)
+  const fetchUnreadCounts = useCallback(async (projectId) => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/rooms/unread`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setUnreadCounts(prev => ({
+          ...prev,
+          [projectId]: toUnreadState(data.data)
+        }));
+        return data.data;
+      } else {
+        throw new Error(data.message);
+      }
+    } catch (error) {
+      console.error('❌ [FETCH_UNREAD] Error:', error);
+      return null;
+    }
+  }, [token]);
+
+  // Mark a room read up to a message; the server pushes fresh counts to all sessions
+  const markRoomRead = useCallback((projectId, roomId, messageId = null) => {
+    setUnreadCounts(prev => {
+      const project = prev[projectId];
+      if (!project || !project.rooms[roomId]) return prev;
+      return {
+        ...prev,
+        [projectId]: {
+          rooms: { ...project.rooms, [roomId]: 0 },
+          total: Math.max(0, project.total - project.rooms[roomId])
+        }
+      };
+    });
+
+    if (socket && connected) {
+      socket.emit('mark_room_read', { roomId, messageId });
+    }
+  }, [socket, connected]);
+
   // Fetch chat rooms for project (only if user is member)
   const fetchChatRooms = useCallback(async (projectId) => {
     try {
@@ -259,6 +400,13 @@ export const ChatProvider = ({ children }) => {
       if (data.success) {
         console.log('📋 [FETCH_ROOMS] Got rooms:', data.data.length);
         setChatRooms(data.data);
+        setUnreadCounts(prev => ({
+          ...prev,
+          [projectId]: {
+            rooms: Object.fromEntries(data.data.map(room => [room.id, room.unread_count || 0])),
+            total: data.data.reduce((sum, room) => sum + (room.unread_count || 0), 0)
+          }
+        }));
         // Set first room as active if none selected
         if (data.data.length > 0 && !activeRoom) {
           setActiveRoom(data.data[0].id);
@@ -306,6 +454,110 @@ export const ChatProvider = ({ children }) => {
     }
   }, [token]);
 
+  // Load a window of messages centred on one message (jump-to-message from search)
+  const fetchMessagesAround = useCallback(async (projectId, roomId, messageId) => {
+    try {
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/rooms/${roomId}/messages?around=${messageId}&limit=50`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        console.log('🎯 [FETCH_AROUND] Got messages:', data.data.messages.length);
+        setMessages(prev => ({
+          ...prev,
+          [roomId]: data.data.messages
+        }));
+        return data.data.pagination;
+      } else {
+        throw new Error(data.message);
+      }
+    } catch (error) {
+      console.error('❌ [FETCH_AROUND] Error:', error);
+      return null;
+    }
+  }, [token]);
+
+  // Fetch a thread's root and replies; pass the previous nextCursor to load the next page
+  const fetchThread = useCallback(async (projectId, roomId, rootId, cursor = null) => {
+    try {
+      const params = new URLSearchParams({ limit: '30' });
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await fetch(
+        `${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/rooms/${roomId}/threads/${rootId}?${params.toString()}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        const { root, replies, pagination } = data.data;
+        console.log('🧵 [FETCH_THREAD] Got replies:', replies.length);
+        setThreads(prev => ({
+          ...prev,
+          [rootId]: {
+            root,
+            replies: cursor ? [...(prev[rootId]?.replies || []), ...replies] : replies,
+            hasMore: pagination.hasMore,
+            nextCursor: pagination.nextCursor
+          }
+        }));
+        return pagination;
+      } else {
+        throw new Error(data.message);
+      }
+    } catch (error) {
+      console.error('❌ [FETCH_THREAD] Error:', error);
+      return null;
+    }
+  }, [token]);
+
+  // Reply inside a thread (goes out as send_message with a threadId)
+  const sendThreadReply = useCallback((roomId, threadId, content) => {
+    if (socket && connected && currentProject) {
+      socket.emit('send_message', { roomId, projectId: currentProject, content, messageType: 'text', threadId });
+    }
+  }, [socket, connected, currentProject]);
+
+  // Search messages across the project's rooms
+  const searchMessages = useCallback(async (projectId, { q, roomId, authorId, from, to, hasCode, page = 1 } = {}) => {
+    const params = new URLSearchParams({ q, page: String(page) });
+    if (roomId) params.set('room_id', roomId);
+    if (authorId) params.set('author_id', authorId);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (hasCode) params.set('has_code', 'true');
+
+    const response = await fetch(
+      `${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/search?${params.toString()}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.errors?.[0]?.msg || data.message || 'Search failed');
+    }
+    return data.data;
+  }, [token]);
+
   // Create new chat room (only for project members)
   const createChatRoom = useCallback(async (projectId, name, description, roomType = 'general') => {
     try {
@@ -357,6 +609,8 @@ export const ChatProvider = ({ children }) => {
     activeRoom,
     onlineUsers,
     typingUsers,
+    threads,
+    unreadCounts,
     loading,
     setActiveRoom,
     joinProjectRooms,
@@ -367,6 +621,12 @@ export const ChatProvider = ({ children }) => {
     stopTyping,
     fetchChatRooms,
     fetchMessages,
+    fetchMessagesAround,
+    fetchThread,
+    sendThreadReply,
+    searchMessages,
+    fetchUnreadCounts,
+    markRoomRead,
     createChatRoom,
     clearMessages
   };
@@ -1,9 +1,26 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { notificationService } from '../services/notificationService';
 import { useAuth } from './AuthContext';
+import { useChat } from './ChatContext';
 
 const NotificationContext = createContext();
 
+// Does a notification belong in the list currently loaded (status/type/category filters)?
+const matchesListParams = (notification, params) => {
+    if (!params) return false;
+    const status = params.status || 'inbox';
+    const isArchived = Boolean(notification.archived_at);
+
+    if (status === 'archived' ? !isArchived : isArchived) return false;
+    if (status === 'unread' && notification.is_read) return false;
+    if (status === 'read' && !notification.is_read) return false;
+    if (params.type && !params.type.split(',').includes(notification.notification_type)) return false;
+    if (params.category && notification.category !== params.category) return false;
+    return true;
+};
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
 export const useNotifications = () => {
     const context = useContext(NotificationContext);
     if (!context) {
@@ -15,9 +32,25 @@ export const useNotifications = () => {
 export const NotificationProvider = ({ children }) => {
     const [notifications, setNotifications] = useState([]);
     const [unreadCount, setUnreadCount] = useState(0);
+    const [unreadByType, setUnreadByType] = useState({});
+    const [pagination, setPagination] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const { user } = useAuth();
+    const { socket, connected } = useChat();
+    // Server time up to which this client has every change; sent on reconnect to catch up
+    const cursorRef = useRef(null);
+    // Filters of the list in `notifications`, so pushed changes land only where they belong
+    const listParamsRef = useRef(null);
+
+    const applyCounts = useCallback((response, { advanceCursor = true } = {}) => {
+        setUnreadCount(response.unread_count || 0);
+        setUnreadByType(response.by_type || {});
+        if (advanceCursor && response.server_time &&
+            (!cursorRef.current || response.server_time > cursorRef.current)) {
+            cursorRef.current = response.server_time;
+        }
+    }, []);
 
     console.log('🔔 NotificationContext: Provider initialized with user:', user?.id);
 
@@ -30,9 +63,8 @@ export const NotificationProvider = ({ children }) => {
         try {
             console.log('🔔 NotificationContext: Fetching unread count...');
             const response = await notificationService.getUnreadCount();
-            const count = response.unread_count || 0;
-            console.log('🔔 NotificationContext: Unread count fetched:', count);
-            setUnreadCount(count);
+            console.log('🔔 NotificationContext: Unread count fetched:', response.unread_count || 0);
+            applyCounts(response);
             setError(null);
         } catch (error) {
             console.error('🔔 NotificationContext: Error fetching unread count:', error);
@@ -45,7 +77,7 @@ export const NotificationProvider = ({ children }) => {
             
             setError('Failed to fetch unread count');
         }
-    }, [user]);
+    }, [user, applyCounts]);
 
     const fetchNotifications = useCallback(async (params = {}) => {
         if (!user) {
@@ -57,10 +89,13 @@ export const NotificationProvider = ({ children }) => {
             console.log('🔔 NotificationContext: Fetching notifications with params:', params);
             setLoading(true);
             setError(null);
-            const response = await notificationService.getCommentNotifications(params);
+            listParamsRef.current = params;
+            const response = await notificationService.getNotifications(params);
             const notificationsList = response.notifications || [];
             console.log('🔔 NotificationContext: Notifications fetched:', notificationsList.length);
-            setNotifications(notificationsList);
+            // Later pages are appended ("Load more"), page 1 replaces the list
+            setNotifications(prev => (params.page > 1 ? [...prev, ...notificationsList] : notificationsList));
+            setPagination(response.pagination || null);
             return response;
         } catch (error) {
             console.error('🔔 NotificationContext: Error fetching notifications:', error);
@@ -77,6 +112,25 @@ export const NotificationProvider = ({ children }) => {
         }
     }, [user]);
 
+    // Merge created/regrouped/synced notifications into the loaded list
+    const upsertNotifications = useCallback((incoming) => {
+        if (!listParamsRef.current || incoming.length === 0) return;
+        const incomingIds = new Set(incoming.map(notif => notif.id));
+
+        setNotifications(prev => [
+            ...prev.filter(notif => !incomingIds.has(notif.id)),
+            ...incoming.filter(notif => matchesListParams(notif, listParamsRef.current))
+        ].sort(newestFirst));
+    }, []);
+
+    const handleActionError = useCallback((error, message) => {
+        if (error.message.includes('429') || error.message.includes('Too many requests')) {
+            setError('Rate limited - please wait before trying again');
+        } else {
+            setError(message);
+        }
+    }, []);
+
     const markAsRead = useCallback(async (notificationIds) => {
         try {
             console.log('🔔 NotificationContext: Marking as read:', notificationIds);
@@ -91,48 +145,86 @@ export const NotificationProvider = ({ children }) => {
                 )
             );
             
-            // Update unread count
-            setUnreadCount(prev => Math.max(0, prev - notificationIds.length));
             setError(null);
+            await fetchUnreadCount();
             
         } catch (error) {
             console.error('🔔 NotificationContext: Error marking as read:', error);
-            
-            if (error.message.includes('429') || error.message.includes('Too many requests')) {
-                setError('Rate limited - please wait before trying again');
-            } else {
-                setError('Failed to mark notifications as read');
-            }
+            handleActionError(error, 'Failed to mark notifications as read');
             throw error;
         }
-    }, []);
+    }, [fetchUnreadCount, handleActionError]);
+
+    // Mark every notification of one type (e.g. all friend requests) as read
+    const markTypeAsRead = useCallback(async (type) => {
+        try {
+            await notificationService.markNotificationsRead({ type });
+            setNotifications(prev =>
+                prev.map(notif => (notif.notification_type === type ? { ...notif, is_read: true } : notif))
+            );
+            setError(null);
+            await fetchUnreadCount();
+        } catch (error) {
+            console.error('🔔 NotificationContext: Error marking type as read:', error);
+            handleActionError(error, 'Failed to mark notifications as read');
+            throw error;
+        }
+    }, [fetchUnreadCount, handleActionError]);
 
     const markAllAsRead = useCallback(async () => {
         try {
-            const unreadIds = notifications
-                .filter(notif => !notif.is_read)
-                .map(notif => notif.id);
-            
-            if (unreadIds.length > 0) {
-                await markAsRead(unreadIds);
-            }
+            await notificationService.markNotificationsRead({ all: true });
+            setNotifications(prev => prev.map(notif => ({ ...notif, is_read: true })));
+            setUnreadCount(0);
+            setUnreadByType({});
+            setError(null);
         } catch (error) {
             console.error('🔔 NotificationContext: Error marking all as read:', error);
-            setError('Failed to mark all notifications as read');
+            handleActionError(error, 'Failed to mark all notifications as read');
+            throw error;
+        }
+    }, [handleActionError]);
+
+    // Archive (or restore) by ids or by { type }; either way they leave the list being shown
+    const archiveNotifications = useCallback(async (scope, archived = true) => {
+        try {
+            await notificationService.archiveNotifications(scope, archived);
+            setNotifications(prev => prev.filter(notif =>
+                Array.isArray(scope) ? !scope.includes(notif.id) : notif.notification_type !== scope.type
+            ));
+            setError(null);
+            await fetchUnreadCount();
+        } catch (error) {
+            console.error('🔔 NotificationContext: Error archiving notifications:', error);
+            handleActionError(error, 'Failed to archive notifications');
+            throw error;
+        }
+    }, [fetchUnreadCount, handleActionError]);
+
+    const deleteNotification = useCallback(async (notificationId) => {
+        try {
+            await notificationService.deleteNotification(notificationId);
+            setNotifications(prev => prev.filter(notif => notif.id !== notificationId));
+            setError(null);
+            await fetchUnreadCount();
+        } catch (error) {
+            console.error('🔔 NotificationContext: Error deleting notification:', error);
+            handleActionError(error, 'Failed to delete notification');
             throw error;
         }
-    }, [notifications, markAsRead]);
+    }, [fetchUnreadCount, handleActionError]);
 
     const clearError = useCallback(() => {
         console.log('🔔 NotificationContext: Clearing error');
         setError(null);
     }, []);
 
-    // Fetch unread count on mount and set up polling (less frequent)
+    // Fetch unread count on mount; poll only while the socket is down
     useEffect(() => {
         if (user) {
             console.log('🔔 NotificationContext: User found, fetching unread count');
             fetchUnreadCount();
+            if (connected) return;
             
             // Poll for unread count every 2 minutes (reduced frequency)
             const interval = setInterval(fetchUnreadCount, 2 * 60 * 1000);
@@ -142,18 +234,84 @@ export const NotificationProvider = ({ children }) => {
             // Clear state when user logs out
             setNotifications([]);
             setUnreadCount(0);
+            setUnreadByType({});
+            setPagination(null);
             setError(null);
+            cursorRef.current = null;
+            listParamsRef.current = null;
+        }
+    }, [user, connected, fetchUnreadCount]);
+
+    // Live updates pushed to this user's room (all of their tabs and devices)
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleNew = ({ notification }) => {
+            upsertNotifications([notification]);
+        };
+
+        // Read/archive changes made here or in another tab
+        const handleUpdated = ({ ids, changes }) => {
+            setNotifications(prev => prev
+                .map(notif => (ids.includes(notif.id) ? { ...notif, ...changes } : notif))
+                .filter(notif => !ids.includes(notif.id) || matchesListParams(notif, listParamsRef.current)));
+        };
+
+        const handleDeleted = ({ id }) => {
+            setNotifications(prev => prev.filter(notif => notif.id !== id));
+        };
+
+        const handleSync = (response) => {
+            // Too much missed (or no usable cursor) - start over from the API
+            if (response.reset || response.has_more) {
+                cursorRef.current = null;
+                fetchUnreadCount();
+                if (listParamsRef.current) {
+                    fetchNotifications({ ...listParamsRef.current, page: 1 }).catch(() => {});
+                }
+                return;
+            }
+
+            upsertNotifications(response.notifications || []);
+            applyCounts(response, { advanceCursor: false });
+            if (response.cursor) cursorRef.current = response.cursor;
+        };
+
+        socket.on('notification_new', handleNew);
+        socket.on('notifications_updated', handleUpdated);
+        socket.on('notification_deleted', handleDeleted);
+        socket.on('notification_unread_count', applyCounts);
+        socket.on('notifications_sync', handleSync);
+
+        return () => {
+            socket.off('notification_new', handleNew);
+            socket.off('notifications_updated', handleUpdated);
+            socket.off('notification_deleted', handleDeleted);
+            socket.off('notification_unread_count', applyCounts);
+            socket.off('notifications_sync', handleSync);
+        };
+    }, [socket, upsertNotifications, applyCounts, fetchUnreadCount, fetchNotifications]);
+
+    // After a reconnect, ask for whatever changed while we were away
+    useEffect(() => {
+        if (socket && connected && cursorRef.current) {
+            socket.emit('sync_notifications', { since: cursorRef.current });
         }
-    }, [user, fetchUnreadCount]);
+    }, [socket, connected]);
 
     const value = {
         notifications,
         unreadCount,
+        unreadByType,
+        pagination,
         loading,
         error,
         fetchNotifications,
         markAsRead,
+        markTypeAsRead,
         markAllAsRead,
+        archiveNotifications,
+        deleteNotification,
         fetchUnreadCount,
         clearError
     };
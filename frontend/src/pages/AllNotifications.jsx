@@ -1,68 +1,106 @@
 // frontend/src/pages/AllNotifications.jsx
-import React, { useState, useEffect } from 'react';
-import { Bell, Trash2, Check, CheckCheck, AtSign, MessageCircle, FileText } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell, Trash2, Check, CheckCheck, Archive, ArchiveRestore, Settings } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useNotifications } from '../contexts/NotificationContext';
+import { notificationService } from '../services/notificationService';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
+import NotificationPreferences from '../components/Notifications/NotificationPreferences';
+import {
+    getNotificationIcon,
+    formatTimeAgo,
+    truncateText,
+    getNotificationLink
+} from '../components/Notifications/notificationDisplay';
 import './AllNotifications.css';
 
+const PAGE_SIZE = 30;
+
+const STATUS_TABS = [
+    { id: 'inbox', label: 'All' },
+    { id: 'unread', label: 'Unread' },
+    { id: 'read', label: 'Read' },
+    { id: 'archived', label: 'Archived' }
+];
+
 const AllNotifications = () => {
     const navigate = useNavigate();
     const {
         notifications,
+        unreadCount,
+        unreadByType,
+        pagination,
         loading,
         error,
         fetchNotifications,
         markAsRead,
+        markTypeAsRead,
         markAllAsRead,
+        archiveNotifications,
         deleteNotification,
         clearError
     } = useNotifications();
 
-    const [filter, setFilter] = useState('all'); // 'all', 'unread', 'read'
+    const [status, setStatus] = useState('inbox');
+    const [typeFilter, setTypeFilter] = useState('');
+    const [notificationTypes, setNotificationTypes] = useState([]);
+    const [page, setPage] = useState(1);
     const [localError, setLocalError] = useState(null);
-    const [deletingIds, setDeletingIds] = useState(new Set());
-
-    useEffect(() => {
-        loadNotifications();
-    }, []);
+    const [busyIds, setBusyIds] = useState(new Set());
+    const [showPreferences, setShowPreferences] = useState(false);
 
-    const loadNotifications = async () => {
+    const loadNotifications = useCallback(async (pageToLoad = 1) => {
         try {
             setLocalError(null);
             if (clearError) clearError();
-            await fetchNotifications({ limit: 100 }); // Load more notifications on full page
+            await fetchNotifications({ status, type: typeFilter, page: pageToLoad, limit: PAGE_SIZE });
+            setPage(pageToLoad);
         } catch (error) {
             console.error('Failed to load notifications:', error);
             setLocalError('Failed to load notifications');
         }
-    };
+    }, [fetchNotifications, clearError, status, typeFilter]);
+
+    useEffect(() => {
+        loadNotifications(1);
+    }, [loadNotifications]);
 
-    const handleMarkAllRead = async () => {
+    useEffect(() => {
+        notificationService.getNotificationTypes()
+            .then(response => setNotificationTypes(response.types || []))
+            .catch(error => console.error('Failed to load notification types:', error));
+    }, []);
+
+    const runAction = async (action, errorMessage) => {
         try {
             setLocalError(null);
             if (clearError) clearError();
-            await markAllAsRead();
+            await action();
         } catch (error) {
-            console.error('Failed to mark all as read:', error);
-            setLocalError('Failed to mark all as read');
+            console.error(errorMessage, error);
+            setLocalError(errorMessage);
         }
     };
 
-    const handleDelete = async (notificationId) => {
-        try {
-            setDeletingIds(prev => new Set(prev).add(notificationId));
-            await deleteNotification(notificationId);
-        } catch (error) {
-            console.error('Error deleting notification:', error);
-            setLocalError('Failed to delete notification');
-        } finally {
-            setDeletingIds(prev => {
-                const newSet = new Set(prev);
-                newSet.delete(notificationId);
-                return newSet;
-            });
-        }
+    const handleMarkAllRead = () => runAction(
+        () => (typeFilter ? markTypeAsRead(typeFilter) : markAllAsRead()),
+        'Failed to mark notifications as read'
+    );
+
+    const handleArchiveType = () => runAction(
+        () => archiveNotifications({ type: typeFilter }, status !== 'archived'),
+        'Failed to archive notifications'
+    );
+
+    // Per-notification actions, with a spinner on the card while they run
+    const handleCardAction = async (notificationId, action, errorMessage) => {
+        setBusyIds(prev => new Set(prev).add(notificationId));
+        await runAction(action, errorMessage);
+        setBusyIds(prev => {
+            const newSet = new Set(prev);
+            newSet.delete(notificationId);
+            return newSet;
+        });
     };
 
     const handleNotificationClick = async (notification) => {
@@ -71,67 +109,15 @@ const AllNotifications = () => {
                 await markAsRead([notification.id]);
             }
 
-            const { comment } = notification;
-            const projectId = comment.task.project.id;
-            const taskId = comment.task.id;
-
-            navigate(`/project/${projectId}/tasks/${taskId}`);
+            const link = getNotificationLink(notification);
+            if (link) navigate(link);
         } catch (error) {
             console.error('Error handling notification click:', error);
         }
     };
 
-    const formatTimeAgo = (dateString) => {
-        const now = new Date();
-        const notificationDate = new Date(dateString);
-        const diffInSeconds = Math.floor((now - notificationDate) / 1000);
-
-        if (diffInSeconds < 60) return 'just now';
-        if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
-        if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
-        if (diffInSeconds < 604800) return `${Math.floor(diffInSeconds / 86400)}d ago`;
-
-        return notificationDate.toLocaleDateString();
-    };
-
-    const getNotificationIcon = (type) => {
-        switch (type) {
-            case 'mention':
-                return <AtSign size={18} />;
-            case 'reply':
-                return <MessageCircle size={18} />;
-            case 'task_comment':
-                return <FileText size={18} />;
-            default:
-                return <Bell size={18} />;
-        }
-    };
-
-    const getNotificationMessage = (notification) => {
-        const { comment } = notification;
-        const authorName = comment.author.full_name;
-        const taskTitle = comment.task.title;
-        const projectName = comment.task.project.name;
-
-        switch (notification.notification_type) {
-            case 'mention':
-                return `${authorName} mentioned you in a comment on "${taskTitle}"`;
-            case 'reply':
-                return `${authorName} replied to your comment on "${taskTitle}"`;
-            case 'task_comment':
-                return `${authorName} commented on "${taskTitle}" in ${projectName}`;
-            default:
-                return `${authorName} left a comment`;
-        }
-    };
-
-    const filteredNotifications = notifications.filter(notification => {
-        if (filter === 'unread') return !notification.is_read;
-        if (filter === 'read') return notification.is_read;
-        return true;
-    });
-
-    const unreadCount = notifications.filter(n => !n.is_read).length;
+    const selectedTypeLabel = notificationTypes.find(t => t.type === typeFilter)?.label;
+    const typeUnreadCount = typeFilter ? (unreadByType[typeFilter] || 0) : unreadCount;
     const displayError = localError || error;
 
     return (
@@ -147,42 +133,74 @@ const AllNotifications = () => {
                 </div>
 
                 <div className="header-actions">
-                    {unreadCount > 0 && (
+                    <select
+                        className="notification-type-select"
+                        value={typeFilter}
+                        onChange={(e) => setTypeFilter(e.target.value)}
+                        aria-label="Filter by type"
+                    >
+                        <option value="">All types</option>
+                        {notificationTypes.map(({ type, label }) => (
+                            <option key={type} value={type}>
+                                {label}{unreadByType[type] ? ` (${unreadByType[type]})` : ''}
+                            </option>
+                        ))}
+                    </select>
+
+                    {typeUnreadCount > 0 && status !== 'archived' && (
                         <button
                             onClick={handleMarkAllRead}
                             className="mark-all-read-button"
                             disabled={loading}
                         >
                             <CheckCheck size={18} />
-                            Mark all as read
+                            {typeFilter ? `Mark ${selectedTypeLabel || 'these'} read` : 'Mark all as read'}
                         </button>
                     )}
+
+                    {typeFilter && notifications.length > 0 && (
+                        <button
+                            onClick={handleArchiveType}
+                            className="mark-all-read-button"
+                            disabled={loading}
+                        >
+                            {status === 'archived' ? <ArchiveRestore size={18} /> : <Archive size={18} />}
+                            {status === 'archived' ? 'Restore all' : 'Archive all'}
+                        </button>
+                    )}
+
+                    <button
+                        onClick={() => setShowPreferences(prev => !prev)}
+                        className="mark-all-read-button"
+                        aria-label="Notification settings"
+                    >
+                        <Settings size={18} />
+                        Settings
+                    </button>
                 </div>
             </div>
 
+            {showPreferences && (
+                <NotificationPreferences
+                    notificationTypes={notificationTypes}
+                    onClose={() => setShowPreferences(false)}
+                />
+            )}
+
             {/* Filter Tabs */}
             <div className="notification-filters">
-                <button
-                    className={`filter-tab ${filter === 'all' ? 'active' : ''}`}
-                    onClick={() => setFilter('all')}
-                >
-                    All
-                    <span className="filter-count">{notifications.length}</span>
-                </button>
-                <button
-                    className={`filter-tab ${filter === 'unread' ? 'active' : ''}`}
-                    onClick={() => setFilter('unread')}
-                >
-                    Unread
-                    <span className="filter-count">{unreadCount}</span>
-                </button>
-                <button
-                    className={`filter-tab ${filter === 'read' ? 'active' : ''}`}
-                    onClick={() => setFilter('read')}
-                >
-                    Read
-                    <span className="filter-count">{notifications.length - unreadCount}</span>
-                </button>
+                {STATUS_TABS.map(tab => (
+                    <button
+                        key={tab.id}
+                        className={`filter-tab ${status === tab.id ? 'active' : ''}`}
+                        onClick={() => setStatus(tab.id)}
+                    >
+                        {tab.label}
+                        {tab.id === 'unread' && (
+                            <span className="filter-count">{typeUnreadCount}</span>
+                        )}
+                    </button>
+                ))}
             </div>
 
             {/* Content */}
@@ -195,79 +213,130 @@ const AllNotifications = () => {
                 ) : displayError ? (
                     <div className="notifications-error">
                         <p>{displayError}</p>
-                        <button onClick={loadNotifications} className="retry-button">
+                        <button onClick={() => loadNotifications(1)} className="retry-button">
                             Try again
                         </button>
                     </div>
-                ) : filteredNotifications.length === 0 ? (
+                ) : notifications.length === 0 ? (
                     <div className="notifications-empty">
                         <Bell size={64} className="empty-icon" />
                         <h2>
-                            {filter === 'unread' ? 'No unread notifications' : 
-                             filter === 'read' ? 'No read notifications' : 
+                            {status === 'unread' ? 'No unread notifications' :
+                             status === 'read' ? 'No read notifications' :
+                             status === 'archived' ? 'Nothing archived' :
                              'No notifications yet'}
                         </h2>
                         <p>
-                            {filter === 'all' 
-                                ? "You'll see notifications for comments and mentions here"
-                                : `You don't have any ${filter} notifications`}
+                            {status === 'inbox' && !typeFilter
+                                ? "You'll see comments, friend requests, project updates and awards here"
+                                : 'Try another filter'}
                         </p>
                     </div>
                 ) : (
                     <div className="notifications-list">
-                        {filteredNotifications.map((notification) => (
-                            <div
-                                key={notification.id}
-                                className={`notification-card ${!notification.is_read ? 'unread' : ''}`}
-                                onClick={() => handleNotificationClick(notification)}
-                            >
-                                <div className="notification-card-icon">
-                                    {getNotificationIcon(notification.notification_type)}
-                                </div>
+                        {notifications.map((notification) => {
+                            const isBusy = busyIds.has(notification.id);
+                            const isArchived = Boolean(notification.archived_at);
 
-                                <div className="notification-card-content">
-                                    <p className="notification-card-message">
-                                        {getNotificationMessage(notification)}
-                                    </p>
+                            return (
+                                <div
+                                    key={notification.id}
+                                    className={`notification-card ${!notification.is_read ? 'unread' : ''}`}
+                                    onClick={() => handleNotificationClick(notification)}
+                                >
+                                    <div className="notification-card-icon">
+                                        {notification.actor?.avatar_url ? (
+                                            <img
+                                                src={notification.actor.avatar_url}
+                                                alt={notification.actor.full_name || notification.actor.username}
+                                                className="notification-actor-avatar"
+                                            />
+                                        ) : (
+                                            getNotificationIcon(notification.notification_type, 18)
+                                        )}
+                                    </div>
 
-                                    {notification.comment.content && (
-                                        <div className="notification-card-preview">
-                                            "{notification.comment.content.length > 150
-                                                ? notification.comment.content.substring(0, 150) + '...'
-                                                : notification.comment.content}"
-                                        </div>
-                                    )}
+                                    <div className="notification-card-content">
+                                        <p className="notification-card-message">
+                                            {notification.title}
+                                        </p>
 
-                                    <div className="notification-card-meta">
-                                        <span className="notification-time">
-                                            {formatTimeAgo(notification.created_at)}
-                                        </span>
-                                        {!notification.is_read && (
-                                            <span className="unread-indicator">
-                                                <Check size={14} />
-                                                New
-                                            </span>
+                                        {notification.message && (
+                                            <div className="notification-card-preview">
+                                                "{truncateText(notification.message, 150)}"
+                                            </div>
                                         )}
+
+                                        <div className="notification-card-meta">
+                                            <span className="notification-time">
+                                                {formatTimeAgo(notification.created_at)}
+                                            </span>
+                                            {notification.project?.title && (
+                                                <span className="notification-time">· {notification.project.title}</span>
+                                            )}
+                                            {notification.group_count > 1 && (
+                                                <span className="filter-count">{notification.group_count}</span>
+                                            )}
+                                            {!notification.is_read && (
+                                                <span className="unread-indicator">
+                                                    <Check size={14} />
+                                                    New
+                                                </span>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    <div className="notification-card-actions">
+                                        <button
+                                            className="notification-delete-button"
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleCardAction(
+                                                    notification.id,
+                                                    () => archiveNotifications([notification.id], !isArchived),
+                                                    'Failed to archive notification'
+                                                );
+                                            }}
+                                            disabled={isBusy}
+                                            aria-label={isArchived ? 'Restore notification' : 'Archive notification'}
+                                            title={isArchived ? 'Restore' : 'Archive'}
+                                        >
+                                            {isArchived ? <ArchiveRestore size={18} /> : <Archive size={18} />}
+                                        </button>
+                                        <button
+                                            className="notification-delete-button"
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleCardAction(
+                                                    notification.id,
+                                                    () => deleteNotification(notification.id),
+                                                    'Failed to delete notification'
+                                                );
+                                            }}
+                                            disabled={isBusy}
+                                            aria-label="Delete notification"
+                                            title="Delete"
+                                        >
+                                            {isBusy ? (
+                                                <LoadingSpinner size="small" />
+                                            ) : (
+                                                <Trash2 size={18} />
+                                            )}
+                                        </button>
                                     </div>
                                 </div>
+                            );
+                        })}
 
-                                <button
-                                    className="notification-delete-button"
-                                    onClick={(e) => {
-                                        e.stopPropagation();
-                                        handleDelete(notification.id);
-                                    }}
-                                    disabled={deletingIds.has(notification.id)}
-                                    aria-label="Delete notification"
-                                >
-                                    {deletingIds.has(notification.id) ? (
-                                        <LoadingSpinner size="small" />
-                                    ) : (
-                                        <Trash2 size={18} />
-                                    )}
-                                </button>
-                            </div>
-                        ))}
+                        {pagination?.has_more && (
+                            <button
+                                onClick={() => loadNotifications(page + 1)}
+                                className="retry-button"
+                                disabled={loading}
+                            >
+                                {loading ? 'Loading...' : 'Load more'}
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
@@ -275,4 +344,4 @@ const AllNotifications = () => {
     );
 };
 
-export default AllNotifications;
\ No newline at end of file
+export default AllNotifications;
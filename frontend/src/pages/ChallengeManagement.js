@@ -2,7 +2,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import ChallengeForm from '../components/ChallengeForm';
 import ChallengeAPI from '../services/challengeAPI';
-import { Plus, Search, Filter, X, Edit3, Trash2, Clock, Users, Code, PanelLeft } from 'lucide-react';
+import { Plus, Search, Filter, X, Edit3, Trash2, Clock, Users, Code, PanelLeft, FlaskConical } from 'lucide-react';
 
 // Background symbols component with animations
 const BackgroundSymbols = () => (
@@ -1313,6 +1313,14 @@ const ChallengeManagement = () => {
                       {challenge.time_limit_minutes} min
                     </span>
                   )}
+
+                  {Array.isArray(challenge.test_cases) && challenge.test_cases.length > 0 && (
+                    <span style={styles.timeBadge}>
+                      <FlaskConical size={14} />
+                      {challenge.test_cases.length} tests
+                      {challenge.test_cases.some(tc => tc.hidden) && ` · ${challenge.test_cases.filter(tc => tc.hidden).length} hidden`}
+                    </span>
+                  )}
                 </div>
 
                 <div style={styles.challengeActions}>
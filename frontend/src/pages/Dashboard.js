@@ -1162,14 +1162,6 @@ useEffect(() => {
     setSelectedProjectForChallenge(null);
   };
 
-  // ADD SUCCESS HANDLER FOR CHALLENGE COMPLETION
-  const handleChallengeSuccess = () => {
-    setShowChallengeModal(false);
-    setSelectedProjectForChallenge(null);
-    // Optionally refresh recommendations or navigate to project
-    // navigate(`/projects/${selectedProjectForChallenge?.projectId}`);
-  };
-
   const styles = {
     toggleButton: {
       position: 'fixed',
@@ -2819,7 +2811,6 @@ useEffect(() => {
           <ProjectChallengeInterface
             projectId={selectedProjectForChallenge.projectId}
             onClose={handleCloseChallengeModal}
-            onSuccess={handleChallengeSuccess}
           />
         </div>,
         document.body
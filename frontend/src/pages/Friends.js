@@ -1,7 +1,8 @@
 // frontend/src/pages/Friends.js - ALIGNED WITH DASHBOARD THEME AND ANIMATED BACKGROUND
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { friendsService } from '../services/friendsService';
-import { Users, UserPlus, UserCheck, UserX, User, Clock, Mail, Award, Trophy, PanelLeft, Calendar } from 'lucide-react';
+import DirectMessages from '../components/DirectMessages/DirectMessages';
+import { Users, UserPlus, UserCheck, UserX, User, Clock, Mail, Award, Trophy, PanelLeft, Calendar, MessageCircle } from 'lucide-react';
 
 // Background symbols component with animations - MATCHING DASHBOARD
 const BackgroundSymbols = () => (
@@ -368,6 +369,7 @@ function Friends() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('friends');
+  const [messageFriendId, setMessageFriendId] = useState(null);
   const [selectedFriend, setSelectedFriend] = useState(null);
   const [showProfileModal, setShowProfileModal] = useState(false);
   
@@ -455,6 +457,13 @@ function Friends() {
     }
   };
 
+  const handleMessageFriend = (friendId) => {
+    setMessageFriendId(friendId);
+    setActiveTab('messages');
+  };
+
+  const clearMessageFriend = useCallback(() => setMessageFriendId(null), []);
+
   const handleRemoveFriend = async (friendshipId, friendName) => {
     if (!window.confirm(`Are you sure you want to remove ${friendName} from your friends?`)) {
       return;
@@ -666,18 +675,32 @@ function Friends() {
               </div>
             </div>
           </div>
-          <button
-            style={styles.removeButton}
-            onClick={() => handleRemoveFriend(friend.friendshipId, friend.full_name || friend.username)}
-            onMouseEnter={(e) => {
-              e.target.style.backgroundColor = '#c53030';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.backgroundColor = '#dc3545';
-            }}
-          >
-            Remove
-          </button>
+          <div style={styles.requestActions}>
+            <button
+              style={styles.messageButton}
+              onClick={() => handleMessageFriend(friend.id)}
+              onMouseEnter={(e) => {
+                e.target.style.backgroundColor = '#2563eb';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.backgroundColor = '#3b82f6';
+              }}
+            >
+              Message
+            </button>
+            <button
+              style={styles.removeButton}
+              onClick={() => handleRemoveFriend(friend.friendshipId, friend.full_name || friend.username)}
+              onMouseEnter={(e) => {
+                e.target.style.backgroundColor = '#c53030';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.backgroundColor = '#dc3545';
+              }}
+            >
+              Remove
+            </button>
+          </div>
         </div>
       </div>
     );
@@ -1115,6 +1138,17 @@ function Friends() {
       cursor: 'pointer',
       transition: 'all 0.3s ease'
     },
+    messageButton: {
+      backgroundColor: '#3b82f6',
+      color: 'white',
+      border: 'none',
+      borderRadius: '8px',
+      padding: '10px 16px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer',
+      transition: 'all 0.3s ease'
+    },
     requestActions: {
       display: 'flex',
       gap: '10px',
@@ -1474,6 +1508,16 @@ function Friends() {
             <Clock size={16} />
             Sent ({friendsData.counts.sentRequests})
           </button>
+          <button
+            style={{
+              ...styles.tab,
+              ...(activeTab === 'messages' ? styles.activeTab : {})
+            }}
+            onClick={() => setActiveTab('messages')}
+          >
+            <MessageCircle size={16} />
+            Messages
+          </button>
         </div>
 
         <div style={styles.content}>
@@ -1530,6 +1574,14 @@ function Friends() {
               )}
             </div>
           )}
+
+          {activeTab === 'messages' && (
+            <DirectMessages
+              friends={friendsData.friends}
+              openWithFriendId={messageFriendId}
+              onOpened={clearMessageFriend}
+            />
+          )}
         </div>
 
         {showProfileModal && selectedFriend && (
@@ -1,15 +1,48 @@
 // frontend/src/pages/ProjectJoinPage.js - UPDATED FOR CHALLENGE FLOW
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import ProjectChallengeInterface from '../components/ProjectChallengeInterface';
+import { projectService } from '../services/projectService';
+
+const ROLE_LABELS = {
+  viewer: 'Viewer',
+  mentor: 'Mentor',
+  member: 'Member',
+  moderator: 'Moderator',
+  lead: 'Lead'
+};
 
 const ProjectJoinPage = () => {
-  const { projectId, inviteCode } = useParams(); // Handle both projectId and inviteCode
+  const { projectId, inviteCode } = useParams(); // /projects/:projectId/join or /join/:inviteCode
   const navigate = useNavigate();
   const location = useLocation();
 
-  // Determine the actual project ID
-  const actualProjectId = projectId || inviteCode;
+  // Invite links: what the code leads to, and where we are in joining
+  const [inviteDetails, setInviteDetails] = useState(null);
+  const [inviteLoading, setInviteLoading] = useState(Boolean(inviteCode));
+  const [inviteError, setInviteError] = useState(null);
+  const [joining, setJoining] = useState(false);
+  const [showChallenge, setShowChallenge] = useState(false);
+
+  const actualProjectId = projectId || inviteDetails?.project?.id;
+
+  useEffect(() => {
+    if (!inviteCode) return;
+
+    const fetchInvite = async () => {
+      try {
+        setInviteLoading(true);
+        const response = await projectService.getInviteDetails(inviteCode);
+        setInviteDetails(response.data);
+      } catch (error) {
+        setInviteError(error.response?.data?.message || 'This invite link is not valid');
+      } finally {
+        setInviteLoading(false);
+      }
+    };
+
+    fetchInvite();
+  }, [inviteCode]);
 
   const handleClose = () => {
     // Navigate back to dashboard or projects page
@@ -22,15 +55,42 @@ const ProjectJoinPage = () => {
     }
   };
 
+  const redeemInvite = async () => {
+    try {
+      setJoining(true);
+      setInviteError(null);
+      const response = await projectService.redeemInvite(inviteCode);
+      navigate(`/project/${response.data.projectId}/dashboard`);
+    } catch (error) {
+      const data = error.response?.data;
+      if (data?.requiresChallenge) {
+        setShowChallenge(true);
+      } else {
+        setInviteError(data?.message || 'Failed to join the project');
+      }
+    } finally {
+      setJoining(false);
+    }
+  };
+
   const handleSuccess = (result) => {
     console.log('🎉 Challenge completed successfully:', result);
-    
+
+    // With a usable invite the challenge only qualifies them - the invite adds them with its role.
+    // On projects that also review applicants, the invite is the approval.
+    if (inviteCode && result.redeemInvite) {
+      setTimeout(redeemInvite, 2000);
+      return;
+    }
+
     if (result.projectJoined) {
       // User successfully joined the project via challenge
       // Navigate to the project dashboard
       setTimeout(() => {
         navigate(`/project/${actualProjectId}/dashboard`);
       }, 2000); // Give time for user to see success message
+    } else if (result.joinRequested) {
+      // Project reviews applicants - stay so they can add a pitch to their request
     } else if (result.passed) {
       // Challenge passed but didn't auto-join (shouldn't happen normally)
       // Still redirect to project dashboard or back to projects
@@ -46,16 +106,151 @@ const ProjectJoinPage = () => {
     // Don't automatically navigate away, let user decide
   };
 
+  if (!inviteCode || showChallenge) {
+    return (
+      <div>
+        <ProjectChallengeInterface
+          projectId={actualProjectId}
+          inviteCode={inviteCode}
+          onClose={handleClose}
+          onSuccess={handleSuccess}
+          onFailure={handleFailure}
+        />
+      </div>
+    );
+  }
+
+  const styles = {
+    page: {
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#0F1116',
+      padding: '24px'
+    },
+    card: {
+      maxWidth: '480px',
+      width: '100%',
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '16px',
+      padding: '32px',
+      color: 'white',
+      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3)'
+    },
+    title: {
+      margin: '0 0 8px',
+      fontSize: '24px',
+      fontWeight: '700'
+    },
+    text: {
+      color: '#9ca3af',
+      fontSize: '14px',
+      lineHeight: 1.6,
+      margin: '0 0 16px'
+    },
+    error: {
+      color: '#fca5a5',
+      fontSize: '14px',
+      margin: '0 0 16px'
+    },
+    actions: {
+      display: 'flex',
+      gap: '12px',
+      marginTop: '24px'
+    },
+    primaryButton: {
+      flex: 1,
+      background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+      color: 'white',
+      border: 'none',
+      padding: '12px 16px',
+      borderRadius: '8px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    secondaryButton: {
+      flex: 1,
+      background: 'transparent',
+      color: '#d1d5db',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      padding: '12px 16px',
+      borderRadius: '8px',
+      fontSize: '14px',
+      cursor: 'pointer'
+    }
+  };
+
+  if (inviteLoading) {
+    return (
+      <div style={styles.page}>
+        <div style={styles.card}>
+          <p style={styles.text}>Checking your invite link...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const invite = inviteDetails?.invite;
+  const project = inviteDetails?.project;
+  const membershipRole = inviteDetails?.membershipRole;
+  const alreadyIn = Boolean(membershipRole);
+
   return (
-    <div>
-      <ProjectChallengeInterface 
-        projectId={actualProjectId} 
-        onClose={handleClose}
-        onSuccess={handleSuccess}
-        onFailure={handleFailure}
-      />
+    <div style={styles.page}>
+      <div style={styles.card}>
+        {!inviteDetails ? (
+          <>
+            <h1 style={styles.title}>Invite link not found</h1>
+            <p style={styles.error}>{inviteError}</p>
+          </>
+        ) : (
+          <>
+            <h1 style={styles.title}>Join {project.title}</h1>
+            {project.description && <p style={styles.text}>{project.description}</p>}
+            <p style={styles.text}>
+              You've been invited to join as <strong>{ROLE_LABELS[invite.role] || invite.role}</strong>.
+              {invite.requires_challenge && ' You\'ll need to pass the project\'s entry challenge first.'}
+            </p>
+
+            {!invite.valid && <p style={styles.error}>{invite.message}</p>}
+            {invite.valid && inviteDetails.isFull && !alreadyIn && (
+              <p style={styles.error}>This project is full right now.</p>
+            )}
+            {alreadyIn && (
+              <p style={styles.text}>You're already in this project as {membershipRole}.</p>
+            )}
+            {inviteError && <p style={styles.error}>{inviteError}</p>}
+          </>
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.secondaryButton} onClick={handleClose}>
+            Back
+          </button>
+          {alreadyIn && (
+            <button
+              style={styles.primaryButton}
+              onClick={() => navigate(`/project/${project.id}/dashboard`)}
+            >
+              Open project
+            </button>
+          )}
+          {invite?.valid && !alreadyIn && !inviteDetails.isFull && (
+            <button
+              style={styles.primaryButton}
+              onClick={invite.requires_challenge ? () => setShowChallenge(true) : redeemInvite}
+              disabled={joining}
+            >
+              {joining ? 'Joining...' : invite.requires_challenge ? 'Start challenge' : 'Join project'}
+            </button>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
 
-export default ProjectJoinPage;
\ No newline at end of file
+export default ProjectJoinPage;
@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation, useParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useChat } from '../contexts/ChatContext';
 import { projectService } from '../services/projectService';
 import { 
   ArrowLeft, 
@@ -21,6 +22,7 @@ function ProjectSidebar() {
   const location = useLocation();
   const { projectId } = useParams();
   const { user, logout } = useAuth();
+  const { unreadCounts, fetchUnreadCounts } = useChat();
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [menuPosition, setMenuPosition] = useState({ top: 0, left: 0 });
   const avatarRef = React.useRef(null);
@@ -60,7 +62,7 @@ function ProjectSidebar() {
   const projectNavItems = [
     { id: 'dashboard', label: 'Dashboard', path: `/project/${projectId}/dashboard`, icon: BarChart3 },
     { id: 'tasks', label: 'Tasks', path: `/project/${projectId}/tasks`, icon: CheckSquare },
-    { id: 'chats', label: 'Chats', path: `/project/${projectId}/chats`, icon: MessageCircle },
+    { id: 'chats', label: 'Chats', path: `/project/${projectId}/chats`, icon: MessageCircle, badge: unreadCounts[projectId]?.total || 0 },
     { id: 'files', label: 'Files', path: `/project/${projectId}/files`, icon: FolderOpen },
     { id: 'members', label: 'Members', path: `/project/${projectId}/members`, icon: Users }
   ];
@@ -88,6 +90,13 @@ function ProjectSidebar() {
     }
   }, [projectId]);
 
+  // Refresh unread chat counts when moving around the project
+  useEffect(() => {
+    if (projectId) {
+      fetchUnreadCounts(projectId);
+    }
+  }, [projectId, location.pathname, fetchUnreadCounts]);
+
   const handleNavigation = (path) => {
     navigate(path);
   };
@@ -300,6 +309,26 @@ function ProjectSidebar() {
       whiteSpace: 'nowrap',
       display: isCollapsed ? 'none' : 'block'
     },
+    navBadge: {
+      marginLeft: 'auto',
+      minWidth: '20px',
+      padding: '2px 6px',
+      borderRadius: '10px',
+      backgroundColor: '#3b82f6',
+      color: 'white',
+      fontSize: '11px',
+      fontWeight: '600',
+      textAlign: 'center'
+    },
+    navBadgeDot: {
+      position: 'absolute',
+      top: '10px',
+      right: '18px',
+      width: '8px',
+      height: '8px',
+      borderRadius: '50%',
+      backgroundColor: '#3b82f6'
+    },
     bottomNav: {
       borderTop: '1px solid rgba(255, 255, 255, 0.1)',
       paddingTop: '20px'
@@ -484,6 +513,11 @@ function ProjectSidebar() {
         >
           <IconComponent size={20} style={styles.navIcon} />
           <span style={styles.navLabel}>{item.label}</span>
+          {item.badge > 0 && (
+            <span style={isCollapsed ? styles.navBadgeDot : styles.navBadge}>
+              {isCollapsed ? '' : (item.badge > 99 ? '99+' : item.badge)}
+            </span>
+          )}
         </div>
         
         {/* Tooltip for collapsed state */}
@@ -3,6 +3,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import { projectService } from '../../services/projectService';
 import ProjectCompletionButton from '../../components/ProjectCompletion/ProjectCompletionButton';
+import ContributionReport from '../../components/GitHubContributions/ContributionReport';
 import { taskService } from '../../services/taskService';
 import { useAuth } from '../../contexts/AuthContext';
 import { Clock, CheckCircle, FileText, UserPlus, Edit, Upload, PanelLeft } from 'lucide-react';
@@ -431,6 +432,8 @@ function ProjectDashboard() {
   const [members, setMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingActivity, setLoadingActivity] = useState(true);
+  const [permissions, setPermissions] = useState([]);
+  const canViewContributions = project?.owner_id === user?.id || permissions.includes('project.analytics');
 
   // NEW STATE: Track sidebar collapsed state
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(() => {
@@ -469,6 +472,11 @@ function ProjectDashboard() {
       const projectData = projectResponse.data.project;
       setProject(projectData);
 
+      // Permissions only decide which extra cards to show
+      projectService.getProjectPermissions(projectId)
+        .then(response => setPermissions(response?.data.permissions || []))
+        .catch(() => setPermissions([]));
+
       // Fetch project members
       try {
         const membersResponse = await projectService.getProjectMembers(projectId);
@@ -1099,6 +1107,13 @@ useEffect(() => {
           </div>
         )}
 
+        {/* GitHub Contributions - owners and whoever may see project analytics */}
+        {canViewContributions && (
+          <div style={styles.announcementsSection}>
+            <ContributionReport projectId={project.id} />
+          </div>
+        )}
+
         {/* Announcements */}
         <div style={styles.announcementsSection}>
           <div style={styles.card}>
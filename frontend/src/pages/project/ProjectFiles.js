@@ -420,6 +420,9 @@ function ProjectFiles() {
   // State management
   const [isGitHubConnected, setIsGitHubConnected] = useState(false);
   const [githubUser, setGitHubUser] = useState(null);
+  const [reconnectRequired, setReconnectRequired] = useState(false);
+  // Rate limit and cache state from the last GitHub call: { rate_limit, degraded, stale_since }
+  const [githubStatus, setGitHubStatus] = useState(null);
   const [repositories, setRepositories] = useState([]);
   const [projectRepository, setProjectRepository] = useState(null);
   const [currentPath, setCurrentPath] = useState('');
@@ -433,6 +436,7 @@ function ProjectFiles() {
   const [showRepositorySelector, setShowRepositorySelector] = useState(false);
   const [loadingRepositories, setLoadingRepositories] = useState(false);
   const [loadingContents, setLoadingContents] = useState(false);
+  const [updatingIssueSync, setUpdatingIssueSync] = useState(false);
 
   // Check GitHub connection status
   const checkGitHubConnection = useCallback(async () => {
@@ -442,6 +446,7 @@ function ProjectFiles() {
       if (userResponse.success) {
         setIsGitHubConnected(true);
         setGitHubUser(userResponse.data);
+        setReconnectRequired(Boolean(userResponse.data.reconnect_required));
       }
     } catch (error) {
       setIsGitHubConnected(false);
@@ -451,6 +456,31 @@ function ProjectFiles() {
     }
   }, []);
 
+  // The token expired or was revoked at GitHub - the user has to go through OAuth again
+  const isReconnectError = (error) => {
+    if (error.response?.data?.code === 'github_reconnect_required') {
+      setReconnectRequired(true);
+      return true;
+    }
+    return false;
+  };
+
+  // Out of GitHub requests with nothing saved for this path - say when it comes back
+  const isRateLimitError = (error) => {
+    if (error.response?.data?.code === 'github_rate_limited') {
+      setGitHubStatus(prev => ({
+        ...prev,
+        degraded: true,
+        rate_limit: { ...prev?.rate_limit, remaining: 0, reset_at: error.response.data.reset_at }
+      }));
+      return true;
+    }
+    return false;
+  };
+
+  const formatResetTime = (iso) =>
+    iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'a while';
+
   const checkProjectRepository = useCallback(async () => {
     try {
       const response = await githubService.getProjectRepository(projectId);
@@ -461,7 +491,11 @@ function ProjectFiles() {
           setCurrentBranch(response.data.branch || 'main');
         } catch (contentError) {
           console.log('Repository access error:', contentError);
-          setError('access_denied');
+          if (contentError.response?.data?.code === 'github_reconnect_required') {
+            setReconnectRequired(true);
+          } else {
+            setError('access_denied');
+          }
         }
       }
     } catch (error) {
@@ -490,6 +524,7 @@ function ProjectFiles() {
       await githubService.disconnectGitHub();
       setIsGitHubConnected(false);
       setGitHubUser(null);
+      setReconnectRequired(false);
       setRepositories([]);
       setProjectRepository(null);
       setFileContents([]);
@@ -509,6 +544,7 @@ function ProjectFiles() {
         setShowRepositorySelector(true);
       }
     } catch (error) {
+      if (isReconnectError(error)) return;
       setError('Failed to load repositories');
     } finally {
       setLoadingRepositories(false);
@@ -530,6 +566,7 @@ function ProjectFiles() {
         await loadBranches(repository.full_name);
       }
     } catch (error) {
+      if (isReconnectError(error)) return;
       setError('Failed to connect repository to project');
     }
   };
@@ -547,12 +584,31 @@ function ProjectFiles() {
     }
   };
 
+  const toggleIssueSync = async () => {
+    const enabled = !projectRepository.issue_sync_enabled;
+    if (enabled && !window.confirm('Open a GitHub issue for each task as it is created or edited, and apply issue changes back to the tasks?')) {
+      return;
+    }
+
+    try {
+      setUpdatingIssueSync(true);
+      const response = await githubService.updateIssueSync(projectId, enabled);
+      setProjectRepository(response.data);
+    } catch (error) {
+      if (isReconnectError(error)) return;
+      alert(error.response?.data?.message || 'Failed to update issue sync');
+    } finally {
+      setUpdatingIssueSync(false);
+    }
+  };
+
   const loadRepositoryContents = async (repositoryFullName, branch = 'main', path = '') => {
     try {
       setLoadingContents(true);
       const [owner, repo] = repositoryFullName.split('/');
       const response = await githubService.getRepositoryContents(owner, repo, path, branch);
       if (response.success) {
+        setGitHubStatus(response.github || null);
         const contents = Array.isArray(response.data) ? response.data : [response.data];
         setFileContents(contents);
         setCurrentPath(path);
@@ -560,7 +616,11 @@ function ProjectFiles() {
       }
     } catch (error) {
       console.error('Repository access error:', error);
-      if (error.response?.status === 404) {
+      if (isReconnectError(error)) {
+        setError('');
+      } else if (isRateLimitError(error)) {
+        setError('GitHub rate limit reached and this folder has not been loaded before.');
+      } else if (error.response?.status === 404) {
         setError('access_denied');
       } else {
         setError('Failed to load repository contents');
@@ -577,9 +637,11 @@ function ProjectFiles() {
       const response = await githubService.getRepositoryBranches(owner, repo);
       if (response.success) {
         setBranches(response.data);
+        setGitHubStatus(response.github || null);
       }
     } catch (error) {
       console.error('Failed to load branches:', error);
+      if (!isReconnectError(error)) isRateLimitError(error);
     }
   };
 
@@ -604,8 +666,14 @@ function ProjectFiles() {
       if (response.success) {
         setSelectedFile(file);
         setFileContent(response.data.content);
+        setGitHubStatus(response.github || null);
       }
     } catch (error) {
+      if (isReconnectError(error)) return;
+      if (isRateLimitError(error)) {
+        setError('GitHub rate limit reached and this file has not been opened before.');
+        return;
+      }
       setError('Failed to load file content');
     }
   };
@@ -925,6 +993,42 @@ function ProjectFiles() {
       fontWeight: '500',
       transition: 'all 0.3s ease'
     },
+    reconnectNotice: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '12px',
+      color: '#fbbf24',
+      fontSize: '14px'
+    },
+    rateLimitNotice: {
+      color: '#fbbf24',
+      fontSize: '13px'
+    },
+    rateLimitInfo: {
+      color: '#6b7280',
+      fontSize: '12px'
+    },
+    repositoryActions: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px'
+    },
+    issueSyncButton: {
+      background: 'rgba(255, 255, 255, 0.05)',
+      color: '#d1d5db',
+      border: '1px solid rgba(255, 255, 255, 0.15)',
+      padding: '10px 20px',
+      borderRadius: '8px',
+      fontSize: '14px',
+      cursor: 'pointer',
+      fontWeight: '500',
+      transition: 'all 0.3s ease'
+    },
+    issueSyncButtonActive: {
+      background: 'rgba(16, 185, 129, 0.15)',
+      borderColor: 'rgba(16, 185, 129, 0.4)',
+      color: '#6ee7b7'
+    },
     dangerButton: {
       background: 'linear-gradient(135deg, #ef4444, #dc2626)',
       color: 'white',
@@ -1156,6 +1260,28 @@ function ProjectFiles() {
                   <div style={styles.userHandle}>@{githubUser?.github_username}</div>
                 </div>
               </div>
+              {reconnectRequired && (
+                <div style={styles.reconnectNotice}>
+                  <span>
+                    {githubUser?.reconnect_reason === 'expired' || githubUser?.reconnect_reason === 'refresh_failed'
+                      ? 'Your GitHub access has expired.'
+                      : 'GitHub no longer accepts this connection.'}
+                    {' '}Reconnect to keep browsing repository files.
+                  </span>
+                  <button style={styles.button} onClick={handleGitHubConnect}>
+                    Reconnect GitHub
+                  </button>
+                </div>
+              )}
+              {githubStatus?.degraded ? (
+                <div style={styles.rateLimitNotice}>
+                  GitHub rate limit reached - showing saved copies until {formatResetTime(githubStatus.rate_limit?.reset_at)}.
+                </div>
+              ) : githubStatus?.rate_limit && (
+                <div style={styles.rateLimitInfo}>
+                  {githubStatus.rate_limit.remaining.toLocaleString()} of {githubStatus.rate_limit.limit.toLocaleString()} GitHub requests left
+                </div>
+              )}
               <button 
                 style={styles.dangerButton} 
                 onClick={handleDisconnectGitHub}
@@ -1254,18 +1380,31 @@ function ProjectFiles() {
                       </select>
                     )}
                   </div>
-                  <button 
-                    style={styles.dangerButton} 
-                    onClick={disconnectRepositoryFromProject}
-                    onMouseEnter={(e) => {
-                      e.target.style.transform = 'translateY(-1px)';
-                    }}
-                    onMouseLeave={(e) => {
-                      e.target.style.transform = 'translateY(0)';
-                    }}
-                  >
-                    Disconnect Repository
-                  </button>
+                  <div style={styles.repositoryActions}>
+                    <button
+                      style={{
+                        ...styles.issueSyncButton,
+                        ...(projectRepository.issue_sync_enabled && styles.issueSyncButtonActive)
+                      }}
+                      onClick={toggleIssueSync}
+                      disabled={updatingIssueSync}
+                      title="Keep tasks and GitHub issues in sync both ways"
+                    >
+                      {updatingIssueSync ? 'Saving...' : projectRepository.issue_sync_enabled ? 'Issue Sync On' : 'Sync Tasks to Issues'}
+                    </button>
+                    <button 
+                      style={styles.dangerButton} 
+                      onClick={disconnectRepositoryFromProject}
+                      onMouseEnter={(e) => {
+                        e.target.style.transform = 'translateY(-1px)';
+                      }}
+                      onMouseLeave={(e) => {
+                        e.target.style.transform = 'translateY(0)';
+                      }}
+                    >
+                      Disconnect Repository
+                    </button>
+                  </div>
                 </div>
 
                 {error !== 'access_denied' && (
@@ -4,6 +4,9 @@ import { useParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { projectService } from '../../services/projectService';
 import { friendsService } from '../../services/friendsService';
+import InviteLinksPanel from '../../components/ProjectInvites/InviteLinksPanel';
+import JoinRequestsPanel from '../../components/JoinRequests/JoinRequestsPanel';
+import RolePermissionsPanel from '../../components/ProjectPermissions/RolePermissionsPanel';
 import { PanelLeft } from 'lucide-react';
 
 // Background symbols component - WITH FLOATING ANIMATIONS
@@ -427,8 +430,10 @@ function ProjectMembers() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [openMenuId, setOpenMenuId] = useState(null);
+  const [permissions, setPermissions] = useState([]);
 
   const isOwner = project?.owner_id === user?.id;
+  const can = (permission) => isOwner || permissions.includes(permission);
 
   useEffect(() => {
     const fetchData = async () => {
@@ -436,13 +441,16 @@ function ProjectMembers() {
         setLoading(true);
         setError(null);
 
-        const [projectResponse, membersResponse] = await Promise.all([
+        const [projectResponse, membersResponse, permissionsResponse] = await Promise.all([
           projectService.getProjectById(projectId),
-          projectService.getProjectMembers(projectId)
+          projectService.getProjectMembers(projectId),
+          // Without permissions the page still works, just with no management tools
+          projectService.getProjectPermissions(projectId).catch(() => null)
         ]);
 
         setProject(projectResponse.data.project);
         setMemberData(membersResponse.data);
+        setPermissions(permissionsResponse?.data.permissions || []);
       } catch (error) {
         console.error('Error fetching data:', error);
         setError('Failed to load project members');
@@ -454,6 +462,16 @@ function ProjectMembers() {
     fetchData();
   }, [projectId]);
 
+  // After accepting a join request
+  const refreshMembers = async () => {
+    try {
+      const membersResponse = await projectService.getProjectMembers(projectId);
+      setMemberData(membersResponse.data);
+    } catch (error) {
+      console.error('Error refreshing members:', error);
+    }
+  };
+
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (!event.target.closest('.member-menu')) {
@@ -606,11 +624,14 @@ function ProjectMembers() {
 
   const members = memberData?.members || [];
   const owner = memberData?.owner || null;
-  const total_members = members.length + (owner ? 1 : 0);
+  // Mentors oversee the team rather than belong to it, so they don't count as members
+  const mentorCount = members.filter(member => member.role === 'mentor').length;
+  const total_members = members.length - mentorCount + (owner ? 1 : 0);
   
   const leadCount = members.filter(member => member.role === 'lead').length;
   const moderatorCount = members.filter(member => member.role === 'moderator').length;
   const memberCount = members.filter(member => member.role === 'member' || !member.role).length;
+  const viewerCount = members.filter(member => member.role === 'viewer').length;
 
   const styles = {
     // NEW: Toggle button styles
@@ -990,6 +1011,7 @@ return (
           <h1 style={styles.title}>Project Members</h1>
           <p style={styles.subtitle}>
             {total_members} member{total_members !== 1 ? 's' : ''}
+            {mentorCount > 0 && ` · ${mentorCount} mentor${mentorCount !== 1 ? 's' : ''}`}
           </p>
         </div>
       </div>
@@ -1017,8 +1039,34 @@ return (
           <div style={styles.statNumber}>{memberCount}</div>
           <div style={styles.statLabel}>Members</div>
         </div>
+        {viewerCount > 0 && (
+          <div style={styles.statCard}>
+            <div style={styles.statNumber}>{viewerCount}</div>
+            <div style={styles.statLabel}>Viewers</div>
+          </div>
+        )}
+        {mentorCount > 0 && (
+          <div style={styles.statCard}>
+            <div style={styles.statNumber}>{mentorCount}</div>
+            <div style={styles.statLabel}>Mentors</div>
+          </div>
+        )}
       </div>
 
+      {can('member.invite') && (
+        <InviteLinksPanel projectId={projectId} canSkipChallenge={can('member.invite.skip_challenge')} />
+      )}
+
+      {can('member.requests.review') && (
+        <JoinRequestsPanel
+          projectId={projectId}
+          canChangePolicy={can('project.settings')}
+          onMemberAdded={refreshMembers}
+        />
+      )}
+
+      {isOwner && <RolePermissionsPanel projectId={projectId} />}
+
       <div style={styles.membersGrid}>
         {owner && (
           <div 
@@ -1179,21 +1227,23 @@ return (
               <div style={styles.memberMetaItem}>Contribution Score: {member.contribution_score || 0}</div>
             </div>
 
-            {(isOwner || (user?.id === member.user_id)) && (
+            {(can('member.role.update') || can('member.remove') || user?.id === member.user_id) && (
               <div style={styles.memberActions}>
-                {isOwner && member.user_id !== user?.id && (
+                {can('member.role.update') && member.user_id !== user?.id && (
                   <select
                     style={styles.roleSelect}
                     value={member.role || 'member'}
                     onChange={(e) => handleUpdateRole(member.id, e.target.value)}
                   >
+                    <option value="viewer">Viewer</option>
+                    <option value="mentor">Mentor</option>
                     <option value="member">Member</option>
                     <option value="moderator">Moderator</option>
                     <option value="lead">Lead</option>
                   </select>
                 )}
 
-                {(isOwner || user?.id === member.user_id) && (
+                {(can('member.remove') || user?.id === member.user_id) && (
                   <button
                     style={styles.dangerButton}
                     onClick={() => handleRemoveMember(member.id, member.users?.full_name || member.users?.username)}
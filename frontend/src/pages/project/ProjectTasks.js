@@ -449,7 +449,9 @@ function ProjectTasks() {
     status: 'todo',
     assigned_to: '',
     estimated_hours: '',
-    due_date: ''
+    due_date: '',
+    depends_on: [],
+    subtasks: ''
   });
 
   useEffect(() => {
@@ -513,11 +515,19 @@ function ProjectTasks() {
       status: taskForm.status || 'todo',
       assigned_to: taskForm.assigned_to && taskForm.assigned_to.trim() ? taskForm.assigned_to.trim() : undefined,
       estimated_hours: taskForm.estimated_hours && taskForm.estimated_hours.trim() ? parseInt(taskForm.estimated_hours) : undefined,
-      due_date: taskForm.due_date && taskForm.due_date.trim() ? new Date(taskForm.due_date).toISOString() : undefined
+      due_date: taskForm.due_date && taskForm.due_date.trim() ? new Date(taskForm.due_date).toISOString() : undefined,
+      depends_on: taskForm.depends_on.length > 0 ? taskForm.depends_on : undefined,
+      // One checklist item per line
+      subtasks: taskForm.subtasks.split('\n').map(line => line.trim()).filter(Boolean)
     };
 
     const response = await taskService.createTask(projectId, taskData);
-    setTasks(prevTasks => [response.data.task, ...prevTasks]);
+    if (taskData.depends_on) {
+      // Prerequisites gained a dependent - reload so their cards show it
+      await fetchTasks();
+    } else {
+      setTasks(prevTasks => [response.data.task, ...prevTasks]);
+    }
     
     // ✅ LOG ACTIVITY FOR TASK CREATION
     try {
@@ -555,7 +565,9 @@ function ProjectTasks() {
       status: task.status || 'todo',
       assigned_to: task.assigned_to || '',
       estimated_hours: task.estimated_hours || '',
-      due_date: task.due_date ? new Date(task.due_date).toISOString().split('T')[0] : ''
+      due_date: task.due_date ? new Date(task.due_date).toISOString().split('T')[0] : '',
+      depends_on: task.depends_on || [],
+      subtasks: ''
     });
     setError(null);
     setShowCreateModal(true);
@@ -570,7 +582,12 @@ function ProjectTasks() {
         const taskTitle = taskToDelete?.title || 'Unknown Task';
         
         await taskService.deleteTask(projectId, taskId);
-        setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
+        if (taskToDelete?.dependents?.length > 0) {
+          // Tasks waiting on this one may have been unblocked
+          await fetchTasks();
+        } else {
+          setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
+        }
         
         // ⭐ LOG ACTIVITY FOR TASK DELETION ⭐
         try {
@@ -604,7 +621,9 @@ function ProjectTasks() {
       status: 'todo',
       assigned_to: '',
       estimated_hours: '',
-      due_date: ''
+      due_date: '',
+      depends_on: [],
+      subtasks: ''
     });
   };
 
@@ -613,6 +632,15 @@ function ProjectTasks() {
     setTaskForm(prev => ({ ...prev, [name]: value }));
   };
 
+  const toggleDependency = (dependencyId) => {
+    setTaskForm(prev => ({
+      ...prev,
+      depends_on: prev.depends_on.includes(dependencyId)
+        ? prev.depends_on.filter(id => id !== dependencyId)
+        : [...prev.depends_on, dependencyId]
+    }));
+  };
+
   const handleSaveTask = async (e) => {
     e.preventDefault();
     
@@ -649,6 +677,11 @@ function ProjectTasks() {
           taskData.due_date = newDueDate ? new Date(newDueDate).toISOString() : null;
         }
         
+        const currentDependsOn = [...(editingTask.depends_on || [])].sort().join(',');
+        if (currentDependsOn !== [...taskForm.depends_on].sort().join(',')) {
+          taskData.depends_on = taskForm.depends_on;
+        }
+        
         if (Object.keys(taskData).length === 0) {
           setShowCreateModal(false);
           setEditingTask(null);
@@ -659,11 +692,17 @@ function ProjectTasks() {
         const response = await taskService.updateTask(projectId, editingTask.id, taskData);
         
         if (response.success && response.data?.task) {
-          setTasks(prevTasks => 
-              prevTasks.map(task => 
-                  task.id === editingTask.id ? { ...task, ...response.data.task } : task
-              )
-          );
+          const { blocked = [], unblocked = [] } = response.data.dependency_updates || {};
+          if (taskData.depends_on || blocked.length > 0 || unblocked.length > 0) {
+            // Other tasks' links or statuses moved too
+            await fetchTasks();
+          } else {
+            setTasks(prevTasks => 
+                prevTasks.map(task => 
+                    task.id === editingTask.id ? { ...task, ...response.data.task } : task
+                )
+            );
+          }
           
           // ⭐ LOG ACTIVITY FOR TASK UPDATE ⭐
           try {
@@ -784,6 +823,12 @@ function ProjectTasks() {
     return colors[status] || '#6c757d';
   };
 
+  const getTaskTitle = (taskId) => tasks.find(t => t.id === taskId)?.title || 'Unknown task';
+
+  // Prerequisites of a task that aren't completed yet
+  const getOpenDependencies = (task) => (task.depends_on || [])
+    .filter(id => tasks.find(t => t.id === id)?.status !== 'completed');
+
   const getStatusTextColor = (status) => {
     return ['in_review'].includes(status) ? '#000' : '#fff';
   };
@@ -1229,6 +1274,56 @@ function ProjectTasks() {
       fontSize: '12px',
       marginTop: '4px',
       fontStyle: 'italic'
+    },
+    dependencyInfo: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      fontSize: '12px',
+      color: '#9ca3af',
+      marginBottom: '12px'
+    },
+    waitingOn: {
+      color: '#fca5a5'
+    },
+    subtaskProgress: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      fontSize: '12px',
+      color: '#9ca3af',
+      marginBottom: '12px'
+    },
+    progressTrack: {
+      flex: 1,
+      height: '6px',
+      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '3px',
+      overflow: 'hidden'
+    },
+    progressFill: {
+      height: '100%',
+      background: 'linear-gradient(90deg, #10b981, #059669)',
+      transition: 'width 0.3s ease'
+    },
+    dependencyPicker: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px',
+      maxHeight: '160px',
+      overflowY: 'auto',
+      padding: '10px 12px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '8px',
+      backgroundColor: 'rgba(26, 28, 32, 0.8)'
+    },
+    dependencyOption: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      color: '#d1d5db',
+      fontSize: '14px',
+      cursor: 'pointer'
     }
   };
 
@@ -1462,6 +1557,33 @@ function ProjectTasks() {
                   </span>
                 </div>
 
+                {task.subtask_count > 0 && (
+                  <div style={styles.subtaskProgress}>
+                    <div style={styles.progressTrack}>
+                      <div style={{ ...styles.progressFill, width: `${task.progress}%` }} />
+                    </div>
+                    <span>{task.completed_subtask_count}/{task.subtask_count} subtasks</span>
+                  </div>
+                )}
+
+                {(task.depends_on?.length > 0 || task.dependents?.length > 0) && (
+                  <div style={styles.dependencyInfo}>
+                    {getOpenDependencies(task).length > 0 && (
+                      <div style={styles.waitingOn}>
+                        ⛓ Waiting on: {getOpenDependencies(task).map(getTaskTitle).join(', ')}
+                      </div>
+                    )}
+                    {task.depends_on?.length > 0 && getOpenDependencies(task).length === 0 && (
+                      <div>✓ All {task.depends_on.length} prerequisite{task.depends_on.length === 1 ? '' : 's'} done</div>
+                    )}
+                    {task.dependents?.length > 0 && (
+                      <div>
+                        Blocks: {task.dependents.map(getTaskTitle).join(', ')}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {task.description && (
                   <p style={styles.taskDescription}>
                     {task.description.length > 150
@@ -1668,6 +1790,45 @@ function ProjectTasks() {
                   />
                 </div>
 
+                {!editingTask && (
+                  <div style={styles.formGroup}>
+                    <label style={styles.label} htmlFor="subtasks">Subtasks</label>
+                    <textarea
+                      id="subtasks"
+                      name="subtasks"
+                      value={taskForm.subtasks}
+                      onChange={handleInputChange}
+                      style={styles.textarea}
+                      placeholder="One subtask per line"
+                    />
+                  </div>
+                )}
+
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Depends On</label>
+                  <div style={styles.dependencyPicker}>
+                    {tasks.length <= (editingTask ? 1 : 0) && (
+                      <span style={styles.memberNote}>No other tasks in this project yet.</span>
+                    )}
+                    {tasks.filter(t => t.id !== editingTask?.id).map(t => (
+                      <label key={t.id} style={styles.dependencyOption}>
+                        <input
+                          type="checkbox"
+                          checked={taskForm.depends_on.includes(t.id)}
+                          onChange={() => toggleDependency(t.id)}
+                        />
+                        <span>{t.title}</span>
+                        <span style={{ color: getStatusColor(t.status), fontSize: '12px' }}>
+                          {t.status.replace('_', ' ')}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                  <small style={styles.memberNote}>
+                    The task is marked blocked until every task it depends on is completed.
+                  </small>
+                </div>
+
                 <div style={styles.modalActions}>
                   <button
                     type="button"
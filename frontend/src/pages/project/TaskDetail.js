@@ -15,13 +15,15 @@ const TaskDetail = () => {
     const [error, setError] = useState(null);
     const [isEditing, setIsEditing] = useState(false);
     const [editForm, setEditForm] = useState({});
+    const [projectTasks, setProjectTasks] = useState([]);
+    const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
 
     // Use useCallback to fix dependency warnings
     const fetchTaskData = useCallback(async () => {
         try {
             const response = await taskService.getTask(projectId, taskId);
             setTask(response.data.task);
-            setEditForm(response.data.task);
+            setEditForm({ ...response.data.task, depends_on: response.data.task.depends_on || [] });
         } catch (error) {
             console.error('Error fetching task:', error);
             setError('Failed to load task details');
@@ -57,15 +59,25 @@ const TaskDetail = () => {
         }
     }, [projectId, taskId, fetchTaskData, fetchProjectData]);
 
+    // Other tasks in the project, to pick prerequisites from while editing
+    useEffect(() => {
+        if (!isEditing) return;
+
+        taskService.getProjectTasks(projectId, { sort_by: 'title', sort_order: 'asc' })
+            .then(response => setProjectTasks((response.data.tasks || []).filter(t => t.id !== taskId)))
+            .catch(error => console.error('Error fetching project tasks:', error));
+    }, [isEditing, projectId, taskId]);
+
     const handleEditSubmit = async (e) => {
         e.preventDefault();
         try {
-            const response = await taskService.updateTask(projectId, taskId, editForm);
-            setTask(response.data.task);
+            await taskService.updateTask(projectId, taskId, editForm);
             setIsEditing(false);
+            // Refetch so the dependency chain reflects the new prerequisites
+            await fetchTaskData();
         } catch (error) {
             console.error('Error updating task:', error);
-            alert('Failed to update task');
+            alert(`Failed to update task: ${error.response?.data?.message || error.message}`);
         }
     };
 
@@ -78,7 +90,7 @@ const TaskDetail = () => {
         });
 
         if (response && response.data && response.data.task) {
-            setTask(response.data.task);
+            await fetchTaskData();
             console.log('✅ Task status updated successfully');
             
             // ✅ LOG ACTIVITY FOR STATUS CHANGES
@@ -142,6 +154,59 @@ const TaskDetail = () => {
         return colors[priority] || '#6c757d';
     };
 
+    const handleSubtaskToggle = async (subtask) => {
+        try {
+            await taskService.updateTask(projectId, subtask.id, {
+                status: subtask.status === 'completed' ? 'todo' : 'completed'
+            });
+            await fetchTaskData();
+        } catch (error) {
+            console.error('Error updating subtask:', error);
+            alert(`Failed to update subtask: ${error.response?.data?.message || error.message}`);
+        }
+    };
+
+    const handleAddSubtask = async (e) => {
+        e.preventDefault();
+        if (!newSubtaskTitle.trim()) return;
+
+        try {
+            await taskService.createTask(projectId, {
+                title: newSubtaskTitle.trim(),
+                parent_task_id: taskId
+            });
+            setNewSubtaskTitle('');
+            await fetchTaskData();
+        } catch (error) {
+            console.error('Error adding subtask:', error);
+            alert(`Failed to add subtask: ${error.response?.data?.message || error.message}`);
+        }
+    };
+
+    const handleDeleteSubtask = async (subtaskId) => {
+        if (!window.confirm('Delete this subtask?')) return;
+
+        try {
+            await taskService.deleteTask(projectId, subtaskId);
+            await fetchTaskData();
+        } catch (error) {
+            console.error('Error deleting subtask:', error);
+            alert('Failed to delete subtask');
+        }
+    };
+
+    const toggleDependency = (dependencyId) => {
+        setEditForm(prev => {
+            const current = prev.depends_on || [];
+            return {
+                ...prev,
+                depends_on: current.includes(dependencyId)
+                    ? current.filter(id => id !== dependencyId)
+                    : [...current, dependencyId]
+            };
+        });
+    };
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setEditForm(prev => ({
@@ -180,6 +245,9 @@ const TaskDetail = () => {
         );
     }
 
+    // Work can't start while a prerequisite is unfinished (the API refuses it too)
+    const isWaiting = task.open_dependencies_count > 0;
+
     // Get project owner from project data for mentions
     const projectOwner = project ? {
         id: project.owner_id,
@@ -295,6 +363,32 @@ const TaskDetail = () => {
                                 </div>
                             </div>
 
+                            <div style={styles.formGroup}>
+                                <label style={styles.label}>Depends On</label>
+                                <div style={styles.dependencyPicker}>
+                                    {projectTasks.length === 0 ? (
+                                        <span style={styles.mutedText}>No other tasks in this project</span>
+                                    ) : (
+                                        projectTasks.map(projectTask => (
+                                            <label key={projectTask.id} style={styles.dependencyOption}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={(editForm.depends_on || []).includes(projectTask.id)}
+                                                    onChange={() => toggleDependency(projectTask.id)}
+                                                />
+                                                <span>{projectTask.title}</span>
+                                                <span style={{
+                                                    ...styles.smallBadge,
+                                                    backgroundColor: getStatusColor(projectTask.status)
+                                                }}>
+                                                    {projectTask.status?.replace('_', ' ')}
+                                                </span>
+                                            </label>
+                                        ))
+                                    )}
+                                </div>
+                            </div>
+
                             <div style={styles.formActions}>
                                 <button type="submit" style={styles.saveButton}>
                                     Save Changes
@@ -310,6 +404,15 @@ const TaskDetail = () => {
                         </form>
                     ) : (
                         <div>
+                            {task.parent_task && (
+                                <button
+                                    type="button"
+                                    onClick={() => navigate(`/project/${projectId}/tasks/${task.parent_task.id}`)}
+                                    style={styles.parentLink}
+                                >
+                                    ↑ Subtask of {task.parent_task.title}
+                                </button>
+                            )}
                             <h1 style={styles.title}>{task.title}</h1>
                             
                             <div style={styles.metaInfo}>
@@ -330,6 +433,13 @@ const TaskDetail = () => {
                                     </span>
                                 </div>
 
+                                {task.open_dependencies_count > 0 && (
+                                    <div style={styles.blockedBanner}>
+                                        Waiting on {task.open_dependencies_count} unfinished task{task.open_dependencies_count === 1 ? '' : 's'}.
+                                        It will move back to To Do once they're completed.
+                                    </div>
+                                )}
+
                                 <div style={styles.statusButtons}>
                                     <button
                                         style={{
@@ -343,9 +453,11 @@ const TaskDetail = () => {
                                     <button
                                         style={{
                                             ...styles.statusButton,
-                                            backgroundColor: '#007bff'
+                                            backgroundColor: '#007bff',
+                                            ...(isWaiting ? styles.statusButtonDisabled : {})
                                         }}
                                         onClick={() => handleStatusChange('in_progress')}
+                                        disabled={isWaiting}
                                     >
                                         In Progress
                                     </button>
@@ -353,18 +465,22 @@ const TaskDetail = () => {
                                         style={{
                                             ...styles.statusButton,
                                             backgroundColor: '#ffc107',
-                                            color: '#000'
+                                            color: '#000',
+                                            ...(isWaiting ? styles.statusButtonDisabled : {})
                                         }}
                                         onClick={() => handleStatusChange('in_review')}
+                                        disabled={isWaiting}
                                     >
                                         In Review
                                     </button>
                                     <button
                                         style={{
                                             ...styles.statusButton,
-                                            backgroundColor: '#28a745'
+                                            backgroundColor: '#28a745',
+                                            ...(isWaiting ? styles.statusButtonDisabled : {})
                                         }}
                                         onClick={() => handleStatusChange('completed')}
+                                        disabled={isWaiting}
                                     >
                                         Completed
                                     </button>
@@ -387,6 +503,70 @@ const TaskDetail = () => {
                                 </div>
                             )}
 
+                            {!task.parent_task_id && (
+                                <div style={styles.subtasks}>
+                                    <div style={styles.subtasksHeader}>
+                                        <h3 style={styles.dependencyTitle}>Subtasks</h3>
+                                        {task.subtask_count > 0 && (
+                                            <span style={styles.mutedText}>
+                                                {task.completed_subtask_count}/{task.subtask_count} done · {task.progress}%
+                                            </span>
+                                        )}
+                                    </div>
+
+                                    {task.subtask_count > 0 && (
+                                        <div style={styles.progressTrack}>
+                                            <div style={{ ...styles.progressFill, width: `${task.progress}%` }} />
+                                        </div>
+                                    )}
+
+                                    {(task.subtasks || []).map(subtask => (
+                                        <div key={subtask.id} style={styles.subtaskRow}>
+                                            <input
+                                                type="checkbox"
+                                                checked={subtask.status === 'completed'}
+                                                onChange={() => handleSubtaskToggle(subtask)}
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => navigate(`/project/${projectId}/tasks/${subtask.id}`)}
+                                                style={{
+                                                    ...styles.subtaskTitle,
+                                                    ...(subtask.status === 'completed' ? styles.subtaskDone : {})
+                                                }}
+                                            >
+                                                {subtask.title}
+                                            </button>
+                                            {subtask.assigned_user && (
+                                                <span style={styles.mutedText}>{subtask.assigned_user.full_name}</span>
+                                            )}
+                                            <button
+                                                type="button"
+                                                onClick={() => handleDeleteSubtask(subtask.id)}
+                                                style={styles.subtaskDelete}
+                                                title="Delete subtask"
+                                            >
+                                                ×
+                                            </button>
+                                        </div>
+                                    ))}
+
+                                    <form onSubmit={handleAddSubtask} style={styles.subtaskForm}>
+                                        <input
+                                            type="text"
+                                            value={newSubtaskTitle}
+                                            onChange={(e) => setNewSubtaskTitle(e.target.value)}
+                                            placeholder="Add a subtask..."
+                                            maxLength={200}
+                                            style={{ ...styles.input, flex: 1 }}
+                                        />
+                                        <button type="submit" disabled={!newSubtaskTitle.trim()} style={styles.editButton}>
+                                            Add
+                                        </button>
+                                    </form>
+                                </div>
+                            )}
+
                             <div style={styles.taskMeta}>
                                 <div style={styles.metaItem}>
                                     <strong>Task Type:</strong> {task.task_type || 'Development'}
@@ -415,6 +595,58 @@ const TaskDetail = () => {
                                     </div>
                                 )}
                             </div>
+
+                            {(task.dependency_chain?.length > 0 || task.dependent_tasks?.length > 0) && (
+                                <div style={styles.dependencies}>
+                                    {task.dependency_chain?.length > 0 && (
+                                        <div style={styles.dependencyColumn}>
+                                            <h3 style={styles.dependencyTitle}>Depends on</h3>
+                                            {task.dependency_chain.map(dependency => (
+                                                <button
+                                                    key={dependency.id}
+                                                    type="button"
+                                                    onClick={() => navigate(`/project/${projectId}/tasks/${dependency.id}`)}
+                                                    style={{
+                                                        ...styles.dependencyItem,
+                                                        marginLeft: `${(dependency.depth - 1) * 20}px`
+                                                    }}
+                                                >
+                                                    {dependency.depth > 1 && <span style={styles.mutedText}>↳</span>}
+                                                    <span>{dependency.title}</span>
+                                                    <span style={{
+                                                        ...styles.smallBadge,
+                                                        backgroundColor: getStatusColor(dependency.status)
+                                                    }}>
+                                                        {dependency.status?.replace('_', ' ')}
+                                                    </span>
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {task.dependent_tasks?.length > 0 && (
+                                        <div style={styles.dependencyColumn}>
+                                            <h3 style={styles.dependencyTitle}>Blocking</h3>
+                                            {task.dependent_tasks.map(dependent => (
+                                                <button
+                                                    key={dependent.id}
+                                                    type="button"
+                                                    onClick={() => navigate(`/project/${projectId}/tasks/${dependent.id}`)}
+                                                    style={styles.dependencyItem}
+                                                >
+                                                    <span>{dependent.title}</span>
+                                                    <span style={{
+                                                        ...styles.smallBadge,
+                                                        backgroundColor: getStatusColor(dependent.status)
+                                                    }}>
+                                                        {dependent.status?.replace('_', ' ')}
+                                                    </span>
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
@@ -513,6 +745,19 @@ const styles = {
         fontSize: '12px',
         fontWeight: '500'
     },
+    statusButtonDisabled: {
+        opacity: 0.4,
+        cursor: 'not-allowed'
+    },
+    blockedBanner: {
+        backgroundColor: '#f8d7da',
+        color: '#721c24',
+        border: '1px solid #f5c6cb',
+        borderRadius: '4px',
+        padding: '10px 12px',
+        fontSize: '14px',
+        marginBottom: '12px'
+    },
     description: {
         marginBottom: '24px'
     },
@@ -534,6 +779,128 @@ const styles = {
         fontSize: '14px',
         color: '#495057'
     },
+    dependencies: {
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+        gap: '24px',
+        marginTop: '24px'
+    },
+    dependencyColumn: {
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'flex-start',
+        gap: '8px'
+    },
+    dependencyTitle: {
+        fontSize: '16px',
+        margin: '0 0 4px 0',
+        color: '#2c3e50'
+    },
+    dependencyItem: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        background: 'none',
+        border: '1px solid #e1e5e9',
+        borderRadius: '4px',
+        padding: '6px 10px',
+        cursor: 'pointer',
+        fontSize: '14px',
+        color: '#495057'
+    },
+    dependencyPicker: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        maxHeight: '200px',
+        overflowY: 'auto',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        padding: '10px'
+    },
+    dependencyOption: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        fontSize: '14px',
+        cursor: 'pointer'
+    },
+    smallBadge: {
+        padding: '2px 8px',
+        borderRadius: '10px',
+        fontSize: '11px',
+        fontWeight: '600',
+        color: '#fff',
+        textTransform: 'uppercase'
+    },
+    mutedText: {
+        color: '#6c757d',
+        fontSize: '13px'
+    },
+    parentLink: {
+        background: 'none',
+        border: 'none',
+        padding: 0,
+        marginBottom: '8px',
+        color: '#007bff',
+        cursor: 'pointer',
+        fontSize: '14px'
+    },
+    subtasks: {
+        marginBottom: '24px'
+    },
+    subtasksHeader: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: '8px'
+    },
+    progressTrack: {
+        height: '6px',
+        backgroundColor: '#e9ecef',
+        borderRadius: '3px',
+        overflow: 'hidden',
+        marginBottom: '12px'
+    },
+    progressFill: {
+        height: '100%',
+        backgroundColor: '#28a745',
+        transition: 'width 0.3s ease'
+    },
+    subtaskRow: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '10px',
+        padding: '6px 0',
+        borderBottom: '1px solid #f1f3f5'
+    },
+    subtaskTitle: {
+        flex: 1,
+        background: 'none',
+        border: 'none',
+        padding: 0,
+        textAlign: 'left',
+        cursor: 'pointer',
+        fontSize: '14px',
+        color: '#495057'
+    },
+    subtaskDone: {
+        textDecoration: 'line-through',
+        color: '#adb5bd'
+    },
+    subtaskDelete: {
+        background: 'none',
+        border: 'none',
+        color: '#adb5bd',
+        cursor: 'pointer',
+        fontSize: '18px',
+        lineHeight: 1
+    },
+    subtaskForm: {
+        display: 'flex',
+        gap: '8px',
+        marginTop: '12px'
+    },
     // Edit form styles
     editForm: {
         display: 'flex',
@@ -264,7 +264,7 @@ function SoloWeeklyChallenge() {
 
   const examplesFromTestCases = (testCases) => {
     if (!Array.isArray(testCases)) return [];
-    return testCases.slice(0, 3).map((tc, idx) => ({
+    return testCases.filter(tc => !tc.hidden).slice(0, 3).map((tc, idx) => ({
       input: typeof tc.input === 'string' ? tc.input : JSON.stringify(tc.input),
       output: typeof tc.output === 'string' ? tc.output : JSON.stringify(tc.output),
       explanation: tc.explanation || `Example ${idx + 1}`
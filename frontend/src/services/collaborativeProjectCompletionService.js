@@ -54,16 +54,18 @@ const collaborativeProjectCompletionService = {
    * Vote on project completion
    * @param {string} projectId - Project UUID
    * @param {string} vote - 'approve' or 'reject'
+   * @param {string} reason - Why the project isn't done yet (required to reject)
    * @returns {Promise} - Vote result
    */
-  voteOnCompletion: async (projectId, vote) => {
+  voteOnCompletion: async (projectId, vote, reason = '') => {
     try {
       if (!['approve', 'reject'].includes(vote)) {
         throw new Error('Vote must be either "approve" or "reject"');
       }
 
       const response = await api.post(`/projects/${projectId}/completion-vote`, {
-        vote: vote
+        vote: vote,
+        ...(vote === 'reject' ? { reason } : {})
       });
       return response.data;
     } catch (error) {
@@ -85,6 +87,22 @@ const collaborativeProjectCompletionService = {
       console.error('Get completion votes error:', error.response?.data || error.message);
       throw error;
     }
+  },
+
+  /**
+   * Choose how the completion vote is decided (owner only by default)
+   * @param {string} projectId - Project UUID
+   * @param {Object} policy - { policy, owner_plus_n, deadline } (deadline null clears it)
+   * @returns {Promise} - Updated quorum progress
+   */
+  updateCompletionVotePolicy: async (projectId, policy) => {
+    try {
+      const response = await api.put(`/projects/${projectId}/completion-vote-policy`, policy);
+      return response.data;
+    } catch (error) {
+      console.error('Update completion vote policy error:', error.response?.data || error.message);
+      throw error;
+    }
   }
 };
 
@@ -0,0 +1,61 @@
+// frontend/src/services/directMessageService.js
+import api from './api';
+
+export const directMessageService = {
+  // Get the user's conversations (with members, last message and unread count)
+  getConversations: async () => {
+    try {
+      const response = await api.get('/direct-messages/conversations');
+      return response.data;
+    } catch (error) {
+      console.error('Get conversations error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Start (or reopen) a conversation with one or more friends
+  createConversation: async (participantIds, name = null) => {
+    try {
+      const response = await api.post('/direct-messages/conversations', { participantIds, name });
+      return response.data;
+    } catch (error) {
+      console.error('Create conversation error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Get message history; pass `before` from the previous page to load older messages
+  getMessages: async (conversationId, before = null) => {
+    try {
+      const response = await api.get(`/direct-messages/conversations/${conversationId}/messages`, {
+        params: before ? { before } : {}
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Get direct messages error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Send a message over REST (used when the socket is not connected)
+  sendMessage: async (conversationId, content) => {
+    try {
+      const response = await api.post(`/direct-messages/conversations/${conversationId}/messages`, { content });
+      return response.data;
+    } catch (error) {
+      console.error('Send direct message error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Mark a conversation as read
+  markRead: async (conversationId) => {
+    try {
+      const response = await api.post(`/direct-messages/conversations/${conversationId}/read`);
+      return response.data;
+    } catch (error) {
+      console.error('Mark conversation read error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+};
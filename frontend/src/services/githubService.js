@@ -144,6 +144,37 @@ const getProjectRepository = async (projectId) => {
   }
 };
 
+// Per-member contribution report; params: since, until (YYYY-MM-DD), refresh
+const getProjectContributions = async (projectId, params = {}) => {
+  try {
+    const response = await api.get(`/github/project/${projectId}/contributions`, { params });
+    return response.data;
+  } catch (error) {
+    console.error('Get project contributions error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+const updateIssueSync = async (projectId, enabled) => {
+  try {
+    const response = await api.put(`/github/project/${projectId}/issue-sync`, { enabled });
+    return response.data;
+  } catch (error) {
+    console.error('Update issue sync error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+const getIssueSyncAudit = async (projectId, params = {}) => {
+  try {
+    const response = await api.get(`/github/project/${projectId}/issue-sync/audit`, { params });
+    return response.data;
+  } catch (error) {
+    console.error('Get issue sync audit error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 // Utility methods
 const isConnected = async () => {
   try {
@@ -242,6 +273,9 @@ export const githubService = {
   connectRepositoryToProject,
   disconnectRepositoryFromProject,
   getProjectRepository,
+  getProjectContributions,
+  updateIssueSync,
+  getIssueSyncAudit,
   
   // Utility methods
   isConnected,
@@ -4,106 +4,75 @@ class NotificationService {
         this.baseURL = '/api/notifications';
     }
 
-    async getCommentNotifications(params = {}) {
-        try {
-            console.log('🔔 NotificationService: Fetching notifications with params:', params);
-            
-            const queryParams = new URLSearchParams();
-            
-            if (params.page) queryParams.append('page', params.page);
-            if (params.limit) queryParams.append('limit', params.limit);
-            if (params.unread_only) queryParams.append('unread_only', params.unread_only);
-
-            const url = `${this.baseURL}/comments?${queryParams}`;
-            console.log('🔔 NotificationService: Request URL:', url);
-
-            const token = localStorage.getItem('token');
-            console.log('🔔 NotificationService: Token exists:', !!token);
-
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            console.log('🔔 NotificationService: Response status:', response.status);
-            console.log('🔔 NotificationService: Response ok:', response.ok);
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('🔔 NotificationService: Error response:', errorText);
-                throw new Error(`Failed to fetch notifications: ${response.status} - ${errorText}`);
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseURL}${path}`, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`,
+                'Content-Type': 'application/json'
             }
+        });
 
-            const data = await response.json();
-            console.log('🔔 NotificationService: Success data:', data);
-            return data;
-        } catch (error) {
-            console.error('🔔 NotificationService: Error in getCommentNotifications:', error);
-            throw error;
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('🔔 NotificationService: Error response:', response.status, errorText);
+            throw new Error(`Notification request failed: ${response.status} - ${errorText}`);
         }
+
+        return response.json();
     }
 
-    async markNotificationsRead(notificationIds) {
-        try {
-            console.log('🔔 NotificationService: Marking notifications as read:', notificationIds);
-            
-            const response = await fetch(`${this.baseURL}/read`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                },
-                body: JSON.stringify({
-                    notification_ids: notificationIds
-                })
-            });
+    // params: status ('inbox' | 'unread' | 'read' | 'archived'), type, category, page, limit
+    async getNotifications(params = {}) {
+        const queryParams = new URLSearchParams();
 
-            console.log('🔔 NotificationService: Mark read response status:', response.status);
+        ['status', 'type', 'category', 'page', 'limit'].forEach((key) => {
+            if (params[key]) queryParams.append(key, params[key]);
+        });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('🔔 NotificationService: Mark read error:', errorText);
-                throw new Error(`Failed to mark notifications as read: ${response.status}`);
-            }
+        return this.request(`?${queryParams}`);
+    }
 
-            const data = await response.json();
-            console.log('🔔 NotificationService: Mark read success:', data);
-            return data;
-        } catch (error) {
-            console.error('🔔 NotificationService: Error in markNotificationsRead:', error);
-            throw error;
-        }
+    async getNotificationTypes() {
+        return this.request('/types');
     }
 
     async getUnreadCount() {
-        try {
-            console.log('🔔 NotificationService: Fetching unread count...');
-            
-            const response = await fetch(`${this.baseURL}/unread-count`, {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+        return this.request('/unread-count');
+    }
 
-            console.log('🔔 NotificationService: Unread count response status:', response.status);
+    // scope: { notification_ids } | { type } | { category } | { all: true }
+    async markNotificationsRead(scope) {
+        const body = Array.isArray(scope) ? { notification_ids: scope } : scope;
+        return this.request('/read', {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('🔔 NotificationService: Unread count error:', errorText);
-                throw new Error(`Failed to fetch unread count: ${response.status}`);
-            }
+    async archiveNotifications(scope, archived = true) {
+        const body = Array.isArray(scope) ? { notification_ids: scope } : scope;
+        return this.request('/archive', {
+            method: 'PUT',
+            body: JSON.stringify({ ...body, archived })
+        });
+    }
 
-            const data = await response.json();
-            console.log('🔔 NotificationService: Unread count success:', data);
-            return data;
-        } catch (error) {
-            console.error('🔔 NotificationService: Error in getUnreadCount:', error);
-            throw error;
-        }
+    async getPreferences() {
+        return this.request('/preferences');
+    }
+
+    // changes: { channels: { [type]: 'in_app' | 'email' | 'off' }, quiet_hours_start, quiet_hours_end, timezone, digest_frequency }
+    async updatePreferences(changes) {
+        return this.request('/preferences', {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async deleteNotification(notificationId) {
+        return this.request(`/${notificationId}`, { method: 'DELETE' });
     }
 }
 
-export const notificationService = new NotificationService();
\ No newline at end of file
+export const notificationService = new NotificationService();
@@ -128,6 +128,157 @@ export const projectService = {
     }
   },
 
+  // =============================================================================
+  // INVITE LINKS
+  // =============================================================================
+
+  // List a project's invite links (owners and leads)
+  getProjectInvites: async (projectId, includeInactive = false) => {
+    try {
+      const response = await api.get(`/projects/${projectId}/invites?include_inactive=${includeInactive}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get project invites error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Create an invite link - { role, skip_challenge, max_uses, expires_in_hours }
+  createProjectInvite: async (projectId, inviteData) => {
+    try {
+      const response = await api.post(`/projects/${projectId}/invites`, inviteData);
+      return response.data;
+    } catch (error) {
+      console.error('Create project invite error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Revoke an invite link
+  revokeProjectInvite: async (projectId, inviteId) => {
+    try {
+      const response = await api.delete(`/projects/${projectId}/invites/${inviteId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Revoke project invite error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // What an invite link leads to
+  getInviteDetails: async (inviteCode) => {
+    try {
+      const response = await api.get(`/projects/invites/${inviteCode}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get invite details error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Join a project with an invite link
+  redeemInvite: async (inviteCode) => {
+    try {
+      const response = await api.post(`/projects/invites/${inviteCode}/redeem`);
+      return response.data;
+    } catch (error) {
+      console.error('Redeem invite error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // =============================================================================
+  // JOIN REQUESTS
+  // =============================================================================
+
+  // The project's join policy and your latest request for it
+  getMyJoinRequest: async (projectId) => {
+    try {
+      const response = await api.get(`/projects/${projectId}/join-requests/mine`);
+      return response.data;
+    } catch (error) {
+      console.error('Get my join request error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Ask to join with a pitch (joins directly when the project is open)
+  createJoinRequest: async (projectId, pitch) => {
+    try {
+      const response = await api.post(`/projects/${projectId}/join-requests`, { pitch });
+      return response.data;
+    } catch (error) {
+      console.error('Create join request error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Withdraw your pending request
+  withdrawJoinRequest: async (projectId) => {
+    try {
+      const response = await api.delete(`/projects/${projectId}/join-requests/mine`);
+      return response.data;
+    } catch (error) {
+      console.error('Withdraw join request error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Approval queue (owners and leads)
+  getJoinRequests: async (projectId, status = 'pending') => {
+    try {
+      const response = await api.get(`/projects/${projectId}/join-requests?status=${status}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get join requests error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Accept or decline a request - status is 'accepted' or 'declined'
+  decideJoinRequest: async (projectId, requestId, status, message = null) => {
+    try {
+      const response = await api.put(`/projects/${projectId}/join-requests/${requestId}`, { status, message });
+      return response.data;
+    } catch (error) {
+      console.error('Decide join request error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Choose how people get in: 'challenge', 'approval', 'challenge_approval' or 'open' (owner only)
+  updateJoinPolicy: async (projectId, joinPolicy) => {
+    try {
+      const response = await api.put(`/projects/${projectId}/join-policy`, { join_policy: joinPolicy });
+      return response.data;
+    } catch (error) {
+      console.error('Update join policy error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Get your permissions and the project's role -> permission table
+  getProjectPermissions: async (projectId) => {
+    try {
+      const response = await api.get(`/projects/${projectId}/permissions`);
+      return response.data;
+    } catch (error) {
+      console.error('Get project permissions error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Change what each role may do (owner only)
+  updateProjectPermissions: async (projectId, rolePermissions) => {
+    try {
+      const response = await api.put(`/projects/${projectId}/permissions`, { role_permissions: rolePermissions });
+      return response.data;
+    } catch (error) {
+      console.error('Update project permissions error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
   // =============================================================================
   // EXISTING METHODS (KEPT FOR COMPATIBILITY)
   // =============================================================================